@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import { ACCOUNT_TYPES, validateAccount } from '../../lib/utils';
+import { toMinorUnits, toDecimalString } from '../../lib/money';
+import { CheckCircle2, AlertCircle } from 'lucide-react';
+
+// Values of an empty form
+const EMPTY_FORM = {
+  name: '',
+  type: 'checking',
+  openingBalance: '0'
+};
+
+/**
+ * Form for adding an account or editing an existing one
+ * @param {Object} props
+ * @param {(account: Object) => Promise<any>} props.onSubmit - Saves the account
+ * @param {Object} [props.initialData] - Account being edited
+ * @param {() => void} [props.onCancel] - Called when editing is cancelled
+ */
+export default function AccountForm({ onSubmit, initialData = null, onCancel }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // If editing an existing account, populate the form
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        name: initialData.name,
+        type: initialData.type,
+        openingBalance: toDecimalString(initialData.openingBalance ?? 0)
+      });
+      setFeedback(null);
+      setErrors({});
+    }
+  }, [initialData]);
+
+  // Handle form input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+    if (feedback) {
+      setFeedback(null);
+    }
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // The opening balance is typed in dollars and saved in cents
+    const account = {
+      name: formData.name.trim(),
+      type: formData.type,
+      openingBalance: toMinorUnits(formData.openingBalance)
+    };
+    const validation = validateAccount(account);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(account);
+
+      setFeedback({
+        type: 'success',
+        message: initialData ? 'Account updated successfully' : 'Account added successfully'
+      });
+
+      if (!initialData) {
+        setFormData(EMPTY_FORM);
+      }
+    } catch (error) {
+      setFeedback({
+        type: 'error',
+        message: `Failed to ${initialData ? 'update' : 'add'} account: ${error.message}`
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary">
+          {initialData ? 'Edit Account' : 'Add New Account'}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent>
+        {feedback && (
+          <Alert
+            variant={feedback.type === 'success' ? 'success' : 'destructive'}
+            className="mb-4"
+          >
+            {feedback.type === 'success' ?
+              <CheckCircle2 className="h-4 w-4" /> :
+              <AlertCircle className="h-4 w-4" />
+            }
+            <AlertDescription>
+              {feedback.message}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <form id="account-form" onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="account-name" className="text-sm font-medium">
+              Name
+            </Label>
+            <Input
+              id="account-name"
+              name="name"
+              type="text"
+              placeholder="e.g. Everyday checking"
+              value={formData.name}
+              onChange={handleChange}
+              className={errors.name ? 'border-destructive focus-visible:ring-destructive' : ''}
+              aria-invalid={errors.name ? 'true' : 'false'}
+              disabled={isSubmitting}
+            />
+            {errors.name && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.name}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="account-type" className="text-sm font-medium">
+              Type
+            </Label>
+            <select
+              id="account-type"
+              name="type"
+              value={formData.type}
+              onChange={handleChange}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+              disabled={isSubmitting}
+            >
+              {ACCOUNT_TYPES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {errors.type && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.type}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="account-opening-balance" className="text-sm font-medium">
+              Opening balance
+            </Label>
+            <Input
+              id="account-opening-balance"
+              name="openingBalance"
+              type="number"
+              step="0.01"
+              value={formData.openingBalance}
+              onChange={handleChange}
+              className={errors.openingBalance ? 'border-destructive focus-visible:ring-destructive' : ''}
+              aria-invalid={errors.openingBalance ? 'true' : 'false'}
+              disabled={isSubmitting}
+            />
+            <p className="text-xs text-muted-foreground">
+              Balance before the first transaction you record. Use a negative amount for money owed on a credit card.
+            </p>
+            {errors.openingBalance && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.openingBalance}</p>
+            )}
+          </div>
+        </form>
+      </CardContent>
+
+      <CardFooter className="flex space-x-2 border-t pt-4">
+        <Button type="submit" form="account-form" disabled={isSubmitting}>
+          {initialData
+            ? (isSubmitting ? 'Updating...' : 'Update Account')
+            : (isSubmitting ? 'Adding...' : 'Add Account')}
+        </Button>
+        {initialData && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={isSubmitting}>
+            Cancel
+          </Button>
+        )}
+      </CardFooter>
+    </Card>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from 'react';
+import { useAccounts } from '../../lib/accountContext';
+import { useTransactions } from '../../lib/transactionContext';
+import { Button } from '../ui/button';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table, TableHeader, TableBody, TableHead,
+  TableRow, TableCell
+} from '../ui/table';
+import {
+  ACCOUNT_TYPES,
+  DEFAULT_ACCOUNT_ID,
+  calculateAccountBalances,
+  formatCurrency
+} from '../../lib/utils';
+import { Edit, Trash2, AlertCircle } from 'lucide-react';
+
+/**
+ * List of accounts with their balances
+ * Accounts that still have transactions cannot be deleted.
+ * @param {Object} props
+ * @param {(account: Object) => void} props.onEditAccount - Called when an account's edit button is clicked
+ */
+export default function AccountList({ onEditAccount }) {
+  const { accounts, deleteAccount } = useAccounts();
+  const { transactions } = useTransactions();
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Balance and number of transactions of each account
+  const balances = useMemo(
+    () => calculateAccountBalances(accounts, transactions),
+    [accounts, transactions]
+  );
+
+  const typeLabel = (type) => ACCOUNT_TYPES.find(t => t.value === type)?.label || type;
+
+  // Confirm account deletion
+  const confirmDelete = async (id) => {
+    try {
+      await deleteAccount(id);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to delete account: ${err.message}`);
+    } finally {
+      setDeleteConfirm(null);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary">Accounts</CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead className="text-right">Opening balance</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {balances.map(({ account, balance, transactionCount }) => (
+                <TableRow key={account.id}>
+                  <TableCell className="font-medium">
+                    {account.name}
+                    <span className="block text-xs font-normal text-muted-foreground">
+                      {transactionCount} transaction{transactionCount !== 1 ? 's' : ''}
+                    </span>
+                  </TableCell>
+                  <TableCell>{typeLabel(account.type)}</TableCell>
+                  <TableCell className="text-right">{formatCurrency(account.openingBalance || 0)}</TableCell>
+                  <TableCell className={`text-right font-medium ${balance < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                    {formatCurrency(balance)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {deleteConfirm === account.id ? (
+                      <div className="flex justify-end space-x-1">
+                        <Button variant="destructive" size="sm" onClick={() => confirmDelete(account.id)}>
+                          Delete
+                        </Button>
+                        <Button variant="outline" size="sm" onClick={() => setDeleteConfirm(null)}>
+                          Cancel
+                        </Button>
+                      </div>
+                    ) : (
+                      <div className="flex justify-end space-x-1">
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => onEditAccount(account)}
+                          className="h-8 w-8"
+                          title="Edit account"
+                        >
+                          <Edit className="h-4 w-4" />
+                          <span className="sr-only">Edit</span>
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => setDeleteConfirm(account.id)}
+                          className="h-8 w-8 text-destructive hover:text-destructive/90"
+                          disabled={account.id === DEFAULT_ACCOUNT_ID || transactionCount > 0}
+                          title={account.id === DEFAULT_ACCOUNT_ID
+                            ? 'The default account cannot be deleted'
+                            : transactionCount > 0
+                              ? 'Move or delete this account\'s transactions first'
+                              : 'Delete account'}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                          <span className="sr-only">Delete</span>
+                        </Button>
+                      </div>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -12,12 +12,18 @@ import {
 } from 'recharts';
 import { useTransactions } from '../../lib/transactionContext';
 import { useBudgets } from '../../lib/budgetContext';
+import { useCategories } from '../../lib/categoryContext';
 import { 
   formatCurrency,
   formatMonthYear,
   getCurrentMonth,
   compareBudgetWithActual
 } from '../../lib/utils';
+import { fromMinorUnits } from '../../lib/money';
+import { BUDGET_REPORT_EXPORT_COLUMNS, buildBudgetReportTable } from '../../lib/exporting';
+import ExportPanel from '../import/ExportPanel';
+import { Button } from '../ui/button';
+import { Download, ArrowLeft } from 'lucide-react';
 
 /**
  * Custom tooltip for the bar chart
@@ -47,14 +53,22 @@ const CustomTooltip = ({ active, payload, label }) => {
 
 /**
  * BudgetComparisonChart component for visualizing budget vs actual spending
+ * Subcategories are rolled up into their parent; clicking a parent's bars
+ * shows its subcategories.
  */
 export default function BudgetComparisonChart() {
   const [selectedMonth, setSelectedMonth] = useState(getCurrentMonth());
   const [chartData, setChartData] = useState([]);
   const [availableMonths, setAvailableMonths] = useState([]);
+  const [comparison, setComparison] = useState([]);
+  const [showExport, setShowExport] = useState(false);
+  
+  // Parent category whose subcategories are shown, or null for the top level
+  const [drillCategory, setDrillCategory] = useState(null);
   
   const { transactions } = useTransactions();
   const { budgets, getBudgetMonths } = useBudgets();
+  const { categories } = useCategories();
 
   // Update available months when transactions or budgets change
   useEffect(() => {
@@ -77,24 +91,44 @@ export default function BudgetComparisonChart() {
       const comparisonData = compareBudgetWithActual(
         transactions,
         budgets,
-        selectedMonth
+        selectedMonth,
+        categories
       );
+      setComparison(comparisonData);
+      
+      // Show the drilled-into parent's subcategories, or the top-level categories
+      const drillGroup = drillCategory
+        ? comparisonData.find(item => item.category === drillCategory && item.children.length > 0)
+        : null;
+      const items = drillGroup ? drillGroup.children : comparisonData;
       
       // Transform data for the chart
-      const chartData = comparisonData
+      const chartData = items
         .filter(item => item.budgeted > 0 || item.actual > 0) // Only show categories with data
         .map(item => ({
-          category: item.category,
+          category: item.general ? `${item.category} (general)` : item.category,
           Budgeted: item.budgeted,
           Actual: item.actual,
           // Add flag for over budget status for cell colors
-          overBudget: item.actual > item.budgeted && item.budgeted > 0
+          overBudget: item.actual > item.budgeted && item.budgeted > 0,
+          hasSubcategories: Boolean(item.children && item.children.length > 0)
         }))
         .sort((a, b) => b.Actual - a.Actual); // Sort by actual spending (highest first)
       
       setChartData(chartData);
+      if (drillCategory && !drillGroup) {
+        setDrillCategory(null);
+      }
+    }
+  }, [selectedMonth, transactions, budgets, categories, drillCategory]);
+
+  // Show the subcategories of a clicked parent category
+  const handleBarClick = (_, index) => {
+    const item = chartData[index];
+    if (item && item.hasSubcategories) {
+      setDrillCategory(item.category);
     }
-  }, [selectedMonth, transactions, budgets]);
+  };
 
   // Handle month change
   const handleMonthChange = (e) => {
@@ -103,7 +137,13 @@ export default function BudgetComparisonChart() {
 
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
-      <h2 className="text-xl font-semibold mb-4">Budget vs. Actual Comparison</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Budget vs. Actual Comparison</h2>
+        <Button variant="outline" size="sm" onClick={() => setShowExport(prev => !prev)}>
+          <Download className="mr-1 h-4 w-4" />
+          Export
+        </Button>
+      </div>
       
       {/* Month selector */}
       <div className="mb-4">
@@ -123,6 +163,29 @@ export default function BudgetComparisonChart() {
         </select>
       </div>
       
+      {/* Export options for the selected month */}
+      {showExport && (
+        <div className="mb-4">
+          <ExportPanel
+            id="budget-report-export"
+            columns={BUDGET_REPORT_EXPORT_COLUMNS}
+            buildTable={(options) => buildBudgetReportTable(comparison, selectedMonth, options)}
+            fileName={`budget-report-${selectedMonth}`}
+            sheetName={`Budget ${formatMonthYear(selectedMonth)}`}
+            rowCount={comparison.length}
+            allowSplitAmounts={false}
+            onClose={() => setShowExport(false)}
+          />
+        </div>
+      )}
+      
+      {drillCategory && (
+        <Button variant="link" size="sm" className="h-auto p-0 mb-2" onClick={() => setDrillCategory(null)}>
+          <ArrowLeft className="mr-1 h-3 w-3" />
+          {drillCategory}: back to all categories
+        </Button>
+      )}
+      
       {/* Chart */}
       {chartData.length > 0 ? (
         <div className="mt-4" style={{ height: '400px' }}>
@@ -140,20 +203,29 @@ export default function BudgetComparisonChart() {
                 interval={0}
               />
               <YAxis 
-                tickFormatter={(value) => `$${value}`}
+                tickFormatter={(value) => `$${fromMinorUnits(value)}`}
               />
               <Tooltip content={<CustomTooltip />} />
               <Legend />
-              <Bar dataKey="Budgeted" fill="#8884d8" name="Budgeted" />
+              <Bar dataKey="Budgeted" fill="#8884d8" name="Budgeted" onClick={handleBarClick}>
+                {chartData.map((entry, index) => (
+                  <Cell
+                    key={`cell-${index}`}
+                    cursor={entry.hasSubcategories ? 'pointer' : 'default'}
+                  />
+                ))}
+              </Bar>
               <Bar 
                 dataKey="Actual" 
                 name="Actual"
                 fill="#82ca9d"
+                onClick={handleBarClick}
               >
                 {chartData.map((entry, index) => (
                   <Cell 
                     key={`cell-${index}`} 
                     fill={entry.overBudget ? '#ff8042' : '#82ca9d'} 
+                    cursor={entry.hasSubcategories ? 'pointer' : 'default'}
                   />
                 ))}
               </Bar>
@@ -1,14 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { useBudgets } from '../../lib/budgetContext';
-import { TRANSACTION_CATEGORIES, formatMonthYear, getCurrentMonth } from '../../lib/utils';
+import { useCategories } from '../../lib/categoryContext';
+import { formatMonthYear, getCurrentMonth } from '../../lib/utils';
+import { toMinorUnits, toDecimalString } from '../../lib/money';
 import { Select } from '../ui/select';
 
 /**
  * BudgetForm component for setting monthly category budgets
  */
 export default function BudgetForm() {
+  const { activeCategories, getCategoryOptions, getCategoryLabel } = useCategories();
   const [selectedMonth, setSelectedMonth] = useState(getCurrentMonth());
-  const [selectedCategory, setSelectedCategory] = useState(TRANSACTION_CATEGORIES[0]);
+  const [selectedCategory, setSelectedCategory] = useState(() => activeCategories[0]?.name || '');
   const [budgetAmount, setBudgetAmount] = useState('');
   const [availableMonths, setAvailableMonths] = useState([]);
   const [errors, setErrors] = useState({});
@@ -45,7 +48,7 @@ export default function BudgetForm() {
       const existingBudget = monthBudgets.find(b => b.category === selectedCategory);
       
       if (existingBudget) {
-        setBudgetAmount(existingBudget.amount.toString());
+        setBudgetAmount(toDecimalString(existingBudget.amount));
       } else {
         setBudgetAmount('');
       }
@@ -64,7 +67,7 @@ export default function BudgetForm() {
       formErrors.category = 'Please select a category';
     }
     
-    if (!budgetAmount || isNaN(parseFloat(budgetAmount)) || parseFloat(budgetAmount) <= 0) {
+    if (!(toMinorUnits(budgetAmount) > 0)) {
       formErrors.amount = 'Please enter a valid budget amount';
     }
     
@@ -89,10 +92,10 @@ export default function BudgetForm() {
       await addOrUpdateBudget({
         month: selectedMonth,
         category: selectedCategory,
-        amount: parseFloat(budgetAmount)
+        amount: toMinorUnits(budgetAmount)
       });
       
-      setSuccessMessage(`Budget set for ${selectedCategory} in ${formatMonthYear(selectedMonth)}`);
+      setSuccessMessage(`Budget set for ${getCategoryLabel(selectedCategory)} in ${formatMonthYear(selectedMonth)}`);
       
       // Reset form
       setBudgetAmount('');
@@ -159,16 +162,19 @@ export default function BudgetForm() {
           <label className="block text-sm font-medium mb-1">
             Category
           </label>
-          <Select
+          <select
             value={selectedCategory}
-            onValueChange={setSelectedCategory}
-            options={TRANSACTION_CATEGORIES.map(category => ({
-              value: category,
-              label: category
-            }))}
-            placeholder="Select category"
-            error={errors.category}
-          />
+            onChange={(e) => setSelectedCategory(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded text-sm"
+          >
+            <option value="">Select category</option>
+            {getCategoryOptions(selectedCategory, 'expense').map(category => (
+              <option key={category} value={category}>{getCategoryLabel(category)}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            A budget on a parent category covers its subcategories too.
+          </p>
           {errors.category && (
             <p className="text-red-500 text-sm mt-1">{errors.category}</p>
           )}
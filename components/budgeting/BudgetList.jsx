@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useBudgets } from '../../lib/budgetContext';
+import { useCategories } from '../../lib/categoryContext';
 import { formatCurrency, formatMonthYear, getCurrentMonth } from '../../lib/utils';
+import { TRASH_RETENTION_DAYS } from '../../lib/trash';
 
 /**
  * BudgetList component for displaying current budget settings
@@ -16,6 +18,7 @@ export default function BudgetList() {
     getBudgetMonths,
     isLoading 
   } = useBudgets();
+  const { getCategoryLabel } = useCategories();
 
   // Update displayed budgets when month or budgets change
   useEffect(() => {
@@ -32,7 +35,7 @@ export default function BudgetList() {
 
   // Handle budget deletion
   const handleDeleteBudget = async (id) => {
-    if (window.confirm('Are you sure you want to delete this budget?')) {
+    if (window.confirm(`Move this budget to the trash? It can be restored for ${TRASH_RETENTION_DAYS} days.`)) {
       try {
         await deleteBudget(id);
       } catch (error) {
@@ -88,7 +91,7 @@ export default function BudgetList() {
                 <tbody className="text-gray-600 text-sm">
                   {monthlyBudgets.map(budget => (
                     <tr key={budget.id} className="border-b border-gray-200 hover:bg-gray-50">
-                      <td className="py-3 px-6 text-left">{budget.category}</td>
+                      <td className="py-3 px-6 text-left">{getCategoryLabel(budget.category)}</td>
                       <td className="py-3 px-6 text-right">{formatCurrency(budget.amount)}</td>
                       <td className="py-3 px-6 text-center">
                         <button
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useTransactions } from '../../lib/transactionContext';
 import { useBudgets } from '../../lib/budgetContext';
+import { useCategories } from '../../lib/categoryContext';
 import { 
   formatMonthYear,
   getCurrentMonth,
@@ -18,6 +19,7 @@ export default function SpendingInsights() {
   
   const { transactions, getStats } = useTransactions();
   const { budgets, getBudgetMonths } = useBudgets();
+  const { categories } = useCategories();
 
   // Update available months when transactions or budgets change
   useEffect(() => {
@@ -40,7 +42,8 @@ export default function SpendingInsights() {
       const comparisonData = compareBudgetWithActual(
         transactions,
         budgets,
-        selectedMonth
+        selectedMonth,
+        categories
       );
       
       const stats = getStats();
@@ -48,7 +51,7 @@ export default function SpendingInsights() {
       
       setInsights(generatedInsights);
     }
-  }, [selectedMonth, transactions, budgets, getStats]);
+  }, [selectedMonth, transactions, budgets, categories, getStats]);
 
   // Handle month change
   const handleMonthChange = (e) => {
@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import { useCategories } from '../../lib/categoryContext';
+import { CATEGORY_COLORS, CATEGORY_ICONS, CATEGORY_TYPES, getCategoryType } from '../../lib/categories';
+import { validateCategory } from '../../lib/utils';
+import CategoryIcon, { ICON_COMPONENTS } from './CategoryIcon';
+import { CheckCircle2, AlertCircle } from 'lucide-react';
+
+// Values of an empty form
+const EMPTY_FORM = {
+  name: '',
+  color: CATEGORY_COLORS[0],
+  icon: 'Tag',
+  type: 'expense',
+  parentId: ''
+};
+
+/**
+ * Form for adding a category or editing an existing one
+ * @param {Object} props
+ * @param {(category: Object) => Promise<any>} props.onSubmit - Saves the category
+ * @param {Object} [props.initialData] - Category being edited
+ * @param {() => void} [props.onCancel] - Called when editing is cancelled
+ */
+export default function CategoryForm({ onSubmit, initialData = null, onCancel }) {
+  const { categories } = useCategories();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // If editing an existing category, populate the form
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        name: initialData.name,
+        color: initialData.color,
+        icon: initialData.icon,
+        type: getCategoryType(initialData),
+        parentId: initialData.parentId || ''
+      });
+      setFeedback(null);
+      setErrors({});
+    }
+  }, [initialData]);
+
+  // Top-level categories of the same type the edited category can be filed under
+  const parentOptions = categories.filter(category => (
+    !category.parentId && !category.archived && category.id !== initialData?.id &&
+    getCategoryType(category) === formData.type
+  ));
+
+  // A category with subcategories has to stay top-level
+  const hasSubcategories = Boolean(initialData) &&
+    categories.some(category => category.parentId === initialData.id);
+
+  // Set one form field
+  const setField = (name, value) => {
+    setFormData(prev => (
+      // A parent of the other type no longer fits once the type changes
+      name === 'type' ? { ...prev, type: value, parentId: '' } : { ...prev, [name]: value }
+    ));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+    if (feedback) {
+      setFeedback(null);
+    }
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const category = { ...formData, name: formData.name.trim(), parentId: formData.parentId || null };
+    const validation = validateCategory({ ...category, id: initialData?.id }, categories);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(category);
+
+      setFeedback({
+        type: 'success',
+        message: initialData ? 'Category updated successfully' : 'Category added successfully'
+      });
+
+      if (!initialData) {
+        setFormData(EMPTY_FORM);
+      }
+    } catch (error) {
+      setFeedback({
+        type: 'error',
+        message: `Failed to ${initialData ? 'update' : 'add'} category: ${error.message}`
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary flex items-center gap-2">
+          <CategoryIcon category={formData} />
+          {initialData ? 'Edit Category' : 'Add New Category'}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent>
+        {feedback && (
+          <Alert
+            variant={feedback.type === 'success' ? 'success' : 'destructive'}
+            className="mb-4"
+          >
+            {feedback.type === 'success' ?
+              <CheckCircle2 className="h-4 w-4" /> :
+              <AlertCircle className="h-4 w-4" />
+            }
+            <AlertDescription>
+              {feedback.message}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <form id="category-form" onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="category-name" className="text-sm font-medium">
+              Name
+            </Label>
+            <Input
+              id="category-name"
+              name="name"
+              type="text"
+              placeholder="e.g. Pets"
+              value={formData.name}
+              onChange={(e) => setField('name', e.target.value)}
+              className={errors.name ? 'border-destructive focus-visible:ring-destructive' : ''}
+              aria-invalid={errors.name ? 'true' : 'false'}
+              disabled={isSubmitting}
+            />
+            {initialData && formData.name.trim() !== initialData.name && (
+              <p className="text-xs text-muted-foreground">
+                Transactions, budgets and recurring transactions in {initialData.name} will be moved to the new name.
+              </p>
+            )}
+            {errors.name && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.name}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="category-type" className="text-sm font-medium">
+              Type
+            </Label>
+            <select
+              id="category-type"
+              name="type"
+              value={formData.type}
+              onChange={(e) => setField('type', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+              disabled={isSubmitting || hasSubcategories}
+            >
+              {CATEGORY_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            {errors.type && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.type}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="category-parent" className="text-sm font-medium">
+              Parent category
+            </Label>
+            <select
+              id="category-parent"
+              name="parentId"
+              value={formData.parentId}
+              onChange={(e) => setField('parentId', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+              disabled={isSubmitting || hasSubcategories}
+            >
+              <option value="">None (top-level category)</option>
+              {parentOptions.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+            {hasSubcategories && (
+              <p className="text-xs text-muted-foreground">
+                {initialData.name} has subcategories, so it stays a top-level category of the same type.
+              </p>
+            )}
+            {errors.parentId && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.parentId}</p>
+            )}
+          </div>
+
+          <fieldset className="space-y-2">
+            <legend className="text-sm font-medium">Color</legend>
+            <div className="flex flex-wrap items-center gap-2">
+              {CATEGORY_COLORS.map(color => (
+                <button
+                  key={color}
+                  type="button"
+                  onClick={() => setField('color', color)}
+                  className={`h-7 w-7 rounded-full border-2 ${formData.color === color ? 'border-gray-800' : 'border-transparent'}`}
+                  style={{ backgroundColor: color }}
+                  aria-label={`Color ${color}`}
+                  aria-pressed={formData.color === color}
+                  disabled={isSubmitting}
+                />
+              ))}
+              <input
+                type="color"
+                value={formData.color}
+                onChange={(e) => setField('color', e.target.value)}
+                className="h-7 w-10 cursor-pointer rounded border border-gray-300"
+                aria-label="Custom color"
+                disabled={isSubmitting}
+              />
+            </div>
+            {errors.color && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.color}</p>
+            )}
+          </fieldset>
+
+          <fieldset className="space-y-2">
+            <legend className="text-sm font-medium">Icon</legend>
+            <div className="grid grid-cols-7 gap-1">
+              {CATEGORY_ICONS.map(icon => {
+                const Icon = ICON_COMPONENTS[icon];
+                return (
+                  <button
+                    key={icon}
+                    type="button"
+                    onClick={() => setField('icon', icon)}
+                    className={`flex h-9 items-center justify-center rounded border ${
+                      formData.icon === icon ? 'border-primary bg-primary/10' : 'border-transparent hover:bg-muted/40'
+                    }`}
+                    title={icon}
+                    aria-pressed={formData.icon === icon}
+                    disabled={isSubmitting}
+                  >
+                    <Icon className="h-4 w-4" />
+                    <span className="sr-only">{icon}</span>
+                  </button>
+                );
+              })}
+            </div>
+            {errors.icon && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.icon}</p>
+            )}
+          </fieldset>
+        </form>
+      </CardContent>
+
+      <CardFooter className="flex space-x-2 border-t pt-4">
+        <Button type="submit" form="category-form" disabled={isSubmitting}>
+          {initialData
+            ? (isSubmitting ? 'Updating...' : 'Update Category')
+            : (isSubmitting ? 'Adding...' : 'Add Category')}
+        </Button>
+        {initialData && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={isSubmitting}>
+            Cancel
+          </Button>
+        )}
+      </CardFooter>
+    </Card>
+  );
+}
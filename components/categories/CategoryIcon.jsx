@@ -0,0 +1,36 @@
+import React from 'react';
+import {
+  ShoppingCart, Zap, Home, Car, Film, ShoppingBag, Utensils,
+  HeartPulse, GraduationCap, Tag, Briefcase, Gift, Plane,
+  PiggyBank, Coffee, Smartphone, Shirt, Dumbbell, Baby,
+  Wrench, Receipt, Banknote, Laptop, RotateCcw, TrendingUp
+} from 'lucide-react';
+
+// Icon components by the names stored on categories (see CATEGORY_ICONS)
+export const ICON_COMPONENTS = {
+  ShoppingCart, Zap, Home, Car, Film, ShoppingBag, Utensils,
+  HeartPulse, GraduationCap, Tag, Briefcase, Gift, Plane,
+  PiggyBank, Coffee, Smartphone, Shirt, Dumbbell, Baby,
+  Wrench, Receipt, Banknote, Laptop, RotateCcw, TrendingUp
+};
+
+/**
+ * A category's icon on a round badge in the category's color
+ * @param {Object} props
+ * @param {Object} [props.category] - Category; unknown categories show a tag icon
+ * @param {'sm'|'md'} [props.size='md'] - Badge size
+ * @param {string} [props.className] - Extra classes for the badge
+ */
+export default function CategoryIcon({ category, size = 'md', className = '' }) {
+  const Icon = ICON_COMPONENTS[category?.icon] || Tag;
+
+  return (
+    <span
+      className={`inline-flex ${size === 'sm' ? 'h-4 w-4' : 'h-6 w-6'} shrink-0 items-center justify-center rounded-full text-white ${className}`}
+      style={{ backgroundColor: category?.color || '#94a3b8' }}
+      aria-hidden="true"
+    >
+      <Icon className={size === 'sm' ? 'h-2.5 w-2.5' : 'h-3.5 w-3.5'} />
+    </span>
+  );
+}
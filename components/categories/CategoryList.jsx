@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from 'react';
+import { useCategories } from '../../lib/categoryContext';
+import { useTransactions } from '../../lib/transactionContext';
+import { Button } from '../ui/button';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table, TableHeader, TableBody, TableHead,
+  TableRow, TableCell
+} from '../ui/table';
+import { getCategoryLines } from '../../lib/utils';
+import { getCategoryType, sortByHierarchy } from '../../lib/categories';
+import CategoryIcon from './CategoryIcon';
+import { Edit, Archive, ArchiveRestore, AlertCircle } from 'lucide-react';
+
+/**
+ * List of categories with how many transactions use them
+ * Archived categories are hidden from pickers but keep their transactions.
+ * @param {Object} props
+ * @param {(category: Object) => void} props.onEditCategory - Called when a category's edit button is clicked
+ */
+export default function CategoryList({ onEditCategory }) {
+  const { categories, updateCategory } = useCategories();
+  const { transactions } = useTransactions();
+  const [error, setError] = useState(null);
+
+  // Number of transactions (split lines counted once per transaction) per category name
+  const usage = useMemo(() => {
+    const counts = {};
+    transactions.forEach(transaction => {
+      new Set(getCategoryLines(transaction).map(line => line.category)).forEach(category => {
+        counts[category] = (counts[category] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [transactions]);
+
+  // Active categories first, archived ones after, each parent followed by its subcategories
+  const sortedCategories = useMemo(
+    () => [
+      ...sortByHierarchy(categories.filter(c => !c.archived)),
+      ...sortByHierarchy(categories.filter(c => c.archived))
+    ],
+    [categories]
+  );
+
+  // Archive or restore a category
+  const toggleArchived = async (category) => {
+    try {
+      await updateCategory(category.id, { archived: !category.archived });
+      setError(null);
+    } catch (err) {
+      setError(`Failed to ${category.archived ? 'restore' : 'archive'} category: ${err.message}`);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary">Categories</CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead className="text-right">Transactions</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {sortedCategories.map(category => (
+                <TableRow key={category.id} className={category.archived ? 'opacity-60' : ''}>
+                  <TableCell className="font-medium">
+                    <span className={`flex items-center gap-2 ${category.depth > 0 ? 'pl-6' : ''}`}>
+                      <CategoryIcon category={category} />
+                      {category.name}
+                      {category.archived && (
+                        <span className="text-xs font-normal bg-muted px-1.5 py-0.5 rounded">Archived</span>
+                      )}
+                    </span>
+                  </TableCell>
+                  <TableCell>
+                    <span className={`text-xs px-1.5 py-0.5 rounded ${
+                      getCategoryType(category) === 'income' ? 'bg-green-100 text-green-800' : 'bg-muted'
+                    }`}>
+                      {getCategoryType(category) === 'income' ? 'Income' : 'Expense'}
+                    </span>
+                  </TableCell>
+                  <TableCell className="text-right">{usage[category.name] || 0}</TableCell>
+                  <TableCell className="text-right">
+                    <div className="flex justify-end space-x-1">
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => onEditCategory(category)}
+                        className="h-8 w-8"
+                        title="Edit category"
+                      >
+                        <Edit className="h-4 w-4" />
+                        <span className="sr-only">Edit</span>
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => toggleArchived(category)}
+                        className="h-8 w-8"
+                        title={category.archived ? 'Restore category' : 'Archive category (its transactions are kept)'}
+                      >
+                        {category.archived
+                          ? <ArchiveRestore className="h-4 w-4" />
+                          : <Archive className="h-4 w-4" />}
+                        <span className="sr-only">{category.archived ? 'Restore' : 'Archive'}</span>
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
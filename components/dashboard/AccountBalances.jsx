@@ -0,0 +1,122 @@
+import React, { useMemo, useState } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { useTransactions } from '../../lib/transactionContext';
+import { useAccounts } from '../../lib/accountContext';
+import {
+  ACCOUNT_TYPES,
+  calculateAccountBalances,
+  calculateRunningBalances,
+  formatCurrency,
+  formatDateForDisplay,
+  isTransfer
+} from '../../lib/utils';
+import { sumMinorUnits } from '../../lib/money';
+import { Landmark, ArrowLeftRight } from 'lucide-react';
+
+// Number of transactions shown in an account's running balance table
+const RUNNING_BALANCE_LIMIT = 10;
+
+/**
+ * Current balance of every account, with the running balance of the
+ * selected account's latest transactions
+ */
+export default function AccountBalances() {
+  const { transactions } = useTransactions();
+  const { accounts, getAccount } = useAccounts();
+  const [selectedAccountId, setSelectedAccountId] = useState(null);
+
+  // Balance of each account
+  const balances = useMemo(
+    () => calculateAccountBalances(accounts, transactions),
+    [accounts, transactions]
+  );
+
+  const netWorth = sumMinorUnits(balances.map(({ balance }) => balance));
+
+  // Latest transactions of the selected account with the balance after each
+  const runningBalances = useMemo(() => {
+    const account = accounts.find(a => a.id === selectedAccountId);
+    if (!account) return [];
+    return calculateRunningBalances(account, transactions).slice(0, RUNNING_BALANCE_LIMIT);
+  }, [accounts, transactions, selectedAccountId]);
+
+  const typeLabel = (type) => ACCOUNT_TYPES.find(t => t.value === type)?.label || type;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-xl flex items-center gap-2">
+          <Landmark className="h-5 w-5" />
+          Accounts
+        </CardTitle>
+        <CardDescription>
+          Total across all accounts: {formatCurrency(netWorth)} ·{' '}
+          <Link href="/accounts">
+            <span className="text-blue-600 hover:underline cursor-pointer">Manage accounts</span>
+          </Link>
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+          {balances.map(({ account, balance, transactionCount }) => (
+            <button
+              key={account.id}
+              type="button"
+              onClick={() => setSelectedAccountId(prev => (prev === account.id ? null : account.id))}
+              className={`text-left border rounded-md p-3 transition-colors hover:bg-muted/40 ${
+                selectedAccountId === account.id ? 'border-primary bg-primary/5' : ''
+              }`}
+              aria-pressed={selectedAccountId === account.id}
+            >
+              <p className="text-sm font-medium">{account.name}</p>
+              <p className="text-xs text-muted-foreground">
+                {typeLabel(account.type)} · {transactionCount} transaction{transactionCount !== 1 ? 's' : ''}
+              </p>
+              <p className={`text-lg font-bold mt-1 ${balance >= 0 ? 'text-emerald-500' : 'text-destructive'}`}>
+                {formatCurrency(balance)}
+              </p>
+            </button>
+          ))}
+        </div>
+
+        {selectedAccountId && (
+          runningBalances.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No transactions in this account yet.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-[110px]">Date</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead className="text-right w-[110px]">Amount</TableHead>
+                  <TableHead className="text-right w-[110px]">Balance</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {runningBalances.map(transaction => (
+                  <TableRow key={transaction.id}>
+                    <TableCell className="text-sm">{formatDateForDisplay(transaction.date)}</TableCell>
+                    <TableCell className="text-sm">
+                      {isTransfer(transaction) ? (
+                        <span className="inline-flex items-center gap-1">
+                          <ArrowLeftRight className="h-3 w-3 text-muted-foreground" />
+                          {transaction.amount < 0 ? 'To' : 'From'} {getAccount(transaction.transferAccountId)?.name || 'deleted account'}
+                        </span>
+                      ) : transaction.description}
+                    </TableCell>
+                    <TableCell className={`text-right text-sm font-medium ${transaction.amount < 0 ? 'text-destructive' : 'text-emerald-500'}`}>
+                      {formatCurrency(transaction.amount)}
+                    </TableCell>
+                    <TableCell className="text-right text-sm">{formatCurrency(transaction.balance)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,7 +1,8 @@
 import React, { useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { useTransactions } from '../../lib/transactionContext';
-import { formatCurrency, getRecentTransactions } from '../../lib/utils';
+import { formatCurrency, getRecentTransactions, isTransfer, isSplit } from '../../lib/utils';
+import { sumMinorUnits } from '../../lib/money';
 import { 
   DollarSign, 
   TrendingUp, 
@@ -20,13 +21,13 @@ export default function DashboardSummary() {
 
   // Calculate summary data
   const summaryData = useMemo(() => {
-    const income = transactions
-      .filter(t => t.amount > 0)
-      .reduce((sum, t) => sum + t.amount, 0);
+    // Transfers between accounts are neither income nor expenses
+    const incomeTransactions = transactions.filter(t => t.amount > 0 && !isTransfer(t));
+    const expenseTransactions = transactions.filter(t => t.amount < 0 && !isTransfer(t));
+
+    const income = sumMinorUnits(incomeTransactions.map(t => t.amount));
     
-    const expenses = transactions
-      .filter(t => t.amount < 0)
-      .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+    const expenses = sumMinorUnits(expenseTransactions.map(t => Math.abs(t.amount)));
     
     const balance = income - expenses;
     
@@ -37,6 +38,8 @@ export default function DashboardSummary() {
       expenses,
       balance,
       recentTransactions,
+      incomeCount: incomeTransactions.length,
+      expenseCount: expenseTransactions.length,
       totalTransactions: transactions.length
     };
   }, [transactions]);
@@ -57,7 +60,7 @@ export default function DashboardSummary() {
               {formatCurrency(summaryData.expenses)}
             </div>
             <p className="text-xs text-muted-foreground mt-1">
-              {transactions.filter(t => t.amount < 0).length} expense transactions
+              {summaryData.expenseCount} expense transactions
             </p>
           </CardContent>
         </Card>
@@ -75,7 +78,7 @@ export default function DashboardSummary() {
               {formatCurrency(summaryData.income)}
             </div>
             <p className="text-xs text-muted-foreground mt-1">
-              {transactions.filter(t => t.amount > 0).length} income transactions
+              {summaryData.incomeCount} income transactions
             </p>
           </CardContent>
         </Card>
@@ -138,7 +141,9 @@ export default function DashboardSummary() {
                     <TableCell>
                       <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-primary/10 text-primary">
                         <Tag className="mr-1 h-3 w-3" />
-                        {transaction.category || 'Other'}
+                        {isSplit(transaction)
+                          ? transaction.splits.map(split => split.category).join(', ')
+                          : transaction.category || 'Other'}
                       </span>
                     </TableCell>
                     <TableCell className="text-sm">
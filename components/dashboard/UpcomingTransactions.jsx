@@ -0,0 +1,122 @@
+import React, { useMemo } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { useTransactions } from '../../lib/transactionContext';
+import { useAccounts } from '../../lib/accountContext';
+import { useRecurring } from '../../lib/recurringContext';
+import { getUpcomingOccurrences, getToday } from '../../lib/recurring';
+import {
+  calculateAccountBalances,
+  formatCurrency,
+  formatDateForDisplay
+} from '../../lib/utils';
+import { sumMinorUnits } from '../../lib/money';
+import { CalendarClock } from 'lucide-react';
+
+// Number of days ahead shown in the panel
+const UPCOMING_DAYS = 30;
+
+/**
+ * Recurring transactions due in the next 30 days, with the balance across
+ * all accounts after each one
+ */
+export default function UpcomingTransactions() {
+  const { transactions } = useTransactions();
+  const { accounts, getAccount } = useAccounts();
+  const { recurringTransactions } = useRecurring();
+
+  // Current total across all accounts, the starting point of the projection
+  const currentBalance = useMemo(
+    () => sumMinorUnits(calculateAccountBalances(accounts, transactions).map(({ balance }) => balance)),
+    [accounts, transactions]
+  );
+
+  // Scheduled items with the projected balance after each
+  const upcoming = useMemo(() => {
+    let balance = currentBalance;
+    return getUpcomingOccurrences(recurringTransactions, getToday(), UPCOMING_DAYS).map(item => {
+      balance += item.amount;
+      return { ...item, balance };
+    });
+  }, [recurringTransactions, currentBalance]);
+
+  const netEffect = sumMinorUnits(upcoming.map(({ amount }) => amount));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-xl flex items-center gap-2">
+          <CalendarClock className="h-5 w-5" />
+          Upcoming
+        </CardTitle>
+        <CardDescription>
+          Recurring transactions in the next {UPCOMING_DAYS} days ·{' '}
+          <Link href="/recurring">
+            <span className="text-blue-600 hover:underline cursor-pointer">Manage recurring</span>
+          </Link>
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {upcoming.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">
+            Nothing scheduled in the next {UPCOMING_DAYS} days.
+          </p>
+        ) : (
+          <>
+            <div className="grid gap-3 sm:grid-cols-3 text-sm">
+              <div>
+                <p className="text-muted-foreground">Balance today</p>
+                <p className="text-lg font-bold">{formatCurrency(currentBalance)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Net effect</p>
+                <p className={`text-lg font-bold ${netEffect >= 0 ? 'text-emerald-500' : 'text-destructive'}`}>
+                  {netEffect > 0 ? '+' : ''}{formatCurrency(netEffect)}
+                </p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Projected in {UPCOMING_DAYS} days</p>
+                <p className={`text-lg font-bold ${currentBalance + netEffect >= 0 ? 'text-emerald-500' : 'text-destructive'}`}>
+                  {formatCurrency(currentBalance + netEffect)}
+                </p>
+              </div>
+            </div>
+
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                    <TableHead className="text-right">Projected balance</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {upcoming.map(({ template, date, amount, balance }) => (
+                    <TableRow key={`${template.id}-${date}`}>
+                      <TableCell className="whitespace-nowrap">{formatDateForDisplay(date)}</TableCell>
+                      <TableCell>
+                        {template.description}
+                        <span className="block text-xs text-muted-foreground">
+                          {template.category} · {getAccount(template.accountId)?.name || 'Unknown account'}
+                        </span>
+                      </TableCell>
+                      <TableCell className={`text-right font-medium ${amount < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                        {formatCurrency(amount)}
+                      </TableCell>
+                      <TableCell className={`text-right ${balance < 0 ? 'text-destructive' : ''}`}>
+                        {formatCurrency(balance)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
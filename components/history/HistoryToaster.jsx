@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { useHistory } from '../../lib/historyContext';
+import {
+  Toast,
+  ToastTitle,
+  ToastDescription,
+  ToastAction,
+  ToastClose,
+  ToastViewport
+} from '../ui/toast';
+
+// How long a toast stays on screen, in milliseconds
+const TOAST_DURATION = 6000;
+
+// Toast title for each kind of history event
+const EVENT_TITLES = {
+  done: null,
+  undone: 'Undone',
+  redone: 'Redone',
+  error: 'Something went wrong'
+};
+
+/**
+ * Toasts for the undo/redo history
+ * Shows each change as it is made, undone or redone, with a button to
+ * reverse it. Must be rendered inside a HistoryProvider and a ToastProvider.
+ */
+export default function HistoryToaster() {
+  const { lastEvent, undo, redo } = useHistory();
+  const [open, setOpen] = useState(false);
+
+  // Show the toast again for every new event
+  useEffect(() => {
+    if (lastEvent) {
+      setOpen(true);
+    }
+  }, [lastEvent]);
+
+  const title = lastEvent ? EVENT_TITLES[lastEvent.type] : null;
+  const canRedo = lastEvent && lastEvent.type === 'undone';
+
+  return (
+    <>
+      {lastEvent && (
+        <Toast
+          key={lastEvent.id}
+          open={open}
+          onOpenChange={setOpen}
+          duration={TOAST_DURATION}
+          variant={lastEvent.type === 'error' ? 'destructive' : 'default'}
+        >
+          <div className="grid gap-1">
+            {title && <ToastTitle>{title}</ToastTitle>}
+            <ToastDescription>{lastEvent.label}</ToastDescription>
+          </div>
+          {lastEvent.type !== 'error' && (
+            <ToastAction
+              altText={canRedo ? 'Redo with Ctrl+Shift+Z' : 'Undo with Ctrl+Z'}
+              onClick={canRedo ? redo : undo}
+            >
+              {canRedo ? 'Redo' : 'Undo'}
+            </ToastAction>
+          )}
+          <ToastClose />
+        </Toast>
+      )}
+      <ToastViewport />
+    </>
+  );
+}
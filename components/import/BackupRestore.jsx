@@ -0,0 +1,378 @@
+import React, { useState, useMemo } from 'react';
+import { format } from 'date-fns';
+import { useTransactions } from '../../lib/transactionContext';
+import { useBudgets } from '../../lib/budgetContext';
+import { useAccounts } from '../../lib/accountContext';
+import { useRecurring } from '../../lib/recurringContext';
+import { useCategories } from '../../lib/categoryContext';
+import { useRules } from '../../lib/ruleContext';
+import { useSettings } from '../../lib/settingsContext';
+import { useHistory } from '../../lib/historyContext';
+import {
+  createBackup,
+  parseBackup,
+  diffRecords,
+  diffSettings,
+  planRestore,
+  countWrites
+} from '../../lib/backup';
+import { downloadFile } from '../../lib/download';
+import { describeSchedule } from '../../lib/recurring';
+import { formatCurrency, formatDateForDisplay, formatMonthYear, DEFAULT_ACCOUNT_ID } from '../../lib/utils';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '../ui/table';
+import { Archive, CheckCircle2, AlertCircle } from 'lucide-react';
+
+// Number of conflicting records listed per collection
+const CONFLICT_PREVIEW_LIMIT = 5;
+
+// Collections in a backup, in display order
+const COLLECTIONS = [
+  { key: 'transactions', label: 'Transactions' },
+  { key: 'budgets', label: 'Budgets' },
+  { key: 'accounts', label: 'Accounts' },
+  { key: 'recurring', label: 'Recurring transactions' },
+  { key: 'categories', label: 'Categories' },
+  { key: 'rules', label: 'Rules' }
+];
+
+/**
+ * Short label for a record in the conflict list
+ * @param {string} collection - Collection name (e.g. "transactions")
+ * @param {Object} record
+ * @returns {string}
+ */
+function describeRecord(collection, record) {
+  if (collection === 'budgets') {
+    return `${record.category}, ${formatMonthYear(record.month)}: ${formatCurrency(record.amount)}`;
+  }
+  if (collection === 'accounts') {
+    return `${record.name}, opening balance ${formatCurrency(record.openingBalance)}`;
+  }
+  if (collection === 'categories') {
+    return `${record.name}${record.archived ? ' (archived)' : ''}`;
+  }
+  if (collection === 'rules') {
+    return `${record.name}${record.enabled === false ? ' (disabled)' : ''}`;
+  }
+  if (collection === 'recurring') {
+    return `${record.description}, ${describeSchedule(record).toLowerCase()}: ${formatCurrency(record.amount)}`;
+  }
+  return `${formatDateForDisplay(record.date)} ${record.description}: ${formatCurrency(record.amount)}`;
+}
+
+/**
+ * Back up all data to a JSON file and restore it, merging with or replacing
+ * the current data after showing what would change
+ */
+export default function BackupRestore() {
+  const { storedTransactions: transactions, writeTransactions } = useTransactions();
+  const { storedBudgets: budgets, writeBudgets } = useBudgets();
+  const { storedAccounts: accounts, writeAccounts } = useAccounts();
+  const { recurringTransactions: recurring, writeRecurring } = useRecurring();
+  const { storedCategories: categories, writeCategories } = useCategories();
+  const { rules, writeRules } = useRules();
+  const { settings, updateSettings, replaceSettings } = useSettings();
+  const { clearHistory } = useHistory();
+
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [mode, setMode] = useState('merge');
+  const [conflicts, setConflicts] = useState('local');
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [restoredCount, setRestoredCount] = useState(null);
+
+  // Bulk writers by collection
+  const writers = {
+    transactions: writeTransactions,
+    budgets: writeBudgets,
+    accounts: writeAccounts,
+    recurring: writeRecurring,
+    categories: writeCategories,
+    rules: writeRules
+  };
+
+  // Compare the backup with the current data
+  const diffs = useMemo(() => {
+    if (!backup) return null;
+    return {
+      transactions: diffRecords('transactions', transactions, backup.data.transactions),
+      budgets: diffRecords('budgets', budgets, backup.data.budgets),
+      accounts: diffRecords('accounts', accounts, backup.data.accounts),
+      recurring: diffRecords('recurring', recurring, backup.data.recurring),
+      categories: diffRecords('categories', categories, backup.data.categories),
+      rules: diffRecords('rules', rules, backup.data.rules)
+    };
+  }, [backup, transactions, budgets, accounts, recurring, categories, rules]);
+
+  const changedSettings = backup ? diffSettings(settings, backup.data.settings) : [];
+
+  // Storage writes for the chosen restore mode
+  const plans = useMemo(() => {
+    if (!diffs) return null;
+    const accountPlan = planRestore(diffs.accounts, { mode, conflicts });
+    return {
+      transactions: planRestore(diffs.transactions, { mode, conflicts }),
+      budgets: planRestore(diffs.budgets, { mode, conflicts }),
+      recurring: planRestore(diffs.recurring, { mode, conflicts }),
+      categories: planRestore(diffs.categories, { mode, conflicts }),
+      rules: planRestore(diffs.rules, { mode, conflicts }),
+      // The default account always exists, even if the backup does not store it
+      accounts: { ...accountPlan, remove: accountPlan.remove.filter(id => id !== DEFAULT_ACCOUNT_ID) }
+    };
+  }, [diffs, mode, conflicts]);
+
+  const writeCount = plans
+    ? COLLECTIONS.reduce((sum, { key }) => sum + countWrites(plans[key]), 0)
+    : 0;
+
+  // Download everything as one JSON file
+  const handleBackup = () => {
+    const content = JSON.stringify(createBackup({ transactions, budgets, accounts, recurring, categories, rules, settings }), null, 2);
+    downloadFile(content, `finance-backup-${format(new Date(), 'yyyy-MM-dd')}.json`, 'application/json');
+  };
+
+  // Read and validate the selected backup file
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setBackup(parseBackup(await file.text()));
+      setFileName(file.name);
+      setRestoredCount(null);
+      setError(null);
+      setProblems([]);
+    } catch (err) {
+      console.error(`Error reading ${file.name}:`, err);
+      setError(err.message || 'Could not read the file.');
+      setProblems(err.problems || []);
+    }
+  };
+
+  // Write the backup into every collection
+  const handleRestore = async () => {
+    setIsRestoring(true);
+    try {
+      for (const { key } of COLLECTIONS) {
+        await writers[key](plans[key], { changeSource: 'backup' });
+      }
+      if (mode === 'replace') {
+        await replaceSettings(backup.data.settings);
+      } else if (changedSettings.length > 0) {
+        await updateSettings(backup.data.settings);
+      }
+
+      // Earlier changes may refer to records the backup replaced
+      clearHistory();
+      setRestoredCount(writeCount);
+      setBackup(null);
+    } catch (err) {
+      console.error('Error restoring backup:', err);
+      setError(`Failed to restore the backup: ${err.message}`);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  // Drop the loaded backup
+  const reset = () => {
+    setBackup(null);
+    setFileName('');
+    setRestoredCount(null);
+    setError(null);
+    setProblems([]);
+  };
+
+  const conflictCount = diffs
+    ? COLLECTIONS.reduce((sum, { key }) => sum + diffs[key].conflicting.length, 0)
+    : 0;
+
+  // Local records a replace would delete
+  const deletedByReplace = plans
+    ? COLLECTIONS.map(({ key, label }) => ({ label, count: plans[key].remove.length })).filter(({ count }) => count > 0)
+    : [];
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary flex items-center gap-2">
+          <Archive className="h-5 w-5" />
+          Backup &amp; Restore
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <p className="text-sm text-muted-foreground">
+            Save all transactions, budgets, accounts, recurring transactions, categories, rules and settings to one file, for example to move them to another browser.
+          </p>
+          <Button type="button" variant="outline" onClick={handleBackup}>
+            Download backup
+          </Button>
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>
+              {error}
+              {problems.length > 0 && (
+                <ul className="list-disc pl-5 mt-2">
+                  {problems.slice(0, 10).map(problem => <li key={problem}>{problem}</li>)}
+                  {problems.length > 10 && <li>and {problems.length - 10} more</li>}
+                </ul>
+              )}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {restoredCount !== null && (
+          <Alert variant="success">
+            <CheckCircle2 className="h-4 w-4" />
+            <AlertDescription>
+              Restored {fileName}: {restoredCount} record{restoredCount !== 1 ? 's' : ''} written.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {!backup && (
+          <div className="space-y-2">
+            <Label htmlFor="backup-file">Restore from backup</Label>
+            <input
+              id="backup-file"
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFileChange}
+              className="block w-full text-sm"
+            />
+          </div>
+        )}
+
+        {backup && diffs && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              {fileName}, made {formatDateForDisplay(backup.exportedAt.slice(0, 10))}
+            </p>
+
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead></TableHead>
+                    <TableHead className="text-right">New</TableHead>
+                    <TableHead className="text-right">Changed</TableHead>
+                    <TableHead className="text-right">Conflicting</TableHead>
+                    <TableHead className="text-right">Unchanged</TableHead>
+                    <TableHead className="text-right">Only here</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {COLLECTIONS.map(({ key: collection, label }) => (
+                    <TableRow key={collection}>
+                      <TableCell className="font-medium">{label}</TableCell>
+                      <TableCell className="text-right">{diffs[collection].added.length}</TableCell>
+                      <TableCell className="text-right">{diffs[collection].changed.length}</TableCell>
+                      <TableCell className="text-right">{diffs[collection].conflicting.length}</TableCell>
+                      <TableCell className="text-right">{diffs[collection].unchanged.length}</TableCell>
+                      <TableCell className="text-right">{diffs[collection].localOnly.length}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            {changedSettings.length > 0 && (
+              <p className="text-sm">
+                Settings that differ: {changedSettings.join(', ')}
+              </p>
+            )}
+
+            {conflictCount > 0 && (
+              <div className="space-y-1 text-sm">
+                <p className="font-medium">Conflicts</p>
+                {COLLECTIONS.map(({ key: collection }) => (
+                  diffs[collection].conflicting.slice(0, CONFLICT_PREVIEW_LIMIT).map(({ local, backup: backupRecord, reason }) => (
+                    <div key={`${collection}-${backupRecord.id}`} className="border rounded p-2">
+                      <p className="text-xs text-muted-foreground">{reason}</p>
+                      <p>Here: {describeRecord(collection, local)}</p>
+                      <p>Backup: {describeRecord(collection, backupRecord)}</p>
+                    </div>
+                  ))
+                ))}
+                {COLLECTIONS.some(({ key }) => diffs[key].conflicting.length > CONFLICT_PREVIEW_LIMIT) && (
+                  <p className="text-xs text-muted-foreground">Only the first conflicts are shown.</p>
+                )}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label htmlFor="restore-mode">Restore mode</Label>
+                <select
+                  id="restore-mode"
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                >
+                  <option value="merge">Merge with current data</option>
+                  <option value="replace">Replace all current data</option>
+                </select>
+              </div>
+
+              {mode === 'merge' && conflictCount > 0 && (
+                <div className="space-y-1">
+                  <Label htmlFor="restore-conflicts">For conflicts</Label>
+                  <select
+                    id="restore-conflicts"
+                    value={conflicts}
+                    onChange={(e) => setConflicts(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded text-sm"
+                  >
+                    <option value="local">Keep the current version</option>
+                    <option value="backup">Use the backup version</option>
+                  </select>
+                </div>
+              )}
+            </div>
+
+            {mode === 'replace' && deletedByReplace.length > 0 && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  {deletedByReplace.map(({ label, count }) => `${count} ${label.toLowerCase()}`).join(', ')}
+                  {' '}that are not in the backup will be deleted.
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <div className="flex justify-between">
+              <Button type="button" variant="outline" onClick={reset} disabled={isRestoring}>
+                Cancel
+              </Button>
+              <Button
+                type="button"
+                onClick={handleRestore}
+                disabled={isRestoring || (writeCount === 0 && changedSettings.length === 0)}
+              >
+                {isRestoring ? 'Restoring...' : 'Restore'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useMemo, useState } from 'react';
+import { format } from 'date-fns';
+import { useChangeLog } from '../../lib/changeLogContext';
+import { CHANGE_SOURCES } from '../../lib/changeLog';
+import { CHANGE_LOG_EXPORT_COLUMNS, buildChangeLogTable } from '../../lib/exporting';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import ExportPanel from './ExportPanel';
+import { History } from 'lucide-react';
+
+/**
+ * Export the change log of transactions and budgets for reconciliation
+ * Entries can be narrowed by record type, source and date before export.
+ */
+export default function ChangeLogExport() {
+  const { changes, error } = useChangeLog();
+
+  const [collection, setCollection] = useState('');
+  const [source, setSource] = useState('');
+  const [after, setAfter] = useState('');
+  const [showExport, setShowExport] = useState(false);
+
+  // Entries matching the chosen filters, newest first
+  const selected = useMemo(() => changes.filter(entry =>
+    (!collection || entry.collection === collection) &&
+    (!source || entry.source === source) &&
+    (!after || String(entry.changedAt).slice(0, 10) >= after)
+  ), [changes, collection, source, after]);
+
+  const rowCount = selected.reduce((sum, entry) => sum + Math.max(entry.fields.length, 1), 0);
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary flex items-center gap-2">
+          <History className="h-5 w-5" />
+          Export Change Log
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Every change to a transaction or budget is logged with the old and new value of each field,
+          when it happened and what caused it (a manual edit, an import, a rule, ...).
+          The export has one row per changed field.
+        </p>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="change-log-collection">Records</Label>
+            <select
+              id="change-log-collection"
+              value={collection}
+              onChange={(e) => setCollection(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+            >
+              <option value="">Transactions and budgets</option>
+              <option value="transactions">Transactions</option>
+              <option value="budgets">Budgets</option>
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="change-log-source">Source</Label>
+            <select
+              id="change-log-source"
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+            >
+              <option value="">All sources</option>
+              {CHANGE_SOURCES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="change-log-after">Changed on or after</Label>
+            <Input
+              id="change-log-after"
+              type="date"
+              value={after}
+              onChange={(e) => setAfter(e.target.value)}
+            />
+          </div>
+        </div>
+
+        {showExport && selected.length > 0 ? (
+          <ExportPanel
+            id="change-log-export"
+            columns={CHANGE_LOG_EXPORT_COLUMNS}
+            buildTable={(options) => buildChangeLogTable(selected, options)}
+            fileName={`change-log-${format(new Date(), 'yyyy-MM-dd')}`}
+            sheetName="Change log"
+            rowCount={rowCount}
+            allowSplitAmounts={false}
+            onClose={() => setShowExport(false)}
+          />
+        ) : (
+          <Button type="button" onClick={() => setShowExport(true)} disabled={selected.length === 0}>
+            Export {selected.length} change{selected.length !== 1 ? 's' : ''}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
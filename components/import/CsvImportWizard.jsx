@@ -0,0 +1,360 @@
+import React, { useState, useMemo } from 'react';
+import { useTransactions } from '../../lib/transactionContext';
+import { useCategories } from '../../lib/categoryContext';
+import { parseCsv } from '../../lib/formats/csv';
+import {
+  DATE_FORMATS,
+  detectDateFormat,
+  mapCsvRows,
+  prepareImport
+} from '../../lib/importing';
+import { DEFAULT_INCOME_CATEGORY } from '../../lib/categories';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import ImportPreview from './ImportPreview';
+import { FileSpreadsheet, CheckCircle2, AlertCircle } from 'lucide-react';
+
+// Header name patterns used to guess the column mapping
+const COLUMN_GUESSES = {
+  date: /date|posted/i,
+  description: /desc|memo|payee|narrative|details|name/i,
+  amount: /amount|value|sum/i,
+  debit: /debit|withdrawal|paid out|money out/i,
+  credit: /credit|deposit|paid in|money in/i,
+  category: /categ/i
+};
+
+/**
+ * Guess the column mapping from header names
+ * @param {Array<string>} header - Header cells
+ * @param {Array<Array<string>>} dataRows - Data rows, used to detect the date format
+ * @returns {Object} Initial mapping for mapCsvRows
+ */
+function guessMapping(header, dataRows) {
+  const find = (pattern) => header.findIndex(name => pattern.test(name));
+  const mapping = {
+    date: find(COLUMN_GUESSES.date),
+    description: find(COLUMN_GUESSES.description),
+    amount: find(COLUMN_GUESSES.amount),
+    debit: find(COLUMN_GUESSES.debit),
+    credit: find(COLUMN_GUESSES.credit),
+    category: find(COLUMN_GUESSES.category),
+    defaultCategory: 'Other',
+    defaultIncomeCategory: DEFAULT_INCOME_CATEGORY,
+    invertSign: false,
+    decimalSeparator: '.'
+  };
+
+  mapping.amountMode = mapping.amount === -1 && mapping.debit !== -1 && mapping.credit !== -1
+    ? 'split'
+    : 'single';
+  mapping.dateFormat = detectDateFormat(dataRows.map(row => row[mapping.date]));
+
+  return mapping;
+}
+
+/**
+ * Native select for choosing a column
+ */
+function ColumnSelect({ id, label, value, columns, onChange, optional = false }) {
+  return (
+    <div className="space-y-1">
+      <Label htmlFor={id}>{label}{optional && <span className="text-muted-foreground font-normal"> (optional)</span>}</Label>
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full p-2 border border-gray-300 rounded text-sm"
+      >
+        <option value={-1}>{optional ? 'None' : 'Select a column'}</option>
+        {columns.map((name, index) => (
+          <option key={index} value={index}>{name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+/**
+ * CSV import wizard: upload a file, map its columns, preview and import
+ */
+export default function CsvImportWizard() {
+  const { transactions, addTransactions } = useTransactions();
+  const { categories, getCategoryOptions, getCategoryLabel } = useCategories();
+
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(null);
+  const [error, setError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importedCount, setImportedCount] = useState(0);
+
+  const header = hasHeader ? rows[0] || [] : [];
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const columns = Array.from({ length: columnCount }, (_, i) => header[i] || `Column ${i + 1}`);
+
+  // Candidates are recomputed whenever the mapping changes
+  const candidates = useMemo(() => {
+    if (!mapping) return [];
+    const categoryNames = categories.map(category => category.name);
+    return prepareImport(mapCsvRows(dataRows, mapping, { categories: categoryNames }), transactions);
+  }, [dataRows, mapping, transactions, categories]);
+
+  // Read and parse the selected file
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const parsedRows = parseCsv(await file.text());
+      if (parsedRows.length < 2) {
+        setError('The file does not contain any transaction rows.');
+        return;
+      }
+
+      setFileName(file.name);
+      setRows(parsedRows);
+      setHasHeader(true);
+      setMapping(guessMapping(parsedRows[0], parsedRows.slice(1)));
+      setError(null);
+      setStep('map');
+    } catch (err) {
+      console.error('Error reading CSV file:', err);
+      setError('Could not read the file. Please check that it is a CSV file.');
+    }
+  };
+
+  // Update one mapping field
+  const updateMapping = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Check that the required columns are mapped
+  const mappingErrors = useMemo(() => {
+    if (!mapping) return [];
+    const missing = [];
+    if (mapping.date < 0) missing.push('date');
+    if (mapping.description < 0) missing.push('description');
+    if (mapping.amountMode === 'single' && mapping.amount < 0) missing.push('amount');
+    if (mapping.amountMode === 'split' && (mapping.debit < 0 || mapping.credit < 0)) missing.push('debit and credit');
+    return missing;
+  }, [mapping]);
+
+  // Bulk-insert the selected rows into the chosen account
+  const handleImport = async (selected, accountId) => {
+    setIsImporting(true);
+    try {
+      const created = await addTransactions(selected.map(candidate => ({ ...candidate.data, accountId })));
+      setImportedCount(created.length);
+      setStep('done');
+    } catch (err) {
+      console.error('Error importing transactions:', err);
+      setError(`Failed to import transactions: ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Start over with a new file
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setRows([]);
+    setMapping(null);
+    setError(null);
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary flex items-center gap-2">
+          <FileSpreadsheet className="h-5 w-5" />
+          Import from CSV
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {step === 'upload' && (
+          <div className="space-y-2">
+            <Label htmlFor="csv-file">Bank export (.csv)</Label>
+            <input
+              id="csv-file"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              className="block w-full text-sm"
+            />
+            <p className="text-xs text-muted-foreground">
+              The file is read in your browser. You can map its columns before anything is imported.
+            </p>
+          </div>
+        )}
+
+        {step === 'map' && mapping && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              {fileName}: {dataRows.length} rows
+            </p>
+
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={hasHeader}
+                onChange={(e) => setHasHeader(e.target.checked)}
+              />
+              First row contains column names
+            </label>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <ColumnSelect id="map-date" label="Date" value={mapping.date} columns={columns}
+                onChange={(value) => updateMapping('date', value)} />
+              <div className="space-y-1">
+                <Label htmlFor="map-date-format">Date format</Label>
+                <select
+                  id="map-date-format"
+                  value={mapping.dateFormat}
+                  onChange={(e) => updateMapping('dateFormat', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                >
+                  {DATE_FORMATS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <ColumnSelect id="map-description" label="Description" value={mapping.description} columns={columns}
+                onChange={(value) => updateMapping('description', value)} />
+              <ColumnSelect id="map-category" label="Category" value={mapping.category} columns={columns} optional
+                onChange={(value) => updateMapping('category', value)} />
+
+              <div className="space-y-1">
+                <Label htmlFor="map-amount-mode">Amounts</Label>
+                <select
+                  id="map-amount-mode"
+                  value={mapping.amountMode}
+                  onChange={(e) => updateMapping('amountMode', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                >
+                  <option value="single">One signed amount column</option>
+                  <option value="split">Separate debit and credit columns</option>
+                </select>
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="map-decimal">Decimal separator</Label>
+                <select
+                  id="map-decimal"
+                  value={mapping.decimalSeparator}
+                  onChange={(e) => updateMapping('decimalSeparator', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                >
+                  <option value=".">Point (1,234.56)</option>
+                  <option value=",">Comma (1.234,56)</option>
+                </select>
+              </div>
+
+              {mapping.amountMode === 'single' ? (
+                <>
+                  <ColumnSelect id="map-amount" label="Amount" value={mapping.amount} columns={columns}
+                    onChange={(value) => updateMapping('amount', value)} />
+                  <label className="flex items-center gap-2 text-sm md:mt-6">
+                    <input
+                      type="checkbox"
+                      checked={mapping.invertSign}
+                      onChange={(e) => updateMapping('invertSign', e.target.checked)}
+                    />
+                    Expenses are positive in this file (flip signs)
+                  </label>
+                </>
+              ) : (
+                <>
+                  <ColumnSelect id="map-debit" label="Debit (money out)" value={mapping.debit} columns={columns}
+                    onChange={(value) => updateMapping('debit', value)} />
+                  <ColumnSelect id="map-credit" label="Credit (money in)" value={mapping.credit} columns={columns}
+                    onChange={(value) => updateMapping('credit', value)} />
+                </>
+              )}
+
+              <div className="space-y-1">
+                <Label htmlFor="map-default-category">Category for unmatched expenses</Label>
+                <select
+                  id="map-default-category"
+                  value={mapping.defaultCategory}
+                  onChange={(e) => updateMapping('defaultCategory', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                >
+                  {getCategoryOptions(mapping.defaultCategory, 'expense').map(category => (
+                    <option key={category} value={category}>{getCategoryLabel(category)}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="space-y-1">
+                <Label htmlFor="map-default-income-category">Category for unmatched income</Label>
+                <select
+                  id="map-default-income-category"
+                  value={mapping.defaultIncomeCategory}
+                  onChange={(e) => updateMapping('defaultIncomeCategory', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                >
+                  {getCategoryOptions(mapping.defaultIncomeCategory, 'income').map(category => (
+                    <option key={category} value={category}>{getCategoryLabel(category)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {mappingErrors.length > 0 && (
+              <p className="text-xs font-medium text-destructive">
+                Please choose a column for: {mappingErrors.join(', ')}
+              </p>
+            )}
+
+            <div className="flex justify-between">
+              <Button type="button" variant="outline" onClick={reset}>
+                Choose another file
+              </Button>
+              <Button type="button" onClick={() => setStep('preview')} disabled={mappingErrors.length > 0}>
+                Preview
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <ImportPreview
+            candidates={candidates}
+            onImport={handleImport}
+            onBack={() => setStep('map')}
+            isImporting={isImporting}
+          />
+        )}
+
+        {step === 'done' && (
+          <div className="space-y-4">
+            <Alert variant="success">
+              <CheckCircle2 className="h-4 w-4" />
+              <AlertDescription>
+                Imported {importedCount} transaction{importedCount !== 1 ? 's' : ''} from {fileName}.
+              </AlertDescription>
+            </Alert>
+            <Button type="button" variant="outline" onClick={reset}>
+              Import another file
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { useSettings } from '../../lib/settingsContext';
+import { DATE_FORMATS } from '../../lib/importing';
+import {
+  AMOUNT_SIGN_CONVENTIONS,
+  EXPORT_FILE_FORMATS,
+  exportTable,
+  getDefaultColumns
+} from '../../lib/exporting';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Download, X } from 'lucide-react';
+
+/**
+ * Options panel for exporting a table to CSV or XLSX
+ * File format, date format and sign convention start from the saved
+ * settings and are remembered after each download.
+ *
+ * @param {Object} props
+ * @param {string} props.id - Prefix for the ids of the form fields
+ * @param {Array<import('../../lib/exporting').ExportColumn>} props.columns - Columns the user can pick from
+ * @param {(options: {columns: Array<string>, dateFormat: string, signConvention: string}) => import('../../lib/exporting').ExportTable} props.buildTable
+ *   - Builds the table to export with the chosen options
+ * @param {string} props.fileName - File name without extension
+ * @param {string} [props.sheetName] - Worksheet name for XLSX files
+ * @param {number} props.rowCount - Number of rows that will be exported
+ * @param {boolean} [props.allowSplitAmounts=true] - Offer separate debit and credit columns
+ * @param {() => void} props.onClose - Called when the panel is closed
+ */
+export default function ExportPanel({
+  id,
+  columns,
+  buildTable,
+  fileName,
+  sheetName,
+  rowCount,
+  allowSplitAmounts = true,
+  onClose
+}) {
+  const { settings, updateSettings } = useSettings();
+
+  const signConventions = allowSplitAmounts
+    ? AMOUNT_SIGN_CONVENTIONS
+    : AMOUNT_SIGN_CONVENTIONS.filter(convention => convention.value !== 'split');
+
+  const [selectedColumns, setSelectedColumns] = useState(() => getDefaultColumns(columns));
+  const [fileFormat, setFileFormat] = useState(settings.exportFileFormat);
+  const [dateFormat, setDateFormat] = useState(settings.exportDateFormat);
+  const [signConvention, setSignConvention] = useState(
+    signConventions.some(c => c.value === settings.exportSignConvention) ? settings.exportSignConvention : 'signed'
+  );
+
+  // Toggle a column, keeping the original column order
+  const toggleColumn = (key) => {
+    setSelectedColumns(prev => (
+      prev.includes(key)
+        ? prev.filter(column => column !== key)
+        : columns.map(column => column.key).filter(column => column === key || prev.includes(column))
+    ));
+  };
+
+  // Build the file, download it and remember the chosen options
+  const handleExport = () => {
+    const table = buildTable({ columns: selectedColumns, dateFormat, signConvention });
+    exportTable(table, { fileFormat, fileName, sheetName });
+
+    const changes = {
+      exportFileFormat: fileFormat,
+      exportDateFormat: dateFormat,
+      exportSignConvention: signConvention
+    };
+    if (Object.entries(changes).some(([key, value]) => settings[key] !== value)) {
+      updateSettings(changes).catch(err => {
+        console.error('Error saving export settings:', err);
+      });
+    }
+  };
+
+  return (
+    <div className="border rounded-md p-4 space-y-4 bg-muted/20">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-medium">
+          Export {rowCount} row{rowCount !== 1 ? 's' : ''}
+        </p>
+        <Button variant="ghost" size="icon" className="h-8 w-8" onClick={onClose} title="Close export options">
+          <X className="h-4 w-4" />
+          <span className="sr-only">Close</span>
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="space-y-1">
+          <Label htmlFor={`${id}-format`}>File format</Label>
+          <select
+            id={`${id}-format`}
+            value={fileFormat}
+            onChange={(e) => setFileFormat(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded text-sm"
+          >
+            {EXPORT_FILE_FORMATS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor={`${id}-date-format`}>Date format</Label>
+          <select
+            id={`${id}-date-format`}
+            value={dateFormat}
+            onChange={(e) => setDateFormat(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded text-sm"
+          >
+            {DATE_FORMATS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor={`${id}-sign`}>Amounts</Label>
+          <select
+            id={`${id}-sign`}
+            value={signConvention}
+            onChange={(e) => setSignConvention(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded text-sm"
+          >
+            {signConventions.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <fieldset className="space-y-2">
+        <legend className="text-sm font-medium">Columns</legend>
+        <div className="flex flex-wrap gap-x-4 gap-y-2">
+          {columns.map(column => (
+            <label key={column.key} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={selectedColumns.includes(column.key)}
+                onChange={() => toggleColumn(column.key)}
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <Button type="button" onClick={handleExport} disabled={selectedColumns.length === 0 || rowCount === 0}>
+        <Download className="mr-2 h-4 w-4" />
+        Download
+      </Button>
+    </div>
+  );
+}
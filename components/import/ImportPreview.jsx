@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Button } from '../ui/button';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table, TableHeader, TableBody, TableHead,
+  TableRow, TableCell
+} from '../ui/table';
+import { Label } from '../ui/label';
+import { useAccounts } from '../../lib/accountContext';
+import { useRules } from '../../lib/ruleContext';
+import { applyRules } from '../../lib/rules';
+import { formatCurrency, formatDateForDisplay, DEFAULT_ACCOUNT_ID } from '../../lib/utils';
+import { AlertCircle, Copy, Wand2 } from 'lucide-react';
+
+/**
+ * Preview of prepared import rows (see prepareImport in lib/importing.js)
+ * Invalid rows are shown with their errors and cannot be selected; likely
+ * duplicates are flagged and left unselected unless the user opts in.
+ * onImport receives the selected rows and the account to import them into.
+ * Rows are shown with the changes categorization rules will make on import.
+ */
+export default function ImportPreview({ candidates, onImport, onBack, isImporting = false }) {
+  const { accounts } = useAccounts();
+  const [selectedKeys, setSelectedKeys] = useState(new Set());
+  const [accountId, setAccountId] = useState(DEFAULT_ACCOUNT_ID);
+  const { rules } = useRules();
+
+  // Row data as it will be saved: rules may depend on the chosen account
+  const ruledData = useMemo(() => {
+    const ruled = applyRules(candidates.map(c => ({ ...c.data, accountId })), rules);
+    return new Map(candidates.map((c, index) => [c.key, ruled[index]]));
+  }, [candidates, accountId, rules]);
+
+  // Select every valid, non-duplicate row by default
+  useEffect(() => {
+    setSelectedKeys(new Set(
+      candidates.filter(c => c.isValid && !c.duplicateOf).map(c => c.key)
+    ));
+  }, [candidates]);
+
+  const counts = useMemo(() => ({
+    invalid: candidates.filter(c => !c.isValid).length,
+    duplicates: candidates.filter(c => c.duplicateOf).length
+  }), [candidates]);
+
+  // Toggle a single row
+  const toggleRow = (key) => {
+    setSelectedKeys(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  // Handle import of the selected rows
+  const handleImport = () => {
+    onImport(candidates.filter(c => selectedKeys.has(c.key)), accountId);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-4 text-sm text-muted-foreground">
+        <span>{candidates.length} rows read</span>
+        <span className="text-destructive">{counts.invalid} with errors</span>
+        <span className="text-yellow-700">{counts.duplicates} likely duplicates</span>
+        <span className="font-medium text-foreground">{selectedKeys.size} selected for import</span>
+      </div>
+
+      {counts.invalid > 0 && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            Rows with errors are skipped. Adjust the column mapping or fix the file to import them.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <div className="rounded-md border max-h-[480px] overflow-auto">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="w-[40px]"></TableHead>
+              <TableHead>Date</TableHead>
+              <TableHead>Amount</TableHead>
+              <TableHead>Category</TableHead>
+              <TableHead>Description</TableHead>
+              <TableHead>Status</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {candidates.map(candidate => {
+              const data = ruledData.get(candidate.key);
+              return (
+                <TableRow
+                  key={candidate.key}
+                  className={
+                    !candidate.isValid ? 'bg-red-50' :
+                    candidate.duplicateOf ? 'bg-yellow-50' : ''
+                  }
+                >
+                  <TableCell>
+                    <input
+                      type="checkbox"
+                      checked={selectedKeys.has(candidate.key)}
+                      onChange={() => toggleRow(candidate.key)}
+                      disabled={!candidate.isValid || isImporting}
+                      aria-label="Include row in import"
+                    />
+                  </TableCell>
+                  <TableCell className={candidate.errors.date ? 'text-destructive' : ''}>
+                    {candidate.data.date ? formatDateForDisplay(candidate.data.date) : '—'}
+                  </TableCell>
+                  <TableCell className={candidate.errors.amount ? 'text-destructive' : candidate.data.amount < 0 ? 'text-destructive font-medium' : 'text-emerald-600 font-medium'}>
+                    {isNaN(candidate.data.amount) ? '—' : formatCurrency(candidate.data.amount)}
+                  </TableCell>
+                  <TableCell>
+                    {data.category}
+                    {data.category !== candidate.data.category && (
+                      <Wand2 className="inline ml-1 h-3 w-3 text-muted-foreground" aria-label="Set by a rule" />
+                    )}
+                  </TableCell>
+                  <TableCell className={candidate.errors.description ? 'text-destructive' : ''}>
+                    {data.payee || candidate.data.description || '—'}
+                    {data.payee && (
+                      <span className="block text-xs text-muted-foreground">{candidate.data.description}</span>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-xs">
+                    {!candidate.isValid ? (
+                      <ul className="text-destructive space-y-0.5">
+                        {Object.entries(candidate.errors).map(([field, message]) => (
+                          <li key={field}>{message}</li>
+                        ))}
+                      </ul>
+                    ) : candidate.duplicateOf ? (
+                      <span className="inline-flex items-center gap-1 text-yellow-700">
+                        <Copy className="h-3 w-3" />
+                        Likely duplicate of "{candidate.duplicateOf.description}"
+                      </span>
+                    ) : (
+                      <span className="text-emerald-600">Ready</span>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </div>
+
+      <div className="space-y-1 max-w-xs">
+        <Label htmlFor="import-account">Import into account</Label>
+        <select
+          id="import-account"
+          value={accountId}
+          onChange={(e) => setAccountId(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded text-sm"
+          disabled={isImporting}
+        >
+          {accounts.map(account => (
+            <option key={account.id} value={account.id}>{account.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex justify-between">
+        <Button type="button" variant="outline" onClick={onBack} disabled={isImporting}>
+          Back
+        </Button>
+        <Button type="button" onClick={handleImport} disabled={selectedKeys.size === 0 || isImporting}>
+          {isImporting ? 'Importing...' : `Import ${selectedKeys.size} transaction${selectedKeys.size !== 1 ? 's' : ''}`}
+        </Button>
+      </div>
+    </div>
+  );
+}
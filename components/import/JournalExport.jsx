@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { useTransactions } from '../../lib/transactionContext';
+import { useSettings } from '../../lib/settingsContext';
+import { useCategories } from '../../lib/categoryContext';
+import { toQif } from '../../lib/formats/qif';
+import { toLedger, toBeancount, DEFAULT_ASSET_ACCOUNT } from '../../lib/formats/ledger';
+import { downloadFile } from '../../lib/download';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Download } from 'lucide-react';
+
+// Export formats with their serializer and file details
+const EXPORT_FORMATS = {
+  qif: {
+    label: 'QIF (Quicken, GnuCash, ...)',
+    extension: 'qif',
+    mimeType: 'application/qif',
+    serialize: (transactions) => toQif(transactions)
+  },
+  ledger: {
+    label: 'Ledger / hledger journal',
+    extension: 'journal',
+    mimeType: 'text/plain',
+    serialize: (transactions, options) => toLedger(transactions, options)
+  },
+  beancount: {
+    label: 'Beancount',
+    extension: 'beancount',
+    mimeType: 'text/plain',
+    serialize: (transactions, options) => toBeancount(transactions, options)
+  }
+};
+
+/**
+ * Export all transactions as QIF or a plain-text accounting journal
+ */
+export default function JournalExport() {
+  const { transactions } = useTransactions();
+  const { settings, updateSettings } = useSettings();
+  const { categories } = useCategories();
+
+  const [exportFormat, setExportFormat] = useState('qif');
+  const [assetAccount, setAssetAccount] = useState(null);
+
+  // Until edited, the account name comes from the saved settings
+  const accountName = assetAccount === null ? settings.journalAssetAccount : assetAccount;
+
+  const selected = EXPORT_FORMATS[exportFormat];
+
+  // Build the file and hand it to the browser
+  const handleExport = () => {
+    const account = accountName.trim() || DEFAULT_ASSET_ACCOUNT;
+    const content = selected.serialize(transactions, {
+      assetAccount: account,
+      categories: categories.map(category => category.name)
+    });
+    const fileName = `transactions-${format(new Date(), 'yyyy-MM-dd')}.${selected.extension}`;
+    downloadFile(content, fileName, selected.mimeType);
+
+    // Remember the account name for the next export
+    if (exportFormat !== 'qif' && account !== settings.journalAssetAccount) {
+      updateSettings({ journalAssetAccount: account }).catch(err => {
+        console.error('Error saving export settings:', err);
+      });
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary flex items-center gap-2">
+          <Download className="h-5 w-5" />
+          Export Transactions
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="export-format">Format</Label>
+            <select
+              id="export-format"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+            >
+              {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {exportFormat !== 'qif' && (
+            <div className="space-y-1">
+              <Label htmlFor="export-asset-account">Bank account name</Label>
+              <Input
+                id="export-asset-account"
+                value={accountName}
+                onChange={(e) => setAssetAccount(e.target.value)}
+              />
+            </div>
+          )}
+        </div>
+
+        <p className="text-xs text-muted-foreground">
+          {exportFormat === 'qif'
+            ? 'Categories are written as QIF categories.'
+            : 'Categories become accounts such as Expenses:Groceries and Income:Other. Accounts from an imported journal are written back unchanged.'}
+        </p>
+
+        <Button type="button" onClick={handleExport} disabled={transactions.length === 0}>
+          Download {transactions.length} transaction{transactions.length !== 1 ? 's' : ''}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
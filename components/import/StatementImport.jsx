@@ -0,0 +1,145 @@
+import React, { useState, useMemo } from 'react';
+import { useTransactions } from '../../lib/transactionContext';
+import { useCategories } from '../../lib/categoryContext';
+import { prepareImport } from '../../lib/importing';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import ImportPreview from './ImportPreview';
+import { FileText, CheckCircle2, AlertCircle } from 'lucide-react';
+
+/**
+ * Import for statement formats that need no column mapping (OFX, QFX, ...)
+ * The file is parsed in the browser, previewed, and bulk-inserted.
+ *
+ * @param {Object} props
+ * @param {string} props.id - Unique id for the file input
+ * @param {string} props.title - Card title
+ * @param {string} props.accept - Accepted file extensions for the file input
+ * @param {string} props.hint - Short help text under the file input
+ * @param {(text: string, options: {categories: Array<string>}) => Array<import('../../lib/importing').ImportCandidate>} props.parse
+ *   - Turns the file contents into import candidates, matching categories
+ *   against the given names; throws on unreadable files
+ */
+export default function StatementImport({ id, title, accept, hint, parse }) {
+  const { transactions, addTransactions } = useTransactions();
+  const { categories } = useCategories();
+
+  const [fileName, setFileName] = useState('');
+  const [parsedCandidates, setParsedCandidates] = useState(null);
+  const [error, setError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importedCount, setImportedCount] = useState(null);
+
+  // Validate and flag duplicates against the current transactions
+  const candidates = useMemo(() => {
+    if (!parsedCandidates) return [];
+    return prepareImport(parsedCandidates, transactions);
+  }, [parsedCandidates, transactions]);
+
+  // Read and parse the selected file
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const result = parse(await file.text(), { categories: categories.map(category => category.name) });
+      if (result.length === 0) {
+        setError('No transactions were found in this file.');
+        return;
+      }
+
+      setFileName(file.name);
+      setParsedCandidates(result);
+      setImportedCount(null);
+      setError(null);
+    } catch (err) {
+      console.error(`Error reading ${file.name}:`, err);
+      setError(err.message || 'Could not read the file.');
+    }
+  };
+
+  // Bulk-insert the selected rows into the chosen account
+  const handleImport = async (selected, accountId) => {
+    setIsImporting(true);
+    try {
+      const created = await addTransactions(selected.map(candidate => ({ ...candidate.data, accountId })));
+      setImportedCount(created.length);
+      setParsedCandidates(null);
+    } catch (err) {
+      console.error('Error importing transactions:', err);
+      setError(`Failed to import transactions: ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Start over with a new file
+  const reset = () => {
+    setFileName('');
+    setParsedCandidates(null);
+    setImportedCount(null);
+    setError(null);
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary flex items-center gap-2">
+          <FileText className="h-5 w-5" />
+          {title}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {importedCount !== null && (
+          <div className="space-y-4">
+            <Alert variant="success">
+              <CheckCircle2 className="h-4 w-4" />
+              <AlertDescription>
+                Imported {importedCount} transaction{importedCount !== 1 ? 's' : ''} from {fileName}.
+              </AlertDescription>
+            </Alert>
+            <Button type="button" variant="outline" onClick={reset}>
+              Import another file
+            </Button>
+          </div>
+        )}
+
+        {importedCount === null && !parsedCandidates && (
+          <div className="space-y-2">
+            <Label htmlFor={id}>Statement file</Label>
+            <input
+              id={id}
+              type="file"
+              accept={accept}
+              onChange={handleFileChange}
+              className="block w-full text-sm"
+            />
+            <p className="text-xs text-muted-foreground">{hint}</p>
+          </div>
+        )}
+
+        {parsedCandidates && (
+          <>
+            <p className="text-sm text-muted-foreground">{fileName}</p>
+            <ImportPreview
+              candidates={candidates}
+              onImport={handleImport}
+              onBack={reset}
+              isImporting={isImporting}
+            />
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
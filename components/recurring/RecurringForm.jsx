@@ -0,0 +1,431 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import { useAccounts } from '../../lib/accountContext';
+import { useCategories } from '../../lib/categoryContext';
+import { RECURRING_FREQUENCIES, getToday } from '../../lib/recurring';
+import { getTypeForAmount } from '../../lib/categories';
+import { toMinorUnits, toDecimalString } from '../../lib/money';
+import {
+  validateRecurring,
+  DEFAULT_ACCOUNT_ID
+} from '../../lib/utils';
+import { CheckCircle2, AlertCircle, Plus, X } from 'lucide-react';
+
+/**
+ * Empty form values
+ * @returns {Object}
+ */
+function getEmptyForm() {
+  return {
+    description: '',
+    amount: '',
+    category: '',
+    accountId: DEFAULT_ACCOUNT_ID,
+    frequency: 'monthly',
+    startDate: getToday(),
+    endType: 'never',
+    endDate: '',
+    occurrences: ''
+  };
+}
+
+/**
+ * How the schedule of a stored template ends, as chosen in the form
+ * @param {Object} template
+ * @returns {'never'|'date'|'count'}
+ */
+function getEndType(template) {
+  if (template.endDate) return 'date';
+  if (template.occurrences) return 'count';
+  return 'never';
+}
+
+/**
+ * Form for adding a recurring transaction or editing an existing one
+ * Changing a template only affects occurrences that have not been generated yet.
+ * @param {Object} props
+ * @param {(template: Object) => Promise<any>} props.onSubmit - Saves the template
+ * @param {Object} [props.initialData] - Template being edited
+ * @param {() => void} [props.onCancel] - Called when editing is cancelled
+ */
+export default function RecurringForm({ onSubmit, initialData = null, onCancel }) {
+  const { accounts } = useAccounts();
+  const { getCategoryOptions, getCategoryLabel } = useCategories();
+  const [formData, setFormData] = useState(getEmptyForm);
+
+  // Scheduled amount changes being edited
+  const [amountChanges, setAmountChanges] = useState([]);
+
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // If editing an existing template, populate the form
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        description: initialData.description,
+        amount: toDecimalString(initialData.amount),
+        category: initialData.category,
+        accountId: initialData.accountId || DEFAULT_ACCOUNT_ID,
+        frequency: initialData.frequency,
+        startDate: initialData.startDate,
+        endType: getEndType(initialData),
+        endDate: initialData.endDate || '',
+        occurrences: initialData.occurrences ? String(initialData.occurrences) : ''
+      });
+      setAmountChanges((initialData.amountChanges || []).map(change => ({
+        date: change.date,
+        amount: toDecimalString(change.amount)
+      })));
+      setFeedback(null);
+      setErrors({});
+    }
+  }, [initialData]);
+
+  // Handle form input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    const errorKey = ['endType', 'endDate', 'occurrences'].includes(name) ? 'end' : name;
+    if (errors[errorKey]) {
+      setErrors(prev => ({ ...prev, [errorKey]: null }));
+    }
+    if (feedback) {
+      setFeedback(null);
+    }
+  };
+
+  // Edit one field of a scheduled amount change
+  const handleAmountChange = (index, field, value) => {
+    setAmountChanges(prev => prev.map((change, i) => (i === index ? { ...change, [field]: value } : change)));
+    if (errors.amountChanges) {
+      setErrors(prev => ({ ...prev, amountChanges: null }));
+    }
+  };
+
+  // Build the template to validate and save from the form values, with amounts in cents
+  const buildTemplate = () => ({
+    description: formData.description.trim(),
+    amount: toMinorUnits(formData.amount),
+    category: formData.category,
+    accountId: formData.accountId,
+    frequency: formData.frequency,
+    startDate: formData.startDate,
+    endDate: formData.endType === 'date' ? formData.endDate : null,
+    occurrences: formData.endType === 'count' ? parseInt(formData.occurrences, 10) : null,
+    amountChanges: amountChanges
+      .map(change => ({ date: change.date, amount: toMinorUnits(change.amount) }))
+      .sort((a, b) => a.date.localeCompare(b.date))
+  });
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const template = buildTemplate();
+    const validation = validateRecurring(template);
+    if (formData.endType === 'date' && !formData.endDate) {
+      validation.errors.end = 'Please select an end date';
+    } else if (formData.endType === 'count' && !formData.occurrences) {
+      validation.errors.end = 'Please enter the number of occurrences';
+    }
+    if (Object.values(validation.errors).some(Boolean)) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(template);
+
+      setFeedback({
+        type: 'success',
+        message: initialData ? 'Recurring transaction updated successfully' : 'Recurring transaction added successfully'
+      });
+
+      if (!initialData) {
+        setFormData(getEmptyForm());
+        setAmountChanges([]);
+      }
+    } catch (error) {
+      setFeedback({
+        type: 'error',
+        message: `Failed to ${initialData ? 'update' : 'add'} recurring transaction: ${error.message}`
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary">
+          {initialData ? 'Edit Recurring Transaction' : 'Add Recurring Transaction'}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent>
+        {feedback && (
+          <Alert
+            variant={feedback.type === 'success' ? 'success' : 'destructive'}
+            className="mb-4"
+          >
+            {feedback.type === 'success' ?
+              <CheckCircle2 className="h-4 w-4" /> :
+              <AlertCircle className="h-4 w-4" />
+            }
+            <AlertDescription>
+              {feedback.message}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <form id="recurring-form" onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="recurring-description" className="text-sm font-medium">
+              Description
+            </Label>
+            <Input
+              id="recurring-description"
+              name="description"
+              type="text"
+              placeholder="e.g. Rent, Salary, Streaming subscription"
+              value={formData.description}
+              onChange={handleChange}
+              className={errors.description ? 'border-destructive focus-visible:ring-destructive' : ''}
+              aria-invalid={errors.description ? 'true' : 'false'}
+              disabled={isSubmitting}
+            />
+            {errors.description && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.description}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="recurring-amount" className="text-sm font-medium">
+              Amount
+            </Label>
+            <Input
+              id="recurring-amount"
+              name="amount"
+              type="number"
+              step="0.01"
+              placeholder="Negative for expenses"
+              value={formData.amount}
+              onChange={handleChange}
+              className={errors.amount ? 'border-destructive focus-visible:ring-destructive' : ''}
+              aria-invalid={errors.amount ? 'true' : 'false'}
+              disabled={isSubmitting}
+            />
+            {errors.amount && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.amount}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="recurring-category" className="text-sm font-medium">
+                Category
+              </Label>
+              <select
+                id="recurring-category"
+                name="category"
+                value={formData.category}
+                onChange={handleChange}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+                disabled={isSubmitting}
+              >
+                <option value="">Select a category</option>
+                {getCategoryOptions(formData.category, getTypeForAmount(formData.amount)).map(category => (
+                  <option key={category} value={category}>{getCategoryLabel(category)}</option>
+                ))}
+              </select>
+              {errors.category && (
+                <p className="text-xs font-medium text-destructive mt-1">{errors.category}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="recurring-account" className="text-sm font-medium">
+                Account
+              </Label>
+              <select
+                id="recurring-account"
+                name="accountId"
+                value={formData.accountId}
+                onChange={handleChange}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+                disabled={isSubmitting}
+              >
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="recurring-frequency" className="text-sm font-medium">
+                Repeats
+              </Label>
+              <select
+                id="recurring-frequency"
+                name="frequency"
+                value={formData.frequency}
+                onChange={handleChange}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+                disabled={isSubmitting}
+              >
+                {RECURRING_FREQUENCIES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {errors.frequency && (
+                <p className="text-xs font-medium text-destructive mt-1">{errors.frequency}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="recurring-start-date" className="text-sm font-medium">
+                First date
+              </Label>
+              <Input
+                id="recurring-start-date"
+                name="startDate"
+                type="date"
+                value={formData.startDate}
+                onChange={handleChange}
+                className={errors.startDate ? 'border-destructive focus-visible:ring-destructive' : ''}
+                aria-invalid={errors.startDate ? 'true' : 'false'}
+                disabled={isSubmitting}
+              />
+              {errors.startDate && (
+                <p className="text-xs font-medium text-destructive mt-1">{errors.startDate}</p>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="recurring-end-type" className="text-sm font-medium">
+              Ends
+            </Label>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <select
+                id="recurring-end-type"
+                name="endType"
+                value={formData.endType}
+                onChange={handleChange}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+                disabled={isSubmitting}
+              >
+                <option value="never">Never</option>
+                <option value="date">On a date</option>
+                <option value="count">After a number of times</option>
+              </select>
+              {formData.endType === 'date' && (
+                <Input
+                  name="endDate"
+                  type="date"
+                  value={formData.endDate}
+                  onChange={handleChange}
+                  aria-label="End date"
+                  disabled={isSubmitting}
+                />
+              )}
+              {formData.endType === 'count' && (
+                <Input
+                  name="occurrences"
+                  type="number"
+                  min="1"
+                  step="1"
+                  placeholder="Number of times"
+                  value={formData.occurrences}
+                  onChange={handleChange}
+                  aria-label="Number of occurrences"
+                  disabled={isSubmitting}
+                />
+              )}
+            </div>
+            {errors.end && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.end}</p>
+            )}
+          </div>
+
+          <fieldset className="space-y-2">
+            <legend className="text-sm font-medium">Amount changes</legend>
+            <p className="text-xs text-muted-foreground">
+              New amount from a date on, e.g. a rent increase. Occurrences before that date keep the amount above.
+            </p>
+            {amountChanges.map((change, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <Input
+                  type="date"
+                  value={change.date}
+                  onChange={(e) => handleAmountChange(index, 'date', e.target.value)}
+                  aria-label={`Date of amount change ${index + 1}`}
+                  disabled={isSubmitting}
+                />
+                <Input
+                  type="number"
+                  step="0.01"
+                  placeholder="New amount"
+                  value={change.amount}
+                  onChange={(e) => handleAmountChange(index, 'amount', e.target.value)}
+                  aria-label={`Amount of change ${index + 1}`}
+                  disabled={isSubmitting}
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 shrink-0"
+                  onClick={() => setAmountChanges(prev => prev.filter((_, i) => i !== index))}
+                  title="Remove amount change"
+                  disabled={isSubmitting}
+                >
+                  <X className="h-4 w-4" />
+                  <span className="sr-only">Remove</span>
+                </Button>
+              </div>
+            ))}
+            {errors.amountChanges && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.amountChanges}</p>
+            )}
+            <Button
+              type="button"
+              variant="link"
+              size="sm"
+              className="px-0 h-auto"
+              onClick={() => setAmountChanges(prev => [...prev, { date: '', amount: formData.amount }])}
+              disabled={isSubmitting}
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add amount change
+            </Button>
+          </fieldset>
+        </form>
+      </CardContent>
+
+      <CardFooter className="flex space-x-2 border-t pt-4">
+        <Button type="submit" form="recurring-form" disabled={isSubmitting}>
+          {initialData
+            ? (isSubmitting ? 'Updating...' : 'Update Recurring Transaction')
+            : (isSubmitting ? 'Adding...' : 'Add Recurring Transaction')}
+        </Button>
+        {initialData && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={isSubmitting}>
+            Cancel
+          </Button>
+        )}
+      </CardFooter>
+    </Card>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { useRecurring } from '../../lib/recurringContext';
+import { useAccounts } from '../../lib/accountContext';
+import { Button } from '../ui/button';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table, TableHeader, TableBody, TableHead,
+  TableRow, TableCell
+} from '../ui/table';
+import { describeSchedule, getNextOccurrence, getToday } from '../../lib/recurring';
+import { formatCurrency, formatDateForDisplay } from '../../lib/utils';
+import { Edit, Trash2, AlertCircle } from 'lucide-react';
+
+/**
+ * List of recurring transactions with their schedule and next date
+ * Deleting a template keeps the transactions it already added.
+ * @param {Object} props
+ * @param {(template: Object) => void} props.onEditRecurring - Called when a template's edit button is clicked
+ */
+export default function RecurringList({ onEditRecurring }) {
+  const { recurringTransactions, deleteRecurring } = useRecurring();
+  const { getAccount } = useAccounts();
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [error, setError] = useState(null);
+
+  const today = getToday();
+
+  // Confirm template deletion
+  const confirmDelete = async (id) => {
+    try {
+      await deleteRecurring(id);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to delete recurring transaction: ${err.message}`);
+    } finally {
+      setDeleteConfirm(null);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary">Recurring Transactions</CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {recurringTransactions.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            No recurring transactions yet. Add rent, salary or subscriptions once and they are entered for you when due.
+          </p>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Description</TableHead>
+                  <TableHead>Schedule</TableHead>
+                  <TableHead>Next</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {recurringTransactions.map(template => {
+                  const next = getNextOccurrence(template, today);
+                  return (
+                    <TableRow key={template.id}>
+                      <TableCell className="font-medium">
+                        {template.description}
+                        <span className="block text-xs font-normal text-muted-foreground">
+                          {template.category} · {getAccount(template.accountId)?.name || 'Unknown account'}
+                        </span>
+                      </TableCell>
+                      <TableCell>{describeSchedule(template)}</TableCell>
+                      <TableCell>{next ? formatDateForDisplay(next.date) : 'Ended'}</TableCell>
+                      <TableCell className={`text-right font-medium ${(next ? next.amount : template.amount) < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                        {formatCurrency(next ? next.amount : template.amount)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {deleteConfirm === template.id ? (
+                          <div className="flex justify-end space-x-1">
+                            <Button variant="destructive" size="sm" onClick={() => confirmDelete(template.id)}>
+                              Delete
+                            </Button>
+                            <Button variant="outline" size="sm" onClick={() => setDeleteConfirm(null)}>
+                              Cancel
+                            </Button>
+                          </div>
+                        ) : (
+                          <div className="flex justify-end space-x-1">
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => onEditRecurring(template)}
+                              className="h-8 w-8"
+                              title="Edit recurring transaction"
+                            >
+                              <Edit className="h-4 w-4" />
+                              <span className="sr-only">Edit</span>
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => setDeleteConfirm(template.id)}
+                              className="h-8 w-8 text-destructive hover:text-destructive/90"
+                              title="Delete recurring transaction (transactions already added are kept)"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                              <span className="sr-only">Delete</span>
+                            </Button>
+                          </div>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
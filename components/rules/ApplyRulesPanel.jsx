@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from 'react';
+import { useRules } from '../../lib/ruleContext';
+import { useTransactions } from '../../lib/transactionContext';
+import { useCategories } from '../../lib/categoryContext';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table, TableHeader, TableBody, TableHead,
+  TableRow, TableCell
+} from '../ui/table';
+import { previewRuleChanges } from '../../lib/rules';
+import { updateRecord } from '../../lib/records';
+import { formatCurrency, formatDateForDisplay } from '../../lib/utils';
+import { CheckCircle2, AlertCircle, Wand2 } from 'lucide-react';
+
+// Rows shown in the preview; the rest are summarized
+const PREVIEW_LIMIT = 200;
+
+/**
+ * Re-run rules on existing transactions after previewing what would change
+ */
+export default function ApplyRulesPanel() {
+  const { rules } = useRules();
+  const { transactions, writeTransactions } = useTransactions();
+  const { getCategoryLabel } = useCategories();
+
+  // Rule to run ('' for all enabled rules)
+  const [ruleId, setRuleId] = useState('');
+  const [showPreview, setShowPreview] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [feedback, setFeedback] = useState(null);
+
+  // Changes the selected rules would make; a single rule is previewed even if disabled
+  const preview = useMemo(() => {
+    if (!showPreview) return [];
+    const selected = ruleId
+      ? rules.filter(rule => rule.id === ruleId).map(rule => ({ ...rule, enabled: true }))
+      : rules;
+    return previewRuleChanges(transactions, selected);
+  }, [showPreview, ruleId, rules, transactions]);
+
+  // Choose which rules to run
+  const handleRuleChange = (e) => {
+    setRuleId(e.target.value);
+    setShowPreview(false);
+    setFeedback(null);
+  };
+
+  // Save the previewed changes in one write
+  const handleApply = async () => {
+    setIsApplying(true);
+    try {
+      await writeTransactions({
+        upsert: preview.map(({ transaction, changes }) => updateRecord(transaction, changes))
+      }, {
+        historyLabel: `Rules applied to ${preview.length} transaction${preview.length !== 1 ? 's' : ''}`,
+        changeSource: 'rule'
+      });
+      setFeedback({
+        type: 'success',
+        message: `Updated ${preview.length} transaction${preview.length !== 1 ? 's' : ''}`
+      });
+      setShowPreview(false);
+    } catch (err) {
+      setFeedback({ type: 'error', message: `Failed to apply rules: ${err.message}` });
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  // One change in words, e.g. "Category: Other → Food"
+  const describeChanges = (transaction, changes) => [
+    changes.category !== undefined &&
+      `Category: ${getCategoryLabel(transaction.category || 'Other')} → ${getCategoryLabel(changes.category)}`,
+    changes.payee !== undefined && `Payee: ${changes.payee}`,
+    changes.tags !== undefined &&
+      `Tags: + ${changes.tags.filter(tag => !(transaction.tags || []).includes(tag)).join(', ')}`
+  ].filter(Boolean);
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary flex items-center gap-2">
+          <Wand2 className="h-5 w-5" />
+          Apply to Existing Transactions
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {feedback && (
+          <Alert variant={feedback.type === 'success' ? 'success' : 'destructive'}>
+            {feedback.type === 'success' ?
+              <CheckCircle2 className="h-4 w-4" /> :
+              <AlertCircle className="h-4 w-4" />
+            }
+            <AlertDescription>{feedback.message}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="space-y-1 min-w-[220px]">
+            <Label htmlFor="apply-rule">Rules to run</Label>
+            <select
+              id="apply-rule"
+              value={ruleId}
+              onChange={handleRuleChange}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+              disabled={isApplying}
+            >
+              <option value="">All enabled rules</option>
+              {rules.map(rule => (
+                <option key={rule.id} value={rule.id}>
+                  {rule.name}{rule.enabled === false ? ' (disabled)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => { setShowPreview(true); setFeedback(null); }}
+            disabled={rules.length === 0 || isApplying}
+          >
+            Preview changes
+          </Button>
+        </div>
+
+        {showPreview && (preview.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No transactions would change.</p>
+        ) : (
+          <>
+            <p className="text-sm text-muted-foreground">
+              {preview.length} transaction{preview.length !== 1 ? 's' : ''} would change:
+            </p>
+            <div className="rounded-md border max-h-[420px] overflow-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                    <TableHead>Changes</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {preview.slice(0, PREVIEW_LIMIT).map(({ transaction, changes }) => (
+                    <TableRow key={transaction.id}>
+                      <TableCell>{formatDateForDisplay(transaction.date)}</TableCell>
+                      <TableCell>{transaction.description}</TableCell>
+                      <TableCell className={`text-right ${transaction.amount < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                        {formatCurrency(transaction.amount)}
+                      </TableCell>
+                      <TableCell className="text-xs">
+                        {describeChanges(transaction, changes).map(change => (
+                          <span key={change} className="block">{change}</span>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+            {preview.length > PREVIEW_LIMIT && (
+              <p className="text-xs text-muted-foreground">
+                and {preview.length - PREVIEW_LIMIT} more
+              </p>
+            )}
+            <div className="flex space-x-2">
+              <Button type="button" onClick={handleApply} disabled={isApplying}>
+                {isApplying ? 'Applying...' : `Apply to ${preview.length} transaction${preview.length !== 1 ? 's' : ''}`}
+              </Button>
+              <Button type="button" variant="outline" onClick={() => setShowPreview(false)} disabled={isApplying}>
+                Cancel
+              </Button>
+            </div>
+          </>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
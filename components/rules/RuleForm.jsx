@@ -0,0 +1,393 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import { useAccounts } from '../../lib/accountContext';
+import { useCategories } from '../../lib/categoryContext';
+import { useTransactions } from '../../lib/transactionContext';
+import { RULE_MATCH_TYPES, WEEKDAYS, hasRuleValue } from '../../lib/rules';
+import { validateRule, getTagUsage } from '../../lib/utils';
+import { toMinorUnits, toDecimalString } from '../../lib/money';
+import TagInput from '../transactions/TagInput';
+import { CheckCircle2, AlertCircle } from 'lucide-react';
+
+/**
+ * Empty form values
+ * @returns {Object}
+ */
+function getEmptyForm() {
+  return {
+    name: '',
+    enabled: true,
+    descriptionMatch: 'contains',
+    descriptionPattern: '',
+    minAmount: '',
+    maxAmount: '',
+    accountId: '',
+    weekdays: [],
+    category: '',
+    tags: [],
+    payee: ''
+  };
+}
+
+// Error keys of fields that report under another name (see validateRule)
+const ERROR_KEYS = {
+  descriptionMatch: 'descriptionPattern',
+  minAmount: 'amount',
+  maxAmount: 'amount'
+};
+
+/**
+ * Form for adding a categorization rule or editing an existing one
+ * @param {Object} props
+ * @param {(rule: Object) => Promise<any>} props.onSubmit - Saves the rule
+ * @param {Object} [props.initialData] - Rule being edited
+ * @param {() => void} [props.onCancel] - Called when editing is cancelled
+ */
+export default function RuleForm({ onSubmit, initialData = null, onCancel }) {
+  const { accounts } = useAccounts();
+  const { getCategoryOptions, getCategoryLabel } = useCategories();
+  const { transactions } = useTransactions();
+
+  // Tags already in use, offered while typing
+  const tagSuggestions = useMemo(() => getTagUsage(transactions).map(({ tag }) => tag), [transactions]);
+  const [formData, setFormData] = useState(getEmptyForm);
+  const [errors, setErrors] = useState({});
+  const [feedback, setFeedback] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // If editing an existing rule, populate the form
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        name: initialData.name,
+        enabled: initialData.enabled !== false,
+        descriptionMatch: initialData.descriptionMatch || 'contains',
+        descriptionPattern: initialData.descriptionPattern || '',
+        minAmount: hasRuleValue(initialData.minAmount) ? toDecimalString(initialData.minAmount) : '',
+        maxAmount: hasRuleValue(initialData.maxAmount) ? toDecimalString(initialData.maxAmount) : '',
+        accountId: initialData.accountId || '',
+        weekdays: initialData.weekdays || [],
+        category: initialData.category || '',
+        tags: initialData.tags || [],
+        payee: initialData.payee || ''
+      });
+      setFeedback(null);
+      setErrors({});
+    }
+  }, [initialData]);
+
+  // Set one form field
+  const setField = (name, value) => {
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    // Any condition or action clears the "add at least one" messages
+    const errorKeys = [ERROR_KEYS[name] || name, 'conditions', 'actions'];
+    if (errorKeys.some(key => errors[key])) {
+      setErrors(prev => ({ ...prev, ...Object.fromEntries(errorKeys.map(key => [key, null])) }));
+    }
+    if (feedback) {
+      setFeedback(null);
+    }
+  };
+
+  // Turn a day of the week on or off
+  const toggleWeekday = (day) => {
+    setField('weekdays', formData.weekdays.includes(day)
+      ? formData.weekdays.filter(d => d !== day)
+      : [...formData.weekdays, day]);
+  };
+
+  // Build the rule to validate and save from the form values
+  const buildRule = () => ({
+    name: formData.name.trim(),
+    enabled: formData.enabled,
+    descriptionMatch: formData.descriptionMatch,
+    descriptionPattern: formData.descriptionPattern.trim() ? formData.descriptionPattern : '',
+    minAmount: formData.minAmount === '' ? null : toMinorUnits(formData.minAmount),
+    maxAmount: formData.maxAmount === '' ? null : toMinorUnits(formData.maxAmount),
+    accountId: formData.accountId || null,
+    weekdays: [...formData.weekdays].sort(),
+    category: formData.category || null,
+    tags: formData.tags,
+    payee: formData.payee.trim() || null
+  });
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const rule = buildRule();
+    const validation = validateRule(rule);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(rule);
+
+      setFeedback({
+        type: 'success',
+        message: initialData ? 'Rule updated successfully' : 'Rule added successfully'
+      });
+
+      if (!initialData) {
+        setFormData(getEmptyForm());
+      }
+    } catch (error) {
+      setFeedback({
+        type: 'error',
+        message: `Failed to ${initialData ? 'update' : 'add'} rule: ${error.message}`
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary">
+          {initialData ? 'Edit Rule' : 'Add Rule'}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent>
+        {feedback && (
+          <Alert
+            variant={feedback.type === 'success' ? 'success' : 'destructive'}
+            className="mb-4"
+          >
+            {feedback.type === 'success' ?
+              <CheckCircle2 className="h-4 w-4" /> :
+              <AlertCircle className="h-4 w-4" />
+            }
+            <AlertDescription>
+              {feedback.message}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <form id="rule-form" onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="rule-name" className="text-sm font-medium">
+              Name
+            </Label>
+            <Input
+              id="rule-name"
+              name="name"
+              type="text"
+              placeholder="e.g. Coffee shops"
+              value={formData.name}
+              onChange={(e) => setField('name', e.target.value)}
+              className={errors.name ? 'border-destructive focus-visible:ring-destructive' : ''}
+              aria-invalid={errors.name ? 'true' : 'false'}
+              disabled={isSubmitting}
+            />
+            {errors.name && (
+              <p className="text-xs font-medium text-destructive mt-1">{errors.name}</p>
+            )}
+          </div>
+
+          <fieldset className="space-y-3 rounded-md border p-3">
+            <legend className="px-1 text-sm font-medium">When a transaction matches</legend>
+
+            <div className="space-y-2">
+              <Label htmlFor="rule-pattern" className="text-sm font-medium">
+                Description
+              </Label>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <select
+                  id="rule-match"
+                  value={formData.descriptionMatch}
+                  onChange={(e) => setField('descriptionMatch', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                  aria-label="How the description is matched"
+                  disabled={isSubmitting}
+                >
+                  {RULE_MATCH_TYPES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <Input
+                  id="rule-pattern"
+                  type="text"
+                  placeholder={formData.descriptionMatch === 'regex' ? 'e.g. ^(starbucks|costa)' : 'e.g. starbucks'}
+                  value={formData.descriptionPattern}
+                  onChange={(e) => setField('descriptionPattern', e.target.value)}
+                  className={errors.descriptionPattern ? 'border-destructive focus-visible:ring-destructive' : ''}
+                  aria-invalid={errors.descriptionPattern ? 'true' : 'false'}
+                  disabled={isSubmitting}
+                />
+              </div>
+              <p className="text-xs text-muted-foreground">Upper and lower case are treated the same.</p>
+              {errors.descriptionPattern && (
+                <p className="text-xs font-medium text-destructive mt-1">{errors.descriptionPattern}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="rule-min-amount" className="text-sm font-medium">
+                Amount between
+              </Label>
+              <div className="grid grid-cols-2 gap-2">
+                <Input
+                  id="rule-min-amount"
+                  type="number"
+                  step="0.01"
+                  placeholder="Minimum"
+                  value={formData.minAmount}
+                  onChange={(e) => setField('minAmount', e.target.value)}
+                  disabled={isSubmitting}
+                />
+                <Input
+                  type="number"
+                  step="0.01"
+                  placeholder="Maximum"
+                  value={formData.maxAmount}
+                  onChange={(e) => setField('maxAmount', e.target.value)}
+                  aria-label="Maximum amount"
+                  disabled={isSubmitting}
+                />
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Expenses are negative: -50 to -5 matches spending between 5 and 50.
+              </p>
+              {errors.amount && (
+                <p className="text-xs font-medium text-destructive mt-1">{errors.amount}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="rule-account" className="text-sm font-medium">
+                Account
+              </Label>
+              <select
+                id="rule-account"
+                value={formData.accountId}
+                onChange={(e) => setField('accountId', e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+                disabled={isSubmitting}
+              >
+                <option value="">Any account</option>
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-2">
+              <span className="text-sm font-medium">Days of the week</span>
+              <div className="flex flex-wrap gap-1">
+                {WEEKDAYS.map(({ value, label }) => (
+                  <Button
+                    key={value}
+                    type="button"
+                    size="sm"
+                    variant={formData.weekdays.includes(value) ? 'default' : 'outline'}
+                    className="h-8 px-2"
+                    onClick={() => toggleWeekday(value)}
+                    aria-pressed={formData.weekdays.includes(value)}
+                    disabled={isSubmitting}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+              <p className="text-xs text-muted-foreground">None selected means every day.</p>
+              {errors.weekdays && (
+                <p className="text-xs font-medium text-destructive mt-1">{errors.weekdays}</p>
+              )}
+            </div>
+
+            {errors.conditions && (
+              <p className="text-xs font-medium text-destructive">{errors.conditions}</p>
+            )}
+          </fieldset>
+
+          <fieldset className="space-y-3 rounded-md border p-3">
+            <legend className="px-1 text-sm font-medium">Then set</legend>
+
+            <div className="space-y-2">
+              <Label htmlFor="rule-category" className="text-sm font-medium">
+                Category
+              </Label>
+              <select
+                id="rule-category"
+                value={formData.category}
+                onChange={(e) => setField('category', e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+                disabled={isSubmitting}
+              >
+                <option value="">Keep the category</option>
+                {getCategoryOptions(formData.category).map(category => (
+                  <option key={category} value={category}>{getCategoryLabel(category)}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="rule-tags" className="text-sm font-medium">
+                Tags
+              </Label>
+              <TagInput
+                id="rule-tags"
+                value={formData.tags}
+                onChange={(tags) => setField('tags', tags)}
+                suggestions={tagSuggestions}
+                placeholder="e.g. coffee, work"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="rule-payee" className="text-sm font-medium">
+                Payee
+              </Label>
+              <Input
+                id="rule-payee"
+                type="text"
+                placeholder="e.g. Starbucks"
+                value={formData.payee}
+                onChange={(e) => setField('payee', e.target.value)}
+                disabled={isSubmitting}
+              />
+            </div>
+
+            {errors.actions && (
+              <p className="text-xs font-medium text-destructive">{errors.actions}</p>
+            )}
+          </fieldset>
+
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={formData.enabled}
+              onChange={(e) => setField('enabled', e.target.checked)}
+              disabled={isSubmitting}
+            />
+            Enabled
+          </label>
+        </form>
+      </CardContent>
+
+      <CardFooter className="flex space-x-2 border-t pt-4">
+        <Button type="submit" form="rule-form" disabled={isSubmitting}>
+          {initialData
+            ? (isSubmitting ? 'Updating...' : 'Update Rule')
+            : (isSubmitting ? 'Adding...' : 'Add Rule')}
+        </Button>
+        {initialData && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={isSubmitting}>
+            Cancel
+          </Button>
+        )}
+      </CardFooter>
+    </Card>
+  );
+}
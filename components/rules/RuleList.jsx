@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { useRules } from '../../lib/ruleContext';
+import { useAccounts } from '../../lib/accountContext';
+import { useCategories } from '../../lib/categoryContext';
+import { Button } from '../ui/button';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table, TableHeader, TableBody, TableHead,
+  TableRow, TableCell
+} from '../ui/table';
+import { describeRuleConditions } from '../../lib/rules';
+import { Edit, Trash2, AlertCircle, ArrowUp, ArrowDown } from 'lucide-react';
+
+/**
+ * List of categorization rules in the order they run
+ * @param {Object} props
+ * @param {(rule: Object) => void} props.onEditRule - Called when a rule's edit button is clicked
+ */
+export default function RuleList({ onEditRule }) {
+  const { rules, updateRule, deleteRule, moveRule } = useRules();
+  const { getAccount } = useAccounts();
+  const { getCategoryLabel } = useCategories();
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Run a rule change, showing failures above the list
+  const run = async (operation, action) => {
+    try {
+      await operation();
+      setError(null);
+    } catch (err) {
+      setError(`Failed to ${action}: ${err.message}`);
+    }
+  };
+
+  // Confirm rule deletion
+  const confirmDelete = async (id) => {
+    await run(() => deleteRule(id), 'delete rule');
+    setDeleteConfirm(null);
+  };
+
+  // What a rule sets, e.g. "Food › Coffee, payee Starbucks, tags coffee"
+  const describeActions = (rule) => [
+    rule.category && getCategoryLabel(rule.category),
+    rule.payee && `payee ${rule.payee}`,
+    rule.tags && rule.tags.length > 0 && `tags ${rule.tags.join(', ')}`
+  ].filter(Boolean).join('; ');
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader>
+        <CardTitle className="text-xl font-semibold text-primary">Rules</CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {rules.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            No rules yet. Add one to categorize matching transactions automatically when they are added or imported.
+          </p>
+        ) : (
+          <>
+            <p className="text-xs text-muted-foreground">
+              Rules run from top to bottom. The first matching rule that sets a category or payee wins; tags of all matching rules are added.
+            </p>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-[72px]">Order</TableHead>
+                    <TableHead>Rule</TableHead>
+                    <TableHead>Sets</TableHead>
+                    <TableHead>Enabled</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rules.map((rule, index) => (
+                    <TableRow key={rule.id} className={rule.enabled === false ? 'opacity-60' : ''}>
+                      <TableCell>
+                        <div className="flex">
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-7 w-7"
+                            onClick={() => run(() => moveRule(rule.id, -1), 'move rule')}
+                            disabled={index === 0}
+                            title="Run earlier"
+                          >
+                            <ArrowUp className="h-4 w-4" />
+                            <span className="sr-only">Move up</span>
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-7 w-7"
+                            onClick={() => run(() => moveRule(rule.id, 1), 'move rule')}
+                            disabled={index === rules.length - 1}
+                            title="Run later"
+                          >
+                            <ArrowDown className="h-4 w-4" />
+                            <span className="sr-only">Move down</span>
+                          </Button>
+                        </div>
+                      </TableCell>
+                      <TableCell className="font-medium">
+                        {rule.name}
+                        <span className="block text-xs font-normal text-muted-foreground">
+                          {describeRuleConditions(rule, id => getAccount(id)?.name || 'deleted account')}
+                        </span>
+                      </TableCell>
+                      <TableCell className="text-sm">{describeActions(rule)}</TableCell>
+                      <TableCell>
+                        <input
+                          type="checkbox"
+                          checked={rule.enabled !== false}
+                          onChange={(e) => run(() => updateRule(rule.id, { enabled: e.target.checked }), 'update rule')}
+                          aria-label={`Enable rule ${rule.name}`}
+                        />
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {deleteConfirm === rule.id ? (
+                          <div className="flex justify-end space-x-1">
+                            <Button variant="destructive" size="sm" onClick={() => confirmDelete(rule.id)}>
+                              Delete
+                            </Button>
+                            <Button variant="outline" size="sm" onClick={() => setDeleteConfirm(null)}>
+                              Cancel
+                            </Button>
+                          </div>
+                        ) : (
+                          <div className="flex justify-end space-x-1">
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => onEditRule(rule)}
+                              className="h-8 w-8"
+                              title="Edit rule"
+                            >
+                              <Edit className="h-4 w-4" />
+                              <span className="sr-only">Edit</span>
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => setDeleteConfirm(rule.id)}
+                              className="h-8 w-8 text-destructive hover:text-destructive/90"
+                              title="Delete rule (transactions it already changed are kept)"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                              <span className="sr-only">Delete</span>
+                            </Button>
+                          </div>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
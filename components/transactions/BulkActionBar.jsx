@@ -0,0 +1,228 @@
+import React, { useMemo, useState } from 'react';
+import { useTransactions } from '../../lib/transactionContext';
+import { useCategories } from '../../lib/categoryContext';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Alert, AlertDescription } from '../ui/alert';
+import { getTagUsage } from '../../lib/utils';
+import TagInput from './TagInput';
+import { AlertCircle, Trash2, X } from 'lucide-react';
+
+/**
+ * Actions for the transactions selected in the transaction list
+ * Each action is one write in the transaction context and can be undone
+ * as a whole (see bulkEditTransactions).
+ * @param {Object} props
+ * @param {Array<string>} props.selectedIds - Ids of the selected transactions
+ * @param {() => void} props.onClearSelection - Called to deselect everything
+ * @param {(message: string) => void} props.onComplete - Called with a summary after an action
+ */
+export default function BulkActionBar({ selectedIds, onClearSelection, onComplete }) {
+  const { transactions, bulkEditTransactions, bulkDeleteTransactions } = useTransactions();
+  const { getCategoryOptions, getCategoryLabel } = useCategories();
+
+  // Values for the actions
+  const [category, setCategory] = useState('');
+  const [addTags, setAddTags] = useState([]);
+  const [removeTag, setRemoveTag] = useState('');
+  const [date, setDate] = useState('');
+
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Tags on the selected transactions, offered for removal
+  const selectedTags = useMemo(() => {
+    const ids = new Set(selectedIds);
+    return getTagUsage(transactions.filter(t => ids.has(t.id))).map(({ tag }) => tag);
+  }, [transactions, selectedIds]);
+
+  // Tags in use anywhere, offered while typing
+  const tagSuggestions = useMemo(() => getTagUsage(transactions).map(({ tag }) => tag), [transactions]);
+
+  // Run a bulk edit and report how many transactions it changed
+  const runEdit = async (edit, reset) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const { updated, skipped } = await bulkEditTransactions(selectedIds, edit);
+      reset();
+      onComplete(`Updated ${updated} transaction${updated !== 1 ? 's' : ''}` +
+        (skipped > 0 ? `; ${skipped} already matched or cannot be changed this way` : ''));
+    } catch (err) {
+      setError(`Failed to update transactions: ${err.message}`);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // Delete the selection after confirmation
+  const handleDelete = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const deleted = await bulkDeleteTransactions(selectedIds);
+      setConfirmDelete(false);
+      onClearSelection();
+      onComplete(`Deleted ${deleted} transaction${deleted !== 1 ? 's' : ''}`);
+    } catch (err) {
+      setError(`Failed to delete transactions: ${err.message}`);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const count = selectedIds.length;
+
+  return (
+    <div className="mb-4 rounded-md border p-3 bg-muted/20 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium">
+          {count} transaction{count !== 1 ? 's' : ''} selected
+        </span>
+        <Button variant="ghost" size="sm" onClick={onClearSelection} disabled={isWorking}>
+          <X className="mr-1 h-3 w-3" />
+          Clear selection
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="bulk-category" className="text-xs">Category</Label>
+          <div className="flex gap-2">
+            <select
+              id="bulk-category"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+              disabled={isWorking}
+            >
+              <option value="">Choose a category</option>
+              {getCategoryOptions('').map(name => (
+                <option key={name} value={name}>{getCategoryLabel(name)}</option>
+              ))}
+            </select>
+            <Button
+              size="sm"
+              variant="outline"
+              className="h-auto"
+              onClick={() => runEdit({ category }, () => setCategory(''))}
+              disabled={isWorking || !category}
+              title="Transfers and split transactions keep their categories"
+            >
+              Set
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="bulk-date" className="text-xs">Date</Label>
+          <div className="flex gap-2">
+            <Input
+              id="bulk-date"
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              disabled={isWorking}
+            />
+            <Button
+              size="sm"
+              variant="outline"
+              className="h-auto"
+              onClick={() => runEdit({ date }, () => setDate(''))}
+              disabled={isWorking || !date}
+            >
+              Set
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="bulk-add-tags" className="text-xs">Add tags</Label>
+          <div className="flex gap-2">
+            <div className="flex-1">
+              <TagInput
+                id="bulk-add-tags"
+                value={addTags}
+                onChange={setAddTags}
+                suggestions={tagSuggestions}
+                disabled={isWorking}
+              />
+            </div>
+            <Button
+              size="sm"
+              variant="outline"
+              className="h-auto"
+              onClick={() => runEdit({ addTags }, () => setAddTags([]))}
+              disabled={isWorking || addTags.length === 0}
+            >
+              Add
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="bulk-remove-tag" className="text-xs">Remove tag</Label>
+          <div className="flex gap-2">
+            <select
+              id="bulk-remove-tag"
+              value={removeTag}
+              onChange={(e) => setRemoveTag(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+              disabled={isWorking || selectedTags.length === 0}
+            >
+              <option value="">{selectedTags.length === 0 ? 'No tags on the selection' : 'Choose a tag'}</option>
+              {selectedTags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+            <Button
+              size="sm"
+              variant="outline"
+              className="h-auto"
+              onClick={() => runEdit({ removeTags: [removeTag] }, () => setRemoveTag(''))}
+              disabled={isWorking || !removeTag}
+            >
+              Remove
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2">
+        {confirmDelete ? (
+          <>
+            <span className="text-sm text-destructive">
+              Delete {count} transaction{count !== 1 ? 's' : ''} (and the other side of any transfers)?
+            </span>
+            <Button variant="destructive" size="sm" onClick={handleDelete} disabled={isWorking}>
+              Delete
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setConfirmDelete(false)} disabled={isWorking}>
+              Cancel
+            </Button>
+          </>
+        ) : (
+          <Button
+            variant="outline"
+            size="sm"
+            className="text-destructive hover:text-destructive/90"
+            onClick={() => setConfirmDelete(true)}
+            disabled={isWorking}
+          >
+            <Trash2 className="mr-1 h-4 w-4" />
+            Delete selected
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
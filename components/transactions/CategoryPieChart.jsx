@@ -1,15 +1,12 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useTransactions } from '../../lib/transactionContext';
+import { useCategories } from '../../lib/categoryContext';
 import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend } from 'recharts';
-import { calculateCategoryTotals, formatCurrency } from '../../lib/utils';
-import { PieChartIcon, DollarSign, Info } from 'lucide-react';
-
-// Custom colors for pie chart segments
-const COLORS = [
-  '#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#0088fe',
-  '#00C49F', '#FFBB28', '#FF8042', '#a4de6c', '#d0ed57'
-];
+import { calculateCategoryTotals, calculateIncomeTotals, formatCurrency } from '../../lib/utils';
+import { sumMinorUnits } from '../../lib/money';
+import { PieChartIcon, DollarSign, Info, ArrowLeft } from 'lucide-react';
 
 // Custom tooltip for pie chart
 const CustomTooltip = ({ active, payload }) => {
@@ -27,32 +24,87 @@ const CustomTooltip = ({ active, payload }) => {
   return null;
 };
 
-export default function CategoryPieChart() {
+// Wording and colors for expense and income breakdowns
+const CHART_TYPES = {
+  expense: {
+    title: 'Expense Categories',
+    total: 'Total Expenses',
+    totalClass: 'text-destructive',
+    emptyText: 'Add transactions with categories to see your spending breakdown',
+    calculate: calculateCategoryTotals
+  },
+  income: {
+    title: 'Income Sources',
+    total: 'Total Income',
+    totalClass: 'text-emerald-600',
+    emptyText: 'Add transactions with positive amounts to see where your income comes from',
+    calculate: calculateIncomeTotals
+  }
+};
+
+/**
+ * Expenses or income per category, with subcategories rolled up into their parent
+ * Clicking a parent's slice shows the breakdown into its subcategories.
+ * @param {Object} props
+ * @param {'expense'|'income'} [props.type='expense'] - Which side of the transactions to break down
+ */
+export default function CategoryPieChart({ type = 'expense' }) {
+  const chartType = CHART_TYPES[type];
   const { transactions } = useTransactions();
+  const { categories, getCategoryColor } = useCategories();
+  
+  // Parent category whose subcategories are shown, or null for the top level
+  const [drillCategory, setDrillCategory] = useState(null);
+  
+  // Totals per top-level category with their subcategory breakdown
+  const categoryData = useMemo(
+    () => chartType.calculate(transactions, categories),
+    [chartType, transactions, categories]
+  );
+  
+  // The group being drilled into, if it still has subcategories
+  const drillGroup = drillCategory
+    ? categoryData.find(item => item.name === drillCategory && item.children.length > 0)
+    : null;
   
   // Process transaction data for the chart
   const chartData = useMemo(() => {
-    const categoryData = calculateCategoryTotals(transactions);
+    const items = drillGroup
+      ? drillGroup.children.map(child => ({
+        name: child.general ? `${child.name} (general)` : child.name,
+        category: child.name,
+        value: child.value,
+        children: []
+      }))
+      : categoryData.map(item => ({ ...item, category: item.name }));
     
-    if (categoryData.length === 0) return [];
+    if (items.length === 0) return [];
     
     // Calculate total for percentages
-    const total = categoryData.reduce((sum, item) => sum + item.value, 0);
+    const total = sumMinorUnits(items.map(item => item.value));
     
     // Add percentage to each item
-    return categoryData.map(item => ({
+    return items.map(item => ({
       ...item,
       percent: ((item.value / total) * 100).toFixed(1)
     }));
-  }, [transactions]);
+  }, [categoryData, drillGroup]);
+  
+  // Show the subcategories of a clicked parent category
+  const handleSliceClick = (_, index) => {
+    const item = chartData[index];
+    if (item && item.children.length > 0) {
+      setDrillCategory(item.name);
+    }
+  };
   
-  // Calculate total expenses
-  const totalExpenses = useMemo(() => {
+  // Calculate the total of all slices
+  const chartTotal = useMemo(() => {
     if (chartData.length === 0) return 0;
-    return chartData.reduce((sum, item) => sum + item.value, 0);
+    return sumMinorUnits(chartData.map(item => item.value));
   }, [chartData]);
   
-  // If no expenses are recorded yet
+  // If nothing is recorded yet
   if (chartData.length === 0) {
     return (
       <Card className="w-full shadow-md">
@@ -60,7 +112,7 @@ export default function CategoryPieChart() {
           <CardTitle className="text-xl font-semibold text-primary">
             <span className="flex items-center gap-2">
               <PieChartIcon className="h-5 w-5" />
-              Expense Categories
+              {chartType.title}
             </span>
           </CardTitle>
         </CardHeader>
@@ -68,7 +120,7 @@ export default function CategoryPieChart() {
           <div className="p-6 text-center border rounded-md bg-muted/20">
             <PieChartIcon className="h-10 w-10 mx-auto mb-2 text-muted-foreground" />
             <p className="text-muted-foreground font-medium mb-1">No category data available</p>
-            <p className="text-sm text-muted-foreground">Add transactions with categories to see your spending breakdown</p>
+            <p className="text-sm text-muted-foreground">{chartType.emptyText}</p>
           </div>
         </CardContent>
       </Card>
@@ -81,18 +133,29 @@ export default function CategoryPieChart() {
         <CardTitle className="text-xl font-semibold text-primary">
           <span className="flex items-center gap-2">
             <PieChartIcon className="h-5 w-5" />
-            Expense Categories
+            {drillGroup ? drillGroup.name : chartType.title}
           </span>
+          {drillGroup && (
+            <Button
+              variant="link"
+              size="sm"
+              className="h-auto p-0 text-xs font-normal"
+              onClick={() => setDrillCategory(null)}
+            >
+              <ArrowLeft className="mr-1 h-3 w-3" />
+              All categories
+            </Button>
+          )}
         </CardTitle>
         <div className="flex flex-col items-end">
           <div className="flex items-center gap-1">
-            <DollarSign className="h-4 w-4 text-destructive" />
-            <span className="text-sm font-medium text-destructive">
-              {formatCurrency(totalExpenses)}
+            <DollarSign className={`h-4 w-4 ${chartType.totalClass}`} />
+            <span className={`text-sm font-medium ${chartType.totalClass}`}>
+              {formatCurrency(chartTotal)}
             </span>
           </div>
           <div className="text-xs text-muted-foreground">
-            Total Expenses
+            {drillGroup ? `Total ${drillGroup.name}` : chartType.total}
           </div>
         </div>
       </CardHeader>
@@ -108,9 +171,14 @@ export default function CategoryPieChart() {
                 outerRadius={100}
                 fill="#8884d8"
                 dataKey="value"
+                onClick={handleSliceClick}
               >
                 {chartData.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                  <Cell
+                    key={`cell-${index}`}
+                    fill={getCategoryColor(entry.category)}
+                    cursor={entry.children.length > 0 ? 'pointer' : 'default'}
+                  />
                 ))}
               </Pie>
               <Tooltip content={<CustomTooltip />} />
@@ -125,6 +193,11 @@ export default function CategoryPieChart() {
             </PieChart>
           </ResponsiveContainer>
         </div>
+        {!drillGroup && chartData.some(item => item.children.length > 0) && (
+          <p className="text-xs text-muted-foreground text-center">
+            Click a category with subcategories to see its breakdown.
+          </p>
+        )}
       </CardContent>
     </Card>
   );
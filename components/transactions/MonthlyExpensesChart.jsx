@@ -2,7 +2,8 @@ import React, { useMemo } from 'react';
 import { useTransactions } from '../../lib/transactionContext';
 import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { groupTransactionsByMonth, formatCurrency } from '../../lib/utils';
+import { groupTransactionsByMonth, formatCurrency, isTransfer } from '../../lib/utils';
+import { fromMinorUnits, roundMinorUnits, sumMinorUnits } from '../../lib/money';
 import { PieChart, DollarSign, TrendingDown, Info } from 'lucide-react';
 
 export default function MonthlyExpensesChart() {
@@ -10,8 +11,8 @@ export default function MonthlyExpensesChart() {
   
   // Process transaction data for the chart
   const chartData = useMemo(() => {
-    // Only consider expenses (negative amounts)
-    const expenses = transactions.filter(t => t.amount < 0);
+    // Only consider expenses (negative amounts); transfers between accounts are not spending
+    const expenses = transactions.filter(t => t.amount < 0 && !isTransfer(t));
     
     if (expenses.length === 0) return [];
     
@@ -27,13 +28,13 @@ export default function MonthlyExpensesChart() {
   // Calculate total expenses
   const totalExpenses = useMemo(() => {
     if (chartData.length === 0) return 0;
-    return chartData.reduce((sum, month) => sum + month.total, 0);
+    return sumMinorUnits(chartData.map(month => month.total));
   }, [chartData]);
 
   // Calculate average monthly expense
   const averageMonthlyExpense = useMemo(() => {
     if (chartData.length === 0) return 0;
-    return totalExpenses / chartData.length;
+    return roundMinorUnits(totalExpenses / chartData.length);
   }, [chartData, totalExpenses]);
   
   // If no expenses are recorded yet
@@ -104,7 +105,7 @@ export default function MonthlyExpensesChart() {
                 axisLine={{ stroke: '#e5e7eb' }}
               />
               <YAxis 
-                tickFormatter={(value) => `$${value}`}
+                tickFormatter={(value) => `$${fromMinorUnits(value)}`}
                 width={70}
                 axisLine={{ stroke: '#e5e7eb' }}
                 tickLine={false}
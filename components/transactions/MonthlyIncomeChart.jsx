@@ -0,0 +1,146 @@
+import React, { useMemo } from 'react';
+import { useTransactions } from '../../lib/transactionContext';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { groupTransactionsByMonth, formatCurrency, isTransfer } from '../../lib/utils';
+import { fromMinorUnits, roundMinorUnits, sumMinorUnits } from '../../lib/money';
+import { BarChart4, DollarSign, TrendingUp, Info } from 'lucide-react';
+
+/**
+ * Income per month, the counterpart of MonthlyExpensesChart
+ */
+export default function MonthlyIncomeChart() {
+  const { transactions } = useTransactions();
+
+  // Process transaction data for the chart
+  const chartData = useMemo(() => {
+    // Only consider income (positive amounts); transfers between accounts are not income
+    const income = transactions.filter(t => t.amount > 0 && !isTransfer(t));
+
+    if (income.length === 0) return [];
+
+    return groupTransactionsByMonth(income);
+  }, [transactions]);
+
+  // Calculate total income
+  const totalIncome = useMemo(() => {
+    if (chartData.length === 0) return 0;
+    return sumMinorUnits(chartData.map(month => month.total));
+  }, [chartData]);
+
+  // Calculate average monthly income
+  const averageMonthlyIncome = useMemo(() => {
+    if (chartData.length === 0) return 0;
+    return roundMinorUnits(totalIncome / chartData.length);
+  }, [chartData, totalIncome]);
+
+  // If no income is recorded yet
+  if (chartData.length === 0) {
+    return (
+      <Card className="w-full shadow-md">
+        <CardHeader className="flex flex-row items-center justify-between pb-2">
+          <CardTitle className="text-xl font-semibold text-primary">
+            <span className="flex items-center gap-2">
+              <BarChart4 className="h-5 w-5" />
+              Monthly Income
+            </span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="p-6 text-center border rounded-md bg-muted/20">
+            <TrendingUp className="h-10 w-10 mx-auto mb-2 text-muted-foreground" />
+            <p className="text-muted-foreground font-medium mb-1">No income data available yet</p>
+            <p className="text-sm text-muted-foreground">Add transactions with positive amounts to see your monthly income</p>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader className="flex flex-row items-center justify-between pb-2">
+        <CardTitle className="text-xl font-semibold text-primary">
+          <span className="flex items-center gap-2">
+            <BarChart4 className="h-5 w-5" />
+            Monthly Income
+          </span>
+        </CardTitle>
+        <div className="flex flex-col items-end">
+          <div className="flex items-center gap-1">
+            <DollarSign className="h-4 w-4 text-emerald-600" />
+            <span className="text-sm font-medium text-emerald-600">
+              {formatCurrency(totalIncome)}
+            </span>
+          </div>
+          <div className="text-xs text-muted-foreground">
+            Total Income
+          </div>
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        <div className="h-[300px] md:h-[350px] w-full pt-4">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart
+              data={chartData}
+              margin={{
+                top: 10,
+                right: 10,
+                left: 5,
+                bottom: 60,
+              }}
+            >
+              <CartesianGrid strokeDasharray="3 3" vertical={false} opacity={0.5} />
+              <XAxis
+                dataKey="name"
+                angle={-45}
+                textAnchor="end"
+                height={60}
+                tick={{ fontSize: 12 }}
+                tickMargin={5}
+                axisLine={{ stroke: '#e5e7eb' }}
+              />
+              <YAxis
+                tickFormatter={(value) => `$${fromMinorUnits(value)}`}
+                width={70}
+                axisLine={{ stroke: '#e5e7eb' }}
+                tickLine={false}
+              />
+              <Tooltip
+                formatter={(value) => [formatCurrency(value), 'Income']}
+                labelFormatter={(label) => `Month: ${label}`}
+                contentStyle={{
+                  backgroundColor: '#fff',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '6px',
+                  boxShadow: '0 1px 2px 0 rgba(0, 0, 0, 0.05)',
+                }}
+              />
+              <Legend
+                verticalAlign="top"
+                height={36}
+                formatter={() => 'Monthly Income'}
+              />
+              <Bar
+                dataKey="total"
+                fill="#10b981"
+                name="Income"
+                radius={[4, 4, 0, 0]}
+                animationDuration={1000}
+                maxBarSize={70}
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        {chartData.length > 1 && (
+          <div className="mt-2 pt-4 border-t flex items-center justify-center text-sm text-muted-foreground">
+            <Info className="h-4 w-4 mr-1" />
+            <span>Average monthly income: <span className="font-medium text-emerald-600">{formatCurrency(averageMonthlyIncome)}</span></span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,54 @@
+import React from 'react';
+import { cn } from '../../lib/utils';
+import { Tag, X } from 'lucide-react';
+
+/**
+ * Small badge for a transaction tag
+ * @param {Object} props
+ * @param {string} props.tag - Tag name
+ * @param {() => void} [props.onClick] - Makes the chip a button (e.g. to filter by the tag)
+ * @param {() => void} [props.onRemove] - Shows a remove button
+ * @param {boolean} [props.active=false] - Highlights the chip (e.g. when filtering by it)
+ * @param {boolean} [props.disabled=false]
+ * @param {string} [props.className]
+ */
+export default function TagChip({ tag, onClick, onRemove, active = false, disabled = false, className = '' }) {
+  const classes = cn(
+    'inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs font-medium',
+    active ? 'bg-primary text-primary-foreground' : 'bg-muted text-muted-foreground',
+    onClick && 'hover:bg-primary/20 cursor-pointer',
+    className
+  );
+
+  const content = (
+    <>
+      <Tag className="h-3 w-3" />
+      {tag}
+    </>
+  );
+
+  if (onClick) {
+    return (
+      <button type="button" className={classes} onClick={onClick} disabled={disabled} title={`Show transactions tagged ${tag}`}>
+        {content}
+      </button>
+    );
+  }
+
+  return (
+    <span className={classes}>
+      {content}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          disabled={disabled}
+          className="rounded-full hover:text-destructive"
+          aria-label={`Remove tag ${tag}`}
+        >
+          <X className="h-3 w-3" />
+        </button>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useState, useMemo } from 'react';
+import { cn } from '../../lib/utils';
+import { mergeTags } from '../../lib/rules';
+import TagChip from './TagChip';
+
+// Suggestions shown below the input at most
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Input for a list of free-form tags
+ * Enter or a comma adds the typed tag; known tags are offered as the user
+ * types and can be picked with the arrow keys. Tags are compared ignoring case.
+ * @param {Object} props
+ * @param {string} [props.id] - Id of the text input, for labels
+ * @param {Array<string>} props.value - Current tags
+ * @param {(tags: Array<string>) => void} props.onChange - Called with the new tags
+ * @param {Array<string>} [props.suggestions=[]] - Known tags, most used first
+ * @param {string} [props.placeholder]
+ * @param {boolean} [props.disabled=false]
+ * @param {boolean} [props.invalid=false] - Shows the input with an error border
+ */
+export default function TagInput({
+  id,
+  value,
+  onChange,
+  suggestions = [],
+  placeholder = 'Add a tag',
+  disabled = false,
+  invalid = false
+}) {
+  // Text typed for the next tag
+  const [text, setText] = useState('');
+  // Index of the highlighted suggestion, or -1
+  const [highlighted, setHighlighted] = useState(-1);
+  const [isFocused, setIsFocused] = useState(false);
+
+  // Known tags matching the typed text that are not added yet
+  const matches = useMemo(() => {
+    const query = text.trim().toLowerCase();
+    if (!query) return [];
+    return suggestions
+      .filter(tag => tag.toLowerCase().includes(query))
+      .filter(tag => !value.some(existing => existing.toLowerCase() === tag.toLowerCase()))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [text, suggestions, value]);
+
+  // Add a tag, reusing the spelling of a known tag
+  const addTag = (tag) => {
+    const trimmed = tag.replace(/,/g, ' ').trim();
+    if (trimmed) {
+      const known = suggestions.find(existing => existing.toLowerCase() === trimmed.toLowerCase());
+      onChange(mergeTags(value, [known || trimmed]));
+    }
+    setText('');
+    setHighlighted(-1);
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter(existing => existing !== tag));
+  };
+
+  // Keyboard handling for adding, picking and removing tags
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      if (text.trim() || highlighted >= 0) {
+        e.preventDefault();
+        addTag(highlighted >= 0 ? matches[highlighted] : text);
+      }
+    } else if (e.key === 'ArrowDown' && matches.length > 0) {
+      e.preventDefault();
+      setHighlighted(prev => (prev + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && matches.length > 0) {
+      e.preventDefault();
+      setHighlighted(prev => (prev <= 0 ? matches.length - 1 : prev - 1));
+    } else if (e.key === 'Escape') {
+      setHighlighted(-1);
+      setText('');
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div
+        className={cn(
+          'flex min-h-10 w-full flex-wrap items-center gap-1 rounded-md border border-input bg-background px-2 py-1.5 text-sm',
+          'focus-within:ring-2 focus-within:ring-ring focus-within:ring-offset-2',
+          invalid && 'border-destructive focus-within:ring-destructive',
+          disabled && 'cursor-not-allowed opacity-50'
+        )}
+      >
+        {value.map(tag => (
+          <TagChip key={tag} tag={tag} onRemove={() => removeTag(tag)} disabled={disabled} />
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={text}
+          onChange={(e) => { setText(e.target.value); setHighlighted(-1); }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => { setIsFocused(false); addTag(text); }}
+          placeholder={value.length === 0 ? placeholder : ''}
+          className="min-w-[6rem] flex-1 bg-transparent px-1 py-0.5 outline-none placeholder:text-muted-foreground disabled:cursor-not-allowed"
+          disabled={disabled}
+          role="combobox"
+          aria-expanded={isFocused && matches.length > 0}
+          aria-autocomplete="list"
+          autoComplete="off"
+        />
+      </div>
+
+      {isFocused && matches.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute z-10 mt-1 w-full rounded-md border bg-white py-1 text-sm shadow-md"
+        >
+          {matches.map((tag, index) => (
+            <li
+              key={tag}
+              role="option"
+              aria-selected={index === highlighted}
+              // Keep focus in the input so blurring does not add the typed text
+              onMouseDown={(e) => { e.preventDefault(); addTag(tag); }}
+              className={cn('cursor-pointer px-3 py-1.5', index === highlighted ? 'bg-muted' : 'hover:bg-muted/60')}
+            >
+              {tag}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import React, { useMemo, useState } from 'react';
+import { useTransactions } from '../../lib/transactionContext';
+import { useCategories } from '../../lib/categoryContext';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Label } from '../ui/label';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import {
+  calculateTagTotals,
+  calculateCategoryTotals,
+  formatCurrency,
+  formatDateForDisplay,
+  hasTag,
+  isTransfer
+} from '../../lib/utils';
+import { fromMinorUnits } from '../../lib/money';
+import { Tags, Info } from 'lucide-react';
+
+// Tags shown in the overview chart at most
+const MAX_TAGS = 10;
+
+// Shared tooltip styling
+const TOOLTIP_STYLE = {
+  backgroundColor: '#fff',
+  border: '1px solid #e5e7eb',
+  borderRadius: '6px',
+  boxShadow: '0 1px 2px 0 rgba(0, 0, 0, 0.05)',
+};
+
+/**
+ * Spending per tag, across categories
+ * Without a tag selected the chart compares the most costly tags; choosing
+ * a tag (in the select or by clicking its bar) shows what it cost per category.
+ */
+export default function TagSpendingChart() {
+  const { transactions } = useTransactions();
+  const { categories, getCategoryColor } = useCategories();
+
+  // Tag whose breakdown is shown, or '' for the overview
+  const [selectedTag, setSelectedTag] = useState('');
+
+  // Spending and income per tag, highest spending first
+  const tagTotals = useMemo(() => calculateTagTotals(transactions), [transactions]);
+
+  // The selected tag's totals, if it is still in use
+  const selected = selectedTag
+    ? tagTotals.find(item => item.tag.toLowerCase() === selectedTag.toLowerCase())
+    : null;
+
+  // Transactions with the selected tag, excluding transfers
+  const taggedTransactions = useMemo(() => (
+    selected ? transactions.filter(t => hasTag(t, selected.tag) && !isTransfer(t)) : []
+  ), [transactions, selected]);
+
+  // Bars: top tags for the overview, categories for a selected tag
+  const chartData = useMemo(() => {
+    if (selected) {
+      return calculateCategoryTotals(taggedTransactions, categories)
+        .sort((a, b) => b.value - a.value)
+        .map(item => ({ name: item.name, value: item.value, color: getCategoryColor(item.name) }));
+    }
+    return tagTotals
+      .filter(item => item.expenses > 0)
+      .slice(0, MAX_TAGS)
+      .map(item => ({ name: item.tag, value: item.expenses, color: '#6366f1' }));
+  }, [selected, taggedTransactions, categories, getCategoryColor, tagTotals]);
+
+  // First and last date the selected tag was used
+  const dateRange = useMemo(() => {
+    if (taggedTransactions.length === 0) return null;
+    const dates = taggedTransactions.map(t => t.date).sort();
+    return { from: dates[0], to: dates[dates.length - 1] };
+  }, [taggedTransactions]);
+
+  // Show a tag's breakdown when its bar is clicked
+  const handleBarClick = (data) => {
+    if (!selected && data?.name) {
+      setSelectedTag(data.name);
+    }
+  };
+
+  const title = (
+    <CardTitle className="text-xl font-semibold text-primary">
+      <span className="flex items-center gap-2">
+        <Tags className="h-5 w-5" />
+        Spending by Tag
+      </span>
+    </CardTitle>
+  );
+
+  // If no transactions are tagged yet
+  if (tagTotals.length === 0) {
+    return (
+      <Card className="w-full shadow-md">
+        <CardHeader className="flex flex-row items-center justify-between pb-2">
+          {title}
+        </CardHeader>
+        <CardContent>
+          <div className="p-6 text-center border rounded-md bg-muted/20">
+            <Tags className="h-10 w-10 mx-auto mb-2 text-muted-foreground" />
+            <p className="text-muted-foreground font-medium mb-1">No tagged transactions yet</p>
+            <p className="text-sm text-muted-foreground">
+              Tag transactions (e.g. a trip or work expenses) to see what they cost across categories
+            </p>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader className="flex flex-row items-center justify-between pb-2">
+        {title}
+        <div className="space-y-1 min-w-[160px]">
+          <Label htmlFor="tag-chart-tag" className="sr-only">Tag</Label>
+          <select
+            id="tag-chart-tag"
+            value={selected ? selected.tag : ''}
+            onChange={(e) => setSelectedTag(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded text-sm"
+          >
+            <option value="">All tags</option>
+            {tagTotals.map(item => (
+              <option key={item.tag} value={item.tag}>{item.tag}</option>
+            ))}
+          </select>
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {selected && (
+          <div className="grid grid-cols-3 gap-2 text-center text-sm mb-2">
+            <div>
+              <div className="font-medium text-destructive">{formatCurrency(selected.expenses)}</div>
+              <div className="text-xs text-muted-foreground">Spent</div>
+            </div>
+            <div>
+              <div className="font-medium text-emerald-600">{formatCurrency(selected.income)}</div>
+              <div className="text-xs text-muted-foreground">Income</div>
+            </div>
+            <div>
+              <div className="font-medium">{selected.count}</div>
+              <div className="text-xs text-muted-foreground">
+                Transaction{selected.count !== 1 ? 's' : ''}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {chartData.length === 0 ? (
+          <div className="p-6 text-center border rounded-md bg-muted/20">
+            <p className="text-sm text-muted-foreground">
+              {selected ? `No spending tagged ${selected.tag}` : 'No spending on tagged transactions yet'}
+            </p>
+          </div>
+        ) : (
+          <div className="h-[300px] md:h-[350px] w-full pt-4">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart
+                data={chartData}
+                layout="vertical"
+                margin={{ top: 5, right: 20, left: 10, bottom: 5 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" horizontal={false} opacity={0.5} />
+                <XAxis
+                  type="number"
+                  tickFormatter={(value) => `$${fromMinorUnits(value)}`}
+                  axisLine={{ stroke: '#e5e7eb' }}
+                  tickLine={false}
+                />
+                <YAxis
+                  type="category"
+                  dataKey="name"
+                  width={110}
+                  tick={{ fontSize: 12 }}
+                  axisLine={{ stroke: '#e5e7eb' }}
+                />
+                <Tooltip
+                  formatter={(value) => [formatCurrency(value), 'Spent']}
+                  contentStyle={TOOLTIP_STYLE}
+                />
+                <Bar
+                  dataKey="value"
+                  name="Spent"
+                  radius={[0, 4, 4, 0]}
+                  animationDuration={1000}
+                  maxBarSize={40}
+                  onClick={handleBarClick}
+                >
+                  {chartData.map(item => (
+                    <Cell key={item.name} fill={item.color} cursor={selected ? 'default' : 'pointer'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        <div className="mt-2 pt-4 border-t flex items-center justify-center text-sm text-muted-foreground">
+          <Info className="h-4 w-4 mr-1" />
+          {selected && dateRange ? (
+            <span>
+              {formatDateForDisplay(dateRange.from)} to {formatDateForDisplay(dateRange.to)}, by category
+            </span>
+          ) : (
+            <span>Click a tag to see its spending per category</span>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { useTransactions } from '../../lib/transactionContext';
+import { useChangeLog } from '../../lib/changeLogContext';
+import { useAccounts } from '../../lib/accountContext';
+import { Button } from '../ui/button';
+import ExportPanel from '../import/ExportPanel';
+import { CHANGE_LOG_EXPORT_COLUMNS, buildChangeLogTable } from '../../lib/exporting';
+import { formatChangeValue, getChangeSourceLabel } from '../../lib/changeLog';
+import { formatCurrency, formatDateForDisplay, isTransfer } from '../../lib/utils';
+import { Download, History, X } from 'lucide-react';
+
+// Readable names of the logged fields; others are shown as stored
+const FIELD_LABELS = {
+  amount: 'Amount',
+  date: 'Date',
+  description: 'Description',
+  payee: 'Payee',
+  category: 'Category',
+  splits: 'Split lines',
+  accountId: 'Account',
+  transferAccountId: 'Transfer account',
+  tags: 'Tags',
+  deletedAt: 'Deleted'
+};
+
+// Verbs shown for each kind of change
+const ACTION_LABELS = {
+  created: 'Created',
+  updated: 'Updated',
+  deleted: 'Moved to trash',
+  restored: 'Restored',
+  purged: 'Deleted for good'
+};
+
+/**
+ * Details of one transaction with its change log
+ * Every write to the transaction is listed newest first with the old and
+ * new value of each changed field, and can be exported for reconciliation.
+ * @param {Object} props
+ * @param {string} props.transactionId - Id of the transaction to show
+ * @param {() => void} props.onClose - Called when the panel is closed
+ */
+export default function TransactionDetails({ transactionId, onClose }) {
+  const { storedTransactions } = useTransactions();
+  const { getChangesForRecord } = useChangeLog();
+  const { getAccount } = useAccounts();
+  const [showExport, setShowExport] = useState(false);
+
+  const transaction = storedTransactions.find(t => t.id === transactionId);
+  const changes = getChangesForRecord('transactions', transactionId);
+
+  // A logged value as shown to the user
+  const formatValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    switch (field) {
+      case 'amount':
+        return formatCurrency(value);
+      case 'splits':
+        return Array.isArray(value)
+          ? value.map(split => `${split.category} ${formatCurrency(split.amount)}`).join(', ')
+          : formatChangeValue(value);
+      case 'date':
+        return formatDateForDisplay(value);
+      case 'deletedAt':
+        return format(parseISO(value), 'MMM d, yyyy HH:mm');
+      case 'accountId':
+      case 'transferAccountId':
+        return getAccount(value)?.name || value;
+      default:
+        return formatChangeValue(value);
+    }
+  };
+
+  return (
+    <div className="mb-4 rounded-md border p-4 bg-muted/20 space-y-4">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2">
+            <History className="h-4 w-4" />
+            {transaction ? transaction.payee || transaction.description : 'Transaction'}
+          </h3>
+          {transaction && (
+            <p className="text-sm text-muted-foreground">
+              {formatCurrency(transaction.amount)} on {formatDateForDisplay(transaction.date)}
+              {' · '}
+              {isTransfer(transaction) ? 'Transfer' : transaction.category || 'Other'}
+              {' · '}
+              {getAccount(transaction.accountId)?.name || 'Deleted account'}
+              {transaction.deletedAt && ' · in the trash'}
+            </p>
+          )}
+          {transaction && transaction.createdAt && (
+            <p className="text-xs text-muted-foreground">
+              Created {format(parseISO(transaction.createdAt), 'MMM d, yyyy HH:mm')}
+              {transaction.updatedAt && transaction.updatedAt !== transaction.createdAt &&
+                `, last updated ${format(parseISO(transaction.updatedAt), 'MMM d, yyyy HH:mm')}`}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setShowExport(prev => !prev)}
+            disabled={changes.length === 0}
+          >
+            <Download className="mr-1 h-4 w-4" />
+            Export history
+          </Button>
+          <Button variant="ghost" size="icon" className="h-8 w-8" onClick={onClose} title="Close">
+            <X className="h-4 w-4" />
+            <span className="sr-only">Close</span>
+          </Button>
+        </div>
+      </div>
+
+      {showExport && changes.length > 0 && (
+        <ExportPanel
+          id="transaction-history-export"
+          columns={CHANGE_LOG_EXPORT_COLUMNS}
+          buildTable={(options) => buildChangeLogTable(changes, options)}
+          fileName={`transaction-history-${transactionId}`}
+          sheetName="Change log"
+          rowCount={changes.reduce((sum, entry) => sum + Math.max(entry.fields.length, 1), 0)}
+          allowSplitAmounts={false}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {changes.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          No changes have been logged for this transaction yet.
+        </p>
+      ) : (
+        <ol className="space-y-3">
+          {changes.map(entry => (
+            <li key={entry.id} className="border-l-2 border-primary/30 pl-3">
+              <p className="text-sm font-medium">
+                {ACTION_LABELS[entry.action] || entry.action}
+                <span className="font-normal text-muted-foreground">
+                  {' · '}{format(parseISO(entry.changedAt), 'MMM d, yyyy HH:mm:ss')}
+                  {' · '}{getChangeSourceLabel(entry.source)}
+                </span>
+              </p>
+              {entry.action !== 'purged' && entry.fields.length > 0 && (
+                <ul className="mt-1 space-y-0.5 text-xs">
+                  {entry.fields.map(({ field, oldValue, newValue }) => (
+                    <li key={field}>
+                      <span className="text-muted-foreground">{FIELD_LABELS[field] || field}:</span>{' '}
+                      {entry.action === 'created' ? (
+                        formatValue(field, newValue)
+                      ) : (
+                        <>
+                          <span className="line-through text-muted-foreground">{formatValue(field, oldValue)}</span>
+                          {' → '}
+                          {formatValue(field, newValue)}
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import React, { useMemo, useState, useEffect } from 'react';
+import { useCategories } from '../../lib/categoryContext';
+import { useTransactions } from '../../lib/transactionContext';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { FILTER_TYPES, parseFilterQuery, formatFilterQuery, isFilterActive } from '../../lib/filters';
+import { getTagUsage } from '../../lib/utils';
+import { toMinorUnits, fromMinorUnits } from '../../lib/money';
+import { Search, SlidersHorizontal, X } from 'lucide-react';
+
+/**
+ * Lower or upper bound of the amount conditions, in dollars as edited in the form
+ * @param {Array<import('../../lib/filters').AmountCondition>} conditions
+ * @param {Array<string>} operators - '>'/'>=' for the lower bound, '<'/'<=' for the upper one
+ * @returns {string}
+ */
+function getAmountBound(conditions, operators) {
+  const condition = conditions.find(c => operators.includes(c.op));
+  return condition ? String(fromMinorUnits(condition.value)) : '';
+}
+
+/**
+ * Check whether a typed amount stands for the given bound
+ * Amounts are compared in cents; text that is not a number yet (e.g. "-")
+ * stands for no bound.
+ * @param {string} draft - Text in the amount input
+ * @param {string} bound - Bound in the query, or ''
+ * @returns {boolean}
+ */
+function isSameAmount(draft, bound) {
+  const value = toMinorUnits(draft);
+  return isNaN(value) ? bound === '' : bound !== '' && value === toMinorUnits(bound);
+}
+
+/**
+ * Search box and filter controls for the transaction list
+ * The query string is the single source of truth: the controls below the
+ * box edit the qualifiers in it (see lib/filters.js for the syntax).
+ * @param {Object} props
+ * @param {string} props.query - Current search query
+ * @param {(query: string) => void} props.onQueryChange - Called with the new query
+ */
+export default function TransactionFilterBar({ query, onQueryChange }) {
+  const { getCategoryOptions, getCategoryLabel } = useCategories();
+  const { transactions } = useTransactions();
+  const [showFilters, setShowFilters] = useState(false);
+
+  // Parsed query, with problems in qualifiers that are ignored
+  const { filter, errors } = useMemo(() => parseFilterQuery(query), [query]);
+
+  // Amount bounds in the query
+  const minAmount = getAmountBound(filter.amount, ['>', '>=']);
+  const maxAmount = getAmountBound(filter.amount, ['<', '<=']);
+
+  // Amount inputs as typed, so half-typed numbers are not wiped out
+  const [amountDraft, setAmountDraft] = useState({ min: minAmount, max: maxAmount });
+
+  // Follow bounds changed in the search box
+  useEffect(() => {
+    setAmountDraft(prev => ({
+      min: isSameAmount(prev.min, minAmount) ? prev.min : minAmount,
+      max: isSameAmount(prev.max, maxAmount) ? prev.max : maxAmount
+    }));
+  }, [minAmount, maxAmount]);
+
+  // Tags offered in the tag filter
+  const tags = useMemo(() => getTagUsage(transactions).map(({ tag }) => tag), [transactions]);
+
+  // Change one part of the filter and write it back into the query
+  const setFilterField = (field, value) => {
+    onQueryChange(formatFilterQuery({ ...filter, [field]: value }));
+  };
+
+  // Replace the lower ('min') or upper ('max') amount bound
+  const setAmountBound = (bound, value) => {
+    setAmountDraft(prev => ({ ...prev, [bound]: value }));
+    const operators = bound === 'min' ? ['>', '>='] : ['<', '<='];
+    const amount = filter.amount.filter(condition => !operators.includes(condition.op));
+    if (value !== '' && !isNaN(parseFloat(value))) {
+      amount.push({ op: bound === 'min' ? '>=' : '<=', value: toMinorUnits(value) });
+    }
+    setFilterField('amount', amount);
+  };
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+          <Input
+            type="search"
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+            placeholder="Search, e.g. coffee category:Food amount:<-50 after:2025-01-01"
+            className="pl-9"
+            aria-label="Search transactions"
+          />
+        </div>
+        <Button
+          type="button"
+          variant={showFilters ? 'default' : 'outline'}
+          onClick={() => setShowFilters(prev => !prev)}
+          aria-expanded={showFilters}
+        >
+          <SlidersHorizontal className="mr-1 h-4 w-4" />
+          Filters
+        </Button>
+        {isFilterActive(filter) && (
+          <Button type="button" variant="ghost" onClick={() => onQueryChange('')}>
+            <X className="mr-1 h-4 w-4" />
+            Clear
+          </Button>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-destructive space-y-0.5">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {showFilters && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 rounded-md border p-3 bg-muted/20">
+          <div className="space-y-1">
+            <Label htmlFor="filter-after" className="text-xs">From</Label>
+            <Input
+              id="filter-after"
+              type="date"
+              value={filter.after}
+              onChange={(e) => setFilterField('after', e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="filter-before" className="text-xs">To</Label>
+            <Input
+              id="filter-before"
+              type="date"
+              value={filter.before}
+              onChange={(e) => setFilterField('before', e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="filter-min-amount" className="text-xs">Min amount</Label>
+            <Input
+              id="filter-min-amount"
+              type="number"
+              step="0.01"
+              placeholder="e.g. -100"
+              value={amountDraft.min}
+              onChange={(e) => setAmountBound('min', e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="filter-max-amount" className="text-xs">Max amount</Label>
+            <Input
+              id="filter-max-amount"
+              type="number"
+              step="0.01"
+              placeholder="e.g. -10"
+              value={amountDraft.max}
+              onChange={(e) => setAmountBound('max', e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="filter-category" className="text-xs">Category</Label>
+            <select
+              id="filter-category"
+              value={filter.category}
+              onChange={(e) => setFilterField('category', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+            >
+              <option value="">All categories</option>
+              {getCategoryOptions(filter.category).map(category => (
+                <option key={category} value={category}>{getCategoryLabel(category)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="filter-type" className="text-xs">Type</Label>
+            <select
+              id="filter-type"
+              value={filter.type}
+              onChange={(e) => setFilterField('type', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+            >
+              <option value="">All types</option>
+              {FILTER_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="filter-tag" className="text-xs">Tag</Label>
+            <select
+              id="filter-tag"
+              value={filter.tag}
+              onChange={(e) => setFilterField('tag', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+            >
+              <option value="">All tags</option>
+              {[...tags, ...(filter.tag && !tags.includes(filter.tag) ? [filter.tag] : [])].map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+          </div>
+          <p className="col-span-2 md:col-span-1 self-end text-xs text-muted-foreground">
+            Amounts are signed: expenses are negative. Dates include the day itself.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,36 +1,155 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { Label } from '../ui/label';
 import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '../ui/card';
 import { Alert, AlertDescription } from '../ui/alert';
-import { formatDateForInput, validateTransaction, TRANSACTION_CATEGORIES } from '../../lib/utils';
-import { CheckCircle2, AlertCircle } from 'lucide-react';
+import { useAccounts } from '../../lib/accountContext';
+import { useCategories } from '../../lib/categoryContext';
+import { useTransactions } from '../../lib/transactionContext';
+import { useSettings } from '../../lib/settingsContext';
+import { getCategoryType, getTypeForAmount } from '../../lib/categories';
+import { toMinorUnits, toDecimalString, sumMinorUnits } from '../../lib/money';
+import {
+  trainCategoryModel,
+  suggestCategory,
+  addCategoryFeedback,
+  MIN_SUGGESTION_CONFIDENCE
+} from '../../lib/suggestions';
+import CategoryIcon from '../categories/CategoryIcon';
+import TagInput from './TagInput';
+import {
+  formatDateForInput,
+  validateTransaction,
+  validateTransfer,
+  isTransfer,
+  isSplit,
+  getPrimaryCategory,
+  getTransferFromTransaction,
+  formatCurrency,
+  getTagUsage,
+  DEFAULT_ACCOUNT_ID
+} from '../../lib/utils';
+import { CheckCircle2, AlertCircle, Plus, X, Split, Sparkles } from 'lucide-react';
 import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '../ui/select';
 
-export default function TransactionForm({ onSubmit, initialData = null, onCancel }) {
-  // Initialize form state
-  const [formData, setFormData] = useState({
+/**
+ * Empty form values
+ * @param {string} accountId - Account preselected for new transactions
+ * @returns {Object}
+ */
+function getEmptyForm(accountId) {
+  return {
     amount: '',
     date: formatDateForInput(new Date()),
     description: '',
-    category: ''
-  });
+    category: '',
+    tags: [],
+    accountId,
+    fromAccountId: accountId,
+    toAccountId: ''
+  };
+}
+
+/**
+ * Empty split line as edited in the form (amount without sign)
+ * @param {string} [category]
+ * @param {string} [amount]
+ * @returns {{category: string, amount: string, note: string}}
+ */
+function getEmptySplitLine(category = '', amount = '') {
+  return { category, amount, note: '' };
+}
+
+/**
+ * Form for adding and editing transactions and transfers between accounts
+ * Submits either a transaction or, in transfer mode, an object with
+ * `type: 'transfer'` and the fields accepted by validateTransfer. Amounts
+ * are typed in dollars and submitted in cents (see lib/money.js).
+ * A category is suggested from the description, learned from past
+ * transactions (see lib/suggestions.js).
+ */
+export default function TransactionForm({ onSubmit, initialData = null, onCancel }) {
+  const { accounts } = useAccounts();
+  const { getCategory, getCategoryOptions, getCategoryLabel } = useCategories();
+  const { transactions } = useTransactions();
+  const { settings, updateSettings } = useSettings();
+
+  // Initialize form state
+  const [formData, setFormData] = useState(() => getEmptyForm(DEFAULT_ACCOUNT_ID));
+
+  // "transaction" or "transfer"
+  const [mode, setMode] = useState('transaction');
+
+  // Split lines being edited; empty when the transaction has a single category
+  const [splitLines, setSplitLines] = useState([]);
   
   // State for errors and submission feedback
   const [errors, setErrors] = useState({});
   const [feedback, setFeedback] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   
+  // Income categories are offered for positive amounts, expense categories otherwise
+  const categoryType = getTypeForAmount(formData.amount);
+  
+  // Selected category, flagged when its type does not match the amount's sign
+  const selectedCategory = formData.category ? getCategory(formData.category) : undefined;
+  const mismatchedCategory = selectedCategory && getCategoryType(selectedCategory) !== categoryType
+    ? selectedCategory
+    : null;
+
+  // Classifier trained on the other transactions and on earlier suggestion feedback
+  const categoryModel = useMemo(
+    () => trainCategoryModel(
+      transactions.filter(transaction => transaction.id !== initialData?.id),
+      settings.categoryFeedback
+    ),
+    [transactions, initialData, settings.categoryFeedback]
+  );
+
+  // Tags already in use, offered while typing
+  const tagSuggestions = useMemo(() => getTagUsage(transactions).map(({ tag }) => tag), [transactions]);
+
+  // Likely category for the description, among categories matching the amount's sign
+  const suggestion = useMemo(() => {
+    if (mode !== 'transaction' || splitLines.length > 0) return null;
+    const result = suggestCategory(categoryModel, formData.description, getCategoryOptions('', categoryType));
+    return result && result.confidence >= MIN_SUGGESTION_CONFIDENCE ? result : null;
+  }, [mode, splitLines.length, categoryModel, formData.description, getCategoryOptions, categoryType]);
+  
   // If editing an existing transaction, populate the form
   useEffect(() => {
     if (initialData) {
-      setFormData({
-        amount: initialData.amount.toString(),
-        date: formatDateForInput(new Date(initialData.date)),
-        description: initialData.description,
-        category: initialData.category || ''
-      });
+      const accountId = initialData.accountId || DEFAULT_ACCOUNT_ID;
+      if (isTransfer(initialData)) {
+        const transfer = getTransferFromTransaction(initialData);
+        setMode('transfer');
+        setFormData({
+          ...getEmptyForm(accountId),
+          amount: toDecimalString(transfer.amount),
+          date: formatDateForInput(new Date(transfer.date)),
+          description: transfer.description,
+          fromAccountId: transfer.fromAccountId,
+          toAccountId: transfer.toAccountId
+        });
+      } else {
+        setMode('transaction');
+        setFormData({
+          ...getEmptyForm(accountId),
+          amount: toDecimalString(initialData.amount),
+          date: formatDateForInput(new Date(initialData.date)),
+          description: initialData.description,
+          category: initialData.category || '',
+          tags: initialData.tags || []
+        });
+      }
+      setSplitLines(isSplit(initialData)
+        ? initialData.splits.map(split => ({
+          ...split, // Keeps fields the form does not edit, such as an imported journal account
+          amount: toDecimalString(Math.abs(split.amount)),
+          note: split.note || ''
+        }))
+        : []);
       // Clear any previous feedback/errors when editing
       setFeedback(null);
       setErrors({});
@@ -59,13 +178,103 @@ export default function TransactionForm({ onSubmit, initialData = null, onCancel
     }
   };
   
+  // Change one field of a split line
+  const handleSplitChange = (index, field, value) => {
+    setSplitLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+    if (errors.splits) {
+      setErrors(prev => ({ ...prev, splits: null }));
+    }
+    if (feedback) {
+      setFeedback(null);
+    }
+  };
+
+  // Use the suggested category
+  const acceptSuggestion = () => {
+    setFormData(prev => ({ ...prev, category: suggestion.category }));
+    if (errors.category) {
+      setErrors(prev => ({ ...prev, category: null }));
+    }
+  };
+
+  // Remember whether the suggestion was taken, so the next ones improve
+  const recordSuggestionFeedback = (transaction) => {
+    // Edits that keep the category say nothing about the suggestion
+    if (!suggestion || isSplit(transaction) || transaction.category === initialData?.category) return;
+    const feedback = addCategoryFeedback(settings.categoryFeedback, {
+      description: transaction.description,
+      category: transaction.category,
+      accepted: transaction.category === suggestion.category
+    });
+    updateSettings({ categoryFeedback: feedback }).catch(err => {
+      console.error('Error saving category suggestion feedback:', err);
+    });
+  };
+
+  // Start splitting: the current category keeps the whole amount until lines are added
+  const startSplit = () => {
+    const amount = formData.amount ? Math.abs(parseFloat(formData.amount)).toString() : '';
+    setSplitLines([getEmptySplitLine(formData.category, amount), getEmptySplitLine()]);
+  };
+
+  // Stop splitting and keep the largest line's category
+  const cancelSplit = () => {
+    const lines = splitLines.map(line => ({ category: line.category, amount: parseFloat(line.amount) }));
+    setFormData(prev => ({ ...prev, category: getPrimaryCategory(lines) || prev.category }));
+    setSplitLines([]);
+    setErrors(prev => ({ ...prev, splits: null }));
+  };
+
+  // Amount in cents still to be assigned to split lines (negative when over-assigned)
+  const splitRemaining = (Math.abs(toMinorUnits(formData.amount)) || 0)
+    - sumMinorUnits(splitLines.map(line => Math.abs(toMinorUnits(line.amount)) || 0));
+
+  // Transfer to save, with the amount in cents
+  const buildTransfer = () => ({
+    fromAccountId: formData.fromAccountId,
+    toAccountId: formData.toAccountId,
+    amount: toMinorUnits(formData.amount),
+    date: formData.date,
+    description: formData.description
+  });
+
+  // Transaction to save, with amounts in cents; split lines take the sign of the amount
+  const buildTransaction = () => {
+    const amount = toMinorUnits(formData.amount);
+    const transaction = {
+      amount,
+      date: formData.date,
+      description: formData.description,
+      category: formData.category,
+      tags: formData.tags,
+      accountId: formData.accountId
+    };
+
+    if (splitLines.length > 0) {
+      const sign = amount < 0 ? -1 : 1;
+      transaction.splits = splitLines.map(({ amount: lineAmount, note, ...line }) => ({
+        ...line,
+        amount: sign * Math.abs(toMinorUnits(lineAmount)),
+        ...(note.trim() ? { note: note.trim() } : {})
+      }));
+      transaction.category = getPrimaryCategory(transaction.splits);
+    } else if (initialData && isSplit(initialData)) {
+      // An empty list turns a split transaction back into a normal one
+      transaction.splits = [];
+    }
+
+    return transaction;
+  };
+  
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
     
     // Validate the form data using our utility function
-    const validation = validateTransaction(formData);
+    const transfer = mode === 'transfer' ? buildTransfer() : null;
+    const transaction = mode === 'transfer' ? null : buildTransaction();
+    const validation = mode === 'transfer' ? validateTransfer(transfer) : validateTransaction(transaction);
     
     if (!validation.isValid) {
       setErrors(validation.errors);
@@ -74,10 +283,12 @@ export default function TransactionForm({ onSubmit, initialData = null, onCancel
     }
     
     try {
-      await onSubmit({
-        ...formData,
-        amount: parseFloat(formData.amount) // Convert to number
-      });
+      if (mode === 'transfer') {
+        await onSubmit({ type: 'transfer', ...transfer });
+      } else {
+        await onSubmit(transaction);
+        recordSuggestionFeedback(transaction);
+      }
       
       // Show success feedback
       setFeedback({
@@ -85,14 +296,10 @@ export default function TransactionForm({ onSubmit, initialData = null, onCancel
         message: initialData ? 'Transaction updated successfully' : 'Transaction added successfully'
       });
       
-      // Reset form if not editing
+      // Reset form if not editing, keeping the chosen account
       if (!initialData) {
-        setFormData({
-          amount: '',
-          date: formatDateForInput(new Date()),
-          description: '',
-          category: ''
-        });
+        setFormData(getEmptyForm(formData.accountId));
+        setSplitLines([]);
       }
     } catch (error) {
       setFeedback({
@@ -134,6 +341,89 @@ export default function TransactionForm({ onSubmit, initialData = null, onCancel
         )}
         
         <form id="transaction-form" onSubmit={handleSubmit} className="space-y-4">
+          {/* A saved transaction cannot be turned into a transfer or back */}
+          {!initialData && (
+            <div className="flex gap-2" role="group" aria-label="Entry type">
+              {[['transaction', 'Transaction'], ['transfer', 'Transfer']].map(([value, label]) => (
+                <Button
+                  key={value}
+                  type="button"
+                  size="sm"
+                  variant={mode === value ? 'default' : 'outline'}
+                  onClick={() => { setMode(value); setErrors({}); }}
+                  aria-pressed={mode === value}
+                  disabled={isSubmitting}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+          )}
+
+          {mode === 'transfer' ? (
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-2">
+                <Label htmlFor="fromAccountId" className="text-sm font-medium">
+                  From account
+                </Label>
+                <select
+                  id="fromAccountId"
+                  name="fromAccountId"
+                  value={formData.fromAccountId}
+                  onChange={handleChange}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                  disabled={isSubmitting}
+                >
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+                {errors.fromAccountId && (
+                  <p className="text-xs font-medium text-destructive mt-1">{errors.fromAccountId}</p>
+                )}
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="toAccountId" className="text-sm font-medium">
+                  To account
+                </Label>
+                <select
+                  id="toAccountId"
+                  name="toAccountId"
+                  value={formData.toAccountId}
+                  onChange={handleChange}
+                  className="w-full p-2 border border-gray-300 rounded text-sm"
+                  disabled={isSubmitting}
+                >
+                  <option value="">Select an account</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+                {errors.toAccountId && (
+                  <p className="text-xs font-medium text-destructive mt-1">{errors.toAccountId}</p>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <Label htmlFor="accountId" className="text-sm font-medium">
+                Account
+              </Label>
+              <select
+                id="accountId"
+                name="accountId"
+                value={formData.accountId}
+                onChange={handleChange}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+                disabled={isSubmitting}
+              >
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div className="space-y-2">
             <Label htmlFor="amount" className="text-sm font-medium">
               Amount
@@ -143,7 +433,7 @@ export default function TransactionForm({ onSubmit, initialData = null, onCancel
               name="amount"
               type="number"
               step="0.01"
-              placeholder="Enter amount (use negative for expenses)"
+              placeholder={mode === 'transfer' ? 'Enter amount to move' : 'Enter amount (use negative for expenses)'}
               value={formData.amount}
               onChange={handleChange}
               className={errors.amount ? 'border-destructive focus-visible:ring-destructive' : ''}
@@ -182,7 +472,7 @@ export default function TransactionForm({ onSubmit, initialData = null, onCancel
               id="description"
               name="description"
               type="text"
-              placeholder="Enter description (min 3 characters)"
+              placeholder={mode === 'transfer' ? 'Optional note' : 'Enter description (min 3 characters)'}
               value={formData.description}
               onChange={handleChange}
               className={errors.description ? 'border-destructive focus-visible:ring-destructive' : ''}
@@ -192,51 +482,197 @@ export default function TransactionForm({ onSubmit, initialData = null, onCancel
             {errors.description && (
               <p className="text-xs font-medium text-destructive mt-1">{errors.description}</p>
             )}
+            {suggestion && suggestion.category !== formData.category && (
+              <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                <Sparkles className="h-3 w-3" />
+                <span className="inline-flex items-center">
+                  Suggested:
+                  <CategoryIcon category={getCategory(suggestion.category)} size="sm" className="mx-1" />
+                  {getCategoryLabel(suggestion.category)}
+                  {' '}({Math.round(suggestion.confidence * 100)}% sure)
+                </span>
+                <Button
+                  type="button"
+                  variant="link"
+                  size="sm"
+                  className="h-auto p-0 text-xs"
+                  onClick={acceptSuggestion}
+                  disabled={isSubmitting}
+                >
+                  Use
+                </Button>
+              </div>
+            )}
           </div>
           
-          <div className="space-y-2">
-            <Label htmlFor="category" className="text-sm font-medium">
-              Category
-            </Label>
-            <Select 
-              value={formData.category} 
-              onValueChange={(value) => {
-                setFormData(prev => ({
-                  ...prev,
-                  category: value
-                }));
-                // Clear error when value is selected
-                if (errors.category) {
-                  setErrors(prev => ({
+          {mode === 'transaction' && splitLines.length === 0 && (
+            <div className="space-y-2">
+              <Label htmlFor="category" className="text-sm font-medium">
+                {categoryType === 'income' ? 'Income Category' : 'Expense Category'}
+              </Label>
+              <Select 
+                value={formData.category} 
+                onValueChange={(value) => {
+                  setFormData(prev => ({
                     ...prev,
-                    category: null
+                    category: value
                   }));
-                }
-                // Clear feedback message
-                if (feedback) {
-                  setFeedback(null);
-                }
-              }}
-              disabled={isSubmitting}
-            >
-              <SelectTrigger 
-                id="category"
-                className={errors.category ? 'border-destructive focus-visible:ring-destructive' : ''}
+                  // Clear error when value is selected
+                  if (errors.category) {
+                    setErrors(prev => ({
+                      ...prev,
+                      category: null
+                    }));
+                  }
+                  // Clear feedback message
+                  if (feedback) {
+                    setFeedback(null);
+                  }
+                }}
+                disabled={isSubmitting}
               >
-                <SelectValue placeholder="Select a category" />
-              </SelectTrigger>
-              <SelectContent>
-                {TRANSACTION_CATEGORIES.map((category) => (
-                  <SelectItem key={category} value={category}>
-                    {category}
-                  </SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
-            {errors.category && (
-              <p className="text-xs font-medium text-destructive mt-1">{errors.category}</p>
-            )}
-          </div>
+                <SelectTrigger 
+                  id="category"
+                  className={errors.category ? 'border-destructive focus-visible:ring-destructive' : ''}
+                >
+                  <SelectValue placeholder="Select a category" />
+                </SelectTrigger>
+                <SelectContent>
+                  {getCategoryOptions(formData.category, categoryType).map((category) => (
+                    <SelectItem key={category} value={category}>
+                      {getCategoryLabel(category)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {errors.category && (
+                <p className="text-xs font-medium text-destructive mt-1">{errors.category}</p>
+              )}
+              {mismatchedCategory && (
+                <p className="text-xs text-muted-foreground">
+                  {mismatchedCategory.name} is {categoryType === 'income' ? 'an expense' : 'an income'} category;
+                  check the sign of the amount.
+                </p>
+              )}
+              <Button
+                type="button"
+                variant="link"
+                size="sm"
+                className="h-auto p-0"
+                onClick={startSplit}
+                disabled={isSubmitting}
+              >
+                <Split className="mr-1 h-3 w-3" />
+                Split across categories
+              </Button>
+            </div>
+          )}
+
+          {mode === 'transaction' && splitLines.length > 0 && (
+            <fieldset className="space-y-2">
+              <legend className="text-sm font-medium">Split across categories</legend>
+              {splitLines.map((line, index) => (
+                <div key={index} className="grid grid-cols-[1fr_6rem_auto] gap-2 items-start">
+                  <select
+                    value={line.category}
+                    onChange={(e) => handleSplitChange(index, 'category', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded text-sm"
+                    aria-label={`Category of split line ${index + 1}`}
+                    disabled={isSubmitting}
+                  >
+                    <option value="">Category</option>
+                    {getCategoryOptions(line.category, categoryType).map(category => (
+                      <option key={category} value={category}>{getCategoryLabel(category)}</option>
+                    ))}
+                  </select>
+                  <Input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    placeholder="0.00"
+                    value={line.amount}
+                    onChange={(e) => handleSplitChange(index, 'amount', e.target.value)}
+                    aria-label={`Amount of split line ${index + 1}`}
+                    disabled={isSubmitting}
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    className="h-9 w-9"
+                    onClick={() => setSplitLines(prev => prev.filter((_, i) => i !== index))}
+                    title="Remove split line"
+                    disabled={isSubmitting || splitLines.length <= 2}
+                  >
+                    <X className="h-4 w-4" />
+                    <span className="sr-only">Remove</span>
+                  </Button>
+                  <Input
+                    type="text"
+                    placeholder="Note (optional)"
+                    value={line.note}
+                    onChange={(e) => handleSplitChange(index, 'note', e.target.value)}
+                    className="col-span-2"
+                    aria-label={`Note for split line ${index + 1}`}
+                    disabled={isSubmitting}
+                  />
+                </div>
+              ))}
+              <p className={`text-xs ${splitRemaining === 0 ? 'text-muted-foreground' : 'text-destructive'}`}>
+                {splitRemaining === 0
+                  ? 'All of the amount is assigned'
+                  : splitRemaining > 0
+                    ? `${formatCurrency(splitRemaining)} left to assign`
+                    : `${formatCurrency(-splitRemaining)} more than the amount`}
+              </p>
+              {errors.splits && (
+                <p className="text-xs font-medium text-destructive">{errors.splits}</p>
+              )}
+              <div className="flex gap-2">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setSplitLines(prev => [
+                    ...prev,
+                    getEmptySplitLine('', splitRemaining > 0 ? toDecimalString(splitRemaining) : '')
+                  ])}
+                  disabled={isSubmitting}
+                >
+                  <Plus className="mr-1 h-3 w-3" />
+                  Add line
+                </Button>
+                <Button type="button" variant="ghost" size="sm" onClick={cancelSplit} disabled={isSubmitting}>
+                  Don't split
+                </Button>
+              </div>
+            </fieldset>
+          )}
+
+          {mode === 'transaction' && (
+            <div className="space-y-2">
+              <Label htmlFor="tags" className="text-sm font-medium">
+                Tags
+              </Label>
+              <TagInput
+                id="tags"
+                value={formData.tags}
+                onChange={(tags) => {
+                  setFormData(prev => ({ ...prev, tags }));
+                  if (errors.tags) {
+                    setErrors(prev => ({ ...prev, tags: null }));
+                  }
+                }}
+                suggestions={tagSuggestions}
+                placeholder="Optional, e.g. lisbon-trip"
+                disabled={isSubmitting}
+                invalid={Boolean(errors.tags)}
+              />
+              {errors.tags && (
+                <p className="text-xs font-medium text-destructive mt-1">{errors.tags}</p>
+              )}
+            </div>
+          )}
         </form>
       </CardContent>
       
@@ -268,7 +704,7 @@ export default function TransactionForm({ onSubmit, initialData = null, onCancel
             disabled={isSubmitting}
             className="w-full sm:w-auto"
           >
-            {isSubmitting ? 'Adding...' : 'Add Transaction'}
+            {isSubmitting ? 'Adding...' : mode === 'transfer' ? 'Add Transfer' : 'Add Transaction'}
           </Button>
         )}
       </CardFooter>
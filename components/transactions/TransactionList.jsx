@@ -1,18 +1,104 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useRouter } from 'next/router';
 import { useTransactions } from '../../lib/transactionContext';
+import { useAccounts } from '../../lib/accountContext';
+import { useCategories } from '../../lib/categoryContext';
 import { Button } from '../ui/button';
 import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
 import { 
   Table, TableHeader, TableBody, TableHead, 
   TableRow, TableCell, TableCaption 
 } from '../ui/table';
-import { formatCurrency, formatDateForDisplay } from '../../lib/utils';
-import { Edit, Trash2, ArrowUpDown, Info, Tag } from 'lucide-react';
+import { formatCurrency, formatDateForDisplay, isTransfer, isSplit } from '../../lib/utils';
+import { sumMinorUnits } from '../../lib/money';
+import { parseFilterQuery, formatFilterQuery, filterTransactions, isFilterActive } from '../../lib/filters';
+import { TRANSACTION_EXPORT_COLUMNS, buildTransactionTable } from '../../lib/exporting';
+import ExportPanel from '../import/ExportPanel';
+import CategoryIcon from '../categories/CategoryIcon';
+import TagChip from './TagChip';
+import TransactionFilterBar from './TransactionFilterBar';
+import BulkActionBar from './BulkActionBar';
+import TransactionDetails from './TransactionDetails';
+import { Alert, AlertDescription } from '../ui/alert';
+import { Edit, Trash2, ArrowUpDown, Info, Download, ArrowLeftRight, Split, ChevronLeft, ChevronRight, CheckCircle2, AlertCircle, History } from 'lucide-react';
 
+// Delay before a changed search is written to the URL
+const URL_UPDATE_DELAY = 300;
+
+// Rows per page the user can choose from
+const PAGE_SIZES = [25, 50, 100, 250];
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Transaction history with search, filters, sorting and pages of rows
+ * The search query (see lib/filters.js) is kept in the URL as `?q=`, so a
+ * filtered list can be bookmarked and shared. Rows can be selected (shift-click
+ * selects a range) to edit or delete them together.
+ */
 export default function TransactionList({ onEditTransaction }) {
   const { transactions, deleteTransaction } = useTransactions();
+  const { accounts, getAccount } = useAccounts();
+  const { categories, getCategory } = useCategories();
+  const router = useRouter();
   const [sortConfig, setSortConfig] = useState({ key: 'date', direction: 'desc' });
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+
+  // Transaction whose details and change log are shown
+  const [detailId, setDetailId] = useState(null);
+
+  // Page shown (from 0) and rows per page
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGE_SIZE);
+
+  // Ids of the selected rows
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  // Row last clicked without shift, where a shift-click range starts
+  const selectionAnchorRef = useRef(null);
+
+  // Outcome of the last bulk action or failed delete
+  const [actionMessage, setActionMessage] = useState(null);
+
+  // Search query narrowing the list
+  const [query, setQuery] = useState('');
+
+  // Query last read from or written to the URL
+  const urlQueryRef = useRef(null);
+
+  // Take the query from the URL on load and on back/forward navigation
+  useEffect(() => {
+    if (!router.isReady) return;
+    const urlQuery = typeof router.query.q === 'string' ? router.query.q : '';
+    if (urlQuery !== urlQueryRef.current) {
+      urlQueryRef.current = urlQuery;
+      setQuery(urlQuery);
+    }
+  }, [router.isReady, router.query.q]);
+
+  // Write the query to the URL once typing pauses
+  useEffect(() => {
+    if (!router.isReady || query === urlQueryRef.current) return;
+    const timer = setTimeout(() => {
+      urlQueryRef.current = query;
+      const { q, ...otherParams } = router.query;
+      router.replace(
+        { pathname: router.pathname, query: query ? { ...otherParams, q: query } : otherParams },
+        undefined,
+        { shallow: true, scroll: false }
+      );
+    }, URL_UPDATE_DELAY);
+    return () => clearTimeout(timer);
+  }, [query, router]);
+
+  // Parsed search query
+  const filter = useMemo(() => parseFilterQuery(query).filter, [query]);
+
+  // Transactions matching the search
+  const filteredTransactions = useMemo(
+    () => filterTransactions(transactions, filter, categories),
+    [transactions, filter, categories]
+  );
 
   // Handle sorting
   const requestSort = (key) => {
@@ -23,29 +109,102 @@ export default function TransactionList({ onEditTransaction }) {
     setSortConfig({ key, direction });
   };
 
-  // Get sorted transactions
-  const getSortedTransactions = () => {
-    const sortableTransactions = [...transactions];
-    if (sortConfig.key && sortableTransactions.length) {
-      sortableTransactions.sort((a, b) => {
-        // Special case for date sorting
-        if (sortConfig.key === 'date') {
-          return sortConfig.direction === 'asc' 
-            ? new Date(a.date) - new Date(b.date)
-            : new Date(b.date) - new Date(a.date);
-        }
-        
-        // For other fields
-        if (a[sortConfig.key] < b[sortConfig.key]) {
-          return sortConfig.direction === 'asc' ? -1 : 1;
-        }
-        if (a[sortConfig.key] > b[sortConfig.key]) {
-          return sortConfig.direction === 'asc' ? 1 : -1;
-        }
-        return 0;
-      });
+  // Rows in the order the table shows them; exports use the same list.
+  // Sort values are worked out once per row, not in every comparison.
+  const visibleTransactions = useMemo(() => {
+    const { key, direction } = sortConfig;
+    const order = direction === 'asc' ? 1 : -1;
+    return filteredTransactions
+      .map(transaction => ({
+        transaction,
+        value: key === 'date' ? new Date(transaction.date).getTime() : transaction[key]
+      }))
+      .sort((a, b) => (a.value < b.value ? -order : a.value > b.value ? order : 0))
+      .map(({ transaction }) => transaction);
+  }, [filteredTransactions, sortConfig]);
+
+  // Net amount of the matching rows, leaving out transfers
+  const visibleTotal = useMemo(() => sumMinorUnits(visibleTransactions
+    .filter(transaction => !isTransfer(transaction))
+    .map(transaction => transaction.amount)), [visibleTransactions]);
+
+  // Back to the first page when the rows change order or selection
+  useEffect(() => {
+    setPage(0);
+  }, [filter, sortConfig, pageSize]);
+
+  // Start a new selection when the search changes
+  useEffect(() => {
+    setSelectedIds(new Set());
+    selectionAnchorRef.current = null;
+  }, [filter]);
+
+  // Selected rows that still match the search, in list order
+  const selectedVisibleIds = useMemo(
+    () => visibleTransactions.filter(transaction => selectedIds.has(transaction.id)).map(transaction => transaction.id),
+    [visibleTransactions, selectedIds]
+  );
+
+  // Pages of rows; the page is kept in range when rows are deleted
+  const pageCount = Math.max(1, Math.ceil(visibleTransactions.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageStart = currentPage * pageSize;
+
+  // Rows rendered on the current page
+  const pageTransactions = useMemo(
+    () => visibleTransactions.slice(pageStart, pageStart + pageSize),
+    [visibleTransactions, pageStart, pageSize]
+  );
+
+  // Whole page selected, for the header checkbox
+  const isPageSelected = pageTransactions.length > 0 &&
+    pageTransactions.every(transaction => selectedIds.has(transaction.id));
+
+  // Select or deselect a row; with shift held, every row from the last clicked one
+  const toggleRow = (transaction, shiftKey) => {
+    const index = visibleTransactions.findIndex(t => t.id === transaction.id);
+    const anchor = selectionAnchorRef.current;
+    const select = !selectedIds.has(transaction.id);
+    const anchorIndex = anchor ? visibleTransactions.findIndex(t => t.id === anchor) : -1;
+    const range = shiftKey && anchorIndex !== -1
+      ? visibleTransactions.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+      : [transaction];
+
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      range.forEach(t => (select ? next.add(t.id) : next.delete(t.id)));
+      return next;
+    });
+    if (!shiftKey) {
+      selectionAnchorRef.current = transaction.id;
     }
-    return sortableTransactions;
+  };
+
+  // Select or deselect every row on the page
+  const togglePage = () => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      pageTransactions.forEach(t => (isPageSelected ? next.delete(t.id) : next.add(t.id)));
+      return next;
+    });
+  };
+
+  // Select every row matching the search, on all pages
+  const selectAllMatching = () => {
+    setSelectedIds(new Set(visibleTransactions.map(transaction => transaction.id)));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    selectionAnchorRef.current = null;
+  };
+
+  // Check whether the list is narrowed to a tag
+  const isTagFiltered = (tag) => filter.tag.toLowerCase() === tag.toLowerCase();
+
+  // Show only transactions with a tag, or all again when it is clicked twice
+  const toggleTagFilter = (tag) => {
+    setQuery(formatFilterQuery({ ...filter, tag: isTagFiltered(tag) ? '' : tag }));
   };
 
   // Handle delete confirmation
@@ -54,9 +213,14 @@ export default function TransactionList({ onEditTransaction }) {
   };
 
   // Confirm transaction deletion
-  const confirmDelete = (id) => {
-    deleteTransaction(id);
-    setDeleteConfirm(null);
+  const confirmDelete = async (id) => {
+    try {
+      await deleteTransaction(id);
+      setDeleteConfirm(null);
+    } catch (err) {
+      console.error('Error deleting transaction:', err);
+      setActionMessage({ type: 'error', message: `Failed to delete transaction: ${err.message}` });
+    }
   };
 
   // Cancel transaction deletion
@@ -70,118 +234,302 @@ export default function TransactionList({ onEditTransaction }) {
         <CardTitle className="text-xl font-semibold text-primary flex items-center justify-between">
           <span>Transaction History</span>
           {transactions.length > 0 && (
-            <span className="text-sm font-normal text-muted-foreground">
-              {transactions.length} transaction{transactions.length !== 1 ? 's' : ''}
-            </span>
+            <div className="flex items-center gap-3">
+              <span className="text-sm font-normal text-muted-foreground">
+                {transactions.length} transaction{transactions.length !== 1 ? 's' : ''}
+              </span>
+              <Button variant="outline" size="sm" onClick={() => setShowExport(prev => !prev)}>
+                <Download className="mr-1 h-4 w-4" />
+                Export
+              </Button>
+            </div>
           )}
         </CardTitle>
       </CardHeader>
       
       <CardContent>
+        {showExport && transactions.length > 0 && (
+          <div className="mb-4">
+            <ExportPanel
+              id="transaction-export"
+              columns={TRANSACTION_EXPORT_COLUMNS}
+              buildTable={(options) => buildTransactionTable(visibleTransactions, { ...options, accounts })}
+              fileName="transactions"
+              sheetName="Transactions"
+              rowCount={visibleTransactions.length}
+              onClose={() => setShowExport(false)}
+            />
+          </div>
+        )}
+
+        {detailId && (
+          <TransactionDetails transactionId={detailId} onClose={() => setDetailId(null)} />
+        )}
+
+        {transactions.length > 0 && (
+          <TransactionFilterBar query={query} onQueryChange={setQuery} />
+        )}
+
+        {isFilterActive(filter) && transactions.length > 0 && (
+          <p className="mb-4 text-sm text-muted-foreground">
+            {visibleTransactions.length} of {transactions.length} transactions match,
+            net {formatCurrency(visibleTotal)}
+          </p>
+        )}
+
+        {actionMessage && (
+          <Alert variant={actionMessage.type === 'success' ? 'success' : 'destructive'} className="mb-4">
+            {actionMessage.type === 'success' ?
+              <CheckCircle2 className="h-4 w-4" /> :
+              <AlertCircle className="h-4 w-4" />
+            }
+            <AlertDescription>{actionMessage.message}</AlertDescription>
+          </Alert>
+        )}
+
+        {selectedVisibleIds.length > 0 && (
+          <BulkActionBar
+            selectedIds={selectedVisibleIds}
+            onClearSelection={clearSelection}
+            onComplete={(message) => setActionMessage({ type: 'success', message })}
+          />
+        )}
+
+        {isPageSelected && visibleTransactions.length > pageTransactions.length && (
+          <p className="mb-4 text-sm text-center text-muted-foreground">
+            {selectedVisibleIds.length === visibleTransactions.length ? (
+              <>All {visibleTransactions.length} matching transactions are selected. </>
+            ) : (
+              <>
+                {selectedVisibleIds.length} transactions are selected.{' '}
+                <Button variant="link" size="sm" className="h-auto p-0" onClick={selectAllMatching}>
+                  Select all {visibleTransactions.length} matching transactions
+                </Button>
+              </>
+            )}
+          </p>
+        )}
+
         {transactions.length === 0 ? (
           <div className="p-6 text-center border rounded-md bg-muted/20">
             <Info className="h-8 w-8 mx-auto mb-2 text-muted-foreground" />
             <p className="text-muted-foreground">No transactions yet. Add your first transaction using the form above.</p>
           </div>
         ) : (
-          <div className="rounded-md border">
-            <Table>
-              <TableCaption>List of all your financial transactions</TableCaption>
-              <TableHeader>
-                <TableRow>
-                  <TableHead onClick={() => requestSort('amount')} className="cursor-pointer w-[15%]">
-                    <div className="flex items-center space-x-1">
-                      <span>Amount</span>
-                      <ArrowUpDown size={16} className="ml-1" />
-                    </div>
-                  </TableHead>
-                  <TableHead onClick={() => requestSort('date')} className="cursor-pointer w-[20%]">
-                    <div className="flex items-center space-x-1">
-                      <span>Date</span>
-                      <ArrowUpDown size={16} className="ml-1" />
-                    </div>
-                  </TableHead>
-                  <TableHead onClick={() => requestSort('category')} className="cursor-pointer w-[15%]">
-                    <div className="flex items-center space-x-1">
-                      <span>Category</span>
-                      <ArrowUpDown size={16} className="ml-1" />
-                    </div>
-                  </TableHead>
-                  <TableHead onClick={() => requestSort('description')} className="cursor-pointer w-[35%]">
-                    <div className="flex items-center space-x-1">
-                      <span>Description</span>
-                      <ArrowUpDown size={16} className="ml-1" />
-                    </div>
-                  </TableHead>
-                  <TableHead className="text-right w-[15%]">Actions</TableHead>
-                </TableRow>
-              </TableHeader>
-              <TableBody>
-                {getSortedTransactions().map((transaction) => (
-                  <TableRow key={transaction.id}>
-                    <TableCell className={transaction.amount < 0 ? 'text-destructive font-medium' : 'text-emerald-600 font-medium'}>
-                      {formatCurrency(transaction.amount)}
-                    </TableCell>
-                    <TableCell>
-                      {formatDateForDisplay(transaction.date)}
-                    </TableCell>
-                    <TableCell>
-                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary/10 text-primary">
-                        <Tag className="mr-1 h-3 w-3" />
-                        {transaction.category || 'Other'}
-                      </span>
-                    </TableCell>
-                    <TableCell>
-                      {transaction.description}
-                    </TableCell>
-                    <TableCell className="text-right space-x-1">
-                      {deleteConfirm === transaction.id ? (
-                        <div className="flex justify-end space-x-1">
-                          <Button 
-                            variant="destructive" 
-                            size="sm" 
-                            onClick={() => confirmDelete(transaction.id)}
-                          >
-                            Delete
-                          </Button>
-                          <Button 
-                            variant="outline" 
-                            size="sm" 
-                            onClick={cancelDelete}
-                          >
-                            Cancel
-                          </Button>
-                        </div>
-                      ) : (
-                        <div className="flex justify-end space-x-1">
-                          <Button 
-                            variant="ghost" 
-                            size="icon" 
-                            onClick={() => onEditTransaction(transaction)}
-                            className="h-8 w-8"
-                            title="Edit transaction"
-                          >
-                            <Edit className="h-4 w-4" />
-                            <span className="sr-only">Edit</span>
-                          </Button>
-                          <Button 
-                            variant="ghost" 
-                            size="icon" 
-                            onClick={() => handleDeleteClick(transaction.id)}
-                            className="h-8 w-8 text-destructive hover:text-destructive/90"
-                            title="Delete transaction"
-                          >
-                            <Trash2 className="h-4 w-4" />
-                            <span className="sr-only">Delete</span>
-                          </Button>
-                        </div>
-                      )}
-                    </TableCell>
+          <>
+            <div className="rounded-md border">
+              <Table>
+                <TableCaption>
+                  {isFilterActive(filter) ? 'Transactions matching the search' : 'List of all your financial transactions'}
+                </TableCaption>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-[40px]">
+                      <input
+                        type="checkbox"
+                        checked={isPageSelected}
+                        onChange={togglePage}
+                        aria-label="Select all transactions on this page"
+                      />
+                    </TableHead>
+                    <TableHead onClick={() => requestSort('amount')} className="cursor-pointer w-[15%]">
+                      <div className="flex items-center space-x-1">
+                        <span>Amount</span>
+                        <ArrowUpDown size={16} className="ml-1" />
+                      </div>
+                    </TableHead>
+                    <TableHead onClick={() => requestSort('date')} className="cursor-pointer w-[20%]">
+                      <div className="flex items-center space-x-1">
+                        <span>Date</span>
+                        <ArrowUpDown size={16} className="ml-1" />
+                      </div>
+                    </TableHead>
+                    <TableHead onClick={() => requestSort('category')} className="cursor-pointer w-[15%]">
+                      <div className="flex items-center space-x-1">
+                        <span>Category</span>
+                        <ArrowUpDown size={16} className="ml-1" />
+                      </div>
+                    </TableHead>
+                    <TableHead onClick={() => requestSort('description')} className="cursor-pointer w-[35%]">
+                      <div className="flex items-center space-x-1">
+                        <span>Description</span>
+                        <ArrowUpDown size={16} className="ml-1" />
+                      </div>
+                    </TableHead>
+                    <TableHead className="text-right w-[15%]">Actions</TableHead>
                   </TableRow>
-                ))}
-              </TableBody>
-            </Table>
-          </div>
+                </TableHeader>
+                <TableBody>
+                  {pageTransactions.map((transaction) => (
+                    <TableRow key={transaction.id} data-state={selectedIds.has(transaction.id) ? 'selected' : undefined}>
+                      <TableCell>
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(transaction.id)}
+                          onChange={(e) => toggleRow(transaction, e.nativeEvent.shiftKey)}
+                          aria-label={`Select ${transaction.description}`}
+                        />
+                      </TableCell>
+                      <TableCell className={transaction.amount < 0 ? 'text-destructive font-medium' : 'text-emerald-600 font-medium'}>
+                        {formatCurrency(transaction.amount)}
+                      </TableCell>
+                      <TableCell>
+                        {formatDateForDisplay(transaction.date)}
+                      </TableCell>
+                      <TableCell>
+                        {isTransfer(transaction) ? (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-muted text-muted-foreground">
+                            <ArrowLeftRight className="mr-1 h-3 w-3" />
+                            Transfer
+                          </span>
+                        ) : isSplit(transaction) ? (
+                          <span
+                            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary/10 text-primary"
+                            title={transaction.splits.map(split => `${split.category}: ${formatCurrency(split.amount)}${split.note ? ` (${split.note})` : ''}`).join('\n')}
+                          >
+                            <Split className="mr-1 h-3 w-3" />
+                            Split ({transaction.splits.length})
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary/10 text-primary">
+                            <CategoryIcon category={getCategory(transaction.category)} size="sm" className="mr-1" />
+                            {transaction.category || 'Other'}
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {transaction.payee || transaction.description}
+                        <span className="block text-xs text-muted-foreground">
+                          {transaction.payee && <>{transaction.description} · </>}
+                          {getAccount(transaction.accountId)?.name || 'Deleted account'}
+                          {isTransfer(transaction) && (
+                            <> {transaction.amount < 0 ? '→' : '←'} {getAccount(transaction.transferAccountId)?.name || 'deleted account'}</>
+                          )}
+                        </span>
+                        {transaction.tags && transaction.tags.length > 0 && (
+                          <span className="mt-1 flex flex-wrap gap-1">
+                            {transaction.tags.map(tag => (
+                              <TagChip
+                                key={tag}
+                                tag={tag}
+                                onClick={() => toggleTagFilter(tag)}
+                                active={isTagFiltered(tag)}
+                              />
+                            ))}
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right space-x-1">
+                        {deleteConfirm === transaction.id ? (
+                          <div className="flex justify-end space-x-1">
+                            <Button 
+                              variant="destructive" 
+                              size="sm" 
+                              onClick={() => confirmDelete(transaction.id)}
+                            >
+                              Delete
+                            </Button>
+                            <Button 
+                              variant="outline" 
+                              size="sm" 
+                              onClick={cancelDelete}
+                            >
+                              Cancel
+                            </Button>
+                          </div>
+                        ) : (
+                          <div className="flex justify-end space-x-1">
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => setDetailId(prev => (prev === transaction.id ? null : transaction.id))}
+                              className="h-8 w-8"
+                              title="Show details and change history"
+                            >
+                              <History className="h-4 w-4" />
+                              <span className="sr-only">History</span>
+                            </Button>
+                            <Button 
+                              variant="ghost" 
+                              size="icon" 
+                              onClick={() => onEditTransaction(transaction)}
+                              className="h-8 w-8"
+                              title="Edit transaction"
+                            >
+                              <Edit className="h-4 w-4" />
+                              <span className="sr-only">Edit</span>
+                            </Button>
+                            <Button 
+                              variant="ghost" 
+                              size="icon" 
+                              onClick={() => handleDeleteClick(transaction.id)}
+                              className="h-8 w-8 text-destructive hover:text-destructive/90"
+                              title="Delete transaction"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                              <span className="sr-only">Delete</span>
+                            </Button>
+                          </div>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {visibleTransactions.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={6} className="text-center text-muted-foreground py-6">
+                        No transactions match the search.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+            {visibleTransactions.length > PAGE_SIZES[0] && (
+              <div className="mt-3 flex flex-wrap items-center justify-between gap-2 text-sm">
+                <span className="text-muted-foreground">
+                  Showing {pageStart + 1}–{pageStart + pageTransactions.length} of {visibleTransactions.length}
+                </span>
+                <div className="flex items-center gap-2">
+                  <label htmlFor="transaction-page-size" className="text-muted-foreground">Rows per page</label>
+                  <select
+                    id="transaction-page-size"
+                    value={pageSize}
+                    onChange={(e) => setPageSize(Number(e.target.value))}
+                    className="p-1 border border-gray-300 rounded text-sm"
+                  >
+                    {PAGE_SIZES.map(size => (
+                      <option key={size} value={size}>{size}</option>
+                    ))}
+                  </select>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    className="h-8 w-8"
+                    onClick={() => setPage(currentPage - 1)}
+                    disabled={currentPage === 0}
+                    title="Previous page"
+                  >
+                    <ChevronLeft className="h-4 w-4" />
+                    <span className="sr-only">Previous page</span>
+                  </Button>
+                  <span className="text-muted-foreground">
+                    Page {currentPage + 1} of {pageCount}
+                  </span>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    className="h-8 w-8"
+                    onClick={() => setPage(currentPage + 1)}
+                    disabled={currentPage >= pageCount - 1}
+                    title="Next page"
+                  >
+                    <ChevronRight className="h-4 w-4" />
+                    <span className="sr-only">Next page</span>
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
         )}
       </CardContent>
     </Card>
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { useBudgets } from '../../lib/budgetContext';
+import { useCategories } from '../../lib/categoryContext';
+import { Button } from '../ui/button';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table, TableHeader, TableBody, TableHead,
+  TableRow, TableCell
+} from '../ui/table';
+import { getPurgeDate, TRASH_RETENTION_DAYS } from '../../lib/trash';
+import { formatCurrency, formatDateForDisplay, formatMonthYear } from '../../lib/utils';
+import { RotateCcw, Trash2, AlertCircle } from 'lucide-react';
+
+/**
+ * Deleted budgets, which can be restored or purged for good
+ * A budget cannot be restored while its category already has another budget
+ * for the same month.
+ */
+export default function DeletedBudgetList() {
+  const { budgets, deletedBudgets, restoreBudgets, purgeBudgets } = useBudgets();
+  const { getCategoryLabel } = useCategories();
+
+  // Id of the budget to purge, or 'all' to empty the trash
+  const [purgeConfirm, setPurgeConfirm] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Check whether another budget now covers the same category and month
+  const isReplaced = (budget) =>
+    budgets.some(b => b.category === budget.category && b.month === budget.month);
+
+  // Put a budget back into the budget list
+  const handleRestore = async (id) => {
+    try {
+      await restoreBudgets([id]);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to restore budget: ${err.message}`);
+    }
+  };
+
+  // Delete one budget, or every one in the trash, for good
+  const confirmPurge = async () => {
+    try {
+      await purgeBudgets(purgeConfirm === 'all' ? deletedBudgets.map(b => b.id) : [purgeConfirm]);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to delete budgets: ${err.message}`);
+    } finally {
+      setPurgeConfirm(null);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-xl font-semibold text-primary">Deleted Budgets</CardTitle>
+        {deletedBudgets.length > 0 && (
+          purgeConfirm === 'all' ? (
+            <div className="flex items-center space-x-1">
+              <span className="text-sm text-destructive mr-1">Delete all {deletedBudgets.length} for good?</span>
+              <Button variant="destructive" size="sm" onClick={confirmPurge}>
+                Empty
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setPurgeConfirm(null)}>
+                Cancel
+              </Button>
+            </div>
+          ) : (
+            <Button variant="outline" size="sm" onClick={() => setPurgeConfirm('all')}>
+              <Trash2 className="mr-1 h-4 w-4" />
+              Empty trash
+            </Button>
+          )
+        )}
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {deletedBudgets.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            No deleted budgets. Deleted budgets are kept here for {TRASH_RETENTION_DAYS} days.
+          </p>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Month</TableHead>
+                  <TableHead>Category</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Deleted</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {deletedBudgets.map(budget => (
+                  <TableRow key={budget.id}>
+                    <TableCell>{formatMonthYear(budget.month)}</TableCell>
+                    <TableCell className="font-medium">{getCategoryLabel(budget.category)}</TableCell>
+                    <TableCell className="text-right font-medium">{formatCurrency(budget.amount)}</TableCell>
+                    <TableCell>
+                      {formatDateForDisplay(budget.deletedAt)}
+                      <span className="block text-xs text-muted-foreground">
+                        Purged on {formatDateForDisplay(getPurgeDate(budget))}
+                      </span>
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {purgeConfirm === budget.id ? (
+                        <div className="flex justify-end space-x-1">
+                          <Button variant="destructive" size="sm" onClick={confirmPurge}>
+                            Delete
+                          </Button>
+                          <Button variant="outline" size="sm" onClick={() => setPurgeConfirm(null)}>
+                            Cancel
+                          </Button>
+                        </div>
+                      ) : (
+                        <div className="flex justify-end space-x-1">
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleRestore(budget.id)}
+                            className="h-8 w-8"
+                            disabled={isReplaced(budget)}
+                            title={isReplaced(budget)
+                              ? 'This category already has a budget for the month'
+                              : 'Restore budget'}
+                          >
+                            <RotateCcw className="h-4 w-4" />
+                            <span className="sr-only">Restore</span>
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => setPurgeConfirm(budget.id)}
+                            className="h-8 w-8 text-destructive hover:text-destructive/90"
+                            title="Delete for good (cannot be undone)"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                            <span className="sr-only">Delete for good</span>
+                          </Button>
+                        </div>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { useTransactions } from '../../lib/transactionContext';
+import { useAccounts } from '../../lib/accountContext';
+import { useCategories } from '../../lib/categoryContext';
+import { Button } from '../ui/button';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Alert, AlertDescription } from '../ui/alert';
+import {
+  Table, TableHeader, TableBody, TableHead,
+  TableRow, TableCell
+} from '../ui/table';
+import { getPurgeDate, TRASH_RETENTION_DAYS } from '../../lib/trash';
+import { formatCurrency, formatDateForDisplay, isTransfer } from '../../lib/utils';
+import { RotateCcw, Trash2, AlertCircle } from 'lucide-react';
+
+/**
+ * Deleted transactions, which can be restored or purged for good
+ * Restoring or purging either side of a transfer does the same to the other side.
+ */
+export default function DeletedTransactionList() {
+  const { deletedTransactions, restoreTransactions, purgeTransactions } = useTransactions();
+  const { getAccount } = useAccounts();
+  const { getCategoryLabel } = useCategories();
+
+  // Id of the transaction to purge, or 'all' to empty the trash
+  const [purgeConfirm, setPurgeConfirm] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Put a transaction back into the transaction list
+  const handleRestore = async (id) => {
+    try {
+      await restoreTransactions([id]);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to restore transaction: ${err.message}`);
+    }
+  };
+
+  // Delete one transaction, or every one in the trash, for good
+  const confirmPurge = async () => {
+    try {
+      await purgeTransactions(purgeConfirm === 'all' ? deletedTransactions.map(t => t.id) : [purgeConfirm]);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to delete transactions: ${err.message}`);
+    } finally {
+      setPurgeConfirm(null);
+    }
+  };
+
+  return (
+    <Card className="w-full shadow-md">
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-xl font-semibold text-primary">Deleted Transactions</CardTitle>
+        {deletedTransactions.length > 0 && (
+          purgeConfirm === 'all' ? (
+            <div className="flex items-center space-x-1">
+              <span className="text-sm text-destructive mr-1">Delete all {deletedTransactions.length} for good?</span>
+              <Button variant="destructive" size="sm" onClick={confirmPurge}>
+                Empty
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setPurgeConfirm(null)}>
+                Cancel
+              </Button>
+            </div>
+          ) : (
+            <Button variant="outline" size="sm" onClick={() => setPurgeConfirm('all')}>
+              <Trash2 className="mr-1 h-4 w-4" />
+              Empty trash
+            </Button>
+          )
+        )}
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {deletedTransactions.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            No deleted transactions. Deleted transactions are kept here for {TRASH_RETENTION_DAYS} days.
+          </p>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Deleted</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {deletedTransactions.map(transaction => (
+                  <TableRow key={transaction.id}>
+                    <TableCell>{formatDateForDisplay(transaction.date)}</TableCell>
+                    <TableCell className="font-medium">
+                      {transaction.payee || transaction.description}
+                      <span className="block text-xs font-normal text-muted-foreground">
+                        {isTransfer(transaction) ? 'Transfer' : getCategoryLabel(transaction.category || 'Other')}
+                        {' · '}
+                        {getAccount(transaction.accountId)?.name || 'Unknown account'}
+                      </span>
+                    </TableCell>
+                    <TableCell className={`text-right font-medium ${transaction.amount < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                      {formatCurrency(transaction.amount)}
+                    </TableCell>
+                    <TableCell>
+                      {formatDateForDisplay(transaction.deletedAt)}
+                      <span className="block text-xs text-muted-foreground">
+                        Purged on {formatDateForDisplay(getPurgeDate(transaction))}
+                      </span>
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {purgeConfirm === transaction.id ? (
+                        <div className="flex justify-end space-x-1">
+                          <Button variant="destructive" size="sm" onClick={confirmPurge}>
+                            Delete
+                          </Button>
+                          <Button variant="outline" size="sm" onClick={() => setPurgeConfirm(null)}>
+                            Cancel
+                          </Button>
+                        </div>
+                      ) : (
+                        <div className="flex justify-end space-x-1">
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleRestore(transaction.id)}
+                            className="h-8 w-8"
+                            title={isTransfer(transaction) ? 'Restore both sides of the transfer' : 'Restore transaction'}
+                          >
+                            <RotateCcw className="h-4 w-4" />
+                            <span className="sr-only">Restore</span>
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => setPurgeConfirm(transaction.id)}
+                            className="h-8 w-8 text-destructive hover:text-destructive/90"
+                            title="Delete for good (cannot be undone)"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                            <span className="sr-only">Delete for good</span>
+                          </Button>
+                        </div>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
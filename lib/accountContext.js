@@ -0,0 +1,229 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { StorageQuotaError } from './storage';
+import { migrateRecords, describeMigrationFailures } from './migrations';
+import { mergeBulkResult } from './records';
+import { DEFAULT_ACCOUNT_ID } from './utils';
+
+/**
+ * Schema Definition for an Account
+ * Persisted through the storage adapter given to the provider
+ *
+ * @typedef {Object} Account
+ * @property {string} id - Unique identifier
+ * @property {string} name - Account name
+ * @property {'checking'|'savings'|'credit_card'|'cash'} type - Account type (see ACCOUNT_TYPES)
+ * @property {number} openingBalance - Balance in cents before the first recorded transaction (see lib/money.js)
+ * @property {number} [schemaVersion] - Schema version the record was saved with (see lib/migrations.js)
+ * @property {string} [createdAt] - Timestamp when the account was created
+ * @property {string} [updatedAt] - Timestamp when the account was last updated
+ */
+
+// Storage collection holding accounts
+const COLLECTION = 'accounts';
+
+/**
+ * Account that always exists. It is only written to storage once it is
+ * edited; until then this default stands in for it.
+ * @type {Account}
+ */
+export const DEFAULT_ACCOUNT = {
+  id: DEFAULT_ACCOUNT_ID,
+  name: 'Checking',
+  type: 'checking',
+  openingBalance: 0
+};
+
+// Create account context
+const AccountContext = createContext(undefined);
+
+/**
+ * Account Provider Component
+ * Manages account state and provides CRUD operations
+ * @param {Object} props
+ * @param {import('./storage').StorageAdapter} props.storage - Storage backend for accounts
+ */
+export function AccountProvider({ children, storage }) {
+  // Stored accounts (the default account is added below if it was never saved)
+  const [storedAccounts, setStoredAccounts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Collection the accounts are persisted in
+  const collection = useMemo(() => storage.collection(COLLECTION), [storage]);
+
+  /**
+   * Load accounts from storage on initial render
+   */
+  useEffect(() => {
+    const loadAccounts = async () => {
+      try {
+        setIsLoading(true);
+
+        // Upgrade records saved by older versions of the app
+        const { records, upgraded, failures } = migrateRecords(COLLECTION, await collection.list());
+        if (upgraded.length > 0) {
+          try {
+            await collection.bulk({ upsert: upgraded });
+          } catch (err) {
+            // Not fatal: the records are migrated again on the next load
+            console.error('Error saving migrated accounts:', err);
+          }
+        }
+
+        setStoredAccounts(records);
+        setError(describeMigrationFailures(failures, 'accounts'));
+      } catch (err) {
+        console.error('Error loading accounts from storage:', err);
+        setError('Failed to load accounts from storage. Please try refreshing the page.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadAccounts();
+  }, [collection]);
+
+  // All accounts, default account first
+  const accounts = useMemo(() => {
+    const stored = storedAccounts.find(a => a.id === DEFAULT_ACCOUNT_ID);
+    return [stored || DEFAULT_ACCOUNT, ...storedAccounts.filter(a => a.id !== DEFAULT_ACCOUNT_ID)];
+  }, [storedAccounts]);
+
+  /**
+   * Clear any errors
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  /**
+   * Run a storage write, surfacing "storage full" errors to the whole page
+   * @param {() => Promise<any>} operation - Storage call to run
+   * @returns {Promise<any>} Result of the operation
+   */
+  const persist = useCallback(async (operation) => {
+    try {
+      return await operation();
+    } catch (err) {
+      if (err instanceof StorageQuotaError) {
+        setError(err.message);
+      }
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Add a new account
+   * @param {Omit<Account, 'id' | 'createdAt' | 'updatedAt'>} account - Account data without id
+   * @returns {Promise<Account>} - The newly created account
+   */
+  const addAccount = useCallback(async (account) => {
+    const newAccount = await persist(() => collection.create(account));
+
+    setStoredAccounts(prev => [...prev, newAccount]);
+    return newAccount;
+  }, [collection, persist]);
+
+  /**
+   * Update an existing account
+   * @param {string} id - Account ID to update
+   * @param {Partial<Account>} updatedData - New account data
+   * @returns {Promise<Account>} - The updated account (rejects if not found)
+   */
+  const updateAccount = useCallback(async (id, updatedData) => {
+    // The default account is created the first time it is edited
+    if (id === DEFAULT_ACCOUNT_ID && !storedAccounts.some(a => a.id === id)) {
+      const created = await persist(() => collection.create({ ...DEFAULT_ACCOUNT, ...updatedData }));
+      setStoredAccounts(prev => [created, ...prev]);
+      return created;
+    }
+
+    const updatedAccount = await persist(() => collection.update(id, updatedData));
+
+    if (!updatedAccount) {
+      throw new Error(`Account with ID ${id} not found`);
+    }
+
+    setStoredAccounts(prev => prev.map(account =>
+      account.id === id ? updatedAccount : account
+    ));
+    return updatedAccount;
+  }, [collection, persist, storedAccounts]);
+
+  /**
+   * Delete an account
+   * The default account cannot be deleted; callers must move or delete the
+   * account's transactions first.
+   * @param {string} id - Account ID to delete
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  const deleteAccount = useCallback(async (id) => {
+    if (id === DEFAULT_ACCOUNT_ID) {
+      throw new Error('The default account cannot be deleted');
+    }
+
+    const deleted = await persist(() => collection.remove(id));
+
+    if (deleted) {
+      setStoredAccounts(prev => prev.filter(account => account.id !== id));
+    }
+    return deleted;
+  }, [collection, persist]);
+
+  /**
+   * Create, replace and delete many accounts in one storage call and one state update
+   * Upserted records are stored as given (e.g. when restoring a backup).
+   * @param {import('./storage').BulkOperations} operations - Writes to apply
+   * @returns {Promise<import('./storage').BulkResult>} - The outcome of each write
+   */
+  const writeAccounts = useCallback(async (operations) => {
+    const result = await persist(() => collection.bulk(operations));
+
+    setStoredAccounts(prev => mergeBulkResult(prev, result));
+    return result;
+  }, [collection, persist]);
+
+  /**
+   * Look up an account by id
+   * Transactions without an account belong to the default account.
+   * @param {string} [id] - Account ID
+   * @returns {Account|undefined} - The account, if it exists
+   */
+  const getAccount = useCallback((id) => {
+    return accounts.find(account => account.id === (id || DEFAULT_ACCOUNT_ID));
+  }, [accounts]);
+
+  // Value object to be provided to context consumers
+  const value = {
+    accounts,
+    storedAccounts,
+    isLoading,
+    error,
+    clearError,
+    addAccount,
+    updateAccount,
+    deleteAccount,
+    writeAccounts,
+    getAccount
+  };
+
+  return (
+    <AccountContext.Provider value={value}>
+      {children}
+    </AccountContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for using the account context
+ * @returns {Object} Account context with CRUD operations
+ */
+export function useAccounts() {
+  const context = useContext(AccountContext);
+
+  if (context === undefined) {
+    throw new Error('useAccounts must be used within an AccountProvider');
+  }
+
+  return context;
+}
@@ -0,0 +1,44 @@
+/**
+ * Minimal client for the app's own API routes
+ */
+
+/**
+ * Error returned by the API, carrying the HTTP status and any validation errors
+ */
+export class ApiError extends Error {
+  constructor(message, status, errors = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Send a JSON request to an API route
+ * @param {string} path - Route path (e.g. "/api/transactions")
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method, defaults to GET
+ * @param {Object} [options.body] - Request body, sent as JSON
+ * @returns {Promise<any>} Parsed response body (null for empty responses)
+ */
+export async function apiRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(path, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const text = await response.text();
+  const data = text ? JSON.parse(text) : null;
+
+  if (!response.ok) {
+    throw new ApiError(
+      data?.error || `Request failed with status ${response.status}`,
+      response.status,
+      data?.errors
+    );
+  }
+
+  return data;
+}
@@ -0,0 +1,279 @@
+import { getSchemaVersion, migrateRecords } from './migrations';
+import { validateTransaction, validateBudget, validateAccount, validateRecurring, validateCategory, validateRule } from './utils';
+
+/**
+ * Full JSON backups of transactions, budgets, accounts, recurring
+ * transactions, categories, rules and settings.
+ *
+ * A backup file records its own format version and the schema version of
+ * every collection, so files written by older versions of the app are
+ * migrated (see lib/migrations.js) before they are compared with, or
+ * written into, the current data.
+ *
+ * @typedef {Object} Backup
+ * @property {string} format - Always BACKUP_FORMAT
+ * @property {number} version - Backup file format version
+ * @property {string} exportedAt - Timestamp when the backup was made
+ * @property {Object<string, number>} schemaVersions - Schema version of each collection
+ * @property {{transactions: Array<Object>, budgets: Array<Object>, accounts: Array<Object>, recurring: Array<Object>, categories: Array<Object>, rules: Array<Object>, settings: Object}} data
+ *
+ * @typedef {Object} RecordDiff
+ * @property {Array<Object>} added - Backup records with ids that do not exist locally
+ * @property {Array<{local: Object, backup: Object}>} changed - Records the backup has a newer version of
+ * @property {Array<{local: Object, backup: Object, reason: string}>} conflicting - Records edited locally
+ *   after the backup was made, or that clash with a different local record
+ * @property {Array<Object>} unchanged - Records that are identical on both sides
+ * @property {Array<Object>} localOnly - Local records the backup does not contain
+ */
+
+// Identifies backup files written by this app
+export const BACKUP_FORMAT = 'personal-finance-backup';
+
+// Bump when the backup file layout (not the record schemas) changes
+export const BACKUP_VERSION = 1;
+
+// Collections stored in a backup, with the validation each record must pass
+const BACKUP_COLLECTIONS = {
+  transactions: { label: 'Transaction', validate: validateTransaction },
+  budgets: { label: 'Budget', validate: validateBudget },
+  accounts: { label: 'Account', validate: validateAccount },
+  recurring: { label: 'Recurring transaction', validate: validateRecurring },
+  categories: { label: 'Category', validate: validateCategory },
+  rules: { label: 'Rule', validate: validateRule }
+};
+
+// Fields that change on every write and do not count as a difference
+const BOOKKEEPING_FIELDS = ['updatedAt', 'schemaVersion'];
+
+/**
+ * Bundle all app data into a backup
+ * @param {Object} data
+ * @param {Array<Object>} data.transactions
+ * @param {Array<Object>} data.budgets
+ * @param {Array<Object>} data.accounts
+ * @param {Array<Object>} data.recurring
+ * @param {Array<Object>} data.categories
+ * @param {Array<Object>} data.rules
+ * @param {Object} data.settings
+ * @returns {Backup}
+ */
+export function createBackup({ transactions, budgets, accounts, recurring, categories, rules, settings }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersions: {
+      transactions: getSchemaVersion('transactions'),
+      budgets: getSchemaVersion('budgets'),
+      accounts: getSchemaVersion('accounts'),
+      recurring: getSchemaVersion('recurring'),
+      categories: getSchemaVersion('categories'),
+      rules: getSchemaVersion('rules')
+    },
+    data: { transactions, budgets, accounts, recurring, categories, rules, settings }
+  };
+}
+
+/**
+ * Read and validate a backup file
+ * Records are migrated to the current schema; the file is rejected if any
+ * record is malformed, so a restore never writes partial data.
+ * @param {string} text - File contents
+ * @returns {Backup} The backup with migrated records
+ * @throws {Error} With a list of problems in `error.problems` when the file is invalid
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (err) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Personal Finance Visualizer backup.');
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Please update the app to restore it.');
+  }
+
+  const data = backup.data || {};
+  const problems = [];
+  const migrated = {};
+
+  Object.entries(BACKUP_COLLECTIONS).forEach(([collection, { label, validate }]) => {
+    const records = data[collection] === undefined ? [] : data[collection];
+    if (!Array.isArray(records)) {
+      problems.push(`"${collection}" must be a list`);
+      return;
+    }
+
+    const seenIds = new Set();
+    records.forEach((record, index) => {
+      if (!record || typeof record !== 'object' || !record.id) {
+        problems.push(`${label} #${index + 1} has no id`);
+      } else if (seenIds.has(record.id)) {
+        problems.push(`${label} ${record.id} appears more than once`);
+      } else {
+        seenIds.add(record.id);
+      }
+    });
+
+    const { records: upgraded, failures } = migrateRecords(collection, records.filter(r => r && r.id));
+    failures.forEach(failure => {
+      problems.push(`${label} ${failure.id} could not be upgraded: ${failure.message}`);
+    });
+
+    upgraded.forEach(record => {
+      const validation = validate(record);
+      if (!validation.isValid) {
+        problems.push(`${label} ${record.id}: ${Object.values(validation.errors).join(', ')}`);
+      }
+    });
+
+    migrated[collection] = upgraded;
+  });
+
+  const settings = data.settings === undefined ? {} : data.settings;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    problems.push('"settings" must be an object');
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`This backup contains ${problems.length} invalid entr${problems.length === 1 ? 'y' : 'ies'}.`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return { ...backup, data: { ...migrated, settings } };
+}
+
+/**
+ * Copy a record without the fields that change on every write
+ * @param {Object} record
+ * @returns {Object}
+ */
+function comparable(record) {
+  const copy = { ...record };
+  BOOKKEEPING_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Check whether two records hold the same data
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameRecord(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+  return [...keys].every(key => JSON.stringify(left[key]) === JSON.stringify(right[key]));
+}
+
+/**
+ * Compare backup records with local records by id
+ * A record that differs counts as changed when the backup copy is at least
+ * as recent as the local one, and as conflicting when it was edited locally
+ * after the backup was made. For budgets, a backup record with a new id
+ * that has the same category and month as a local budget also conflicts.
+ * @param {string} collection - Collection name (e.g. "transactions")
+ * @param {Array<Object>} localRecords - Records currently stored
+ * @param {Array<Object>} backupRecords - Records in the backup
+ * @returns {RecordDiff}
+ */
+export function diffRecords(collection, localRecords, backupRecords) {
+  const localById = new Map(localRecords.map(record => [record.id, record]));
+  const backupIds = new Set(backupRecords.map(record => record.id));
+  const diff = { added: [], changed: [], conflicting: [], unchanged: [], localOnly: [] };
+
+  // One budget per category and month: a clashing budget under another id is a conflict
+  const budgetKey = (budget) => `${budget.category}|${budget.month}`;
+  const localBudgetsByKey = collection === 'budgets'
+    ? new Map(localRecords.filter(b => !backupIds.has(b.id)).map(b => [budgetKey(b), b]))
+    : new Map();
+
+  backupRecords.forEach(backup => {
+    const local = localById.get(backup.id);
+
+    if (!local) {
+      const clash = localBudgetsByKey.get(budgetKey(backup));
+      if (clash) {
+        diff.conflicting.push({ local: clash, backup, reason: 'Another budget exists for this category and month' });
+      } else {
+        diff.added.push(backup);
+      }
+    } else if (isSameRecord(local, backup)) {
+      diff.unchanged.push(backup);
+    } else if (String(local.updatedAt || '') > String(backup.updatedAt || '')) {
+      diff.conflicting.push({ local, backup, reason: 'Edited here after the backup was made' });
+    } else {
+      diff.changed.push({ local, backup });
+    }
+  });
+
+  diff.localOnly = localRecords.filter(record => !backupIds.has(record.id));
+  return diff;
+}
+
+/**
+ * Work out the storage writes for a restore
+ *
+ * "merge" adds new records, applies changed ones and keeps local-only
+ * records; conflicts are resolved with `conflicts` ("backup" or "local").
+ * "replace" makes the stored data exactly match the backup.
+ *
+ * @param {RecordDiff} diff - Result of diffRecords
+ * @param {Object} options
+ * @param {'merge'|'replace'} options.mode
+ * @param {'backup'|'local'} [options.conflicts='local'] - Which side wins a conflict when merging
+ * @returns {import('./storage').BulkOperations}
+ */
+export function planRestore(diff, { mode, conflicts = 'local' }) {
+  if (mode === 'replace') {
+    // Clashing local budgets are removed along with every other local-only record
+    return {
+      upsert: [
+        ...diff.added,
+        ...diff.changed.map(({ backup }) => backup),
+        ...diff.conflicting.map(({ backup }) => backup),
+        ...diff.unchanged
+      ],
+      remove: diff.localOnly.map(record => record.id)
+    };
+  }
+
+  const upsert = [...diff.added, ...diff.changed.map(({ backup }) => backup)];
+  const remove = [];
+
+  if (conflicts === 'backup') {
+    diff.conflicting.forEach(({ local, backup }) => {
+      upsert.push(backup);
+      if (local.id !== backup.id) remove.push(local.id);
+    });
+  }
+
+  return { upsert, remove };
+}
+
+/**
+ * Count the records that would be written by a restore
+ * @param {import('./storage').BulkOperations} operations
+ * @returns {number}
+ */
+export function countWrites(operations) {
+  return (operations.upsert || []).length + (operations.remove || []).length;
+}
+
+/**
+ * List the settings a backup would change
+ * @param {Object} localSettings - Current settings
+ * @param {Object} backupSettings - Settings in the backup
+ * @returns {Array<string>} Names of settings whose values differ
+ */
+export function diffSettings(localSettings, backupSettings) {
+  return Object.keys(backupSettings).filter(
+    key => JSON.stringify(localSettings[key]) !== JSON.stringify(backupSettings[key])
+  );
+}
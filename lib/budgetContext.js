@@ -1,20 +1,30 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { StorageQuotaError } from './storage';
+import { migrateRecords, describeMigrationFailures } from './migrations';
+import { mergeBulkResult } from './records';
+import { useHistory, getSnapshotOperations } from './historyContext';
+import { useChangeLog } from './changeLogContext';
+import { pairBulkResult } from './changeLog';
+import { isDeleted } from './utils';
+import { moveToTrash, restoreFromTrash, getExpiredRecords } from './trash';
 
 /**
  * Schema Definition for a Budget
- * This structure mimics what would be used in MongoDB
+ * Persisted through the storage adapter given to the provider
  * 
  * @typedef {Object} Budget
  * @property {string} id - Unique identifier
  * @property {string} month - Budget month in YYYY-MM format
  * @property {string} category - Category name
- * @property {number} amount - Budgeted amount
+ * @property {number} amount - Budgeted amount in cents (see lib/money.js)
+ * @property {string} [deletedAt] - Timestamp when the budget was moved to the trash (see lib/trash.js)
+ * @property {number} [schemaVersion] - Schema version the record was saved with (see lib/migrations.js)
  * @property {string} [createdAt] - Timestamp when the budget was created
  * @property {string} [updatedAt] - Timestamp when the budget was last updated
  */
 
-// Storage key for localStorage
-const BUDGET_STORAGE_KEY = 'personal_finance_budgets';
+// Storage collection holding budgets
+const COLLECTION = 'budgets';
 
 // Initial empty state for budgets
 const initialBudgets = [];
@@ -24,31 +34,66 @@ const BudgetContext = createContext(undefined);
 
 /**
  * Budget Provider Component
- * Manages budget state and provides CRUD operations
+ * Manages budget state and provides CRUD operations. Must be rendered inside
+ * a HistoryProvider, which lets the user undo and redo budget changes, and a
+ * ChangeLogProvider, which logs every write field by field.
+ * @param {Object} props
+ * @param {import('./storage').StorageAdapter} props.storage - Storage backend for budgets
  */
-export function BudgetProvider({ children }) {
-  // Main state for budgets
-  const [budgets, setBudgets] = useState(initialBudgets);
+export function BudgetProvider({ children, storage }) {
+  // Stored budgets, including those in the trash
+  const [storedBudgets, setStoredBudgets] = useState(initialBudgets);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [migrationErrors, setMigrationErrors] = useState([]);
+
+  // Collection the budgets are persisted in
+  const collection = useMemo(() => storage.collection(COLLECTION), [storage]);
+
+  // Undo/redo history the user's changes are recorded in
+  const { record, forgetRecords } = useHistory();
+
+  // Field-level log of every write
+  const { logChanges } = useChangeLog();
 
   /**
-   * Load budgets from localStorage on initial render
+   * Load budgets from storage on initial render
    */
   useEffect(() => {
     const loadBudgets = async () => {
       try {
         setIsLoading(true);
-        const storedBudgets = localStorage.getItem(BUDGET_STORAGE_KEY);
+        const stored = await collection.list();
         
-        if (storedBudgets) {
-          const parsedData = JSON.parse(storedBudgets);
-          setBudgets(parsedData);
+        // Upgrade records saved by older versions of the app
+        const { records, upgraded, failures } = migrateRecords(COLLECTION, stored);
+        if (upgraded.length > 0) {
+          try {
+            await collection.bulk({ upsert: upgraded });
+          } catch (err) {
+            // Not fatal: the records are migrated again on the next load
+            console.error('Error saving migrated budgets:', err);
+          }
         }
         
-        setError(null);
+        // Purge budgets that have been in the trash for too long
+        const expired = getExpiredRecords(records);
+        const expiredIds = expired.map(b => b.id);
+        if (expiredIds.length > 0) {
+          try {
+            await collection.bulk({ remove: expiredIds });
+            logChanges(COLLECTION, expired.map(b => ({ before: b, after: null, source: 'trash' })));
+          } catch (err) {
+            // Not fatal: they are purged on the next load
+            console.error('Error purging deleted budgets:', err);
+          }
+        }
+        
+        setStoredBudgets(records.filter(b => !expiredIds.includes(b.id)));
+        setMigrationErrors(failures);
+        setError(describeMigrationFailures(failures, 'budgets'));
       } catch (err) {
-        console.error('Error loading budgets from localStorage:', err);
+        console.error('Error loading budgets from storage:', err);
         setError('Failed to load budgets from storage. Please try refreshing the page.');
       } finally {
         setIsLoading(false);
@@ -56,25 +101,18 @@ export function BudgetProvider({ children }) {
     };
 
     loadBudgets();
-  }, []);
+  }, [collection, logChanges]);
 
-  /**
-   * Save budgets to localStorage whenever they change
-   */
-  useEffect(() => {
-    const saveBudgets = async () => {
-      if (isLoading) return; // Don't save during initial load
-      
-      try {
-        localStorage.setItem(BUDGET_STORAGE_KEY, JSON.stringify(budgets));
-      } catch (err) {
-        console.error('Error saving budgets to localStorage:', err);
-        setError('Failed to save changes. Your data may not persist if you close this page.');
-      }
-    };
+  // Budgets in use; deleted ones are only shown in the trash
+  const budgets = useMemo(() => storedBudgets.filter(b => !isDeleted(b)), [storedBudgets]);
 
-    saveBudgets();
-  }, [budgets, isLoading]);
+  // Budgets in the trash, most recently deleted first
+  const deletedBudgets = useMemo(
+    () => storedBudgets
+      .filter(isDeleted)
+      .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt))),
+    [storedBudgets]
+  );
 
   /**
    * Clear any errors
@@ -83,73 +121,157 @@ export function BudgetProvider({ children }) {
     setError(null);
   }, []);
 
+  /**
+   * Run a storage write, surfacing "storage full" errors to the whole page
+   * @param {() => Promise<any>} operation - Storage call to run
+   * @returns {Promise<any>} Result of the operation
+   */
+  const persist = useCallback(async (operation) => {
+    try {
+      return await operation();
+    } catch (err) {
+      if (err instanceof StorageQuotaError) {
+        setError(err.message);
+      }
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Store a snapshot of budgets, replacing the current versions
+   * Used to undo and redo changes: records missing from `to` are removed.
+   * @param {Array<Budget>} from - Affected budgets as they are now
+   * @param {Array<Budget>} to - The same budgets as they should be
+   * @returns {Promise<void>}
+   */
+  const restoreSnapshot = useCallback(async (from, to) => {
+    const result = await persist(() => collection.bulk(getSnapshotOperations(from, to)));
+    setStoredBudgets(prev => mergeBulkResult(prev, result));
+    logChanges(COLLECTION, pairBulkResult(from, result, 'undo'));
+  }, [collection, persist, logChanges]);
+
+  /**
+   * Record a change in the undo/redo history
+   * @param {string} label - What the change did
+   * @param {Array<Budget>} before - Affected budgets before the change
+   * @param {Array<Budget>} after - The same budgets after it (without removed ones)
+   */
+  const recordChange = useCallback((label, before, after) => {
+    record({
+      label,
+      undo: () => restoreSnapshot(after, before),
+      redo: () => restoreSnapshot(before, after),
+      recordIds: [...new Set([...before, ...after].map(b => b.id))]
+    });
+  }, [record, restoreSnapshot]);
+
   /**
    * Add a new budget or update existing
    * @param {Omit<Budget, 'id' | 'createdAt' | 'updatedAt'>} budget - Budget data
    * @returns {Promise<Budget>} - The newly created or updated budget
    */
-  const addOrUpdateBudget = useCallback((budget) => {
-    return new Promise((resolve) => {
-      const timestamp = new Date().toISOString();
-      
-      // Check if a budget for this category and month already exists
-      const existingBudgetIndex = budgets.findIndex(
-        b => b.category === budget.category && b.month === budget.month
-      );
-      
-      if (existingBudgetIndex >= 0) {
-        // Update existing budget
-        setBudgets(prev => {
-          const updatedBudgets = [...prev];
-          updatedBudgets[existingBudgetIndex] = {
-            ...prev[existingBudgetIndex],
-            amount: budget.amount,
-            updatedAt: timestamp
-          };
-          return updatedBudgets;
-        });
-        resolve({...budgets[existingBudgetIndex], amount: budget.amount, updatedAt: timestamp});
-      } else {
-        // Create new budget
-        const newBudget = {
-          ...budget,
-          id: `bgt_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-          createdAt: timestamp,
-          updatedAt: timestamp
-        };
-        
-        setBudgets(prev => {
-          const updatedBudgets = [...prev, newBudget];
-          return updatedBudgets;
-        });
-        
-        resolve(newBudget);
-      }
-    });
-  }, [budgets]);
+  const addOrUpdateBudget = useCallback(async (budget) => {
+    // Check if a budget for this category and month already exists
+    const existingBudget = budgets.find(
+      b => b.category === budget.category && b.month === budget.month
+    );
+    
+    if (existingBudget) {
+      // Update existing budget
+      const updatedBudget = await persist(() => collection.update(existingBudget.id, { amount: budget.amount }));
+      setStoredBudgets(prev => prev.map(b => (b.id === existingBudget.id ? updatedBudget : b)));
+      recordChange('Budget updated', [existingBudget], [updatedBudget]);
+      logChanges(COLLECTION, [{ before: existingBudget, after: updatedBudget, source: 'manual' }]);
+      return updatedBudget;
+    }
+    
+    // Create new budget
+    const newBudget = await persist(() => collection.create(budget));
+    setStoredBudgets(prev => [...prev, newBudget]);
+    recordChange('Budget added', [], [newBudget]);
+    logChanges(COLLECTION, [{ before: null, after: newBudget, source: 'manual' }]);
+    return newBudget;
+  }, [budgets, collection, persist, recordChange, logChanges]);
 
   /**
-   * Delete a budget
+   * Move a budget to the trash
    * @param {string} id - Budget ID to delete
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
-  const deleteBudget = useCallback((id) => {
-    return new Promise((resolve) => {
-      setBudgets(prev => {
-        const existingIndex = prev.findIndex(b => b.id === id);
-        const exists = existingIndex !== -1;
-        
-        if (!exists) {
-          resolve(false);
-          return prev; // No changes
-        }
-        
-        const updatedBudgets = prev.filter(budget => budget.id !== id);
-        resolve(true);
-        return updatedBudgets;
-      });
+  const deleteBudget = useCallback(async (id) => {
+    const budget = budgets.find(b => b.id === id);
+    if (!budget) return false;
+
+    const result = await persist(() => collection.bulk({ upsert: [moveToTrash(budget)] }));
+    
+    setStoredBudgets(prev => mergeBulkResult(prev, result));
+    recordChange('Budget deleted', [budget], result.upserted);
+    logChanges(COLLECTION, pairBulkResult([budget], result, 'manual'));
+    return true;
+  }, [budgets, collection, persist, recordChange, logChanges]);
+
+  /**
+   * Take budgets out of the trash
+   * A budget whose category and month got a new budget in the meantime
+   * stays in the trash.
+   * @param {Array<string>} ids - Ids of deleted budgets
+   * @returns {Promise<number>} - How many budgets were restored
+   */
+  const restoreBudgets = useCallback(async (ids) => {
+    const taken = new Set(budgets.map(b => `${b.month}|${b.category}`));
+    const selected = deletedBudgets.filter(b => {
+      const key = `${b.month}|${b.category}`;
+      if (!ids.includes(b.id) || taken.has(key)) return false;
+      taken.add(key);
+      return true;
     });
-  }, []);
+    if (selected.length === 0) return 0;
+
+    const result = await persist(() => collection.bulk({ upsert: selected.map(restoreFromTrash) }));
+
+    setStoredBudgets(prev => mergeBulkResult(prev, result));
+    recordChange(
+      `${result.upserted.length} budget${result.upserted.length !== 1 ? 's' : ''} restored`,
+      selected,
+      result.upserted
+    );
+    logChanges(COLLECTION, pairBulkResult(selected, result, 'manual'));
+    return result.upserted.length;
+  }, [budgets, deletedBudgets, collection, persist, recordChange, logChanges]);
+
+  /**
+   * Permanently delete budgets from the trash
+   * This cannot be undone.
+   * @param {Array<string>} ids - Ids of deleted budgets
+   * @returns {Promise<number>} - How many budgets were purged
+   */
+  const purgeBudgets = useCallback(async (ids) => {
+    const selected = deletedBudgets.filter(b => ids.includes(b.id));
+    if (selected.length === 0) return 0;
+
+    const result = await persist(() => collection.bulk({ remove: selected.map(b => b.id) }));
+
+    setStoredBudgets(prev => mergeBulkResult(prev, result));
+    logChanges(COLLECTION, pairBulkResult(selected, result, 'manual'));
+    // Purged records must not come back through undo or redo
+    forgetRecords(result.removed);
+    return result.removed.length;
+  }, [deletedBudgets, collection, persist, logChanges, forgetRecords]);
+
+  /**
+   * Create, replace and delete many budgets in one storage call and one state update
+   * Upserted records are stored as given (e.g. when restoring a backup).
+   * @param {import('./storage').BulkOperations} operations - Writes to apply
+   * @param {{changeSource?: string}} [options] - What caused the writes, for the change log (default "manual")
+   * @returns {Promise<import('./storage').BulkResult>} - The outcome of each write
+   */
+  const writeBudgets = useCallback(async (operations, { changeSource = 'manual' } = {}) => {
+    const result = await persist(() => collection.bulk(operations));
+
+    setStoredBudgets(prev => mergeBulkResult(prev, result));
+    logChanges(COLLECTION, pairBulkResult(storedBudgets, result, changeSource));
+    return result;
+  }, [collection, persist, storedBudgets, logChanges]);
 
   /**
    * Get budgets for a specific month
@@ -172,11 +294,17 @@ export function BudgetProvider({ children }) {
   // Value object to be provided to context consumers
   const value = {
     budgets,
+    storedBudgets,
+    deletedBudgets,
     isLoading,
     error,
+    migrationErrors,
     clearError,
     addOrUpdateBudget,
     deleteBudget,
+    writeBudgets,
+    restoreBudgets,
+    purgeBudgets,
     getBudgetsForMonth,
     getBudgetMonths
   };
@@ -0,0 +1,62 @@
+import { mergeTags } from './rules';
+import { isSplit, isTransfer } from './utils';
+
+/**
+ * Changes applied to many transactions at once from the transaction list.
+ *
+ * Transfers keep their fixed category and split transactions the categories
+ * of their lines, so a new category skips them. Changing the date of one
+ * side of a transfer, or deleting it, also changes the other side.
+ *
+ * @typedef {Object} BulkEdit
+ * @property {string} [category] - Category to set
+ * @property {Array<string>} [addTags] - Tags to add
+ * @property {Array<string>} [removeTags] - Tags to remove (ignoring case)
+ * @property {string} [date] - Date to set (YYYY-MM-DD)
+ */
+
+/**
+ * Add the other side of every selected transfer to a selection
+ * @param {Array<Object>} transactions - All transactions
+ * @param {Array<string>} ids - Selected transaction ids
+ * @returns {Array<Object>} The selected transactions and their transfer counterparts
+ */
+export function expandTransferSelection(transactions, ids) {
+  const selectedIds = new Set(ids);
+  const transferIds = new Set(transactions
+    .filter(transaction => selectedIds.has(transaction.id) && isTransfer(transaction))
+    .map(transaction => transaction.transferId));
+
+  return transactions.filter(transaction =>
+    selectedIds.has(transaction.id) || (transaction.transferId && transferIds.has(transaction.transferId)));
+}
+
+/**
+ * Work out what a bulk edit changes on one transaction
+ * @param {Object} transaction
+ * @param {BulkEdit} edit
+ * @returns {Object} Changed fields; empty if the transaction stays as it is
+ */
+export function getBulkEditChanges(transaction, edit) {
+  const changes = {};
+
+  if (edit.category && !isTransfer(transaction) && !isSplit(transaction) &&
+    edit.category !== transaction.category) {
+    changes.category = edit.category;
+  }
+
+  if ((edit.addTags && edit.addTags.length > 0) || (edit.removeTags && edit.removeTags.length > 0)) {
+    const removed = new Set((edit.removeTags || []).map(tag => tag.toLowerCase()));
+    const currentTags = transaction.tags || [];
+    const tags = mergeTags(currentTags, edit.addTags).filter(tag => !removed.has(tag.toLowerCase()));
+    if (tags.length !== currentTags.length || tags.some((tag, index) => tag !== currentTags[index])) {
+      changes.tags = tags;
+    }
+  }
+
+  if (edit.date && edit.date !== String(transaction.date || '').slice(0, 10)) {
+    changes.date = edit.date;
+  }
+
+  return changes;
+}
@@ -0,0 +1,204 @@
+/**
+ * Categories transactions and budgets are filed under.
+ *
+ * Transactions, budgets and recurring templates refer to a category by its
+ * name, so renaming a category rewrites the records that use it (see
+ * renameCategoryInRecord). Categories are archived rather than deleted so
+ * that older records keep a color and icon.
+ *
+ * Every category is either an expense or an income category; forms offer
+ * the set matching the sign of the amount. Categories saved before income
+ * categories existed have no type and count as expense categories.
+ *
+ * Categories can have one level of subcategories (e.g. Food > Coffee).
+ * Transactions and budgets can use either level; reports roll subcategories
+ * up into their parent.
+ *
+ * @typedef {Object} Category
+ * @property {string} id - Unique identifier
+ * @property {string} name - Category name, unique ignoring case
+ * @property {string} color - Hex color (#rrggbb) used in charts
+ * @property {string} icon - Icon name, one of CATEGORY_ICONS
+ * @property {'expense'|'income'} [type='expense'] - Kind of transactions filed under it
+ * @property {string} [parentId] - Id of the parent category; parents are always top-level and of the same type
+ * @property {boolean} [archived] - Hidden from pickers; existing records keep it
+ * @property {number} [schemaVersion] - Schema version the record was saved with (see lib/migrations.js)
+ * @property {string} [createdAt] - Timestamp when the category was created
+ * @property {string} [updatedAt] - Timestamp when the category was last updated
+ */
+
+/**
+ * Icons a category can use (lucide-react component names)
+ */
+export const CATEGORY_ICONS = [
+  'ShoppingCart', 'Zap', 'Home', 'Car', 'Film', 'ShoppingBag', 'Utensils',
+  'HeartPulse', 'GraduationCap', 'Tag', 'Briefcase', 'Gift', 'Plane',
+  'PiggyBank', 'Coffee', 'Smartphone', 'Shirt', 'Dumbbell', 'Baby',
+  'Wrench', 'Receipt', 'Banknote', 'Laptop', 'RotateCcw', 'TrendingUp'
+];
+
+/**
+ * Kinds of categories: expenses (negative amounts) and income (positive amounts)
+ */
+export const CATEGORY_TYPES = [
+  { value: 'expense', label: 'Expense' },
+  { value: 'income', label: 'Income' }
+];
+
+/**
+ * Colors offered when picking a category color
+ */
+export const CATEGORY_COLORS = [
+  '#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#0088fe',
+  '#00c49f', '#ffbb28', '#e8684a', '#a4de6c', '#d0ed57'
+];
+
+/**
+ * Categories every user starts with. They have fixed ids and are only
+ * written to storage once they are edited.
+ * @type {Array<Category>}
+ */
+export const DEFAULT_CATEGORIES = [
+  { id: 'cat_groceries', name: 'Groceries', color: '#82ca9d', icon: 'ShoppingCart', type: 'expense' },
+  { id: 'cat_utilities', name: 'Utilities', color: '#ffc658', icon: 'Zap', type: 'expense' },
+  { id: 'cat_rent', name: 'Rent', color: '#8884d8', icon: 'Home', type: 'expense' },
+  { id: 'cat_transport', name: 'Transport', color: '#0088fe', icon: 'Car', type: 'expense' },
+  { id: 'cat_entertainment', name: 'Entertainment', color: '#ff8042', icon: 'Film', type: 'expense' },
+  { id: 'cat_shopping', name: 'Shopping', color: '#ffbb28', icon: 'ShoppingBag', type: 'expense' },
+  { id: 'cat_food', name: 'Food', color: '#e8684a', icon: 'Utensils', type: 'expense' },
+  { id: 'cat_health', name: 'Health', color: '#00c49f', icon: 'HeartPulse', type: 'expense' },
+  { id: 'cat_education', name: 'Education', color: '#a4de6c', icon: 'GraduationCap', type: 'expense' },
+  { id: 'cat_other', name: 'Other', color: '#94a3b8', icon: 'Tag', type: 'expense' },
+  { id: 'cat_salary', name: 'Salary', color: '#16a34a', icon: 'Briefcase', type: 'income' },
+  { id: 'cat_freelance', name: 'Freelance', color: '#0d9488', icon: 'Laptop', type: 'income' },
+  { id: 'cat_refunds', name: 'Refunds', color: '#0ea5e9', icon: 'RotateCcw', type: 'income' },
+  { id: 'cat_investments', name: 'Investments', color: '#65a30d', icon: 'TrendingUp', type: 'income' },
+  { id: 'cat_other_income', name: 'Other Income', color: '#64748b', icon: 'Banknote', type: 'income' }
+];
+
+/**
+ * Category new income rows fall back to when none matches (e.g. in imports)
+ */
+export const DEFAULT_INCOME_CATEGORY = 'Other Income';
+
+/**
+ * Find a category by name, ignoring case and surrounding spaces
+ * @param {Array<Category>} categories
+ * @param {string} name
+ * @returns {Category|undefined}
+ */
+export function findCategoryByName(categories, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return categories.find(category => category.name.toLowerCase() === wanted);
+}
+
+/**
+ * Type of a category; categories without one are expense categories
+ * @param {Category} [category]
+ * @returns {'expense'|'income'}
+ */
+export function getCategoryType(category) {
+  return category?.type === 'income' ? 'income' : 'expense';
+}
+
+/**
+ * Category type matching the sign of an amount
+ * Zero and missing amounts are treated as expenses.
+ * @param {number|string} amount
+ * @returns {'expense'|'income'}
+ */
+export function getTypeForAmount(amount) {
+  return parseFloat(amount) > 0 ? 'income' : 'expense';
+}
+
+/**
+ * Map each subcategory's name to its parent's name
+ * @param {Array<Category>} categories
+ * @returns {Map<string, string>}
+ */
+export function getParentNames(categories = []) {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const parents = new Map();
+  categories.forEach(category => {
+    const parent = category.parentId && byId.get(category.parentId);
+    if (parent) parents.set(category.name, parent.name);
+  });
+  return parents;
+}
+
+/**
+ * Order categories so each parent is followed by its subcategories
+ * Subcategories whose parent is missing are listed as top-level categories.
+ * @param {Array<Category>} categories
+ * @returns {Array<Category & {depth: number}>} Categories with depth 0 (top-level) or 1 (subcategory)
+ */
+export function sortByHierarchy(categories) {
+  const ids = new Set(categories.map(category => category.id));
+  const isChild = (category) => Boolean(category.parentId && ids.has(category.parentId));
+
+  return categories
+    .filter(category => !isChild(category))
+    .flatMap(parent => [
+      { ...parent, depth: 0 },
+      ...categories
+        .filter(category => category.parentId === parent.id)
+        .map(child => ({ ...child, depth: 1 }))
+    ]);
+}
+
+/**
+ * Full name of a category, e.g. "Food › Coffee" for a subcategory
+ * @param {Map<string, string>} parentNames - Result of getParentNames
+ * @param {string} name - Category name
+ * @returns {string}
+ */
+export function getCategoryPath(parentNames, name) {
+  const parent = parentNames.get(name);
+  return parent ? `${parent} › ${name}` : name;
+}
+
+/**
+ * Color for a name that has no category, picked from CATEGORY_COLORS so the
+ * same name always gets the same color
+ * @param {string} name
+ * @returns {string}
+ */
+export function getFallbackColor(name) {
+  const hash = String(name || '').split('').reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return CATEGORY_COLORS[hash % CATEGORY_COLORS.length];
+}
+
+/**
+ * Rename a category in a transaction, budget or recurring template
+ * Split lines of a transaction are renamed as well.
+ * @param {Object} record
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {Object|null} The changed fields, or null if the record does not use the category
+ */
+export function renameCategoryInRecord(record, oldName, newName) {
+  const changes = {};
+
+  if (record.category === oldName) {
+    changes.category = newName;
+  }
+  if (Array.isArray(record.splits) && record.splits.some(split => split.category === oldName)) {
+    changes.splits = record.splits.map(split => (
+      split.category === oldName ? { ...split, category: newName } : split
+    ));
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Rename a category in the stored suggestion feedback (see lib/suggestions.js)
+ * @param {Array<import('./suggestions').CategoryFeedback>} feedback
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {Array<import('./suggestions').CategoryFeedback>|null} The renamed feedback, or null if none used the category
+ */
+export function renameCategoryInFeedback(feedback, oldName, newName) {
+  if (!(feedback || []).some(entry => entry.category === oldName)) return null;
+  return feedback.map(entry => (entry.category === oldName ? { ...entry, category: newName } : entry));
+}
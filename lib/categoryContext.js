@@ -0,0 +1,233 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { StorageQuotaError } from './storage';
+import { migrateRecords, describeMigrationFailures } from './migrations';
+import { mergeBulkResult } from './records';
+import {
+  DEFAULT_CATEGORIES,
+  findCategoryByName,
+  getFallbackColor,
+  getParentNames,
+  getCategoryPath,
+  getCategoryType,
+  sortByHierarchy
+} from './categories';
+
+// Storage collection holding categories
+const COLLECTION = 'categories';
+
+// Create category context
+const CategoryContext = createContext(undefined);
+
+/**
+ * Category Provider Component
+ * Manages categories and provides operations to add, edit and archive them.
+ * Built-in categories stand in until they are first edited. Renaming a
+ * category here does not touch transactions or budgets; callers rewrite
+ * those with renameCategoryInRecord (see pages/categories.js).
+ * @param {Object} props
+ * @param {import('./storage').StorageAdapter} props.storage - Storage backend for categories
+ */
+export function CategoryProvider({ children, storage }) {
+  // Stored categories (built-in categories are added below if they were never saved)
+  const [storedCategories, setStoredCategories] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Collection the categories are persisted in
+  const collection = useMemo(() => storage.collection(COLLECTION), [storage]);
+
+  /**
+   * Load categories from storage on initial render
+   */
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        setIsLoading(true);
+        const { records, failures } = migrateRecords(COLLECTION, await collection.list());
+        setStoredCategories(records);
+        setError(describeMigrationFailures(failures, 'categories'));
+      } catch (err) {
+        console.error('Error loading categories from storage:', err);
+        setError('Failed to load categories from storage. Please try refreshing the page.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadCategories();
+  }, [collection]);
+
+  // All categories: built-in ones in their usual order, then the user's own
+  const categories = useMemo(() => {
+    const storedById = new Map(storedCategories.map(category => [category.id, category]));
+    const defaultIds = new Set(DEFAULT_CATEGORIES.map(category => category.id));
+    return [
+      ...DEFAULT_CATEGORIES.map(category => storedById.get(category.id) || category),
+      ...storedCategories.filter(category => !defaultIds.has(category.id))
+    ];
+  }, [storedCategories]);
+
+  // Categories offered in pickers, each parent followed by its subcategories
+  const activeCategories = useMemo(
+    () => sortByHierarchy(categories.filter(category => !category.archived)),
+    [categories]
+  );
+
+  // Parent name of every subcategory
+  const parentNames = useMemo(() => getParentNames(categories), [categories]);
+
+  /**
+   * Clear any errors
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  /**
+   * Run a storage write, surfacing "storage full" errors to the whole page
+   * @param {() => Promise<any>} operation - Storage call to run
+   * @returns {Promise<any>} Result of the operation
+   */
+  const persist = useCallback(async (operation) => {
+    try {
+      return await operation();
+    } catch (err) {
+      if (err instanceof StorageQuotaError) {
+        setError(err.message);
+      }
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Add a new category
+   * @param {Omit<import('./categories').Category, 'id' | 'createdAt' | 'updatedAt'>} category - Category data without id
+   * @returns {Promise<import('./categories').Category>} - The newly created category
+   */
+  const addCategory = useCallback(async (category) => {
+    const newCategory = await persist(() => collection.create(category));
+
+    setStoredCategories(prev => [...prev, newCategory]);
+    return newCategory;
+  }, [collection, persist]);
+
+  /**
+   * Update an existing category (rename, recolor, change icon, archive)
+   * @param {string} id - Category ID to update
+   * @param {Partial<import('./categories').Category>} updatedData - New category data
+   * @returns {Promise<import('./categories').Category>} - The updated category (rejects if not found)
+   */
+  const updateCategory = useCallback(async (id, updatedData) => {
+    // Built-in categories are created the first time they are edited
+    const builtIn = DEFAULT_CATEGORIES.find(category => category.id === id);
+    if (builtIn && !storedCategories.some(category => category.id === id)) {
+      const created = await persist(() => collection.create({ ...builtIn, ...updatedData }));
+      setStoredCategories(prev => [...prev, created]);
+      return created;
+    }
+
+    const updatedCategory = await persist(() => collection.update(id, updatedData));
+
+    if (!updatedCategory) {
+      throw new Error(`Category with ID ${id} not found`);
+    }
+
+    setStoredCategories(prev => prev.map(category =>
+      category.id === id ? updatedCategory : category
+    ));
+    return updatedCategory;
+  }, [collection, persist, storedCategories]);
+
+  /**
+   * Create, replace and delete many categories in one storage call and one state update
+   * Upserted records are stored as given (e.g. when restoring a backup).
+   * @param {import('./storage').BulkOperations} operations - Writes to apply
+   * @returns {Promise<import('./storage').BulkResult>} - The outcome of each write
+   */
+  const writeCategories = useCallback(async (operations) => {
+    const result = await persist(() => collection.bulk(operations));
+
+    setStoredCategories(prev => mergeBulkResult(prev, result));
+    return result;
+  }, [collection, persist]);
+
+  /**
+   * Look up a category by name, ignoring case
+   * @param {string} name - Category name as stored on a transaction or budget
+   * @returns {import('./categories').Category|undefined}
+   */
+  const getCategory = useCallback((name) => {
+    return findCategoryByName(categories, name);
+  }, [categories]);
+
+  /**
+   * Chart color of a category
+   * Names without a category (e.g. from old imports) get a stable fallback color.
+   * @param {string} name - Category name
+   * @returns {string} Hex color
+   */
+  const getCategoryColor = useCallback((name) => {
+    return findCategoryByName(categories, name)?.color || getFallbackColor(name);
+  }, [categories]);
+
+  /**
+   * Display name of a category, including its parent (e.g. "Food › Coffee")
+   * @param {string} name - Category name
+   * @returns {string}
+   */
+  const getCategoryLabel = useCallback((name) => {
+    return getCategoryPath(parentNames, name);
+  }, [parentNames]);
+
+  /**
+   * Names to offer in a category picker, each parent followed by its subcategories
+   * A record's current category stays selectable even if it was archived or
+   * is of the other type.
+   * @param {string} [current] - Category currently selected
+   * @param {'expense'|'income'} [type] - Only offer categories of this type
+   * @returns {Array<string>}
+   */
+  const getCategoryOptions = useCallback((current, type) => {
+    const names = activeCategories
+      .filter(category => !type || getCategoryType(category) === type)
+      .map(category => category.name);
+    return current && !names.includes(current) ? [...names, current] : names;
+  }, [activeCategories]);
+
+  // Value object to be provided to context consumers
+  const value = {
+    categories,
+    activeCategories,
+    storedCategories,
+    isLoading,
+    error,
+    clearError,
+    addCategory,
+    updateCategory,
+    writeCategories,
+    getCategory,
+    getCategoryColor,
+    getCategoryLabel,
+    getCategoryOptions
+  };
+
+  return (
+    <CategoryContext.Provider value={value}>
+      {children}
+    </CategoryContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for using the category context
+ * @returns {Object} Category context with categories and operations
+ */
+export function useCategories() {
+  const context = useContext(CategoryContext);
+
+  if (context === undefined) {
+    throw new Error('useCategories must be used within a CategoryProvider');
+  }
+
+  return context;
+}
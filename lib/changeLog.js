@@ -0,0 +1,205 @@
+import { subDays } from 'date-fns';
+import { isDeleted } from './utils';
+
+/**
+ * Field-level change log of transactions and budgets.
+ *
+ * Every write to a transaction or budget is recorded as a change entry in
+ * the "changes" collection: which record changed, how (created, updated,
+ * deleted, restored or purged), what caused it, and the old and new value
+ * of each field that changed. Entries are never edited afterwards, so the
+ * log shows what a record looked like before each edit.
+ *
+ * The log does not grow forever: entries are removed once they are older
+ * than CHANGE_LOG_RETENTION_DAYS, and when a record is purged from the trash
+ * only its "purged" entry, which holds its last values, is kept.
+ *
+ * @typedef {Object} FieldChange
+ * @property {string} field - Field name, e.g. "category"
+ * @property {any} oldValue - Value before the change (undefined if the field was not set)
+ * @property {any} newValue - Value after the change (undefined if the field was removed)
+ *
+ * @typedef {Object} ChangeEntry
+ * @property {string} id - Unique identifier
+ * @property {'transactions'|'budgets'} collection - Collection of the changed record
+ * @property {string} recordId - Id of the changed record
+ * @property {'created'|'updated'|'deleted'|'restored'|'purged'} action
+ * @property {string} source - What caused the change (see CHANGE_SOURCES)
+ * @property {Array<FieldChange>} fields - Changed fields
+ * @property {string} changedAt - Timestamp of the change
+ *
+ * @typedef {Object} RecordChange
+ * @property {Object|null} before - Record before the write (null if it was created)
+ * @property {Object|null} after - Record after the write (null if it was purged)
+ * @property {string} source - What caused the change (see CHANGE_SOURCES)
+ */
+
+/**
+ * Causes of changes
+ */
+export const CHANGE_SOURCES = [
+  { value: 'manual', label: 'Manual' },
+  { value: 'import', label: 'Import' },
+  { value: 'rule', label: 'Rule' },
+  { value: 'recurring', label: 'Recurring' },
+  { value: 'undo', label: 'Undo/redo' },
+  { value: 'backup', label: 'Backup restore' },
+  { value: 'trash', label: 'Trash clean-up' }
+];
+
+// Days a change log entry is kept
+export const CHANGE_LOG_RETENTION_DAYS = 365;
+
+// Fields that change on every write and are not logged
+const BOOKKEEPING_FIELDS = ['id', 'createdAt', 'updatedAt', 'schemaVersion'];
+
+/**
+ * Get the label of a change source
+ * @param {string} source
+ * @returns {string}
+ */
+export function getChangeSourceLabel(source) {
+  const match = CHANGE_SOURCES.find(s => s.value === source);
+  return match ? match.label : source;
+}
+
+/**
+ * Compare two field values, looking inside arrays and objects (tags, splits)
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List the fields that differ between two versions of a record
+ * @param {Object|null} before - Earlier version (null for none)
+ * @param {Object|null} after - Later version (null for none)
+ * @returns {Array<FieldChange>}
+ */
+export function diffFields(before, after) {
+  const oldRecord = before || {};
+  const newRecord = after || {};
+  const fields = [...new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)])]
+    .filter(field => !BOOKKEEPING_FIELDS.includes(field));
+
+  return fields
+    .filter(field => !isSameValue(oldRecord[field], newRecord[field]))
+    .map(field => ({ field, oldValue: oldRecord[field], newValue: newRecord[field] }));
+}
+
+/**
+ * Work out what kind of change turned one version of a record into another
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {ChangeEntry['action']}
+ */
+function getAction(before, after) {
+  if (!before) return 'created';
+  if (!after) return 'purged';
+  if (!isDeleted(before) && isDeleted(after)) return 'deleted';
+  if (isDeleted(before) && !isDeleted(after)) return 'restored';
+  return 'updated';
+}
+
+/**
+ * Build change log entries for record writes
+ * Updates that changed no field are left out.
+ * @param {string} collection - Collection of the records
+ * @param {Array<RecordChange>} changes
+ * @param {Date} [now=new Date()]
+ * @returns {Array<Omit<ChangeEntry, 'id'>>}
+ */
+export function buildChangeEntries(collection, changes, now = new Date()) {
+  const changedAt = now.toISOString();
+  return changes
+    .map(({ before, after, source }) => ({
+      collection,
+      recordId: (after || before).id,
+      action: getAction(before, after),
+      source,
+      fields: diffFields(before, after),
+      changedAt
+    }))
+    .filter(entry => entry.action !== 'updated' || entry.fields.length > 0);
+}
+
+/**
+ * Pair the records written by a bulk write with their earlier versions
+ * @param {Array<Object>} records - Records before the write
+ * @param {import('./storage').BulkResult} result - Outcome of the write
+ * @param {string} source - What caused the write
+ * @returns {Array<RecordChange>}
+ */
+export function pairBulkResult(records, { created = [], upserted = [], removed = [] }, source) {
+  const byId = new Map(records.map(record => [record.id, record]));
+  return [
+    ...created.map(after => ({ before: null, after, source })),
+    ...upserted.map(after => ({ before: byId.get(after.id) || null, after, source })),
+    ...removed.filter(id => byId.has(id)).map(id => ({ before: byId.get(id), after: null, source }))
+  ];
+}
+
+/**
+ * Split the creation of a record that categorization rules changed into
+ * the record as it was entered and the change the rules made
+ * @param {Object} input - Data as entered or imported, before rules ran
+ * @param {Object} ruled - The same data after rules ran
+ * @param {Object} record - Created record
+ * @param {string} source - What caused the creation
+ * @returns {Array<RecordChange>} The creation, followed by the rules' change if they changed anything
+ */
+export function pairCreationWithRules(input, ruled, record, source) {
+  const ruleChanges = diffFields(input, ruled);
+  if (ruleChanges.length === 0) {
+    return [{ before: null, after: record, source }];
+  }
+
+  const entered = { ...record };
+  ruleChanges.forEach(({ field, oldValue }) => {
+    if (oldValue === undefined) {
+      delete entered[field];
+    } else {
+      entered[field] = oldValue;
+    }
+  });
+  return [
+    { before: null, after: entered, source },
+    { before: entered, after: record, source: 'rule' }
+  ];
+}
+
+/**
+ * Write a logged value as text
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatChangeValue(value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (Array.isArray(value)) {
+    return value.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Change log entries that are no longer kept
+ * Entries older than the retention period, and the earlier entries of
+ * records that have been purged (their "purged" entry is kept).
+ * @param {Array<ChangeEntry>} entries
+ * @param {Date} [now=new Date()]
+ * @returns {Array<ChangeEntry>}
+ */
+export function getExpiredEntries(entries, now = new Date()) {
+  const cutoff = subDays(now, CHANGE_LOG_RETENTION_DAYS).toISOString();
+  const recordKey = (entry) => `${entry.collection}|${entry.recordId}`;
+  const purged = new Set(entries.filter(entry => entry.action === 'purged').map(recordKey));
+
+  return entries.filter(entry => String(entry.changedAt) < cutoff ||
+    (entry.action !== 'purged' && purged.has(recordKey(entry))));
+}
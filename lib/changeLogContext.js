@@ -0,0 +1,151 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { StorageQuotaError } from './storage';
+import { migrateRecords, describeMigrationFailures } from './migrations';
+import { mergeBulkResult } from './records';
+import { buildChangeEntries, getExpiredEntries } from './changeLog';
+
+// Storage collection holding the change log
+const COLLECTION = 'changes';
+
+// Create change log context
+const ChangeLogContext = createContext(undefined);
+
+/**
+ * Change Log Provider Component
+ * Keeps the field-level change log of transactions and budgets (see
+ * lib/changeLog.js). The TransactionProvider and BudgetProvider log every
+ * write they make, so they must be rendered inside it.
+ * @param {Object} props
+ * @param {import('./storage').StorageAdapter} props.storage - Storage backend for the change log
+ */
+export function ChangeLogProvider({ children, storage }) {
+  // Logged changes as stored
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Collection the change log is persisted in
+  const collection = useMemo(() => storage.collection(COLLECTION), [storage]);
+
+  /**
+   * Load the change log from storage on initial render
+   */
+  useEffect(() => {
+    const loadEntries = async () => {
+      try {
+        setIsLoading(true);
+
+        // Upgrade records saved by older versions of the app
+        const { records, upgraded, failures } = migrateRecords(COLLECTION, await collection.list());
+        if (upgraded.length > 0) {
+          try {
+            await collection.bulk({ upsert: upgraded });
+          } catch (err) {
+            // Not fatal: the records are migrated again on the next load
+            console.error('Error saving migrated change log entries:', err);
+          }
+        }
+
+        // Drop entries past the retention rules (see lib/changeLog.js)
+        const expiredIds = getExpiredEntries(records).map(entry => entry.id);
+        let kept = records;
+        if (expiredIds.length > 0) {
+          try {
+            const result = await collection.bulk({ remove: expiredIds });
+            kept = mergeBulkResult(records, result);
+          } catch (err) {
+            // Not fatal: they are removed on the next load
+            console.error('Error removing old change log entries:', err);
+          }
+        }
+
+        setEntries(kept);
+        setError(describeMigrationFailures(failures, 'change log entries'));
+      } catch (err) {
+        console.error('Error loading change log from storage:', err);
+        setError('Failed to load the change log from storage. Please try refreshing the page.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadEntries();
+  }, [collection]);
+
+  // Logged changes, newest first; entries of the same write (e.g. a creation
+  // and the rules' change to it) are listed last-logged first
+  const changes = useMemo(
+    () => [...entries].reverse().sort((a, b) => String(b.changedAt).localeCompare(String(a.changedAt))),
+    [entries]
+  );
+
+  /**
+   * Clear any errors
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  /**
+   * Log writes to transactions or budgets
+   * The write itself has already been saved, so a failure to log it is
+   * reported here instead of being thrown at the caller.
+   * @param {string} collectionName - Collection the records belong to
+   * @param {Array<import('./changeLog').RecordChange>} recordChanges - Records before and after the write
+   * @returns {Promise<void>}
+   */
+  const logChanges = useCallback(async (collectionName, recordChanges) => {
+    const newEntries = buildChangeEntries(collectionName, recordChanges);
+    if (newEntries.length === 0) return;
+
+    try {
+      const result = await collection.bulk({ create: newEntries });
+      setEntries(prev => mergeBulkResult(prev, result));
+    } catch (err) {
+      console.error('Error saving change log:', err);
+      setError(err instanceof StorageQuotaError
+        ? err.message
+        : 'Failed to save the change log. The changes themselves were saved.');
+    }
+  }, [collection]);
+
+  /**
+   * Get the logged changes of one record
+   * @param {string} collectionName - Collection the record belongs to
+   * @param {string} recordId - Record id
+   * @returns {Array<import('./changeLog').ChangeEntry>} - Changes, newest first
+   */
+  const getChangesForRecord = useCallback((collectionName, recordId) => {
+    return changes.filter(entry => entry.collection === collectionName && entry.recordId === recordId);
+  }, [changes]);
+
+  // Value object to be provided to context consumers
+  const value = {
+    changes,
+    isLoading,
+    error,
+    clearError,
+    logChanges,
+    getChangesForRecord
+  };
+
+  return (
+    <ChangeLogContext.Provider value={value}>
+      {children}
+    </ChangeLogContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for using the change log context
+ * @returns {Object} Change log context with the logged changes
+ */
+export function useChangeLog() {
+  const context = useContext(ChangeLogContext);
+
+  if (context === undefined) {
+    throw new Error('useChangeLog must be used within a ChangeLogProvider');
+  }
+
+  return context;
+}
@@ -0,0 +1,20 @@
+/**
+ * Save generated content as a file in the browser
+ * @param {string|Blob|Uint8Array} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} [mimeType='text/plain'] - MIME type for string and byte content
+ */
+export function downloadFile(content, fileName, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
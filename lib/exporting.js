@@ -0,0 +1,301 @@
+import { format, parseISO, isValid } from 'date-fns';
+import { toCsv } from './formats/csv';
+import { toXlsx } from './formats/xlsx';
+import { downloadFile } from './download';
+import { DEFAULT_ACCOUNT_ID, isSplit } from './utils';
+import { formatChangeValue, getChangeSourceLabel } from './changeLog';
+import { fromMinorUnits, toDecimalString } from './money';
+
+/**
+ * Tabular exports (CSV and XLSX) of transactions, budget reports and the
+ * change log.
+ *
+ * Each export is described by a list of columns. The user picks which
+ * columns to include, how dates are written and how amounts are signed;
+ * buildTransactionTable / buildBudgetReportTable / buildChangeLogTable turn
+ * records into a header plus rows that exportTable writes in the chosen
+ * file format.
+ *
+ * @typedef {Object} ExportColumn
+ * @property {string} key - Column id
+ * @property {string} label - Header text
+ * @property {boolean} [defaultSelected=true] - Whether the column is selected initially
+ *
+ * @typedef {Object} ExportTable
+ * @property {Array<string>} header - Header cells
+ * @property {Array<Array<string|number>>} rows - Data rows
+ */
+
+/**
+ * How amounts are signed in exports
+ * - signed: expenses negative, income positive (as stored)
+ * - inverted: expenses positive, income negative (as many accounting tools expect)
+ * - split: separate Debit (money out) and Credit (money in) columns, both positive
+ */
+export const AMOUNT_SIGN_CONVENTIONS = [
+  { value: 'signed', label: 'Expenses negative, income positive' },
+  { value: 'inverted', label: 'Expenses positive, income negative' },
+  { value: 'split', label: 'Separate debit and credit columns' }
+];
+
+/**
+ * File formats offered for tabular exports
+ */
+export const EXPORT_FILE_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (.xlsx)' }
+];
+
+/**
+ * Columns available when exporting transactions
+ * @type {Array<ExportColumn>}
+ */
+export const TRANSACTION_EXPORT_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'description', label: 'Description' },
+  { key: 'category', label: 'Category' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'account', label: 'Account', defaultSelected: false },
+  { key: 'tags', label: 'Tags', defaultSelected: false },
+  { key: 'id', label: 'ID', defaultSelected: false },
+  { key: 'createdAt', label: 'Created', defaultSelected: false },
+  { key: 'updatedAt', label: 'Last updated', defaultSelected: false }
+];
+
+/**
+ * Columns available when exporting a budget comparison
+ * @type {Array<ExportColumn>}
+ */
+export const BUDGET_REPORT_EXPORT_COLUMNS = [
+  { key: 'month', label: 'Month' },
+  { key: 'category', label: 'Category' },
+  { key: 'budgeted', label: 'Budgeted' },
+  { key: 'actual', label: 'Actual' },
+  { key: 'difference', label: 'Difference' },
+  { key: 'percentUsed', label: '% of budget used', defaultSelected: false }
+];
+
+/**
+ * Columns available when exporting the change log
+ * @type {Array<ExportColumn>}
+ */
+export const CHANGE_LOG_EXPORT_COLUMNS = [
+  { key: 'changedAt', label: 'Changed' },
+  { key: 'collection', label: 'Record type' },
+  { key: 'recordId', label: 'Record ID' },
+  { key: 'action', label: 'Action' },
+  { key: 'source', label: 'Source' },
+  { key: 'field', label: 'Field' },
+  { key: 'oldValue', label: 'Old value' },
+  { key: 'newValue', label: 'New value' },
+  { key: 'id', label: 'Change ID', defaultSelected: false }
+];
+
+/**
+ * Get the keys of the columns selected by default
+ * @param {Array<ExportColumn>} columns
+ * @returns {Array<string>}
+ */
+export function getDefaultColumns(columns) {
+  return columns.filter(column => column.defaultSelected !== false).map(column => column.key);
+}
+
+/**
+ * Format a stored date with a date-fns pattern
+ * @param {string} value - ISO date or timestamp
+ * @param {string} dateFormat - date-fns pattern
+ * @returns {string} Formatted date ('' if missing, the original text if unparseable)
+ */
+function formatExportDate(value, dateFormat) {
+  if (!value) return '';
+  const date = parseISO(String(value));
+  return isValid(date) ? format(date, dateFormat) : String(value);
+}
+
+/**
+ * Apply a sign convention to a stored amount
+ * @param {number} amount - Stored amount in cents (negative for expenses)
+ * @param {string} signConvention - "signed" or "inverted"
+ * @returns {number} Amount in dollars
+ */
+function signAmount(amount, signConvention) {
+  const value = fromMinorUnits(amount);
+  return signConvention === 'inverted' && value !== 0 ? -value : value;
+}
+
+/**
+ * Build an export table of transactions
+ * Rows are written in the order given, so pass them already sorted and filtered.
+ * @param {Array<Object>} transactions - Transactions to export
+ * @param {Object} options
+ * @param {Array<string>} options.columns - Keys of the columns to include, in order
+ * @param {string} options.dateFormat - date-fns pattern for dates
+ * @param {string} options.signConvention - One of AMOUNT_SIGN_CONVENTIONS
+ * @param {Array<Object>} [options.accounts] - Accounts, used to write account names
+ * @returns {ExportTable}
+ */
+export function buildTransactionTable(transactions, { columns, dateFormat, signConvention, accounts = [] }) {
+  const selected = TRANSACTION_EXPORT_COLUMNS.filter(column => columns.includes(column.key));
+  const accountNames = new Map(accounts.map(account => [account.id, account.name]));
+
+  const header = selected.flatMap(column => {
+    if (column.key === 'amount' && signConvention === 'split') return ['Debit', 'Credit'];
+    return [column.label];
+  });
+
+  const rows = transactions.map(transaction => selected.flatMap(column => {
+    switch (column.key) {
+      case 'date':
+        return [formatExportDate(transaction.date, dateFormat)];
+      case 'createdAt':
+      case 'updatedAt':
+        return [formatExportDate(transaction[column.key], `${dateFormat} HH:mm`)];
+      case 'amount': {
+        if (signConvention === 'split') {
+          const amount = fromMinorUnits(transaction.amount);
+          return amount < 0 ? [-amount, ''] : ['', amount];
+        }
+        return [signAmount(transaction.amount, signConvention)];
+      }
+      case 'category':
+        // Split transactions list every category they are split across
+        return [isSplit(transaction)
+          ? transaction.splits.map(split => split.category).join(' / ')
+          : transaction.category || 'Other'];
+      case 'account': {
+        const accountId = transaction.accountId || DEFAULT_ACCOUNT_ID;
+        return [accountNames.get(accountId) || accountId];
+      }
+      case 'tags':
+        return [(transaction.tags || []).join(', ')];
+      default:
+        return [transaction[column.key] ?? ''];
+    }
+  }));
+
+  return { header, rows };
+}
+
+/**
+ * Build an export table from compareBudgetWithActual output
+ * Budgeted and actual spending are positive in the comparison; the
+ * "signed" convention writes them as negative (money out) amounts.
+ * @param {Array<Object>} comparison - Result of compareBudgetWithActual
+ * @param {string} month - Month the comparison is for (YYYY-MM)
+ * @param {Object} options
+ * @param {Array<string>} options.columns - Keys of the columns to include, in order
+ * @param {string} options.dateFormat - date-fns pattern; only month and year parts are used
+ * @param {string} options.signConvention - "signed" or "inverted"
+ * @returns {ExportTable}
+ */
+export function buildBudgetReportTable(comparison, month, { columns, dateFormat, signConvention }) {
+  const selected = BUDGET_REPORT_EXPORT_COLUMNS.filter(column => columns.includes(column.key));
+  const spendingSign = signConvention === 'signed' ? -1 : 1;
+
+  // Drop the day and one separator, keeping the user's order (e.g. "MM/dd/yyyy" -> "MM/yyyy")
+  const monthFormat = dateFormat.replace(/d+[^a-zA-Z]?|[^a-zA-Z]?d+/, '');
+
+  // Subcategory rows follow their parent, named "Parent › Child"
+  const items = comparison.flatMap(item => [
+    item,
+    ...(item.children || []).map(child => ({
+      ...child,
+      category: child.general ? `${item.category} (general)` : `${item.category} › ${child.category}`
+    }))
+  ]);
+
+  const header = selected.map(column => column.label);
+  const rows = items.map(item => selected.map(column => {
+    switch (column.key) {
+      case 'month':
+        return formatExportDate(`${month}-01`, monthFormat);
+      case 'budgeted':
+      case 'actual':
+        return fromMinorUnits(item[column.key]) * spendingSign || 0;
+      case 'difference':
+        return fromMinorUnits(item.difference);
+      case 'percentUsed':
+        return item.budgeted > 0 ? Math.round((item.actual / item.budgeted) * 100) : '';
+      default:
+        return item[column.key] ?? '';
+    }
+  }));
+
+  return { header, rows };
+}
+
+/**
+ * Build an export table of change log entries, one row per changed field
+ * Entries without changed fields still get one row. Amount values follow
+ * the sign convention, split lines are written with their amounts in
+ * dollars, and other values are written as text.
+ * @param {Array<import('./changeLog').ChangeEntry>} entries - Entries to export, in order
+ * @param {Object} options
+ * @param {Array<string>} options.columns - Keys of the columns to include, in order
+ * @param {string} options.dateFormat - date-fns pattern for dates
+ * @param {string} options.signConvention - "signed" or "inverted"
+ * @returns {ExportTable}
+ */
+export function buildChangeLogTable(entries, { columns, dateFormat, signConvention }) {
+  const selected = CHANGE_LOG_EXPORT_COLUMNS.filter(column => columns.includes(column.key));
+
+  const formatValue = (field, value) => {
+    if (field === 'amount' && typeof value === 'number') {
+      return signAmount(value, signConvention);
+    }
+    if (field === 'splits' && Array.isArray(value)) {
+      return value
+        .map(split => `${split.category} ${toDecimalString(split.amount)}${split.note ? ` (${split.note})` : ''}`)
+        .join(', ');
+    }
+    return formatChangeValue(value);
+  };
+
+  const header = selected.map(column => column.label);
+  const rows = entries.flatMap(entry => {
+    const fields = entry.fields && entry.fields.length > 0 ? entry.fields : [{ field: '' }];
+    return fields.map(change => selected.map(column => {
+      switch (column.key) {
+        case 'changedAt':
+          return formatExportDate(entry.changedAt, `${dateFormat} HH:mm:ss`);
+        case 'collection':
+          return entry.collection === 'budgets' ? 'Budget' : 'Transaction';
+        case 'source':
+          return getChangeSourceLabel(entry.source);
+        case 'field':
+          return change.field;
+        case 'oldValue':
+        case 'newValue':
+          return formatValue(change.field, change[column.key]);
+        default:
+          return entry[column.key] ?? '';
+      }
+    }));
+  });
+
+  return { header, rows };
+}
+
+/**
+ * Write an export table to a file and download it
+ * @param {ExportTable} table
+ * @param {Object} options
+ * @param {'csv'|'xlsx'} options.fileFormat
+ * @param {string} options.fileName - File name without extension
+ * @param {string} [options.sheetName] - Worksheet name for XLSX files
+ */
+export function exportTable({ header, rows }, { fileFormat, fileName, sheetName }) {
+  const allRows = [header, ...rows];
+
+  if (fileFormat === 'xlsx') {
+    downloadFile(
+      toXlsx(allRows, { sheetName }),
+      `${fileName}.xlsx`,
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    return;
+  }
+
+  // The byte order mark makes Excel read the file as UTF-8
+  downloadFile(`\ufeff${toCsv(allRows)}`, `${fileName}.csv`, 'text/csv;charset=utf-8');
+}
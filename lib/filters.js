@@ -0,0 +1,237 @@
+import { parseISO, isValid } from 'date-fns';
+import { getParentNames } from './categories';
+import { getCategoryLines, hasTag, isTransfer } from './utils';
+import { toMinorUnits, fromMinorUnits } from './money';
+
+/**
+ * Filters for the transaction list and their query syntax.
+ *
+ * A filter is written as a search query such as
+ * `coffee category:Food amount:<-5 after:2025-01-01`, which is what the
+ * search box shows and what is kept in the URL. Words without a qualifier
+ * search the description and payee. Supported qualifiers:
+ *
+ * - `category:Food` - the category or one of its subcategories (split lines count)
+ * - `type:income`, `type:expense`, `type:transfer`
+ * - `amount:<-50`, `amount:>=10`, `amount:=12.5`, `amount:-100..-20` (signed amounts)
+ * - `after:2025-01-01`, `before:2025-01-31` (both include the day itself)
+ * - `tag:lisbon`
+ *
+ * Values with spaces are quoted: `category:"Eating Out"`.
+ *
+ * @typedef {Object} AmountCondition
+ * @property {'<'|'<='|'>'|'>='|'='} op
+ * @property {number} value - Amount in cents (the query is written in dollars)
+ *
+ * @typedef {Object} TransactionFilter
+ * @property {string} text - Words searched in the description and payee
+ * @property {string} category - Category name (matches its subcategories too)
+ * @property {''|'income'|'expense'|'transfer'} type
+ * @property {Array<AmountCondition>} amount - Conditions that all must hold
+ * @property {string} after - First date included (YYYY-MM-DD)
+ * @property {string} before - Last date included (YYYY-MM-DD)
+ * @property {string} tag
+ *
+ * @typedef {Object} ParsedQuery
+ * @property {TransactionFilter} filter
+ * @property {Array<string>} errors - Problems with qualifiers that were ignored
+ */
+
+/**
+ * Transaction types that can be filtered on
+ */
+export const FILTER_TYPES = [
+  { value: 'expense', label: 'Expenses' },
+  { value: 'income', label: 'Income' },
+  { value: 'transfer', label: 'Transfers' }
+];
+
+// Comparison operators of amount conditions, longest first for parsing
+const AMOUNT_OPERATORS = ['<=', '>=', '<', '>', '='];
+
+// A qualifier with a plain or quoted value, a quoted phrase, or a word
+const TOKEN_PATTERN = /([a-z]+):(?:"([^"]*)"?|(\S+))|"([^"]*)"?|(\S+)/gi;
+
+/**
+ * A filter that matches every transaction
+ * @returns {TransactionFilter}
+ */
+export function getEmptyFilter() {
+  return { text: '', category: '', type: '', amount: [], after: '', before: '', tag: '' };
+}
+
+/**
+ * Check whether a filter narrows the list at all
+ * @param {TransactionFilter} filter
+ * @returns {boolean}
+ */
+export function isFilterActive(filter) {
+  return Boolean(filter.text || filter.category || filter.type || filter.amount.length > 0 ||
+    filter.after || filter.before || filter.tag);
+}
+
+/**
+ * Check a YYYY-MM-DD date
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parseISO(value));
+}
+
+/**
+ * Parse the value of an `amount:` qualifier
+ * @param {string} value - e.g. "<-50", "12.5" or "-100..-20"
+ * @returns {Array<AmountCondition>|null} Null if the value is not understood
+ */
+function parseAmountValue(value) {
+  const range = value.match(/^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/);
+  if (range) {
+    const [from, to] = [toMinorUnits(range[1]), toMinorUnits(range[2])].sort((a, b) => a - b);
+    return [{ op: '>=', value: from }, { op: '<=', value: to }];
+  }
+
+  const op = AMOUNT_OPERATORS.find(operator => value.startsWith(operator)) || '=';
+  const number = value.slice(value.startsWith(op) ? op.length : 0);
+  if (!/^-?\d+(?:\.\d+)?$/.test(number)) return null;
+  return [{ op, value: toMinorUnits(number) }];
+}
+
+/**
+ * Parse a search query into a filter
+ * Qualifiers with invalid values are ignored and reported in `errors`;
+ * unknown qualifiers are searched as text.
+ * @param {string} query
+ * @returns {ParsedQuery}
+ */
+export function parseFilterQuery(query) {
+  const filter = getEmptyFilter();
+  const words = [];
+  const errors = [];
+
+  for (const match of String(query || '').matchAll(TOKEN_PATTERN)) {
+    const [token, rawKey, quotedValue, plainValue, phrase, word] = match;
+    if (!rawKey) {
+      words.push(phrase ?? word);
+      continue;
+    }
+
+    const key = rawKey.toLowerCase();
+    const value = (quotedValue ?? plainValue).trim();
+    switch (key) {
+      case 'category':
+        filter.category = value;
+        break;
+      case 'tag':
+        filter.tag = value;
+        break;
+      case 'type':
+        if (FILTER_TYPES.some(type => type.value === value.toLowerCase())) {
+          filter.type = value.toLowerCase();
+        } else {
+          errors.push(`Unknown type "${value}" (use income, expense or transfer)`);
+        }
+        break;
+      case 'amount': {
+        const conditions = parseAmountValue(value);
+        if (conditions) {
+          filter.amount.push(...conditions);
+        } else {
+          errors.push(`Invalid amount "${value}" (e.g. amount:<-50 or amount:-100..-20)`);
+        }
+        break;
+      }
+      case 'after':
+      case 'before':
+        if (isDate(value)) {
+          filter[key] = value;
+        } else {
+          errors.push(`Invalid date "${value}" (use YYYY-MM-DD)`);
+        }
+        break;
+      default:
+        words.push(token);
+    }
+  }
+
+  filter.text = words.filter(Boolean).join(' ');
+  return { filter, errors };
+}
+
+/**
+ * Quote a qualifier value if it contains spaces
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteValue(value) {
+  return /\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * Write a filter as a search query (the inverse of parseFilterQuery)
+ * @param {TransactionFilter} filter
+ * @returns {string}
+ */
+export function formatFilterQuery(filter) {
+  return [
+    filter.text,
+    filter.category && `category:${quoteValue(filter.category)}`,
+    filter.type && `type:${filter.type}`,
+    ...filter.amount.map(({ op, value }) => `amount:${op === '=' ? '' : op}${fromMinorUnits(value)}`),
+    filter.after && `after:${filter.after}`,
+    filter.before && `before:${filter.before}`,
+    filter.tag && `tag:${quoteValue(filter.tag)}`
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Check an amount against one condition
+ * @param {number} amount - Amount in cents
+ * @param {AmountCondition} condition
+ * @returns {boolean}
+ */
+function compareAmount(amount, { op, value }) {
+  switch (op) {
+    case '<': return amount < value;
+    case '<=': return amount <= value;
+    case '>': return amount > value;
+    case '>=': return amount >= value;
+    default: return amount === value;
+  }
+}
+
+/**
+ * Keep the transactions matching a filter
+ * @param {Array<Object>} transactions
+ * @param {TransactionFilter} filter
+ * @param {Array<Object>} [categories=[]] - Categories defining the hierarchy
+ * @returns {Array<Object>}
+ */
+export function filterTransactions(transactions, filter, categories = []) {
+  if (!isFilterActive(filter)) return transactions;
+
+  const words = filter.text.toLowerCase().split(/\s+/).filter(Boolean);
+  const category = filter.category.toLowerCase();
+  const parentNames = getParentNames(categories);
+  const inCategory = (name) => name.toLowerCase() === category ||
+    (parentNames.get(name) || '').toLowerCase() === category;
+
+  return transactions.filter(transaction => {
+    const date = String(transaction.date || '').slice(0, 10);
+
+    if (words.length > 0) {
+      const haystack = `${transaction.description || ''} ${transaction.payee || ''}`.toLowerCase();
+      if (!words.every(word => haystack.includes(word))) return false;
+    }
+    if (category && !getCategoryLines(transaction).some(line => inCategory(line.category))) return false;
+    if (filter.type) {
+      const type = isTransfer(transaction) ? 'transfer' : transaction.amount < 0 ? 'expense' : 'income';
+      if (type !== filter.type) return false;
+    }
+    if (!filter.amount.every(condition => compareAmount(Number(transaction.amount), condition))) return false;
+    if (filter.after && date < filter.after) return false;
+    if (filter.before && date > filter.before) return false;
+    if (filter.tag && !hasTag(transaction, filter.tag)) return false;
+    return true;
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * CSV parsing and serialization (RFC 4180 style quoting)
+ */
+
+// Delimiters tried when detecting the format of a file
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// First characters that make a spreadsheet read a text cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Guess the delimiter of a CSV file from its first line
+ * @param {string} text - CSV text
+ * @returns {string} The delimiter that splits the header into the most columns
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells containing delimiters, quotes ("") and line breaks.
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Cell delimiter, detected when omitted
+ * @returns {Array<Array<string>>} Rows of cell values, blank lines removed
+ */
+export function parseCsv(text, { delimiter = detectDelimiter(text) } = {}) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // Last row may not end with a newline
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Check whether a text cell would be run as a formula by a spreadsheet
+ * Imported bank descriptions can start with =, +, - or @, so exported text
+ * is guarded before a spreadsheet opens it.
+ * @param {any} value - Cell value
+ * @returns {boolean} True for text starting with =, +, -, @, a tab or a carriage return
+ */
+export function isFormulaLike(value) {
+  return typeof value === 'string' && FORMULA_START.test(value);
+}
+
+/**
+ * Quote a cell if it contains the delimiter, quotes or line breaks
+ * Text that looks like a formula gets a leading apostrophe so spreadsheets
+ * show it as text; numbers are written as they are.
+ * @param {string|number|null|undefined} value - Cell value
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} Cell text
+ */
+function formatCell(value, delimiter) {
+  const text = value === null || value === undefined ? '' : `${isFormulaLike(value) ? "'" : ''}${value}`;
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Serialize rows of cells as CSV text
+ * @param {Array<Array<string|number>>} rows - Rows of cell values (header first)
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Cell delimiter
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCsv(rows, { delimiter = ',' } = {}) {
+  return rows
+    .map(row => row.map(value => formatCell(value, delimiter)).join(delimiter))
+    .join('\r\n') + '\r\n';
+}
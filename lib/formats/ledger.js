@@ -0,0 +1,377 @@
+import { normalizeCategory, parseAmount, toImportSplits } from '../importing';
+import { toDecimalString, sumMinorUnits } from '../money';
+import { getPrimaryCategory } from '../utils';
+
+/**
+ * Plain-text accounting journals: ledger, hledger and beancount.
+ *
+ * Each app transaction maps to a journal entry with a category posting
+ * (Expenses:<Category> for money out, Income:<Category> for money in), or one
+ * per split line, and the asset posting for the bank account. When a journal
+ * is imported the original account names are kept on the transaction and its
+ * split lines, so exporting it again writes the same accounts back.
+ */
+
+// Default account for the money side of each entry
+export const DEFAULT_ASSET_ACCOUNT = 'Assets:Checking';
+
+// Account prefixes that hold money rather than categorize it
+const BALANCE_SHEET_PREFIXES = ['assets', 'liabilities', 'equity'];
+
+// Entry header: date, optional secondary date, optional flag and code, then the description
+const ENTRY_HEADER = /^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2})(?:=\S+)?(?:\s+(?:[*!]|txn))?(?:\s+\([^)]*\))?\s*(.*)$/;
+
+// Beancount metadata lines (key: value) inside an entry
+const METADATA_LINE = /^[a-z][\w-]*:\s/;
+
+/**
+ * Convert a category into a journal account name
+ * @param {string} category - App category
+ * @param {number} amount - Transaction amount (sign picks Expenses or Income)
+ * @returns {string} Account name (e.g. "Expenses:Groceries")
+ */
+export function categoryToAccount(category, amount) {
+  const root = amount < 0 ? 'Expenses' : 'Income';
+  return `${root}:${category || 'Other'}`;
+}
+
+/**
+ * Convert a journal account name into an app category
+ * @param {string} account - Account name (e.g. "Expenses:Food:Groceries")
+ * @param {Array<string>} [categories] - Known category names
+ * @returns {string} Known category matching the last account segment, or "Other"
+ */
+export function accountToCategory(account, categories) {
+  const segments = account.split(':');
+  return normalizeCategory(segments[segments.length - 1], 'Other', categories);
+}
+
+/**
+ * Check whether an account holds money (assets, liabilities, equity)
+ * @param {string} account - Account name
+ * @returns {boolean}
+ */
+function isBalanceSheetAccount(account) {
+  const root = account.split(':')[0].toLowerCase();
+  return BALANCE_SHEET_PREFIXES.includes(root);
+}
+
+/**
+ * Normalize a journal date (YYYY/MM/DD, YYYY.MM.DD, YYYY-M-D) to YYYY-MM-DD
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeJournalDate(value) {
+  const [year, month, day] = value.split(/[-/.]/);
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Parse a posting line into account and amount
+ * Accounts and amounts are separated by two spaces or a tab.
+ * @param {string} line - Posting line without leading indentation
+ * @returns {{account: string, amount: number|null, comment: string}|null} Posting, or null if the line is not a posting
+ */
+function parsePosting(line) {
+  const comment = line.match(/\s;\s*(.*)$/);
+  const withoutComment = line.replace(/\s;.*$/, '').trim();
+  if (!withoutComment || withoutComment.startsWith(';') || METADATA_LINE.test(withoutComment)) return null;
+
+  const [account, ...rest] = withoutComment.split(/\t|\s{2,}/);
+  const amountText = rest.join(' ')
+    .replace(/@.*$/, '') // Drop price annotations
+    .replace(/\{.*\}/, '') // Drop beancount cost specs
+    .trim();
+
+  // Virtual posting markers (account) and [account] are treated like normal accounts
+  const cleanAccount = account.replace(/^[([]|[)\]]$/g, '');
+
+  return {
+    account: cleanAccount,
+    amount: amountText ? parseAmount(amountText) : null,
+    comment: comment ? comment[1].trim() : ''
+  };
+}
+
+/**
+ * Parse the description part of an entry header
+ * Beancount writes "payee" "narration" or just "narration"; ledger writes free text.
+ * @param {string} text
+ * @returns {{description: string, payee: string}}
+ */
+function parseDescription(text) {
+  const withoutComment = text.replace(/\s;.*$/, '').trim();
+  const quoted = withoutComment.match(/"((?:[^"\\]|\\.)*)"/g);
+
+  if (quoted) {
+    const parts = quoted.map(part => part.slice(1, -1).replace(/\\"/g, '"'));
+    return parts.length > 1
+      ? { payee: parts[0], description: parts[1] || parts[0] }
+      : { payee: '', description: parts[0] };
+  }
+  return { payee: '', description: withoutComment };
+}
+
+/**
+ * Parse a ledger, hledger or beancount journal into entries
+ * Directives other than transactions (account, open, price, include, ...) are skipped.
+ * @param {string} text - Journal contents
+ * @returns {Array<{date: string, description: string, payee: string, postings: Array<{account: string, amount: number}>}>}
+ */
+export function parseJournal(text) {
+  const entries = [];
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+
+    // One posting may leave its amount out; it balances the others
+    const missing = current.postings.filter(p => p.amount === null);
+    if (missing.length === 1) {
+      missing[0].amount = -current.postings.reduce((sum, p) => sum + (p.amount || 0), 0);
+    }
+    if (current.postings.length > 0) entries.push(current);
+    current = null;
+  };
+
+  text.split(/\r?\n/).forEach(line => {
+    if (/^\s+\S/.test(line)) {
+      // Indented lines belong to the current entry
+      if (current) {
+        const posting = parsePosting(line.trim());
+        if (posting) current.postings.push(posting);
+      }
+      return;
+    }
+
+    finish();
+    const trimmed = line.trim();
+    if (!trimmed || /^[;#%|*]/.test(trimmed)) return;
+
+    // Other dated directives (open, balance, price, ...) have no postings and are dropped in finish()
+    const header = trimmed.match(ENTRY_HEADER);
+    if (!header) return;
+
+    current = {
+      date: normalizeJournalDate(header[1]),
+      ...parseDescription(header[2]),
+      postings: []
+    };
+  });
+
+  finish();
+  return entries;
+}
+
+/**
+ * Turn a journal into import candidates
+ * Each entry becomes one transaction, signed from the account holder's view.
+ * An entry with several category postings (anything outside
+ * assets/liabilities/equity) becomes a split transaction with one line per
+ * posting; if the postings mix expenses and income they become one
+ * transaction each instead.
+ * @param {string} text - Journal contents
+ * @param {Object} [options]
+ * @param {Array<string>} [options.categories] - Known category names
+ * @returns {Array<import('../importing').ImportCandidate>}
+ */
+export function journalToCandidates(text, { categories } = {}) {
+  const entries = parseJournal(text);
+  if (entries.length === 0) {
+    throw new Error('No journal entries were found. Expected ledger, hledger or beancount syntax.');
+  }
+
+  const candidates = [];
+  entries.forEach((entry, entryIndex) => {
+    const assetPosting = entry.postings.find(p => isBalanceSheetAccount(p.account));
+    const categoryPostings = entry.postings.filter(p => !isBalanceSheetAccount(p.account));
+    const shared = {
+      date: entry.date,
+      description: entry.description,
+      ...(entry.payee && { payee: entry.payee }),
+      ...(assetPosting && { journalAssetAccount: assetPosting.account })
+    };
+
+    // Pure transfers between balance sheet accounts have no category side
+    const postings = categoryPostings.length > 0
+      ? categoryPostings.map(p => ({ account: p.account, amount: -p.amount }))
+      : [{ account: null, amount: assetPosting.amount }];
+
+    const splits = toImportSplits(categoryPostings.map(posting => ({
+      category: accountToCategory(posting.account, categories),
+      amount: -posting.amount,
+      note: posting.comment,
+      journalAccount: posting.account
+    })));
+    if (splits) {
+      candidates.push({
+        key: `journal-${entryIndex}-0`,
+        data: {
+          ...shared,
+          amount: sumMinorUnits(splits.map(split => split.amount)),
+          category: getPrimaryCategory(splits),
+          splits
+        }
+      });
+      return;
+    }
+
+    postings.forEach((posting, postingIndex) => {
+      candidates.push({
+        key: `journal-${entryIndex}-${postingIndex}`,
+        data: {
+          ...shared,
+          amount: posting.amount,
+          category: posting.account ? accountToCategory(posting.account, categories) : 'Other',
+          ...(posting.account && { journalAccount: posting.account })
+        }
+      });
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Pick the account for a category posting
+ * The imported account is kept unless the category was changed in the app since.
+ * @param {string} [journalAccount] - Account the posting was imported from
+ * @param {string} category - Category of the transaction or split line
+ * @param {number} amount - Amount of the posting (sign picks Expenses or Income)
+ * @param {Array<string>} [categories] - Known category names, as used for the import
+ * @returns {string}
+ */
+function postingAccount(journalAccount, category, amount, categories) {
+  if (journalAccount && accountToCategory(journalAccount, categories) === category) {
+    return journalAccount;
+  }
+  return categoryToAccount(category, amount);
+}
+
+/**
+ * Category postings for a transaction: one per split line, or one for the whole amount
+ * @param {Object} transaction
+ * @param {Array<string>} [categories] - Known category names
+ * @returns {Array<{account: string, amount: number, note?: string}>} Accounts with the app-side amount and split note
+ */
+function categoryPostings(transaction, categories) {
+  if (transaction.splits && transaction.splits.length > 0) {
+    return transaction.splits.map(split => ({
+      account: postingAccount(split.journalAccount, split.category, Number(split.amount), categories),
+      amount: Number(split.amount),
+      note: split.note
+    }));
+  }
+  return [{
+    account: postingAccount(transaction.journalAccount, transaction.category, Number(transaction.amount), categories),
+    amount: Number(transaction.amount)
+  }];
+}
+
+/**
+ * Comment written after a posting to keep a split line's note
+ * @param {{note?: string}} posting
+ * @returns {string} "  ; note", or an empty string without a note
+ */
+function postingComment(posting) {
+  return posting.note ? `  ; ${posting.note.replace(/[\r\n]+/g, ' ')}` : '';
+}
+
+/**
+ * Sort transactions oldest first, as journals are written
+ * @param {Array<Object>} transactions
+ * @returns {Array<Object>}
+ */
+function byDate(transactions) {
+  return [...transactions].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+/**
+ * Serialize transactions as a ledger / hledger journal
+ * @param {Array<Object>} transactions - App transactions
+ * @param {Object} [options]
+ * @param {string} [options.assetAccount] - Account for the money side of each entry
+ * @param {string} [options.commodity='$'] - Commodity symbol written before amounts
+ * @param {Array<string>} [options.categories] - Known category names, to recognize imported accounts
+ * @returns {string} Journal text
+ */
+export function toLedger(transactions, { assetAccount = DEFAULT_ASSET_ACCOUNT, commodity = '$', categories } = {}) {
+  return byDate(transactions).map(transaction => {
+    const amount = Number(transaction.amount);
+    const description = transaction.description.replace(/[\r\n]+/g, ' ');
+    const asset = transaction.journalAssetAccount || assetAccount;
+    const format = (value) => (value < 0 ? `-${commodity}${toDecimalString(-value)}` : `${commodity}${toDecimalString(value)}`);
+
+    return [
+      `${String(transaction.date).slice(0, 10)} * ${description}`,
+      ...categoryPostings(transaction, categories).map(posting => `    ${posting.account}  ${format(-posting.amount)}${postingComment(posting)}`),
+      `    ${asset}  ${format(amount)}`
+    ].join('\n');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Make an account name valid for beancount (capitalized segments, no spaces)
+ * @param {string} account
+ * @returns {string}
+ */
+function toBeancountAccount(account) {
+  return account
+    .split(':')
+    .map(segment => {
+      const clean = segment.replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'Other';
+      return clean.charAt(0).toUpperCase() + clean.slice(1);
+    })
+    .join(':');
+}
+
+/**
+ * Quote a string for beancount
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+  return `"${String(value).replace(/[\r\n]+/g, ' ').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Serialize transactions as a beancount file
+ * Open directives are written for every account used, as beancount requires.
+ * @param {Array<Object>} transactions - App transactions
+ * @param {Object} [options]
+ * @param {string} [options.assetAccount] - Account for the money side of each entry
+ * @param {string} [options.currency='USD'] - Currency code
+ * @param {Array<string>} [options.categories] - Known category names, to recognize imported accounts
+ * @returns {string} Beancount text
+ */
+export function toBeancount(transactions, { assetAccount = DEFAULT_ASSET_ACCOUNT, currency = 'USD', categories } = {}) {
+  const sorted = byDate(transactions);
+  if (sorted.length === 0) return '';
+
+  const accounts = new Set();
+  const entries = sorted.map(transaction => {
+    const amount = Number(transaction.amount);
+    const postings = categoryPostings(transaction, categories).map(posting => ({
+      ...posting,
+      account: toBeancountAccount(posting.account)
+    }));
+    const asset = toBeancountAccount(transaction.journalAssetAccount || assetAccount);
+    postings.forEach(posting => accounts.add(posting.account));
+    accounts.add(asset);
+
+    const header = transaction.payee
+      ? `${quote(transaction.payee)} ${quote(transaction.description)}`
+      : quote(transaction.description);
+
+    return [
+      `${String(transaction.date).slice(0, 10)} * ${header}`,
+      ...postings.map(posting => `  ${posting.account}  ${toDecimalString(-posting.amount)} ${currency}${postingComment(posting)}`),
+      `  ${asset}  ${toDecimalString(amount)} ${currency}`
+    ].join('\n');
+  });
+
+  const openDate = String(sorted[0].date).slice(0, 10);
+  const opens = [...accounts].sort().map(account => `${openDate} open ${account}`);
+
+  return `${opens.join('\n')}\n\n${entries.join('\n\n')}\n`;
+}
@@ -0,0 +1,120 @@
+/**
+ * OFX / QFX bank statement parsing.
+ *
+ * Handles both OFX 1.x (SGML, where leaf elements are not closed) and
+ * OFX 2.x (XML). Only the statement transactions (STMTTRN) are read.
+ */
+import { DEFAULT_INCOME_CATEGORY } from '../categories';
+import { toMinorUnits } from '../money';
+
+// Transaction types that always move money out of the account
+const DEBIT_TYPES = ['DEBIT', 'PAYMENT', 'CHECK', 'FEE', 'SRVCHG', 'ATM', 'POS', 'CASH', 'DIRECTDEBIT', 'REPEATPMT'];
+
+// Transaction types that always move money into the account
+const CREDIT_TYPES = ['CREDIT', 'DEP', 'INT', 'DIV', 'DIRECTDEP'];
+
+/**
+ * Read the value of a leaf element inside an OFX block
+ * @param {string} block - OFX text
+ * @param {string} tag - Element name
+ * @returns {string} Trimmed value, or '' if missing
+ */
+function readTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+}
+
+/**
+ * Decode the XML entities OFX files use in text fields
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) to YYYY-MM-DD
+ * @param {string} value - OFX date
+ * @returns {string} Date in YYYY-MM-DD format, or '' if invalid
+ */
+export function parseOfxDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+}
+
+/**
+ * Apply the sign implied by the transaction type
+ * Banks are inconsistent about signing TRNAMT, so known debit and credit
+ * types win; other types (XFER, OTHER, ...) keep the amount's own sign.
+ * @param {string} type - TRNTYPE value
+ * @param {number} amount - TRNAMT value in cents
+ * @returns {number} Signed amount (negative for money out)
+ */
+export function signedAmount(type, amount) {
+  const upperType = (type || '').toUpperCase();
+  if (DEBIT_TYPES.includes(upperType)) return -Math.abs(amount);
+  if (CREDIT_TYPES.includes(upperType)) return Math.abs(amount);
+  return amount;
+}
+
+/**
+ * Parse an OFX or QFX statement
+ * @param {string} text - File contents
+ * @returns {{accountId: string, transactions: Array<Object>}} Account id and statement transactions
+ *   with fitId, type, date, amount, name and memo
+ */
+export function parseOfx(text) {
+  if (!/<OFX>/i.test(text)) {
+    throw new Error('This does not look like an OFX or QFX file.');
+  }
+
+  const accountId = readTag(text, 'ACCTID');
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  const transactions = blocks.map(block => {
+    const type = readTag(block, 'TRNTYPE');
+    const rawAmount = toMinorUnits(readTag(block, 'TRNAMT').replace(',', '.'));
+
+    return {
+      fitId: readTag(block, 'FITID'),
+      type,
+      date: parseOfxDate(readTag(block, 'DTPOSTED')),
+      amount: isNaN(rawAmount) ? NaN : signedAmount(type, rawAmount),
+      name: readTag(block, 'NAME'),
+      memo: readTag(block, 'MEMO')
+    };
+  });
+
+  return { accountId, transactions };
+}
+
+/**
+ * Turn an OFX statement into import candidates
+ * The FITID (scoped to the account) becomes the transaction's externalId,
+ * which is how re-imports of the same record are detected. Records without
+ * a FITID fall back to the date/amount/description duplicate check.
+ * @param {string} text - File contents
+ * @returns {Array<import('../importing').ImportCandidate>}
+ */
+export function ofxToCandidates(text) {
+  const { accountId, transactions } = parseOfx(text);
+
+  return transactions.map((transaction, index) => ({
+    key: `ofx-${index}`,
+    data: {
+      amount: transaction.amount,
+      date: transaction.date,
+      description: transaction.name || transaction.memo,
+      category: transaction.amount > 0 ? DEFAULT_INCOME_CATEGORY : 'Other',
+      externalId: transaction.fitId
+        ? (accountId ? `${accountId}:${transaction.fitId}` : transaction.fitId)
+        : undefined
+    }
+  }));
+}
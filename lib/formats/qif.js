@@ -0,0 +1,192 @@
+import { format, parseISO } from 'date-fns';
+import { detectDateFormat, normalizeCategory, parseAmount, parseDate, toImportSplits } from '../importing';
+import { toDecimalString, sumMinorUnits } from '../money';
+import { getPrimaryCategory } from '../utils';
+
+/**
+ * Quicken Interchange Format (QIF) import and export.
+ *
+ * A QIF file is a list of records, one field per line. The first character
+ * of each line is the field code (D date, T amount, P payee, M memo,
+ * L category, S/E/$ split lines) and a line with "^" ends the record.
+ */
+
+// Account types written in the !Type header that hold bank-like transactions
+const TRANSACTION_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Normalize a QIF date for parsing
+ * Quicken writes years after 1999 as 1/ 3'25 and earlier ones as 1/3/98;
+ * both are expanded to four-digit years (1/3/2025, 1/3/1998).
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeQifDate(value) {
+  const compact = value.replace(/\s+/g, '');
+  const match = compact.match(/^(\d{1,2})[/.-](\d{1,2})(['/.-])(\d{2})$/);
+  if (!match) return compact;
+
+  const [, first, second, separator, year] = match;
+  const century = separator === "'" ? '20' : '19';
+  return `${first}/${second}/${century}${year}`;
+}
+
+/**
+ * Read the category of a QIF record
+ * Transfers are written as [Account name]; Category:Subcategory keeps the top level.
+ * @param {string} value - L or S field
+ * @param {Array<string>} [categories] - Known category names
+ * @returns {string} Known category, or "Other"
+ */
+function qifCategory(value, categories) {
+  if (!value || value.startsWith('[')) return 'Other';
+  const [category] = value.split('/')[0].split(':');
+  return normalizeCategory(category, 'Other', categories);
+}
+
+/**
+ * Parse a QIF file into records
+ * Only transaction sections (Bank, Cash, CCard, ...) are read; account lists,
+ * category lists and investment sections are skipped.
+ * @param {string} text - File contents
+ * @returns {Array<{date: string, amount: string, payee: string, memo: string, category: string, splits: Array<{category: string, memo: string, amount: string}>}>}
+ */
+export function parseQif(text) {
+  if (!/^\s*!Type:/im.test(text)) {
+    throw new Error('This does not look like a QIF file.');
+  }
+
+  const records = [];
+  let inTransactions = false;
+  let current = null;
+
+  const newRecord = () => ({ date: '', amount: '', payee: '', memo: '', category: '', splits: [] });
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      const type = line.match(/^!Type:(.*)$/i);
+      inTransactions = Boolean(type) && TRANSACTION_TYPES.includes(type[1].trim().toLowerCase());
+      current = null;
+      return;
+    }
+    if (!inTransactions) return;
+
+    if (line === '^') {
+      if (current) records.push(current);
+      current = null;
+      return;
+    }
+
+    current = current || newRecord();
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+    const lastSplit = current.splits[current.splits.length - 1];
+
+    switch (code) {
+      case 'D': current.date = value; break;
+      case 'T':
+      case 'U': current.amount = current.amount || value; break;
+      case 'P': current.payee = value; break;
+      case 'M': current.memo = value; break;
+      case 'L': current.category = value; break;
+      case 'S': current.splits.push({ category: value, memo: '', amount: '' }); break;
+      case 'E': if (lastSplit) lastSplit.memo = value; break;
+      case '$': if (lastSplit) lastSplit.amount = value; break;
+      default: break;
+    }
+  });
+
+  if (current) records.push(current);
+  return records;
+}
+
+/**
+ * Turn a QIF file into import candidates
+ * Split records become one transaction with a split line per S line. Splits
+ * that mix expenses and income cannot be stored that way, so they become one
+ * transaction per split line instead.
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {Array<string>} [options.categories] - Known category names
+ * @returns {Array<import('../importing').ImportCandidate>}
+ */
+export function qifToCandidates(text, { categories } = {}) {
+  const records = parseQif(text);
+  const dateFormat = detectDateFormat(records.map(record => normalizeQifDate(record.date)));
+
+  const candidates = [];
+  records.forEach((record, recordIndex) => {
+    const date = parseDate(normalizeQifDate(record.date), dateFormat);
+    const sourceErrors = record.date && !date ? { date: `"${record.date}" is not a recognized date` } : {};
+    const description = record.payee || record.memo;
+
+    const lines = record.splits.length > 0
+      ? record.splits.map(split => ({
+        category: qifCategory(split.category, categories),
+        amount: parseAmount(split.amount),
+        note: split.memo
+      }))
+      : [{ category: qifCategory(record.category, categories), amount: parseAmount(record.amount), note: '' }];
+
+    const splits = toImportSplits(lines);
+    if (splits) {
+      candidates.push({
+        key: `qif-${recordIndex}-0`,
+        sourceErrors,
+        data: {
+          amount: record.amount ? parseAmount(record.amount) : sumMinorUnits(splits.map(split => split.amount)),
+          date: date || '',
+          description,
+          category: getPrimaryCategory(splits),
+          splits
+        }
+      });
+      return;
+    }
+
+    lines.forEach((line, lineIndex) => {
+      candidates.push({
+        key: `qif-${recordIndex}-${lineIndex}`,
+        sourceErrors,
+        data: {
+          amount: line.amount,
+          date: date || '',
+          description: line.note && lines.length > 1 ? `${description} - ${line.note}` : description,
+          category: line.category
+        }
+      });
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Serialize transactions as a QIF bank account
+ * @param {Array<Object>} transactions - App transactions
+ * @param {Object} [options]
+ * @param {string} [options.accountType='Bank'] - QIF account type written in the header
+ * @returns {string} QIF text
+ */
+export function toQif(transactions, { accountType = 'Bank' } = {}) {
+  const sorted = [...transactions].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+  const records = sorted.map(transaction => [
+    `D${format(parseISO(String(transaction.date).slice(0, 10)), 'MM/dd/yyyy')}`,
+    `T${toDecimalString(transaction.amount)}`,
+    `P${transaction.description.replace(/[\r\n]+/g, ' ')}`,
+    `L${transaction.category}`,
+    // Split lines: category, optional memo and amount for each
+    ...(transaction.splits || []).flatMap(split => [
+      `S${split.category}`,
+      ...(split.note ? [`E${split.note.replace(/[\r\n]+/g, ' ')}`] : []),
+      `$${toDecimalString(split.amount)}`
+    ]),
+    '^'
+  ].join('\n'));
+
+  return [`!Type:${accountType}`, ...records].join('\n') + '\n';
+}
@@ -0,0 +1,204 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Undo/redo history shared by the data providers.
+ *
+ * Providers record a command after each change the user makes (adding,
+ * editing or deleting transactions and budgets, bulk edits). A command
+ * knows how to undo and redo itself; most are built from snapshots of the
+ * affected records with getSnapshotOperations. Recording a new command
+ * clears the redo stack.
+ *
+ * @typedef {Object} HistoryCommand
+ * @property {string} label - What the change did, e.g. "Transaction deleted"
+ * @property {() => Promise<void>} undo
+ * @property {() => Promise<void>} redo
+ * @property {Array<string>} [recordIds] - Ids of the records the command writes, so it can be
+ *   dropped once they are deleted for good (see forgetRecords)
+ *
+ * @typedef {Object} HistoryEvent
+ * @property {number} id - Increases with every event
+ * @property {'done'|'undone'|'redone'|'error'} type
+ * @property {string} label - Label of the command, or the error message
+ */
+
+// Commands kept for undo at most
+const MAX_HISTORY = 50;
+
+/**
+ * Storage writes that turn one snapshot of records into another
+ * Records only in `from` are removed; every record in `to` is stored as given.
+ * @param {Array<Object>} from - Records as they are now
+ * @param {Array<Object>} to - Records as they should be
+ * @returns {import('./storage').BulkOperations}
+ */
+export function getSnapshotOperations(from, to) {
+  const toIds = new Set(to.map(record => record.id));
+  return {
+    upsert: to,
+    remove: from.filter(record => !toIds.has(record.id)).map(record => record.id)
+  };
+}
+
+/**
+ * Check whether a keyboard event comes from a text field, whose own undo should win
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isTextInput(event) {
+  const target = event.target;
+  return Boolean(target && (target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)));
+}
+
+// Create history context
+const HistoryContext = createContext(undefined);
+
+/**
+ * History Provider Component
+ * Keeps the undo and redo stacks and handles the keyboard shortcuts
+ * (Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo). Must wrap the
+ * providers that record commands.
+ */
+export function HistoryProvider({ children }) {
+  // Undo and redo stacks; the last command of `past` is undone first
+  const stacksRef = useRef({ past: [], future: [] });
+  const [stacks, setStacks] = useState(stacksRef.current);
+
+  // Latest change, undo or failure, shown by the HistoryToaster
+  const [lastEvent, setLastEvent] = useState(null);
+
+  // Set while a command is being undone or redone
+  const busyRef = useRef(false);
+
+  // Replace the stacks, keeping the ref and the rendered state in step
+  const updateStacks = useCallback((next) => {
+    stacksRef.current = next;
+    setStacks(next);
+  }, []);
+
+  const notify = useCallback((type, label) => {
+    setLastEvent(prev => ({ id: (prev ? prev.id : 0) + 1, type, label }));
+  }, []);
+
+  /**
+   * Add a command for a change that has just been made
+   * @param {HistoryCommand} command
+   */
+  const record = useCallback((command) => {
+    updateStacks({
+      past: [...stacksRef.current.past, command].slice(-MAX_HISTORY),
+      future: []
+    });
+    notify('done', command.label);
+  }, [updateStacks, notify]);
+
+  /**
+   * Run the undo or redo of the next command and move it to the other stack
+   * @param {'undo'|'redo'} direction
+   * @returns {Promise<void>}
+   */
+  const step = useCallback(async (direction) => {
+    const { past, future } = stacksRef.current;
+    const command = direction === 'undo' ? past[past.length - 1] : future[0];
+    if (!command || busyRef.current) return;
+
+    busyRef.current = true;
+    try {
+      await command[direction]();
+      updateStacks(direction === 'undo'
+        ? { past: past.slice(0, -1), future: [command, ...future] }
+        : { past: [...past, command], future: future.slice(1) });
+      notify(direction === 'undo' ? 'undone' : 'redone', command.label);
+    } catch (err) {
+      console.error(`Error during ${direction}:`, err);
+      notify('error', `Could not ${direction} "${command.label}": ${err.message}`);
+    } finally {
+      busyRef.current = false;
+    }
+  }, [updateStacks, notify]);
+
+  /**
+   * Undo the last change
+   * @returns {Promise<void>}
+   */
+  const undo = useCallback(() => step('undo'), [step]);
+
+  /**
+   * Redo the last undone change
+   * @returns {Promise<void>}
+   */
+  const redo = useCallback(() => step('redo'), [step]);
+
+  /**
+   * Forget all commands (e.g. after a backup replaced the data they refer to)
+   */
+  const clearHistory = useCallback(() => {
+    updateStacks({ past: [], future: [] });
+  }, [updateStacks]);
+
+  /**
+   * Drop the commands that write any of the given records
+   * Called when records are deleted for good, so that undo or redo cannot
+   * bring them back.
+   * @param {Array<string>} ids - Ids of the purged records
+   */
+  const forgetRecords = useCallback((ids) => {
+    const purged = new Set(ids);
+    const keep = (command) => !(command.recordIds || []).some(id => purged.has(id));
+    const { past, future } = stacksRef.current;
+    updateStacks({ past: past.filter(keep), future: future.filter(keep) });
+  }, [updateStacks]);
+
+  // Keyboard shortcuts, except in text fields where they edit the text
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextInput(event)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || (key === 'y' && event.ctrlKey)) {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Value object to be provided to context consumers
+  const value = {
+    record,
+    undo,
+    redo,
+    clearHistory,
+    forgetRecords,
+    canUndo: stacks.past.length > 0,
+    canRedo: stacks.future.length > 0,
+    undoLabel: stacks.past.length > 0 ? stacks.past[stacks.past.length - 1].label : null,
+    redoLabel: stacks.future.length > 0 ? stacks.future[0].label : null,
+    lastEvent
+  };
+
+  return (
+    <HistoryContext.Provider value={value}>
+      {children}
+    </HistoryContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for using the history context
+ * @returns {Object} History context with record, undo and redo
+ */
+export function useHistory() {
+  const context = useContext(HistoryContext);
+
+  if (context === undefined) {
+    throw new Error('useHistory must be used within a HistoryProvider');
+  }
+
+  return context;
+}
@@ -0,0 +1,283 @@
+import { parse, isValid, format } from 'date-fns';
+import { validateTransaction, TRANSACTION_CATEGORIES } from './utils';
+import { DEFAULT_INCOME_CATEGORY } from './categories';
+import { toMinorUnits, isMinorUnits } from './money';
+
+/**
+ * Shared pipeline for importing transactions from bank files.
+ *
+ * Format parsers (lib/formats) turn a file into import candidates. Every
+ * candidate then goes through prepareImport, which runs the same
+ * validateTransaction checks as the transaction form and flags likely
+ * duplicates of existing transactions before anything is inserted.
+ *
+ * @typedef {Object} ImportCandidate
+ * @property {string} key - Stable key for the row (e.g. "row-3")
+ * @property {Object} data - Transaction data to insert (amount, date, description, category)
+ * @property {Object} [sourceErrors] - Errors found while reading the row, by field
+ * @property {Array<string>} [raw] - Original cells, shown in the preview
+ *
+ * @typedef {Object} PreparedCandidate
+ * @property {boolean} isValid - Whether the row can be imported
+ * @property {Object} errors - Validation errors by field
+ * @property {Object|null} duplicateOf - Existing transaction (or earlier row) this one likely duplicates
+ */
+
+/**
+ * Date formats offered when mapping import columns (date-fns patterns)
+ */
+export const DATE_FORMATS = [
+  { value: 'yyyy-MM-dd', label: 'YYYY-MM-DD' },
+  { value: 'MM/dd/yyyy', label: 'MM/DD/YYYY' },
+  { value: 'dd/MM/yyyy', label: 'DD/MM/YYYY' },
+  { value: 'dd.MM.yyyy', label: 'DD.MM.YYYY' },
+  { value: 'yyyy/MM/dd', label: 'YYYY/MM/DD' },
+  { value: 'M/d/yy', label: 'M/D/YY' },
+  { value: 'd/M/yy', label: 'D/M/YY' },
+  { value: 'dd-MMM-yyyy', label: 'DD-Mon-YYYY' }
+];
+
+/**
+ * Parse a date string in a known format
+ * @param {string} value - Date as written in the file
+ * @param {string} dateFormat - date-fns pattern
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if it does not match
+ */
+export function parseDate(value, dateFormat) {
+  if (!value) return null;
+  const parsed = parse(value.trim(), dateFormat, new Date());
+  return isValid(parsed) ? format(parsed, 'yyyy-MM-dd') : null;
+}
+
+/**
+ * Pick the date format that parses the most sample values
+ * Ties go to the format listed first in DATE_FORMATS.
+ * @param {Array<string>} values - Sample date values
+ * @returns {string} Best matching date-fns pattern
+ */
+export function detectDateFormat(values) {
+  const samples = values.filter(Boolean).slice(0, 50);
+  let best = DATE_FORMATS[0].value;
+  let bestMatches = 0;
+
+  DATE_FORMATS.forEach(({ value: dateFormat }) => {
+    const matches = samples.filter(sample => parseDate(sample, dateFormat) !== null).length;
+    if (matches > bestMatches) {
+      best = dateFormat;
+      bestMatches = matches;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Parse an amount as written by banks and spreadsheets
+ * Accepts currency symbols, thousands separators and (parentheses) for negatives.
+ * @param {string|number} value - Amount as written in the file
+ * @param {Object} [options]
+ * @param {string} [options.decimalSeparator='.'] - "." or ","
+ * @returns {number} Parsed amount in cents (NaN if empty or not a number)
+ */
+export function parseAmount(value, { decimalSeparator = '.' } = {}) {
+  if (typeof value === 'number') return toMinorUnits(value);
+  if (!value || !value.trim()) return NaN;
+
+  let text = value.trim();
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d\-()]/g, ''));
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+
+  text = text
+    .split(thousandsSeparator).join('')
+    .replace(decimalSeparator, '.')
+    .replace(/[^\d.]/g, '');
+
+  const amount = toMinorUnits(text);
+  if (isNaN(amount)) return NaN;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Match an imported category name to a known category
+ * @param {string} value - Category as written in the file
+ * @param {string} fallback - Category used when there is no match
+ * @param {Array<string>} [categories] - Known category names (defaults to the built-in ones)
+ * @returns {string} Known category name
+ */
+export function normalizeCategory(value, fallback = 'Other', categories = TRANSACTION_CATEGORIES) {
+  if (!value) return fallback;
+  const match = categories.find(
+    category => category.toLowerCase() === value.trim().toLowerCase()
+  );
+  return match || fallback;
+}
+
+/**
+ * Turn the category lines of one imported record into split lines
+ * Files such as QIF and journals write a split transaction as several
+ * category lines. They become the splits of a single transaction when there
+ * are at least two and all of them are expenses or all income, as
+ * validateSplits requires.
+ * @param {Array<{category: string, amount: number, note?: string}>} lines - Category lines, amounts in cents, with any extra fields to keep
+ * @returns {Array<{category: string, amount: number, note?: string}>|null} Split lines, or null if the lines cannot be one split transaction
+ */
+export function toImportSplits(lines) {
+  if (lines.length < 2) return null;
+
+  const sign = Math.sign(lines[0].amount);
+  const sameSign = lines.every(line => isMinorUnits(line.amount) && line.amount !== 0 && Math.sign(line.amount) === sign);
+  if (!sameSign) return null;
+
+  // Other fields (such as the journal account of the line) are kept; empty notes are left out
+  return lines.map(({ note, ...line }) => ({
+    ...line,
+    ...(note ? { note } : {})
+  }));
+}
+
+/**
+ * Normalize a description for duplicate comparison
+ * @param {string} description
+ * @returns {string} Lowercase description with punctuation and extra spaces removed
+ */
+function normalizeDescription(description) {
+  return (description || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether two transactions are likely the same bank record
+ * @param {Object} a - Transaction data
+ * @param {Object} b - Transaction data
+ * @returns {boolean} True if they look like duplicates
+ */
+export function isLikelyDuplicate(a, b) {
+  // Bank-provided ids (e.g. OFX FITID) are authoritative when both sides have one
+  if (a.externalId && b.externalId) {
+    return a.externalId === b.externalId;
+  }
+
+  if (String(a.date).slice(0, 10) !== String(b.date).slice(0, 10)) return false;
+  if (Number(a.amount) !== Number(b.amount)) return false;
+
+  const descriptionA = normalizeDescription(a.description);
+  const descriptionB = normalizeDescription(b.description);
+  return descriptionA === descriptionB
+    || (descriptionA.length > 0 && descriptionB.length > 0
+      && (descriptionA.includes(descriptionB) || descriptionB.includes(descriptionA)));
+}
+
+/**
+ * Validate import candidates and flag likely duplicates
+ * @param {Array<ImportCandidate>} candidates - Rows read from the file
+ * @param {Array<Object>} existingTransactions - Transactions already stored
+ * @returns {Array<ImportCandidate & PreparedCandidate>} Candidates with validation and duplicate info
+ */
+export function prepareImport(candidates, existingTransactions) {
+  // Index by date and bank id so large histories are not scanned once per row
+  const byDate = new Map();
+  const byExternalId = new Map();
+  const remember = (transaction) => {
+    const day = String(transaction.date).slice(0, 10);
+    if (!byDate.has(day)) byDate.set(day, []);
+    byDate.get(day).push(transaction);
+    if (transaction.externalId) byExternalId.set(transaction.externalId, transaction);
+  };
+  existingTransactions.forEach(remember);
+
+  const findDuplicate = (data) => {
+    if (data.externalId && byExternalId.has(data.externalId)) {
+      return byExternalId.get(data.externalId);
+    }
+    const sameDay = byDate.get(String(data.date).slice(0, 10)) || [];
+    return sameDay.find(other => isLikelyDuplicate(data, other)) || null;
+  };
+
+  return candidates.map(candidate => {
+    const validation = validateTransaction(candidate.data);
+    const errors = { ...validation.errors, ...candidate.sourceErrors };
+    const isValidRow = Object.keys(errors).length === 0;
+
+    // Earlier rows of the same file count too, so repeated rows are flagged
+    const duplicateOf = isValidRow ? findDuplicate(candidate.data) : null;
+    if (isValidRow) remember(candidate.data);
+
+    return {
+      ...candidate,
+      errors,
+      isValid: isValidRow,
+      duplicateOf
+    };
+  });
+}
+
+/**
+ * Turn parsed CSV rows into import candidates using a column mapping
+ *
+ * @param {Array<Array<string>>} rows - Data rows (header excluded)
+ * @param {Object} mapping - Column indexes and options
+ * @param {number} mapping.date - Date column
+ * @param {string} mapping.dateFormat - date-fns pattern for the date column
+ * @param {number} mapping.description - Description column
+ * @param {number} [mapping.category] - Category column (optional)
+ * @param {string} [mapping.defaultCategory='Other'] - Category for expense rows without a known one
+ * @param {string} [mapping.defaultIncomeCategory='Other Income'] - Category for income rows without a known one
+ * @param {'single'|'split'} mapping.amountMode - One signed amount column, or separate debit/credit columns
+ * @param {number} [mapping.amount] - Signed amount column (single mode)
+ * @param {number} [mapping.debit] - Money out column (split mode)
+ * @param {number} [mapping.credit] - Money in column (split mode)
+ * @param {boolean} [mapping.invertSign=false] - Flip the sign of single amounts (e.g. credit card exports)
+ * @param {string} [mapping.decimalSeparator='.'] - Decimal separator used in amounts
+ * @param {Object} [options]
+ * @param {Array<string>} [options.categories] - Known category names
+ * @returns {Array<ImportCandidate>}
+ */
+export function mapCsvRows(rows, mapping, { categories } = {}) {
+  const {
+    dateFormat,
+    defaultCategory = 'Other',
+    defaultIncomeCategory = DEFAULT_INCOME_CATEGORY,
+    amountMode,
+    invertSign = false,
+    decimalSeparator = '.'
+  } = mapping;
+  const cell = (row, column) => (column === undefined || column === null || column < 0 ? '' : (row[column] || '').trim());
+
+  return rows.map((row, index) => {
+    const sourceErrors = {};
+
+    let amount;
+    if (amountMode === 'split') {
+      const debit = parseAmount(cell(row, mapping.debit), { decimalSeparator });
+      const credit = parseAmount(cell(row, mapping.credit), { decimalSeparator });
+      amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+    } else {
+      amount = parseAmount(cell(row, mapping.amount), { decimalSeparator });
+      if (invertSign) amount = -amount;
+    }
+
+    const rawDate = cell(row, mapping.date);
+    const date = parseDate(rawDate, dateFormat);
+    if (rawDate && !date) {
+      sourceErrors.date = `"${rawDate}" does not match the selected date format`;
+    }
+
+    return {
+      key: `row-${index}`,
+      raw: row,
+      sourceErrors,
+      data: {
+        amount,
+        date: date || '',
+        description: cell(row, mapping.description),
+        category: normalizeCategory(
+          cell(row, mapping.category),
+          amount > 0 ? defaultIncomeCategory : defaultCategory,
+          categories
+        )
+      }
+    };
+  });
+}
@@ -0,0 +1,266 @@
+/**
+ * Schema versions and migrations for persisted records.
+ *
+ * Every stored record carries a `schemaVersion`. When records are loaded,
+ * each migration newer than the record's version is applied in order, so
+ * data written by older versions of the app keeps working after the
+ * Transaction or Budget shape changes.
+ *
+ * To change a schema, append a migration with the next version number to
+ * the collection's list. Migrations receive a record and return the
+ * upgraded record; throwing marks the record as failed.
+ *
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version the migration upgrades to
+ * @property {string} description - What the migration changes
+ * @property {(record: Object) => Object} up - Upgrades one record
+ *
+ * @typedef {Object} MigrationFailure
+ * @property {string} collection - Collection the record belongs to
+ * @property {string} id - Record id
+ * @property {number} fromVersion - Version the record was stored with
+ * @property {number} toVersion - Version of the migration that failed
+ * @property {string} description - Description of the failed migration
+ * @property {string} message - Error message
+ */
+
+import { DEFAULT_ACCOUNT_ID } from './utils';
+import { toMinorUnits, sumMinorUnits } from './money';
+
+/**
+ * Convert a stored amount to a number, rejecting values that are not numeric
+ * @param {any} value - Stored amount
+ * @returns {number} Numeric amount
+ */
+function toNumericAmount(value) {
+  const amount = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(amount)) {
+    throw new Error(`Invalid amount "${value}"`);
+  }
+  return amount;
+}
+
+/**
+ * Convert a stored amount in dollars to whole cents (see lib/money.js)
+ * @param {any} value - Stored amount in dollars
+ * @returns {number} Amount in cents
+ */
+function toStoredMinorUnits(value) {
+  return toMinorUnits(toNumericAmount(value));
+}
+
+/**
+ * Convert an optional stored amount in dollars to whole cents
+ * Empty values (e.g. a rule without a minimum) are kept as they are.
+ * @param {any} value - Stored amount in dollars, or an empty value
+ * @returns {any} Amount in cents, or the empty value
+ */
+function toOptionalMinorUnits(value) {
+  return value === undefined || value === null || value === '' ? value : toStoredMinorUnits(value);
+}
+
+/**
+ * Convert split lines in dollars to whole cents
+ * Lines are rounded one by one; if that makes them miss the rounded
+ * transaction amount by a cent, the largest line absorbs the difference.
+ * @param {Array<Object>} splits - Split lines with amounts in dollars
+ * @param {number} total - Transaction amount in cents
+ * @returns {Array<Object>} Split lines with amounts in cents
+ */
+function toMinorUnitSplits(splits, total) {
+  const lines = splits.map(split => ({ ...split, amount: toStoredMinorUnits(split.amount) }));
+  const difference = total - sumMinorUnits(lines.map(line => line.amount));
+  if (difference !== 0) {
+    const largest = lines.reduce((max, line) => (Math.abs(line.amount) > Math.abs(max.amount) ? line : max));
+    largest.amount += difference;
+  }
+  return lines;
+}
+
+/**
+ * Convert a logged field value in dollars to whole cents
+ * Only amounts and the amounts of split lines are converted.
+ * @param {string} field - Logged field name
+ * @param {any} value - Logged value
+ * @returns {any} The value with amounts in cents
+ */
+function toLoggedMinorUnits(field, value) {
+  if (field === 'amount') return toOptionalMinorUnits(value);
+  if (field === 'splits' && Array.isArray(value)) {
+    return value.map(split => ({ ...split, amount: toOptionalMinorUnits(split.amount) }));
+  }
+  return value;
+}
+
+// Ordered migrations by collection name
+const MIGRATIONS = {
+  transactions: [
+    {
+      version: 1,
+      description: 'Store amounts as numbers and default missing categories to "Other"',
+      up: (transaction) => ({
+        ...transaction,
+        amount: toNumericAmount(transaction.amount),
+        category: transaction.category || 'Other'
+      })
+    },
+    {
+      version: 2,
+      description: 'Assign transactions without an account to the default account',
+      up: (transaction) => ({
+        ...transaction,
+        accountId: transaction.accountId || DEFAULT_ACCOUNT_ID
+      })
+    },
+    {
+      version: 3,
+      description: 'Store amounts in whole cents',
+      up: (transaction) => {
+        const amount = toStoredMinorUnits(transaction.amount);
+        return {
+          ...transaction,
+          amount,
+          ...(transaction.splits && transaction.splits.length > 0 && {
+            splits: toMinorUnitSplits(transaction.splits, amount)
+          })
+        };
+      }
+    }
+  ],
+  budgets: [
+    {
+      version: 1,
+      description: 'Store budget amounts as numbers',
+      up: (budget) => ({
+        ...budget,
+        amount: toNumericAmount(budget.amount)
+      })
+    },
+    {
+      version: 2,
+      description: 'Store budget amounts in whole cents',
+      up: (budget) => ({
+        ...budget,
+        amount: toStoredMinorUnits(budget.amount)
+      })
+    }
+  ],
+  accounts: [
+    {
+      version: 1,
+      description: 'Store opening balances in whole cents',
+      up: (account) => ({
+        ...account,
+        openingBalance: toStoredMinorUnits(account.openingBalance || 0)
+      })
+    }
+  ],
+  recurring: [
+    {
+      version: 1,
+      description: 'Store amounts in whole cents',
+      up: (template) => ({
+        ...template,
+        amount: toStoredMinorUnits(template.amount),
+        ...(template.amountChanges && {
+          amountChanges: template.amountChanges.map(change => ({
+            ...change,
+            amount: toStoredMinorUnits(change.amount)
+          }))
+        })
+      })
+    }
+  ],
+  rules: [
+    {
+      version: 1,
+      description: 'Store amount conditions in whole cents',
+      up: (rule) => ({
+        ...rule,
+        minAmount: toOptionalMinorUnits(rule.minAmount),
+        maxAmount: toOptionalMinorUnits(rule.maxAmount)
+      })
+    }
+  ],
+  changes: [
+    {
+      version: 1,
+      description: 'Store logged amounts in whole cents',
+      up: (entry) => ({
+        ...entry,
+        fields: (entry.fields || []).map(change => ({
+          ...change,
+          oldValue: toLoggedMinorUnits(change.field, change.oldValue),
+          newValue: toLoggedMinorUnits(change.field, change.newValue)
+        }))
+      })
+    }
+  ]
+};
+
+/**
+ * Get the current schema version of a collection
+ * @param {string} collection - Collection name
+ * @returns {number} Latest schema version (0 if the collection has no migrations)
+ */
+export function getSchemaVersion(collection) {
+  const migrations = MIGRATIONS[collection] || [];
+  return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Upgrade stored records to the current schema version
+ * @param {string} collection - Collection name
+ * @param {Array<Object>} records - Records as stored
+ * @returns {{records: Array<Object>, upgraded: Array<Object>, failures: Array<MigrationFailure>}}
+ *   All records that loaded successfully, the subset that changed and should be
+ *   written back, and the records that could not be migrated
+ */
+export function migrateRecords(collection, records) {
+  const migrations = MIGRATIONS[collection] || [];
+  const result = { records: [], upgraded: [], failures: [] };
+
+  records.forEach(record => {
+    const fromVersion = record.schemaVersion || 0;
+    const pending = migrations.filter(m => m.version > fromVersion);
+    let current = record;
+
+    for (const migration of pending) {
+      try {
+        current = { ...migration.up(current), schemaVersion: migration.version };
+      } catch (err) {
+        result.failures.push({
+          collection,
+          id: record.id,
+          fromVersion,
+          toVersion: migration.version,
+          description: migration.description,
+          message: err.message
+        });
+        return;
+      }
+    }
+
+    result.records.push(current);
+    if (current !== record) {
+      result.upgraded.push(current);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Build a user-facing message for records that failed to migrate
+ * @param {Array<MigrationFailure>} failures - Failed migrations
+ * @param {string} label - Plural record name (e.g. "transactions")
+ * @returns {string|null} Error message, or null if nothing failed
+ */
+export function describeMigrationFailures(failures, label) {
+  if (!failures.length) return null;
+
+  const [first] = failures;
+  const count = failures.length === 1 ? `1 of your ${label}` : `${failures.length} of your ${label}`;
+  return `${count} could not be upgraded to the current data format and ${failures.length === 1 ? 'was' : 'were'} left out `
+    + `(${first.description}: ${first.message}). The original data has not been changed.`;
+}
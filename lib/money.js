@@ -0,0 +1,88 @@
+/**
+ * Money in integer minor units.
+ *
+ * Every amount the app stores or calculates with (transaction and split
+ * amounts, budgets, opening balances, recurring amounts and rule bounds) is
+ * a whole number of cents. Adding and subtracting whole numbers is exact, so
+ * totals never drift the way sums of decimal fractions like 0.1 + 0.2 do.
+ *
+ * Amounts are only converted at the edges: when the user types one into a
+ * form, when a file is imported, and when an amount is shown or exported.
+ * Converting to cents always rounds half away from zero, so 0.125 becomes 13
+ * cents and -0.125 becomes -13 cents.
+ */
+
+/**
+ * Number of minor units (cents) in one major unit (dollar)
+ */
+export const MINOR_UNITS_PER_MAJOR = 100;
+
+/**
+ * Number of decimal places of a major-unit amount
+ */
+export const MINOR_UNIT_DIGITS = 2;
+
+/**
+ * Round a number of minor units to a whole number, half away from zero
+ * Products like 1.005 * 100 come out as 100.49999999999999, so the value is
+ * first cut to 12 significant digits to drop that noise before rounding.
+ * @param {number} value - Possibly fractional number of minor units
+ * @returns {number} Whole number of minor units (NaN if value is not a finite number)
+ */
+export function roundMinorUnits(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return NaN;
+
+  const rounded = Math.round(Number(Math.abs(number).toPrecision(12)));
+  return number < 0 && rounded !== 0 ? -rounded : rounded;
+}
+
+/**
+ * Convert an amount in major units to minor units
+ * @param {number|string} value - Amount in dollars, e.g. 12.34 or "12.34"
+ * @returns {number} Amount in cents, e.g. 1234 (NaN if the value is not numeric)
+ */
+export function toMinorUnits(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return roundMinorUnits(number * MINOR_UNITS_PER_MAJOR);
+}
+
+/**
+ * Convert an amount in minor units to major units
+ * Only for display and export; never calculate with the result.
+ * @param {number} minorUnits - Amount in cents
+ * @returns {number} Amount in dollars
+ */
+export function fromMinorUnits(minorUnits) {
+  return Number(minorUnits) / MINOR_UNITS_PER_MAJOR;
+}
+
+/**
+ * Write an amount in minor units as a plain decimal, e.g. for a form field
+ * @param {number} minorUnits - Amount in cents, e.g. -1234
+ * @returns {string} Amount in dollars with two decimals, e.g. "-12.34" ('' if not a number)
+ */
+export function toDecimalString(minorUnits) {
+  const amount = Number(minorUnits);
+  if (!Number.isFinite(amount)) return '';
+  return fromMinorUnits(amount).toFixed(MINOR_UNIT_DIGITS);
+}
+
+/**
+ * Check whether a value is a valid amount in minor units
+ * @param {any} value
+ * @returns {boolean} True for whole numbers of cents
+ */
+export function isMinorUnits(value) {
+  return Number.isSafeInteger(value);
+}
+
+/**
+ * Add up amounts in minor units
+ * @param {Array<number>} amounts - Amounts in cents
+ * @returns {number} Total in cents
+ */
+export function sumMinorUnits(amounts) {
+  return amounts.reduce((sum, amount) => sum + Number(amount), 0);
+}
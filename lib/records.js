@@ -0,0 +1,128 @@
+import { getSchemaVersion } from './migrations';
+
+/**
+ * Helpers for stamping persisted records with ids and timestamps.
+ * Shared by the API routes and the client so every backend produces
+ * records of the same shape.
+ */
+
+// Id prefixes by collection name
+const ID_PREFIXES = {
+  transactions: 'txn',
+  budgets: 'bgt',
+  accounts: 'acc',
+  recurring: 'rec',
+  categories: 'cat',
+  rules: 'rule',
+  changes: 'chg',
+  settings: 'set'
+};
+
+/**
+ * Get the id prefix used for records in a collection
+ * @param {string} collection - Collection name
+ * @returns {string} Id prefix
+ */
+export function getIdPrefix(collection) {
+  return ID_PREFIXES[collection] || collection.substring(0, 3);
+}
+
+/**
+ * Generate a unique record id
+ * @param {string} prefix - Short prefix identifying the record type (e.g. "txn")
+ * @returns {string} Unique identifier
+ */
+export function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * Create a new record with an id, schema version and creation timestamps
+ * @param {string} collection - Collection the record belongs to
+ * @param {Object} data - Record data (an existing id or schema version is kept)
+ * @returns {Object} The stamped record
+ */
+export function createRecord(collection, data) {
+  const timestamp = new Date().toISOString();
+  return {
+    ...data,
+    id: data.id || generateId(getIdPrefix(collection)),
+    schemaVersion: data.schemaVersion || getSchemaVersion(collection),
+    createdAt: data.createdAt || timestamp,
+    updatedAt: timestamp
+  };
+}
+
+/**
+ * Apply changes to an existing record, keeping its id and creation time
+ * @param {Object} record - Existing record
+ * @param {Object} changes - Fields to change
+ * @returns {Object} The updated record
+ */
+export function updateRecord(record, changes) {
+  return {
+    ...record,
+    ...changes,
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Apply a batch of writes to a list of records
+ * Used by the backends that keep a collection as one array.
+ * @param {string} collection - Collection the records belong to
+ * @param {Array<Object>} records - Current records
+ * @param {import('./storage').BulkOperations} operations - Writes to apply
+ * @returns {{records: Array<Object>, result: import('./storage').BulkResult}}
+ *   The new record list and the outcome of each write
+ */
+export function applyBulkOperations(collection, records, { create = [], upsert = [], remove = [] }) {
+  const created = create.map(data => createRecord(collection, data));
+  const upsertsById = new Map(upsert.map(record => [record.id, record]));
+  const removeIds = new Set(remove);
+  const removed = [];
+
+  const next = [];
+  records.forEach(record => {
+    if (removeIds.has(record.id)) {
+      removed.push(record.id);
+      return;
+    }
+    if (upsertsById.has(record.id)) {
+      next.push(upsertsById.get(record.id));
+      upsertsById.delete(record.id);
+      return;
+    }
+    next.push(record);
+  });
+
+  return {
+    records: [...next, ...upsertsById.values(), ...created],
+    result: { created, upserted: upsert, removed }
+  };
+}
+
+/**
+ * Apply the outcome of a bulk write to records held in memory
+ * Used by the providers to update their state after collection.bulk().
+ * @param {Array<Object>} records - Records before the write
+ * @param {import('./storage').BulkResult} result - Outcome returned by the storage backend
+ * @returns {Array<Object>} Records after the write (new records first)
+ */
+export function mergeBulkResult(records, { created = [], upserted = [], removed = [] }) {
+  const removedIds = new Set(removed);
+  const upsertsById = new Map(upserted.map(record => [record.id, record]));
+
+  const next = records
+    .filter(record => !removedIds.has(record.id))
+    .map(record => {
+      const replacement = upsertsById.get(record.id);
+      if (!replacement) return record;
+      upsertsById.delete(record.id);
+      return replacement;
+    });
+
+  return [...created, ...upsertsById.values(), ...next];
+}
@@ -0,0 +1,179 @@
+import { addDays, addWeeks, addMonths, addYears, format, parseISO, isValid } from 'date-fns';
+
+/**
+ * Schedules for recurring transaction templates.
+ *
+ * A template repeats from its start date at a fixed frequency until an
+ * optional end date or number of occurrences. The nth occurrence is always
+ * computed from the start date (not from the previous occurrence), so a
+ * monthly template starting on the 31st falls on the last day of shorter
+ * months and returns to the 31st afterwards.
+ *
+ * Dates are handled as YYYY-MM-DD strings in local time, like transaction dates.
+ *
+ * @typedef {Object} AmountChange
+ * @property {string} date - First occurrence date (YYYY-MM-DD) the new amount applies to
+ * @property {number} amount - New amount in cents (negative for expenses)
+ *
+ * @typedef {Object} Occurrence
+ * @property {string} date - Occurrence date (YYYY-MM-DD)
+ * @property {number} index - Zero-based occurrence number
+ * @property {number} amount - Amount in cents in effect on that date
+ */
+
+/**
+ * Supported frequencies and how far apart occurrences are
+ */
+export const RECURRING_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', advance: (date, n) => addDays(date, n) },
+  { value: 'weekly', label: 'Weekly', advance: (date, n) => addWeeks(date, n) },
+  { value: 'biweekly', label: 'Every two weeks', advance: (date, n) => addWeeks(date, n * 2) },
+  { value: 'monthly', label: 'Monthly', advance: (date, n) => addMonths(date, n) },
+  { value: 'yearly', label: 'Yearly', advance: (date, n) => addYears(date, n) }
+];
+
+// Safety limit on occurrences listed in one call (about 27 years of daily items)
+const MAX_OCCURRENCES = 10000;
+
+/**
+ * Format a Date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  return format(date, 'yyyy-MM-dd');
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ * @returns {string}
+ */
+export function getToday() {
+  return toDateKey(new Date());
+}
+
+/**
+ * Get the amount a template has on a given date, applying amount changes
+ * @param {Object} template - Recurring template
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @returns {number}
+ */
+export function getAmountOnDate(template, date) {
+  const changes = [...(template.amountChanges || [])]
+    .filter(change => change.date <= date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return Number(changes.length ? changes[changes.length - 1].amount : template.amount);
+}
+
+/**
+ * List a template's occurrences within a date range
+ * @param {Object} template - Recurring template
+ * @param {Object} range
+ * @param {string} [range.after] - Only occurrences strictly after this date (YYYY-MM-DD)
+ * @param {string} range.until - Only occurrences on or before this date (YYYY-MM-DD)
+ * @returns {Array<Occurrence>}
+ */
+export function getOccurrences(template, { after, until }) {
+  const frequency = RECURRING_FREQUENCIES.find(f => f.value === template.frequency);
+  const start = parseISO(String(template.startDate || ''));
+  if (!frequency || !isValid(start)) return [];
+
+  const count = template.occurrences ? Number(template.occurrences) : Infinity;
+  const occurrences = [];
+
+  for (let index = 0; index < count && index < MAX_OCCURRENCES; index++) {
+    const date = toDateKey(frequency.advance(start, index));
+    if (date > until || (template.endDate && date > template.endDate)) break;
+    if (!after || date > after) {
+      occurrences.push({ date, index, amount: getAmountOnDate(template, date) });
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Get the next occurrence of a template after a date
+ * @param {Object} template - Recurring template
+ * @param {string} after - Date (YYYY-MM-DD)
+ * @returns {Occurrence|null} The next occurrence, or null if the schedule has ended
+ */
+export function getNextOccurrence(template, after) {
+  // Look one year ahead, which covers every frequency
+  const until = toDateKey(addYears(parseISO(after), 1));
+  return getOccurrences(template, { after, until })[0] || null;
+}
+
+/**
+ * Get the occurrences that are due and have not been generated yet
+ * Occurrences up to the template's lastGeneratedDate are never generated again,
+ * so deleting a generated transaction does not bring it back.
+ * @param {Object} template - Recurring template
+ * @param {string} today - Date (YYYY-MM-DD)
+ * @returns {Array<Occurrence>}
+ */
+export function getDueOccurrences(template, today) {
+  return getOccurrences(template, { after: template.lastGeneratedDate, until: today });
+}
+
+/**
+ * Key identifying the transaction generated for one occurrence
+ * @param {string} recurringId - Template id
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @returns {string}
+ */
+export function occurrenceKey(recurringId, date) {
+  return `${recurringId}|${date}`;
+}
+
+/**
+ * Build the transaction for one occurrence of a template
+ * @param {Object} template - Recurring template
+ * @param {Occurrence} occurrence
+ * @returns {Object} Transaction data without id
+ */
+export function buildRecurringTransaction(template, occurrence) {
+  return {
+    amount: occurrence.amount,
+    date: occurrence.date,
+    description: template.description,
+    category: template.category,
+    accountId: template.accountId,
+    recurringId: template.id,
+    recurringDate: occurrence.date
+  };
+}
+
+/**
+ * List the scheduled items of all templates in the coming days
+ * @param {Array<Object>} templates - Recurring templates
+ * @param {string} today - Date (YYYY-MM-DD); items after today are listed
+ * @param {number} [days=30] - Number of days to look ahead
+ * @returns {Array<{template: Object, date: string, amount: number}>} Items in date order
+ */
+export function getUpcomingOccurrences(templates, today, days = 30) {
+  const until = toDateKey(addDays(parseISO(today), days));
+
+  return templates
+    .flatMap(template => getOccurrences(template, { after: today, until })
+      .map(occurrence => ({ template, date: occurrence.date, amount: occurrence.amount })))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.template.description.localeCompare(b.template.description));
+}
+
+/**
+ * Describe a template's schedule in words
+ * @param {Object} template - Recurring template
+ * @returns {string} e.g. "Monthly until Dec 31, 2025" or "Weekly, 10 times"
+ */
+export function describeSchedule(template) {
+  const frequency = RECURRING_FREQUENCIES.find(f => f.value === template.frequency);
+  const label = frequency ? frequency.label : template.frequency;
+
+  if (template.endDate) {
+    return `${label} until ${format(parseISO(template.endDate), 'MMM d, yyyy')}`;
+  }
+  if (template.occurrences) {
+    return `${label}, ${template.occurrences} time${Number(template.occurrences) !== 1 ? 's' : ''}`;
+  }
+  return label;
+}
@@ -0,0 +1,195 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { StorageQuotaError } from './storage';
+import { migrateRecords, describeMigrationFailures } from './migrations';
+import { mergeBulkResult } from './records';
+
+/**
+ * Schema Definition for a Recurring Transaction Template
+ * Persisted through the storage adapter given to the provider. The
+ * TransactionProvider turns due occurrences into transactions.
+ *
+ * @typedef {Object} RecurringTemplate
+ * @property {string} id - Unique identifier
+ * @property {string} description - Description of the generated transactions
+ * @property {number} amount - Amount in cents (positive for income, negative for expenses; see lib/money.js)
+ * @property {string} category - Category of the generated transactions
+ * @property {string} accountId - Account the generated transactions belong to
+ * @property {'daily'|'weekly'|'biweekly'|'monthly'|'yearly'} frequency - How often it repeats
+ * @property {string} startDate - Date of the first occurrence (YYYY-MM-DD)
+ * @property {string} [endDate] - No occurrences after this date (YYYY-MM-DD)
+ * @property {number} [occurrences] - Total number of occurrences
+ * @property {Array<import('./recurring').AmountChange>} [amountChanges] - Scheduled amount changes
+ * @property {string} [lastGeneratedDate] - Date of the last occurrence turned into a transaction
+ * @property {number} [schemaVersion] - Schema version the record was saved with (see lib/migrations.js)
+ * @property {string} [createdAt] - Timestamp when the template was created
+ * @property {string} [updatedAt] - Timestamp when the template was last updated
+ */
+
+// Storage collection holding recurring templates
+const COLLECTION = 'recurring';
+
+// Create recurring context
+const RecurringContext = createContext(undefined);
+
+/**
+ * Recurring Provider Component
+ * Manages recurring transaction templates and provides CRUD operations
+ * @param {Object} props
+ * @param {import('./storage').StorageAdapter} props.storage - Storage backend for templates
+ */
+export function RecurringProvider({ children, storage }) {
+  // Main state for recurring templates
+  const [recurringTransactions, setRecurringTransactions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Collection the templates are persisted in
+  const collection = useMemo(() => storage.collection(COLLECTION), [storage]);
+
+  /**
+   * Load templates from storage on initial render
+   */
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        setIsLoading(true);
+
+        // Upgrade records saved by older versions of the app
+        const { records, upgraded, failures } = migrateRecords(COLLECTION, await collection.list());
+        if (upgraded.length > 0) {
+          try {
+            await collection.bulk({ upsert: upgraded });
+          } catch (err) {
+            // Not fatal: the records are migrated again on the next load
+            console.error('Error saving migrated recurring transactions:', err);
+          }
+        }
+
+        setRecurringTransactions(records);
+        setError(describeMigrationFailures(failures, 'recurring transactions'));
+      } catch (err) {
+        console.error('Error loading recurring transactions from storage:', err);
+        setError('Failed to load recurring transactions from storage. Please try refreshing the page.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadTemplates();
+  }, [collection]);
+
+  /**
+   * Clear any errors
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  /**
+   * Run a storage write, surfacing "storage full" errors to the whole page
+   * @param {() => Promise<any>} operation - Storage call to run
+   * @returns {Promise<any>} Result of the operation
+   */
+  const persist = useCallback(async (operation) => {
+    try {
+      return await operation();
+    } catch (err) {
+      if (err instanceof StorageQuotaError) {
+        setError(err.message);
+      }
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Add a new recurring template
+   * @param {Omit<RecurringTemplate, 'id' | 'createdAt' | 'updatedAt'>} template - Template data without id
+   * @returns {Promise<RecurringTemplate>} - The newly created template
+   */
+  const addRecurring = useCallback(async (template) => {
+    const newTemplate = await persist(() => collection.create(template));
+
+    setRecurringTransactions(prev => [...prev, newTemplate]);
+    return newTemplate;
+  }, [collection, persist]);
+
+  /**
+   * Update an existing recurring template
+   * Transactions generated before the change are kept as they are.
+   * @param {string} id - Template ID to update
+   * @param {Partial<RecurringTemplate>} updatedData - New template data
+   * @returns {Promise<RecurringTemplate>} - The updated template (rejects if not found)
+   */
+  const updateRecurring = useCallback(async (id, updatedData) => {
+    const updatedTemplate = await persist(() => collection.update(id, updatedData));
+
+    if (!updatedTemplate) {
+      throw new Error(`Recurring transaction with ID ${id} not found`);
+    }
+
+    setRecurringTransactions(prev => prev.map(template =>
+      template.id === id ? updatedTemplate : template
+    ));
+    return updatedTemplate;
+  }, [collection, persist]);
+
+  /**
+   * Delete a recurring template
+   * Transactions it already generated are kept.
+   * @param {string} id - Template ID to delete
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  const deleteRecurring = useCallback(async (id) => {
+    const deleted = await persist(() => collection.remove(id));
+
+    if (deleted) {
+      setRecurringTransactions(prev => prev.filter(template => template.id !== id));
+    }
+    return deleted;
+  }, [collection, persist]);
+
+  /**
+   * Create, replace and delete many templates in one storage call and one state update
+   * Upserted records are stored as given (e.g. when restoring a backup).
+   * @param {import('./storage').BulkOperations} operations - Writes to apply
+   * @returns {Promise<import('./storage').BulkResult>} - The outcome of each write
+   */
+  const writeRecurring = useCallback(async (operations) => {
+    const result = await persist(() => collection.bulk(operations));
+
+    setRecurringTransactions(prev => mergeBulkResult(prev, result));
+    return result;
+  }, [collection, persist]);
+
+  // Value object to be provided to context consumers
+  const value = {
+    recurringTransactions,
+    isLoading,
+    error,
+    clearError,
+    addRecurring,
+    updateRecurring,
+    deleteRecurring,
+    writeRecurring
+  };
+
+  return (
+    <RecurringContext.Provider value={value}>
+      {children}
+    </RecurringContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for using the recurring context
+ * @returns {Object} Recurring context with CRUD operations
+ */
+export function useRecurring() {
+  const context = useContext(RecurringContext);
+
+  if (context === undefined) {
+    throw new Error('useRecurring must be used within a RecurringProvider');
+  }
+
+  return context;
+}
@@ -0,0 +1,202 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { StorageQuotaError } from './storage';
+import { migrateRecords, describeMigrationFailures } from './migrations';
+import { mergeBulkResult, updateRecord } from './records';
+import { sortRules } from './rules';
+
+// Storage collection holding categorization rules
+const COLLECTION = 'rules';
+
+// Create rule context
+const RuleContext = createContext(undefined);
+
+/**
+ * Rule Provider Component
+ * Manages categorization rules (see lib/rules.js) and provides CRUD
+ * operations. The TransactionProvider applies them to new transactions.
+ * @param {Object} props
+ * @param {import('./storage').StorageAdapter} props.storage - Storage backend for rules
+ */
+export function RuleProvider({ children, storage }) {
+  // Rules as stored; `rules` below is in running order
+  const [storedRules, setStoredRules] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Collection the rules are persisted in
+  const collection = useMemo(() => storage.collection(COLLECTION), [storage]);
+
+  /**
+   * Load rules from storage on initial render
+   */
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        setIsLoading(true);
+
+        // Upgrade records saved by older versions of the app
+        const { records, upgraded, failures } = migrateRecords(COLLECTION, await collection.list());
+        if (upgraded.length > 0) {
+          try {
+            await collection.bulk({ upsert: upgraded });
+          } catch (err) {
+            // Not fatal: the records are migrated again on the next load
+            console.error('Error saving migrated rules:', err);
+          }
+        }
+
+        setStoredRules(records);
+        setError(describeMigrationFailures(failures, 'rules'));
+      } catch (err) {
+        console.error('Error loading rules from storage:', err);
+        setError('Failed to load rules from storage. Please try refreshing the page.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadRules();
+  }, [collection]);
+
+  // Rules in the order they run
+  const rules = useMemo(() => sortRules(storedRules), [storedRules]);
+
+  /**
+   * Clear any errors
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  /**
+   * Run a storage write, surfacing "storage full" errors to the whole page
+   * @param {() => Promise<any>} operation - Storage call to run
+   * @returns {Promise<any>} Result of the operation
+   */
+  const persist = useCallback(async (operation) => {
+    try {
+      return await operation();
+    } catch (err) {
+      if (err instanceof StorageQuotaError) {
+        setError(err.message);
+      }
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Add a new rule after the existing ones
+   * @param {Omit<import('./rules').Rule, 'id' | 'priority' | 'createdAt' | 'updatedAt'>} rule - Rule data without id
+   * @returns {Promise<import('./rules').Rule>} - The newly created rule
+   */
+  const addRule = useCallback(async (rule) => {
+    const priority = storedRules.reduce((max, r) => Math.max(max, r.priority ?? 0), 0) + 1;
+    const newRule = await persist(() => collection.create({ ...rule, priority }));
+
+    setStoredRules(prev => [...prev, newRule]);
+    return newRule;
+  }, [collection, persist, storedRules]);
+
+  /**
+   * Update an existing rule
+   * Transactions the rule already changed are kept as they are.
+   * @param {string} id - Rule ID to update
+   * @param {Partial<import('./rules').Rule>} updatedData - New rule data
+   * @returns {Promise<import('./rules').Rule>} - The updated rule (rejects if not found)
+   */
+  const updateRule = useCallback(async (id, updatedData) => {
+    const updatedRule = await persist(() => collection.update(id, updatedData));
+
+    if (!updatedRule) {
+      throw new Error(`Rule with ID ${id} not found`);
+    }
+
+    setStoredRules(prev => prev.map(rule => (rule.id === id ? updatedRule : rule)));
+    return updatedRule;
+  }, [collection, persist]);
+
+  /**
+   * Delete a rule
+   * Transactions it already changed are kept as they are.
+   * @param {string} id - Rule ID to delete
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  const deleteRule = useCallback(async (id) => {
+    const deleted = await persist(() => collection.remove(id));
+
+    if (deleted) {
+      setStoredRules(prev => prev.filter(rule => rule.id !== id));
+    }
+    return deleted;
+  }, [collection, persist]);
+
+  /**
+   * Move a rule one place up or down in the running order
+   * @param {string} id - Rule ID to move
+   * @param {-1|1} direction - -1 to run it earlier, 1 to run it later
+   * @returns {Promise<void>}
+   */
+  const moveRule = useCallback(async (id, direction) => {
+    const index = rules.findIndex(rule => rule.id === id);
+    const other = rules[index + direction];
+    if (index === -1 || !other) return;
+
+    // Renumber so rules with equal priorities still swap places
+    const reordered = [...rules];
+    reordered[index] = other;
+    reordered[index + direction] = rules[index];
+    const upsert = reordered
+      .map((rule, position) => ({ rule, priority: position + 1 }))
+      .filter(({ rule, priority }) => rule.priority !== priority)
+      .map(({ rule, priority }) => updateRecord(rule, { priority }));
+
+    const result = await persist(() => collection.bulk({ upsert }));
+    setStoredRules(prev => mergeBulkResult(prev, result));
+  }, [collection, persist, rules]);
+
+  /**
+   * Create, replace and delete many rules in one storage call and one state update
+   * Upserted records are stored as given (e.g. when restoring a backup).
+   * @param {import('./storage').BulkOperations} operations - Writes to apply
+   * @returns {Promise<import('./storage').BulkResult>} - The outcome of each write
+   */
+  const writeRules = useCallback(async (operations) => {
+    const result = await persist(() => collection.bulk(operations));
+
+    setStoredRules(prev => mergeBulkResult(prev, result));
+    return result;
+  }, [collection, persist]);
+
+  // Value object to be provided to context consumers
+  const value = {
+    rules,
+    isLoading,
+    error,
+    clearError,
+    addRule,
+    updateRule,
+    deleteRule,
+    moveRule,
+    writeRules
+  };
+
+  return (
+    <RuleContext.Provider value={value}>
+      {children}
+    </RuleContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for using the rule context
+ * @returns {Object} Rule context with rules and CRUD operations
+ */
+export function useRules() {
+  const context = useContext(RuleContext);
+
+  if (context === undefined) {
+    throw new Error('useRules must be used within a RuleProvider');
+  }
+
+  return context;
+}
@@ -0,0 +1,283 @@
+import { parseISO, isValid } from 'date-fns';
+import { toDecimalString } from './money';
+
+/**
+ * Rules that categorize transactions automatically.
+ *
+ * A rule has conditions on the description, amount, account and weekday of
+ * a transaction and sets its category, tags and/or a cleaned-up payee. All
+ * conditions that are filled in must match. Rules run in priority order:
+ * the first matching rule that sets a category (or payee) wins, while the
+ * tags of every matching rule are added.
+ *
+ * Rules are applied when transactions are added or imported, and can be
+ * re-run on existing transactions (see previewRuleChanges). Transfers are
+ * never changed, and split transactions keep their categories.
+ *
+ * @typedef {Object} Rule
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in the rule list
+ * @property {boolean} enabled - Disabled rules are kept but never applied
+ * @property {number} priority - Rules with a lower priority run first
+ * @property {'contains'|'regex'} descriptionMatch - How descriptionPattern is matched
+ * @property {string} [descriptionPattern] - Text the description contains, or a regular expression (case-insensitive)
+ * @property {number} [minAmount] - Smallest amount in cents that matches (negative for expenses)
+ * @property {number} [maxAmount] - Largest amount in cents that matches (negative for expenses)
+ * @property {string} [accountId] - Only transactions of this account match
+ * @property {Array<number>} [weekdays] - Days of the week that match (0 = Sunday); empty for every day
+ * @property {string} [category] - Category to set
+ * @property {Array<string>} [tags] - Tags to add
+ * @property {string} [payee] - Payee to set
+ * @property {number} [schemaVersion] - Schema version the record was saved with (see lib/migrations.js)
+ * @property {string} [createdAt] - Timestamp when the rule was created
+ * @property {string} [updatedAt] - Timestamp when the rule was last updated
+ *
+ * @typedef {Object} RuleResult
+ * @property {Object} changes - Fields the matching rules change (category, tags, payee); empty if none
+ * @property {Array<string>} ruleIds - Ids of the rules that matched, in priority order
+ */
+
+/**
+ * Ways a rule can match the description
+ */
+export const RULE_MATCH_TYPES = [
+  { value: 'contains', label: 'Contains' },
+  { value: 'regex', label: 'Matches regular expression' }
+];
+
+/**
+ * Days of the week, Monday first, with their Date#getDay() numbers
+ */
+export const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+/**
+ * Check whether an optional rule field is filled in
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function hasRuleValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Compile a rule's description condition
+ * @param {Rule} rule
+ * @returns {RegExp|null} Case-insensitive pattern, or null if the rule does not look at the description
+ * @throws {SyntaxError} If a regular expression rule has an invalid pattern
+ */
+export function compileRulePattern(rule) {
+  if (!hasRuleValue(rule.descriptionPattern)) return null;
+
+  const source = rule.descriptionMatch === 'regex'
+    ? rule.descriptionPattern
+    : rule.descriptionPattern.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, 'i');
+}
+
+/**
+ * Rules in the order they run
+ * @param {Array<Rule>} rules
+ * @returns {Array<Rule>}
+ */
+export function sortRules(rules) {
+  return [...rules].sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0)
+    || String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+}
+
+/**
+ * Enabled rules in running order with their compiled patterns
+ * Rules with an invalid pattern (e.g. from an old backup) are skipped.
+ * @param {Array<Rule>} rules
+ * @returns {Array<{rule: Rule, pattern: RegExp|null}>}
+ */
+function prepareRules(rules) {
+  return sortRules(rules)
+    .filter(rule => rule.enabled !== false)
+    .flatMap(rule => {
+      try {
+        return [{ rule, pattern: compileRulePattern(rule) }];
+      } catch (err) {
+        return [];
+      }
+    });
+}
+
+/**
+ * Day of the week of a transaction date
+ * @param {string} date - YYYY-MM-DD or ISO timestamp
+ * @returns {number|null} 0 (Sunday) to 6, or null for invalid dates
+ */
+function getWeekday(date) {
+  const parsed = parseISO(String(date || '').slice(0, 10));
+  return isValid(parsed) ? parsed.getDay() : null;
+}
+
+/**
+ * Check a transaction against one prepared rule
+ * @param {{rule: Rule, pattern: RegExp|null}} prepared
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+function matchesPrepared({ rule, pattern }, transaction) {
+  const amount = Number(transaction.amount);
+
+  if (pattern && !pattern.test(transaction.description || '')) return false;
+  if (hasRuleValue(rule.minAmount) && !(amount >= Number(rule.minAmount))) return false;
+  if (hasRuleValue(rule.maxAmount) && !(amount <= Number(rule.maxAmount))) return false;
+  if (hasRuleValue(rule.accountId) && transaction.accountId !== rule.accountId) return false;
+  if (rule.weekdays && rule.weekdays.length > 0 && !rule.weekdays.includes(getWeekday(transaction.date))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether a rule matches a transaction
+ * @param {Rule} rule
+ * @param {Object} transaction
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, transaction) {
+  try {
+    return matchesPrepared({ rule, pattern: compileRulePattern(rule) }, transaction);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Add tags to a list, skipping ones it already has (ignoring case)
+ * @param {Array<string>} tags - Current tags
+ * @param {Array<string>} added - Tags to add
+ * @returns {Array<string>}
+ */
+export function mergeTags(tags = [], added = []) {
+  const result = [...tags];
+  added.forEach(tag => {
+    const trimmed = String(tag).trim();
+    if (trimmed && !result.some(existing => existing.toLowerCase() === trimmed.toLowerCase())) {
+      result.push(trimmed);
+    }
+  });
+  return result;
+}
+
+/**
+ * Work out what the prepared rules change on a transaction
+ * @param {Array<{rule: Rule, pattern: RegExp|null}>} prepared
+ * @param {Object} transaction
+ * @returns {RuleResult}
+ */
+function evaluateRules(prepared, transaction) {
+  // Transfers keep their fixed category and are never tagged by rules
+  if (transaction.transferId) {
+    return { changes: {}, ruleIds: [] };
+  }
+
+  const matched = prepared.filter(item => matchesPrepared(item, transaction)).map(item => item.rule);
+  const changes = {};
+
+  // Split transactions keep the categories of their lines
+  const hasSplits = Array.isArray(transaction.splits) && transaction.splits.length > 0;
+  const categoryRule = matched.find(rule => hasRuleValue(rule.category));
+  if (categoryRule && !hasSplits && categoryRule.category !== transaction.category) {
+    changes.category = categoryRule.category;
+  }
+
+  const payeeRule = matched.find(rule => hasRuleValue(rule.payee));
+  if (payeeRule && payeeRule.payee !== transaction.payee) {
+    changes.payee = payeeRule.payee;
+  }
+
+  const currentTags = transaction.tags || [];
+  const tags = mergeTags(currentTags, matched.flatMap(rule => rule.tags || []));
+  if (tags.length !== currentTags.length) {
+    changes.tags = tags;
+  }
+
+  return { changes, ruleIds: matched.map(rule => rule.id) };
+}
+
+/**
+ * Work out what the rules change on a transaction
+ * @param {Object} transaction
+ * @param {Array<Rule>} rules
+ * @returns {RuleResult}
+ */
+export function getRuleChanges(transaction, rules) {
+  return evaluateRules(prepareRules(rules), transaction);
+}
+
+/**
+ * Apply the rules to transactions that are about to be saved
+ * @param {Array<Object>} transactions
+ * @param {Array<Rule>} rules
+ * @returns {Array<Object>} The transactions with the rules' changes
+ */
+export function applyRules(transactions, rules) {
+  const prepared = prepareRules(rules);
+  if (prepared.length === 0) return transactions;
+
+  return transactions.map(transaction => ({
+    ...transaction,
+    ...evaluateRules(prepared, transaction).changes
+  }));
+}
+
+/**
+ * What re-running the rules would change on existing transactions
+ * @param {Array<Object>} transactions
+ * @param {Array<Rule>} rules
+ * @returns {Array<{transaction: Object, changes: Object, ruleIds: Array<string>}>}
+ *   One entry per transaction that would change
+ */
+export function previewRuleChanges(transactions, rules) {
+  const prepared = prepareRules(rules);
+  if (prepared.length === 0) return [];
+
+  return transactions.flatMap(transaction => {
+    const { changes, ruleIds } = evaluateRules(prepared, transaction);
+    return Object.keys(changes).length > 0 ? [{ transaction, changes, ruleIds }] : [];
+  });
+}
+
+/**
+ * Describe a rule's conditions in words, e.g. "Description contains "amzn", on Sat, Sun"
+ * @param {Rule} rule
+ * @param {(id: string) => string} [getAccountName] - Looks up account names
+ * @returns {string}
+ */
+export function describeRuleConditions(rule, getAccountName = id => id) {
+  const parts = [];
+
+  if (hasRuleValue(rule.descriptionPattern)) {
+    parts.push(rule.descriptionMatch === 'regex'
+      ? `Description matches /${rule.descriptionPattern}/`
+      : `Description contains "${rule.descriptionPattern}"`);
+  }
+  if (hasRuleValue(rule.minAmount) && hasRuleValue(rule.maxAmount)) {
+    parts.push(`amount ${toDecimalString(rule.minAmount)} to ${toDecimalString(rule.maxAmount)}`);
+  } else if (hasRuleValue(rule.minAmount)) {
+    parts.push(`amount at least ${toDecimalString(rule.minAmount)}`);
+  } else if (hasRuleValue(rule.maxAmount)) {
+    parts.push(`amount at most ${toDecimalString(rule.maxAmount)}`);
+  }
+  if (hasRuleValue(rule.accountId)) {
+    parts.push(`in ${getAccountName(rule.accountId)}`);
+  }
+  if (rule.weekdays && rule.weekdays.length > 0) {
+    const days = WEEKDAYS.filter(day => rule.weekdays.includes(day.value)).map(day => day.label);
+    parts.push(`on ${days.join(', ')}`);
+  }
+
+  const text = parts.join(', ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,167 @@
+import { getStore } from './store';
+import { createRecord, updateRecord } from '../records';
+
+/**
+ * Send a JSON error response
+ * @param {Object} res - Next.js API response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra fields such as validation errors
+ */
+function sendError(res, status, message, details = {}) {
+  res.status(status).json({ error: message, ...details });
+}
+
+/**
+ * Create an API handler for a whole collection (list and create)
+ *
+ * @param {string} collection - Collection name in the store
+ * @param {Object} [options]
+ * @param {(data: Object) => {isValid: boolean, errors: Object}} [options.validate] - Validates new records
+ * @param {(records: Array<Object>, data: Object) => Object|undefined} [options.findExisting]
+ *   - When given, POST updates the matching record instead of creating a duplicate
+ * @returns {Function} Next.js API route handler
+ */
+export function createCollectionHandler(collection, { validate, findExisting } = {}) {
+  return async function handler(req, res) {
+    const store = getStore();
+
+    try {
+      switch (req.method) {
+        case 'GET': {
+          const records = await store.list(collection);
+          return res.status(200).json(records);
+        }
+
+        case 'POST': {
+          const data = req.body || {};
+
+          if (validate) {
+            const validation = validate(data);
+            if (!validation.isValid) {
+              return sendError(res, 400, 'Validation failed', { errors: validation.errors });
+            }
+          }
+
+          if (findExisting) {
+            const existing = findExisting(await store.list(collection), data);
+            if (existing) {
+              const updated = await store.replace(collection, existing.id, updateRecord(existing, data));
+              return res.status(200).json(updated);
+            }
+          }
+
+          const created = await store.insert(collection, createRecord(collection, data));
+          return res.status(201).json(created);
+        }
+
+        default:
+          res.setHeader('Allow', ['GET', 'POST']);
+          return sendError(res, 405, `Method ${req.method} not allowed`);
+      }
+    } catch (err) {
+      console.error(`Error handling ${req.method} /api/${collection}:`, err);
+      return sendError(res, 500, 'Internal server error');
+    }
+  };
+}
+
+/**
+ * Create an API handler for a single record (read, update and delete)
+ *
+ * @param {string} collection - Collection name in the store
+ * @param {Object} options
+ * @param {string} options.label - Human readable record name used in error messages
+ * @param {(data: Object) => {isValid: boolean, errors: Object}} [options.validate] - Validates updated records
+ * @returns {Function} Next.js API route handler
+ */
+export function createItemHandler(collection, { label, validate }) {
+  return async function handler(req, res) {
+    const store = getStore();
+    const { id } = req.query;
+
+    try {
+      const existing = await store.get(collection, id);
+      if (!existing) {
+        return sendError(res, 404, `${label} with ID ${id} not found`);
+      }
+
+      switch (req.method) {
+        case 'GET':
+          return res.status(200).json(existing);
+
+        case 'PUT':
+        case 'PATCH': {
+          const updated = updateRecord(existing, req.body || {});
+
+          if (validate) {
+            const validation = validate(updated);
+            if (!validation.isValid) {
+              return sendError(res, 400, 'Validation failed', { errors: validation.errors });
+            }
+          }
+
+          return res.status(200).json(await store.replace(collection, id, updated));
+        }
+
+        case 'DELETE':
+          await store.remove(collection, id);
+          return res.status(204).end();
+
+        default:
+          res.setHeader('Allow', ['GET', 'PUT', 'PATCH', 'DELETE']);
+          return sendError(res, 405, `Method ${req.method} not allowed`);
+      }
+    } catch (err) {
+      console.error(`Error handling ${req.method} /api/${collection}/${id}:`, err);
+      return sendError(res, 500, 'Internal server error');
+    }
+  };
+}
+
+/**
+ * Create an API handler that applies many writes to a collection at once
+ * Body: { create?: Object[], upsert?: Object[], remove?: string[] }
+ *
+ * @param {string} collection - Collection name in the store
+ * @param {Object} [options]
+ * @param {(data: Object) => {isValid: boolean, errors: Object}} [options.validate] - Validates created and upserted records
+ * @returns {Function} Next.js API route handler
+ */
+export function createBulkHandler(collection, { validate } = {}) {
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', ['POST']);
+      return sendError(res, 405, `Method ${req.method} not allowed`);
+    }
+
+    const { create = [], upsert = [], remove = [] } = req.body || {};
+
+    if (![create, upsert, remove].every(Array.isArray)) {
+      return sendError(res, 400, 'create, upsert and remove must be arrays');
+    }
+    if (upsert.some(record => !record || !record.id)) {
+      return sendError(res, 400, 'Every upserted record needs an id');
+    }
+
+    // Upserted records are checked like created ones, as the item handler checks updates
+    if (validate) {
+      const check = (operation) => (data, index) => ({ operation, index, validation: validate(data) });
+      const invalid = [...create.map(check('create')), ...upsert.map(check('upsert'))]
+        .filter(({ validation }) => !validation.isValid);
+      if (invalid.length) {
+        return sendError(res, 400, 'Validation failed', {
+          errors: invalid.map(({ operation, index, validation }) => ({ operation, index, errors: validation.errors }))
+        });
+      }
+    }
+
+    try {
+      const result = await getStore().bulk(collection, { create, upsert, remove });
+      return res.status(200).json(result);
+    } catch (err) {
+      console.error(`Error handling bulk write to /api/${collection}:`, err);
+      return sendError(res, 500, 'Internal server error');
+    }
+  };
+}
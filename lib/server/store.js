@@ -0,0 +1,138 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { applyBulkOperations } from '../records';
+
+/**
+ * Server-side data store used by the API routes.
+ *
+ * Records are kept in named collections (e.g. "transactions", "budgets"),
+ * the same way they would be in MongoDB. Two implementations are available
+ * and selected with the DATA_STORE environment variable:
+ *
+ * - "file" (default): a JSON file on disk, path set by DATA_FILE
+ * - "memory": an in-process store, useful for local testing
+ *
+ * @typedef {Object} Store
+ * @property {(collection: string) => Promise<Array<Object>>} list
+ * @property {(collection: string, id: string) => Promise<Object|null>} get
+ * @property {(collection: string, record: Object) => Promise<Object>} insert
+ * @property {(collection: string, id: string, record: Object) => Promise<Object|null>} replace
+ * @property {(collection: string, id: string) => Promise<boolean>} remove
+ * @property {(collection: string, operations: Object) => Promise<Object>} bulk
+ */
+
+const DEFAULT_DATA_FILE = path.join(process.cwd(), 'data', 'db.json');
+
+/**
+ * Build the collection operations on top of a load/save pair
+ * @param {() => Promise<Object>} load - Reads the whole database
+ * @param {(db: Object) => Promise<void>} save - Persists the whole database
+ * @returns {Store}
+ */
+function createCollectionStore(load, save) {
+  // Writes are queued so concurrent requests never interleave a read-modify-write
+  let queue = Promise.resolve();
+  const withDb = (fn) => {
+    const run = queue.then(async () => {
+      const db = await load();
+      const { result, changed } = fn(db);
+      if (changed) await save(db);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    list: (collection) =>
+      withDb(db => ({ result: [...(db[collection] || [])], changed: false })),
+
+    get: (collection, id) =>
+      withDb(db => ({
+        result: (db[collection] || []).find(r => r.id === id) || null,
+        changed: false
+      })),
+
+    insert: (collection, record) =>
+      withDb(db => {
+        db[collection] = [...(db[collection] || []), record];
+        return { result: record, changed: true };
+      }),
+
+    replace: (collection, id, record) =>
+      withDb(db => {
+        const records = db[collection] || [];
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) return { result: null, changed: false };
+
+        db[collection] = records.map(r => (r.id === id ? record : r));
+        return { result: record, changed: true };
+      }),
+
+    remove: (collection, id) =>
+      withDb(db => {
+        const records = db[collection] || [];
+        const remaining = records.filter(r => r.id !== id);
+        const removed = remaining.length !== records.length;
+        if (removed) db[collection] = remaining;
+        return { result: removed, changed: removed };
+      }),
+
+    bulk: (collection, operations) =>
+      withDb(db => {
+        const { records, result } = applyBulkOperations(collection, db[collection] || [], operations);
+        db[collection] = records;
+        return { result, changed: true };
+      })
+  };
+}
+
+/**
+ * Store backed by a JSON file
+ * @param {string} filePath - Location of the database file
+ * @returns {Store}
+ */
+export function createFileStore(filePath = DEFAULT_DATA_FILE) {
+  const load = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  };
+
+  const save = async (db) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temp file first so a crash never leaves a truncated database
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(db, null, 2));
+    await fs.rename(tempPath, filePath);
+  };
+
+  return createCollectionStore(load, save);
+}
+
+/**
+ * Store kept in memory for the lifetime of the server process
+ * @param {Object} [seed] - Initial collections
+ * @returns {Store}
+ */
+export function createMemoryStore(seed = {}) {
+  const db = JSON.parse(JSON.stringify(seed));
+  return createCollectionStore(async () => db, async () => {});
+}
+
+/**
+ * Get the store configured for this server.
+ * Cached on globalThis so it survives hot reloads in development.
+ * @returns {Store}
+ */
+export function getStore() {
+  if (!globalThis.__financeStore) {
+    globalThis.__financeStore = process.env.DATA_STORE === 'memory'
+      ? createMemoryStore()
+      : createFileStore(process.env.DATA_FILE || DEFAULT_DATA_FILE);
+  }
+  return globalThis.__financeStore;
+}
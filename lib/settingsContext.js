@@ -0,0 +1,179 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { StorageQuotaError } from './storage';
+import { DEFAULT_ASSET_ACCOUNT } from './formats/ledger';
+
+/**
+ * App settings, persisted as a single record in the "settings" collection
+ * of the storage adapter given to the provider.
+ *
+ * @typedef {Object} Settings
+ * @property {string} journalAssetAccount - Bank account written in ledger and beancount exports
+ * @property {'csv'|'xlsx'} exportFileFormat - File format for CSV/Excel exports
+ * @property {string} exportDateFormat - date-fns pattern for dates in CSV/Excel exports
+ * @property {string} exportSignConvention - How amounts are signed in CSV/Excel exports (see lib/exporting.js)
+ * @property {Array<import('./suggestions').CategoryFeedback>} categoryFeedback - Accepted and corrected category suggestions
+ */
+
+// Storage collection holding the settings record
+const COLLECTION = 'settings';
+
+// Id of the one settings record
+const SETTINGS_ID = 'app';
+
+// Record bookkeeping fields that are not settings
+const RECORD_FIELDS = ['id', 'schemaVersion', 'createdAt', 'updatedAt'];
+
+/**
+ * Settings used until the user changes them
+ * @type {Settings}
+ */
+export const DEFAULT_SETTINGS = {
+  journalAssetAccount: DEFAULT_ASSET_ACCOUNT,
+  exportFileFormat: 'csv',
+  exportDateFormat: 'yyyy-MM-dd',
+  exportSignConvention: 'signed',
+  categoryFeedback: []
+};
+
+/**
+ * Strip record bookkeeping fields from a stored settings record
+ * @param {Object} record - Stored record
+ * @returns {Partial<Settings>} Settings values
+ */
+export function settingsFromRecord(record) {
+  const values = { ...record };
+  RECORD_FIELDS.forEach(field => delete values[field]);
+  return values;
+}
+
+// Create settings context
+const SettingsContext = createContext(undefined);
+
+/**
+ * Settings Provider Component
+ * Loads the settings record and provides update operations
+ * @param {Object} props
+ * @param {import('./storage').StorageAdapter} props.storage - Storage backend for settings
+ */
+export function SettingsProvider({ children, storage }) {
+  // Stored settings record (null until one has been saved)
+  const [record, setRecord] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Collection the settings are persisted in
+  const collection = useMemo(() => storage.collection(COLLECTION), [storage]);
+
+  /**
+   * Load settings from storage on initial render
+   */
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setIsLoading(true);
+        const records = await collection.list();
+        setRecord(records.find(r => r.id === SETTINGS_ID) || null);
+      } catch (err) {
+        console.error('Error loading settings from storage:', err);
+        setError('Failed to load settings from storage. Default settings are used.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, [collection]);
+
+  /**
+   * Clear any errors
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  /**
+   * Write the settings record, creating it on first save
+   * @param {Partial<Settings>} values - Settings to store
+   * @param {boolean} replace - Drop stored settings that are not in values
+   * @returns {Promise<Object>} The stored record
+   */
+  const save = useCallback(async (values, replace) => {
+    try {
+      let saved;
+      if (!record) {
+        saved = await collection.create({ ...values, id: SETTINGS_ID });
+      } else if (replace) {
+        const [upserted] = (await collection.bulk({
+          upsert: [{ ...values, id: SETTINGS_ID, createdAt: record.createdAt, updatedAt: new Date().toISOString() }]
+        })).upserted;
+        saved = upserted;
+      } else {
+        saved = await collection.update(SETTINGS_ID, values);
+      }
+
+      setRecord(saved);
+      return saved;
+    } catch (err) {
+      if (err instanceof StorageQuotaError) {
+        setError(err.message);
+      }
+      throw err;
+    }
+  }, [collection, record]);
+
+  /**
+   * Change some settings, keeping the others
+   * @param {Partial<Settings>} changes - Settings to change
+   * @returns {Promise<Settings>} - The full settings after the change
+   */
+  const updateSettings = useCallback(async (changes) => {
+    const saved = await save(changes, false);
+    return { ...DEFAULT_SETTINGS, ...settingsFromRecord(saved) };
+  }, [save]);
+
+  /**
+   * Replace all stored settings (e.g. when restoring a backup)
+   * @param {Partial<Settings>} values - New settings; missing ones fall back to defaults
+   * @returns {Promise<Settings>} - The full settings after the change
+   */
+  const replaceSettings = useCallback(async (values) => {
+    const saved = await save(values, true);
+    return { ...DEFAULT_SETTINGS, ...settingsFromRecord(saved) };
+  }, [save]);
+
+  // Defaults filled in for anything not stored yet
+  const settings = useMemo(
+    () => ({ ...DEFAULT_SETTINGS, ...(record ? settingsFromRecord(record) : {}) }),
+    [record]
+  );
+
+  // Value object to be provided to context consumers
+  const value = {
+    settings,
+    isLoading,
+    error,
+    clearError,
+    updateSettings,
+    replaceSettings
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for using the settings context
+ * @returns {Object} Settings context with update operations
+ */
+export function useSettings() {
+  const context = useContext(SettingsContext);
+
+  if (context === undefined) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+
+  return context;
+}
@@ -0,0 +1,82 @@
+import { apiRequest } from '../apiClient';
+import { migrateRecords } from '../migrations';
+import { getPendingImports, readStoredRecords, markImported } from './localStorageAdapter';
+
+// localStorage key listing the collections already copied from the localStorage backend
+const IMPORT_MARKER_KEY = 'personal_finance_api_imported';
+
+/**
+ * Copy a collection saved by the localStorage backend to the server
+ * Runs on each load of the collection until it has been carried over once.
+ * Data is only copied into an empty collection, so records already saved on
+ * the server are never overwritten. Records are upgraded to the current
+ * schema first, as the server validates them.
+ * @param {string} name - Collection name
+ * @param {string} path - API path of the collection
+ * @param {Array<Object>} records - Records the server returned
+ * @returns {Promise<Array<Object>>} The collection's records after the copy
+ */
+async function importLocalStorageData(name, path, records) {
+  if (getPendingImports(IMPORT_MARKER_KEY, [name]).length === 0) return records;
+
+  const stored = readStoredRecords(name);
+  if (records.length > 0 || stored.length === 0) {
+    markImported(IMPORT_MARKER_KEY, [name]);
+    return records;
+  }
+
+  const { records: upgraded } = migrateRecords(name, stored);
+  const { upserted } = await apiRequest(`${path}/bulk`, { method: 'POST', body: { upsert: upgraded } });
+  markImported(IMPORT_MARKER_KEY, [name]);
+  return upserted;
+}
+
+/**
+ * Storage adapter that talks to the app's API routes (/api/<collection>)
+ * Data left in localStorage by the previous default backend is copied to
+ * the server the first time each collection is loaded.
+ * @param {string} [baseUrl='/api'] - Base path of the API routes
+ * @returns {import('./index').StorageAdapter}
+ */
+export function createApiAdapter(baseUrl = '/api') {
+  return {
+    name: 'api',
+
+    collection(name) {
+      const path = `${baseUrl}/${name}`;
+
+      return {
+        async list() {
+          return importLocalStorageData(name, path, await apiRequest(path));
+        },
+
+        create(data) {
+          return apiRequest(path, { method: 'POST', body: data });
+        },
+
+        async update(id, changes) {
+          try {
+            return await apiRequest(`${path}/${id}`, { method: 'PUT', body: changes });
+          } catch (err) {
+            if (err.status === 404) return null;
+            throw err;
+          }
+        },
+
+        async remove(id) {
+          try {
+            await apiRequest(`${path}/${id}`, { method: 'DELETE' });
+            return true;
+          } catch (err) {
+            if (err.status === 404) return false;
+            throw err;
+          }
+        },
+
+        bulk(operations) {
+          return apiRequest(`${path}/bulk`, { method: 'POST', body: operations });
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,49 @@
+import { createRecord, updateRecord, applyBulkOperations } from '../records';
+
+/**
+ * Build a collection on top of functions that read and write the whole
+ * record array. Used by the backends that keep a collection as one list.
+ *
+ * @param {string} name - Collection name, used to pick the id prefix
+ * @param {() => Array<Object>} read - Returns the current records
+ * @param {(records: Array<Object>) => void} write - Persists the records
+ * @returns {import('./index').StorageCollection}
+ */
+export function createArrayCollection(name, read, write) {
+  return {
+    async list() {
+      return read();
+    },
+
+    async create(data) {
+      const record = createRecord(name, data);
+      write([...read(), record]);
+      return record;
+    },
+
+    async update(id, changes) {
+      const records = read();
+      const existing = records.find(r => r.id === id);
+      if (!existing) return null;
+
+      const updated = updateRecord(existing, changes);
+      write(records.map(r => (r.id === id ? updated : r)));
+      return updated;
+    },
+
+    async remove(id) {
+      const records = read();
+      const remaining = records.filter(r => r.id !== id);
+      if (remaining.length === records.length) return false;
+
+      write(remaining);
+      return true;
+    },
+
+    async bulk(operations) {
+      const { records, result } = applyBulkOperations(name, read(), operations);
+      write(records);
+      return result;
+    }
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * Error raised when the browser refuses to store more data
+ */
+export class StorageQuotaError extends Error {
+  constructor(backend, cause) {
+    super(`Browser storage is full (${backend}). Free up space or switch to a larger storage backend to keep saving changes.`);
+    this.name = 'StorageQuotaError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Check whether an error is a storage quota error
+ * Browsers disagree on the name and code, so check all known variants.
+ * @param {Error|DOMException} err - Error thrown by localStorage or IndexedDB
+ * @returns {boolean} True if the error means storage is full
+ */
+export function isQuotaError(err) {
+  if (!err) return false;
+  return err.name === 'QuotaExceededError'
+    || err.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+    || err.code === 22
+    || err.code === 1014;
+}
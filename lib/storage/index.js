@@ -0,0 +1,57 @@
+import { createApiAdapter } from './apiAdapter';
+import { createIndexedDBAdapter } from './indexedDBAdapter';
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+
+/**
+ * Storage adapter interface shared by the data providers.
+ *
+ * An adapter hands out named collections ("transactions", "budgets", ...).
+ * Every collection exposes the same promise-based CRUD operations, so the
+ * providers never need to know where their records actually live.
+ *
+ * @typedef {Object} StorageCollection
+ * @property {() => Promise<Array<Object>>} list - Read every record
+ * @property {(data: Object) => Promise<Object>} create - Store a new record, returns it with id and timestamps
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update - Apply changes, null if not found
+ * @property {(id: string) => Promise<boolean>} remove - Delete a record, false if not found
+ * @property {(operations: BulkOperations) => Promise<BulkResult>} bulk - Apply many writes at once
+ *
+ * @typedef {Object} BulkOperations
+ * @property {Array<Object>} [create] - New records to stamp and store
+ * @property {Array<Object>} [upsert] - Complete records to store as-is, replacing any with the same id
+ * @property {Array<string>} [remove] - Ids of records to delete
+ *
+ * @typedef {Object} BulkResult
+ * @property {Array<Object>} created - The stored new records
+ * @property {Array<Object>} upserted - The stored complete records
+ * @property {Array<string>} removed - Ids that were actually deleted
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name
+ * @property {(name: string) => StorageCollection} collection - Get a collection by name
+ */
+
+export { createApiAdapter, createIndexedDBAdapter, createLocalStorageAdapter, createMemoryAdapter };
+export { StorageQuotaError } from './errors';
+
+// Adapter factories by backend name
+const ADAPTERS = {
+  api: createApiAdapter,
+  indexeddb: createIndexedDBAdapter,
+  local: createLocalStorageAdapter,
+  memory: createMemoryAdapter
+};
+
+/**
+ * Create the storage adapter for a backend
+ * @param {string} [backend='api'] - One of "api", "indexeddb", "local" or "memory"
+ * @returns {StorageAdapter}
+ */
+export function createStorageAdapter(backend = 'api') {
+  const factory = ADAPTERS[backend];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${backend}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return factory();
+}
@@ -0,0 +1,224 @@
+import { createRecord, updateRecord } from '../records';
+import { StorageQuotaError, isQuotaError } from './errors';
+import { getPendingImports, readStoredRecords, markImported } from './localStorageAdapter';
+
+/**
+ * IndexedDB storage backend.
+ *
+ * Every collection is an object store keyed by record id, so adding, editing
+ * or deleting a record only writes that one record instead of re-serializing
+ * the whole collection, and the data is not limited by the small localStorage
+ * quota. The providers still load each collection in full on startup.
+ */
+
+const DB_NAME = 'personal_finance';
+
+// Bump whenever STORE_NAMES changes so the upgrade handler runs
+const DB_VERSION = 8;
+
+// Object stores, one per collection. The data providers load whole
+// collections, so the stores have no secondary indexes.
+const STORE_NAMES = [
+  'transactions',
+  'budgets',
+  'settings',
+  'accounts',
+  'recurring',
+  'categories',
+  'rules',
+  'changes'
+];
+
+// localStorage key listing the collections already copied from the localStorage backend
+const IMPORT_MARKER_KEY = 'personal_finance_indexeddb_imported';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Create missing object stores and drop indexes left by earlier versions
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} tx - The version change transaction
+ */
+function upgradeDatabase(db, tx) {
+  STORE_NAMES.forEach(name => {
+    const store = db.objectStoreNames.contains(name)
+      ? tx.objectStore(name)
+      : db.createObjectStore(name, { keyPath: 'id' });
+
+    [...store.indexNames].forEach(indexName => store.deleteIndex(indexName));
+  });
+}
+
+/**
+ * Copy data saved by the localStorage backend into the database
+ * Runs on every open until each collection has been carried over once, which
+ * is remembered in localStorage, so collections whose stores were added by a
+ * later version are carried over too. Data is only copied into empty stores,
+ * so records already edited in IndexedDB are never overwritten.
+ * @param {IDBDatabase} db
+ * @returns {Promise<void>}
+ */
+async function importLocalStorageData(db) {
+  const pending = getPendingImports(IMPORT_MARKER_KEY, STORE_NAMES);
+  if (pending.length === 0) return;
+
+  const tx = db.transaction(pending, 'readwrite');
+  pending.forEach(name => {
+    const stored = readStoredRecords(name);
+    if (stored.length === 0) return;
+
+    const store = tx.objectStore(name);
+    store.count().onsuccess = (event) => {
+      if (event.target.result === 0) {
+        stored.forEach(record => store.put(record));
+      }
+    };
+  });
+  await transactionDone(tx);
+
+  markImported(IMPORT_MARKER_KEY, pending);
+}
+
+/**
+ * Open the database, creating or upgrading it as needed
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      upgradeDatabase(request.result, request.transaction);
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the app in another tab upgrade the database
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked. Close other tabs running this app and reload.'));
+  });
+}
+
+/**
+ * Storage adapter backed by IndexedDB
+ * @returns {import('./index').StorageAdapter}
+ */
+export function createIndexedDBAdapter() {
+  let dbPromise = null;
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase().then(async db => {
+        await importLocalStorageData(db);
+        return db;
+      }).catch(err => {
+        dbPromise = null; // Allow a retry on the next call
+        throw err;
+      });
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Run a write against one store and wait for it to commit
+   * @param {string} storeName
+   * @param {(store: IDBObjectStore) => Promise<any>} fn
+   * @returns {Promise<any>} Result of fn
+   */
+  const write = async (storeName, fn) => {
+    const db = await getDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    try {
+      const [result] = await Promise.all([fn(tx.objectStore(storeName)), transactionDone(tx)]);
+      return result;
+    } catch (err) {
+      if (isQuotaError(err)) throw new StorageQuotaError('IndexedDB', err);
+      throw err;
+    }
+  };
+
+  return {
+    name: 'indexeddb',
+
+    collection(name) {
+      if (!STORE_NAMES.includes(name)) {
+        throw new Error(`No IndexedDB store is defined for collection "${name}"`);
+      }
+
+      return {
+        async list() {
+          const db = await getDatabase();
+          return promisifyRequest(db.transaction(name).objectStore(name).getAll());
+        },
+
+        async create(data) {
+          const record = createRecord(name, data);
+          await write(name, store => promisifyRequest(store.add(record)));
+          return record;
+        },
+
+        async update(id, changes) {
+          return write(name, async store => {
+            const existing = await promisifyRequest(store.get(id));
+            if (!existing) return null;
+
+            const updated = updateRecord(existing, changes);
+            await promisifyRequest(store.put(updated));
+            return updated;
+          });
+        },
+
+        async remove(id) {
+          return write(name, async store => {
+            const existing = await promisifyRequest(store.getKey(id));
+            if (existing === undefined) return false;
+
+            await promisifyRequest(store.delete(id));
+            return true;
+          });
+        },
+
+        async bulk({ create = [], upsert = [], remove = [] }) {
+          const created = create.map(data => createRecord(name, data));
+
+          // All writes share one transaction, so the batch is all-or-nothing
+          const removed = await write(name, async store => {
+            const existingKeys = await Promise.all(remove.map(id => promisifyRequest(store.getKey(id))));
+            const removedIds = remove.filter((id, i) => existingKeys[i] !== undefined);
+
+            removedIds.forEach(id => store.delete(id));
+            upsert.forEach(record => store.put(record));
+            created.forEach(record => store.add(record));
+            return removedIds;
+          });
+
+          return { created, upserted: upsert, removed };
+        }
+      };
+    }
+  };
+}
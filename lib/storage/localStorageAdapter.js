@@ -0,0 +1,78 @@
+import { createArrayCollection } from './arrayCollection';
+import { StorageQuotaError, isQuotaError } from './errors';
+
+// localStorage keys for known collections, kept for compatibility with existing data
+const STORAGE_KEYS = {
+  transactions: 'personal_finance_transactions',
+  budgets: 'personal_finance_budgets'
+};
+
+/**
+ * Get the localStorage key for a collection
+ * @param {string} name - Collection name
+ * @returns {string} Storage key
+ */
+export function getStorageKey(name) {
+  return STORAGE_KEYS[name] || `personal_finance_${name}`;
+}
+
+/**
+ * Read the records the localStorage backend saved for a collection
+ * @param {string} name - Collection name
+ * @returns {Array<Object>} Stored records (empty if there are none)
+ */
+export function readStoredRecords(name) {
+  const stored = localStorage.getItem(getStorageKey(name));
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Collections whose localStorage data another backend has not copied yet
+ * Backends that replaced localStorage carry its data over once per
+ * collection and list the collections they are done with under a marker key.
+ * @param {string} markerKey - localStorage key listing the copied collections
+ * @param {Array<string>} names - Collection names the backend stores
+ * @returns {Array<string>} Names not copied yet (none without localStorage)
+ */
+export function getPendingImports(markerKey, names) {
+  if (typeof localStorage === 'undefined') return [];
+  const imported = JSON.parse(localStorage.getItem(markerKey) || '[]');
+  return names.filter(name => !imported.includes(name));
+}
+
+/**
+ * Remember that collections were copied from localStorage
+ * @param {string} markerKey - localStorage key listing the copied collections
+ * @param {Array<string>} names - Collections that were copied
+ */
+export function markImported(markerKey, names) {
+  const imported = JSON.parse(localStorage.getItem(markerKey) || '[]');
+  localStorage.setItem(markerKey, JSON.stringify([...new Set([...imported, ...names])]));
+}
+
+/**
+ * Storage adapter that keeps each collection as a JSON array in localStorage
+ * @returns {import('./index').StorageAdapter}
+ */
+export function createLocalStorageAdapter() {
+  return {
+    name: 'local',
+
+    collection(name) {
+      const key = getStorageKey(name);
+
+      return createArrayCollection(
+        name,
+        () => readStoredRecords(name),
+        (records) => {
+          try {
+            localStorage.setItem(key, JSON.stringify(records));
+          } catch (err) {
+            if (isQuotaError(err)) throw new StorageQuotaError('localStorage', err);
+            throw err;
+          }
+        }
+      );
+    }
+  };
+}
@@ -0,0 +1,28 @@
+import { createArrayCollection } from './arrayCollection';
+
+/**
+ * Storage adapter that keeps everything in memory.
+ * Data is lost on reload, which makes it handy for tests and demos.
+ * @param {Object<string, Array<Object>>} [seed] - Initial records by collection name
+ * @returns {import('./index').StorageAdapter}
+ */
+export function createMemoryAdapter(seed = {}) {
+  const collections = {};
+  Object.entries(seed).forEach(([name, records]) => {
+    collections[name] = [...records];
+  });
+
+  return {
+    name: 'memory',
+
+    collection(name) {
+      return createArrayCollection(
+        name,
+        () => collections[name] || [],
+        (records) => {
+          collections[name] = records;
+        }
+      );
+    }
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Category suggestions learned from the user's own transactions.
+ *
+ * A naive Bayes classifier is trained in the browser on the words of past
+ * transaction descriptions and the categories they were saved with; nothing
+ * leaves the device. Feedback from the transaction form (whether a suggestion
+ * was accepted or corrected) is stored in the settings and counted on top of
+ * the history, so a correction outweighs the older transactions that led to
+ * the wrong suggestion.
+ *
+ * @typedef {Object} CategoryModel
+ * @property {Object<string, {documents: number, tokens: number, counts: Object<string, number>}>} categories
+ *   Weighted number of examples, total words and per-word counts for each category
+ * @property {number} documents - Weighted number of examples
+ * @property {Set<string>} vocabulary - Every word seen in training
+ *
+ * @typedef {Object} CategoryFeedback
+ * @property {string} description - Description the suggestion was made for
+ * @property {string} category - Category the transaction was saved with
+ * @property {boolean} accepted - Whether that was the suggested category
+ * @property {string} date - Timestamp of the feedback
+ *
+ * @typedef {Object} CategorySuggestion
+ * @property {string} category - Most likely category
+ * @property {number} confidence - Probability of that category, from 0 to 1
+ */
+
+// Suggestions less certain than this are not shown
+export const MIN_SUGGESTION_CONFIDENCE = 0.4;
+
+// Feedback entries kept in the settings; older ones are dropped first
+export const MAX_CATEGORY_FEEDBACK = 200;
+
+// How many past transactions one piece of feedback counts as
+const FEEDBACK_WEIGHTS = { accepted: 1, corrected: 2 };
+
+/**
+ * Split a description into the distinct words used for classification
+ * Numbers on their own (dates, card and reference numbers) are left out.
+ * @param {string} description
+ * @returns {Array<string>} Lowercase words
+ */
+export function tokenizeDescription(description) {
+  const words = String(description || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2 && !/^\d+$/.test(word));
+  return [...new Set(words)];
+}
+
+/**
+ * Train a classifier on past transactions and form feedback
+ * Transfers and split transactions are skipped.
+ * @param {Array<Object>} transactions
+ * @param {Array<CategoryFeedback>} [feedback]
+ * @returns {CategoryModel}
+ */
+export function trainCategoryModel(transactions, feedback = []) {
+  const model = { categories: {}, documents: 0, vocabulary: new Set() };
+
+  const learn = (description, category, weight) => {
+    const words = tokenizeDescription(description);
+    if (!category || words.length === 0) return;
+
+    const entry = model.categories[category] || (model.categories[category] = { documents: 0, tokens: 0, counts: {} });
+    entry.documents += weight;
+    model.documents += weight;
+    words.forEach(word => {
+      entry.counts[word] = (entry.counts[word] || 0) + weight;
+      entry.tokens += weight;
+      model.vocabulary.add(word);
+    });
+  };
+
+  transactions.forEach(transaction => {
+    if (transaction.transferId || (Array.isArray(transaction.splits) && transaction.splits.length > 0)) return;
+    learn(transaction.description, transaction.category, 1);
+  });
+  feedback.forEach(entry => {
+    learn(entry.description, entry.category, FEEDBACK_WEIGHTS[entry.accepted ? 'accepted' : 'corrected']);
+  });
+
+  return model;
+}
+
+/**
+ * Suggest a category for a description
+ * The confidence is the probability of the category among all learned
+ * categories, even when only some of them are candidates.
+ * @param {CategoryModel} model
+ * @param {string} description
+ * @param {Array<string>} [candidates] - Categories that may be suggested (all if omitted)
+ * @returns {CategorySuggestion|null} Null if no word of the description has been seen before
+ */
+export function suggestCategory(model, description, candidates) {
+  const words = tokenizeDescription(description).filter(word => model.vocabulary.has(word));
+  const names = Object.keys(model.categories);
+  if (words.length === 0 || names.length === 0) return null;
+
+  // Log probabilities with add-one smoothing for words a category has not seen
+  const scores = names.map(name => {
+    const entry = model.categories[name];
+    const score = words.reduce(
+      (sum, word) => sum + Math.log(((entry.counts[word] || 0) + 1) / (entry.tokens + model.vocabulary.size)),
+      Math.log(entry.documents / model.documents)
+    );
+    return { name, score };
+  });
+
+  const best = scores
+    .filter(({ name }) => !candidates || candidates.includes(name))
+    .reduce((top, item) => (!top || item.score > top.score ? item : top), null);
+  if (!best) return null;
+
+  const total = scores.reduce((sum, { score }) => sum + Math.exp(score - best.score), 0);
+  return { category: best.name, confidence: 1 / total };
+}
+
+/**
+ * Add feedback for a suggestion, keeping the newest MAX_CATEGORY_FEEDBACK entries
+ * @param {Array<CategoryFeedback>} feedback - Stored feedback
+ * @param {Omit<CategoryFeedback, 'date'>} entry - New feedback
+ * @returns {Array<CategoryFeedback>}
+ */
+export function addCategoryFeedback(feedback = [], entry) {
+  return [...feedback, { ...entry, date: new Date().toISOString() }].slice(-MAX_CATEGORY_FEEDBACK);
+}
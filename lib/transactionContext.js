@@ -1,21 +1,54 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { StorageQuotaError } from './storage';
+import { migrateRecords, describeMigrationFailures } from './migrations';
+import { mergeBulkResult, generateId, updateRecord } from './records';
+import { buildTransferTransactions, isTransfer, isDeleted } from './utils';
+import { useRecurring } from './recurringContext';
+import { useRules } from './ruleContext';
+import { useHistory, getSnapshotOperations } from './historyContext';
+import { useChangeLog } from './changeLogContext';
+import { pairBulkResult, pairCreationWithRules } from './changeLog';
+import { applyRules } from './rules';
+import { expandTransferSelection, getBulkEditChanges } from './bulkEdit';
+import { moveToTrash, restoreFromTrash, getExpiredRecords } from './trash';
+import { sumMinorUnits } from './money';
+import {
+  getToday,
+  getDueOccurrences,
+  occurrenceKey,
+  buildRecurringTransaction
+} from './recurring';
 
 /**
  * Schema Definition for a Transaction
- * This structure mimics what would be used in MongoDB
+ * Persisted through the storage adapter given to the provider
  * 
  * @typedef {Object} Transaction
  * @property {string} id - Unique identifier
- * @property {number} amount - Transaction amount (positive for income, negative for expenses)
+ * @property {number} amount - Transaction amount in cents (positive for income, negative for expenses; see lib/money.js)
  * @property {string} date - Transaction date in ISO format
  * @property {string} description - Transaction description
- * @property {string} category - Transaction category
+ * @property {string} category - Transaction category (for split transactions, the category of the largest line)
+ * @property {Array<{category: string, amount: number, note?: string}>} [splits] - Split lines with the
+ *   same sign as the amount that add up to it; aggregations use these instead of `category`
+ * @property {string} accountId - Account the money moved in or out of
+ * @property {string} [transferId] - Shared by the two sides of a transfer between accounts
+ * @property {string} [transferAccountId] - The other account of a transfer
+ * @property {string} [recurringId] - Recurring template that generated the transaction
+ * @property {string} [recurringDate] - Scheduled date of the occurrence it was generated for
+ * @property {string} [externalId] - Id assigned by the bank (e.g. OFX FITID), used to skip re-imports
+ * @property {string} [payee] - Cleaned-up payee, set by a rule or imported separately from the description (beancount)
+ * @property {Array<string>} [tags] - Free-form labels, e.g. set by rules
+ * @property {string} [journalAccount] - Category account from an imported journal (e.g. "Expenses:Food:Groceries")
+ * @property {string} [journalAssetAccount] - Bank account from an imported journal (e.g. "Assets:Checking")
+ * @property {string} [deletedAt] - Timestamp when the transaction was moved to the trash (see lib/trash.js)
+ * @property {number} [schemaVersion] - Schema version the record was saved with (see lib/migrations.js)
  * @property {string} [createdAt] - Timestamp when the transaction was created
  * @property {string} [updatedAt] - Timestamp when the transaction was last updated
  */
 
-// Storage key for localStorage
-const STORAGE_KEY = 'personal_finance_transactions';
+// Storage collection holding transactions
+const COLLECTION = 'transactions';
 
 // Initial empty state for transactions
 const initialTransactions = [];
@@ -25,31 +58,82 @@ const TransactionContext = createContext(undefined);
 
 /**
  * Transaction Provider Component
- * Manages transaction state and provides CRUD operations
+ * Manages transaction state and provides CRUD operations. Must be rendered
+ * inside a RuleProvider, a RecurringProvider, a HistoryProvider and a
+ * ChangeLogProvider: categorization rules are applied to added transactions,
+ * due occurrences of recurring templates are added as transactions here,
+ * changes made by the user can be undone and redone, and every write is
+ * logged field by field.
+ * @param {Object} props
+ * @param {import('./storage').StorageAdapter} props.storage - Storage backend for transactions
  */
-export function TransactionProvider({ children }) {
-  // Main state for transactions
-  const [transactions, setTransactions] = useState(initialTransactions);
+export function TransactionProvider({ children, storage }) {
+  // Stored transactions, including those in the trash
+  const [storedTransactions, setStoredTransactions] = useState(initialTransactions);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [migrationErrors, setMigrationErrors] = useState([]);
+
+  // Collection the transactions are persisted in
+  const collection = useMemo(() => storage.collection(COLLECTION), [storage]);
+
+  // Recurring templates whose due occurrences become transactions
+  const {
+    recurringTransactions,
+    isLoading: recurringLoading,
+    writeRecurring
+  } = useRecurring();
+
+  // Categorization rules applied to added and imported transactions
+  const { rules } = useRules();
+
+  // Undo/redo history the user's changes are recorded in
+  const { record, forgetRecords } = useHistory();
+
+  // Field-level log of every write
+  const { logChanges } = useChangeLog();
+
+  // Set while due recurring transactions are being written, so they are not generated twice
+  const isGenerating = useRef(false);
 
   /**
-   * Load transactions from localStorage on initial render
+   * Load transactions from storage on initial render
    */
   useEffect(() => {
     const loadTransactions = async () => {
       try {
         setIsLoading(true);
-        const storedTransactions = localStorage.getItem(STORAGE_KEY);
+        const stored = await collection.list();
         
-        if (storedTransactions) {
-          const parsedData = JSON.parse(storedTransactions);
-          setTransactions(parsedData);
+        // Upgrade records saved by older versions of the app
+        const { records, upgraded, failures } = migrateRecords(COLLECTION, stored);
+        if (upgraded.length > 0) {
+          try {
+            await collection.bulk({ upsert: upgraded });
+          } catch (err) {
+            // Not fatal: the records are migrated again on the next load
+            console.error('Error saving migrated transactions:', err);
+          }
         }
         
-        setError(null);
+        // Purge transactions that have been in the trash for too long
+        const expired = getExpiredRecords(records);
+        const expiredIds = expired.map(t => t.id);
+        if (expiredIds.length > 0) {
+          try {
+            await collection.bulk({ remove: expiredIds });
+            logChanges(COLLECTION, expired.map(t => ({ before: t, after: null, source: 'trash' })));
+          } catch (err) {
+            // Not fatal: they are purged on the next load
+            console.error('Error purging deleted transactions:', err);
+          }
+        }
+        
+        setStoredTransactions(records.filter(t => !expiredIds.includes(t.id)));
+        setMigrationErrors(failures);
+        setError(describeMigrationFailures(failures, 'transactions'));
       } catch (err) {
-        console.error('Error loading transactions from localStorage:', err);
+        console.error('Error loading transactions from storage:', err);
         setError('Failed to load transactions from storage. Please try refreshing the page.');
       } finally {
         setIsLoading(false);
@@ -57,25 +141,69 @@ export function TransactionProvider({ children }) {
     };
 
     loadTransactions();
-  }, []);
+  }, [collection, logChanges]);
+
+  // Transactions in use; deleted ones are only shown in the trash
+  const transactions = useMemo(
+    () => storedTransactions.filter(t => !isDeleted(t)),
+    [storedTransactions]
+  );
+
+  // Transactions in the trash, most recently deleted first
+  const deletedTransactions = useMemo(
+    () => storedTransactions
+      .filter(isDeleted)
+      .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt))),
+    [storedTransactions]
+  );
 
   /**
-   * Save transactions to localStorage whenever they change
+   * Add due occurrences of recurring templates as transactions
+   * Runs once transactions and templates are loaded and whenever either
+   * changes. Each template remembers the last occurrence generated; an
+   * occurrence that already has a transaction (recurringId + recurringDate),
+   * even one in the trash, is not added again.
    */
   useEffect(() => {
-    const saveTransactions = async () => {
-      if (isLoading) return; // Don't save during initial load
-      
+    if (isLoading || recurringLoading || isGenerating.current) return;
+
+    const today = getToday();
+    const due = recurringTransactions
+      .map(template => ({ template, occurrences: getDueOccurrences(template, today) }))
+      .filter(({ occurrences }) => occurrences.length > 0);
+    if (due.length === 0) return;
+
+    const existingKeys = new Set(
+      storedTransactions.filter(t => t.recurringId).map(t => occurrenceKey(t.recurringId, t.recurringDate))
+    );
+    const newTransactions = due.flatMap(({ template, occurrences }) => occurrences
+      .filter(occurrence => !existingKeys.has(occurrenceKey(template.id, occurrence.date)))
+      .map(occurrence => buildRecurringTransaction(template, occurrence)));
+
+    const generate = async () => {
+      isGenerating.current = true;
       try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions));
+        if (newTransactions.length > 0) {
+          const { created } = await collection.bulk({ create: newTransactions });
+          setStoredTransactions(prev => [...created, ...prev]);
+          logChanges(COLLECTION, created.map(t => ({ before: null, after: t, source: 'recurring' })));
+        }
+        await writeRecurring({
+          upsert: due.map(({ template, occurrences }) =>
+            updateRecord(template, { lastGeneratedDate: occurrences[occurrences.length - 1].date }))
+        });
       } catch (err) {
-        console.error('Error saving transactions to localStorage:', err);
-        setError('Failed to save changes. Your data may not persist if you close this page.');
+        console.error('Error adding recurring transactions:', err);
+        setError(err instanceof StorageQuotaError
+          ? err.message
+          : 'Failed to add due recurring transactions. They will be added the next time the app loads.');
+      } finally {
+        isGenerating.current = false;
       }
     };
 
-    saveTransactions();
-  }, [transactions, isLoading]);
+    generate();
+  }, [isLoading, recurringLoading, recurringTransactions, storedTransactions, collection, writeRecurring, logChanges]);
 
   /**
    * Clear any errors
@@ -84,100 +212,310 @@ export function TransactionProvider({ children }) {
     setError(null);
   }, []);
 
+  /**
+   * Run a storage write, surfacing "storage full" errors to the whole page
+   * @param {() => Promise<any>} operation - Storage call to run
+   * @returns {Promise<any>} Result of the operation
+   */
+  const persist = useCallback(async (operation) => {
+    try {
+      return await operation();
+    } catch (err) {
+      if (err instanceof StorageQuotaError) {
+        setError(err.message);
+      }
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Store a snapshot of transactions, replacing the current versions
+   * Used to undo and redo changes: records missing from `to` are removed.
+   * @param {Array<Transaction>} from - Affected transactions as they are now
+   * @param {Array<Transaction>} to - The same transactions as they should be
+   * @returns {Promise<void>}
+   */
+  const restoreSnapshot = useCallback(async (from, to) => {
+    const result = await persist(() => collection.bulk(getSnapshotOperations(from, to)));
+    setStoredTransactions(prev => mergeBulkResult(prev, result));
+    logChanges(COLLECTION, pairBulkResult(from, result, 'undo'));
+  }, [collection, persist, logChanges]);
+
+  /**
+   * Record a change in the undo/redo history
+   * @param {string} label - What the change did
+   * @param {Array<Transaction>} before - Affected transactions before the change
+   * @param {Array<Transaction>} after - The same transactions after it (without removed ones)
+   */
+  const recordChange = useCallback((label, before, after) => {
+    record({
+      label,
+      undo: () => restoreSnapshot(after, before),
+      redo: () => restoreSnapshot(before, after),
+      recordIds: [...new Set([...before, ...after].map(t => t.id))]
+    });
+  }, [record, restoreSnapshot]);
+
   /**
    * Add a new transaction
+   * Categorization rules are applied before it is saved.
    * @param {Omit<Transaction, 'id' | 'createdAt' | 'updatedAt'>} transaction - Transaction data without id
    * @returns {Promise<Transaction>} - The newly created transaction
    */
-  const addTransaction = useCallback((transaction) => {
-    return new Promise((resolve) => {
-      const timestamp = new Date().toISOString();
-      const newTransaction = {
-        ...transaction,
-        id: `txn_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`, // Generate a unique ID
-        createdAt: timestamp,
-        updatedAt: timestamp
-      };
-      
-      setTransactions(prev => {
-        const updatedTransactions = [newTransaction, ...prev];
-        return updatedTransactions;
-      });
-      
-      resolve(newTransaction);
-    });
-  }, []);
+  const addTransaction = useCallback(async (transaction) => {
+    const [ruled] = applyRules([transaction], rules);
+    const newTransaction = await persist(() => collection.create(ruled));
+    
+    setStoredTransactions(prev => [newTransaction, ...prev]);
+    recordChange('Transaction added', [], [newTransaction]);
+    logChanges(COLLECTION, pairCreationWithRules(transaction, ruled, newTransaction, 'manual'));
+    return newTransaction;
+  }, [collection, persist, rules, recordChange, logChanges]);
+
+  /**
+   * Add many transactions at once (e.g. from an import)
+   * All transactions are written in one storage call and one state update.
+   * Categorization rules are applied before they are saved.
+   * @param {Array<Omit<Transaction, 'id' | 'createdAt' | 'updatedAt'>>} newTransactions - Transaction data without ids
+   * @param {{source?: string}} [options] - What the transactions come from, for the change log
+   * @returns {Promise<Array<Transaction>>} - The created transactions
+   */
+  const addTransactions = useCallback(async (newTransactions, { source = 'import' } = {}) => {
+    if (newTransactions.length === 0) return [];
+
+    const ruled = applyRules(newTransactions, rules);
+    const { created } = await persist(() => collection.bulk({ create: ruled }));
+
+    setStoredTransactions(prev => [...created, ...prev]);
+    recordChange(`${created.length} transaction${created.length !== 1 ? 's' : ''} added`, [], created);
+    logChanges(COLLECTION, created.flatMap((transaction, index) =>
+      pairCreationWithRules(newTransactions[index], ruled[index], transaction, source)));
+    return created;
+  }, [collection, persist, rules, recordChange, logChanges]);
 
   /**
    * Update an existing transaction
    * @param {string} id - Transaction ID to update
    * @param {Partial<Transaction>} updatedData - New transaction data
-   * @returns {Promise<Transaction|null>} - The updated transaction or null if not found
+   * @returns {Promise<Transaction>} - The updated transaction (rejects if not found)
    */
-  const updateTransaction = useCallback((id, updatedData) => {
-    return new Promise((resolve, reject) => {
-      setTransactions(prev => {
-        // Check if transaction exists
-        const existingTransaction = prev.find(t => t.id === id);
-        
-        if (!existingTransaction) {
-          reject(new Error(`Transaction with ID ${id} not found`));
-          return prev; // No changes
-        }
-        
-        // Update the transaction
-        const timestamp = new Date().toISOString();
-        const updatedTransactions = prev.map(transaction =>
-          transaction.id === id 
-            ? { 
-                ...transaction, 
-                ...updatedData, 
-                updatedAt: timestamp 
-              } 
-            : transaction
-        );
-        
-        resolve(updatedTransactions.find(t => t.id === id) || null);
-        return updatedTransactions;
-      });
-    });
-  }, []);
+  const updateTransaction = useCallback(async (id, updatedData) => {
+    const original = transactions.find(transaction => transaction.id === id);
+    const updatedTransaction = await persist(() => collection.update(id, updatedData));
+    
+    if (!updatedTransaction) {
+      throw new Error(`Transaction with ID ${id} not found`);
+    }
+    
+    setStoredTransactions(prev => prev.map(transaction =>
+      transaction.id === id ? updatedTransaction : transaction
+    ));
+    if (original) {
+      recordChange('Transaction updated', [original], [updatedTransaction]);
+    }
+    logChanges(COLLECTION, [{ before: original || null, after: updatedTransaction, source: 'manual' }]);
+    return updatedTransaction;
+  }, [collection, persist, transactions, recordChange, logChanges]);
 
   /**
-   * Delete a transaction
+   * Move a transaction to the trash
+   * Deleting either side of a transfer deletes both sides.
    * @param {string} id - Transaction ID to delete
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
-  const deleteTransaction = useCallback((id) => {
-    return new Promise((resolve) => {
-      setTransactions(prev => {
-        const existingIndex = prev.findIndex(t => t.id === id);
-        const exists = existingIndex !== -1;
-        
-        if (!exists) {
-          resolve(false);
-          return prev; // No changes
-        }
-        
-        const updatedTransactions = prev.filter(transaction => transaction.id !== id);
-        resolve(true);
-        return updatedTransactions;
-      });
-    });
-  }, []);
+  const deleteTransaction = useCallback(async (id) => {
+    const transaction = transactions.find(t => t.id === id);
+    if (!transaction) return false;
+
+    const legs = isTransfer(transaction)
+      ? transactions.filter(t => t.transferId === transaction.transferId)
+      : [transaction];
+    const now = new Date();
+    const result = await persist(() => collection.bulk({ upsert: legs.map(t => moveToTrash(t, now)) }));
+
+    setStoredTransactions(prev => mergeBulkResult(prev, result));
+    recordChange(isTransfer(transaction) ? 'Transfer deleted' : 'Transaction deleted', legs, result.upserted);
+    logChanges(COLLECTION, pairBulkResult(legs, result, 'manual'));
+    return true;
+  }, [collection, persist, transactions, recordChange, logChanges]);
+
+  /**
+   * Record a transfer between two accounts
+   * A transfer is stored as two transactions sharing a transferId: money out
+   * of one account and the same amount into the other.
+   * @param {{fromAccountId: string, toAccountId: string, amount: number, date: string, description?: string}} transfer
+   *   - Transfer with the amount in cents
+   * @returns {Promise<Array<Transaction>>} - The outgoing and incoming transactions
+   */
+  const addTransfer = useCallback(async (transfer) => {
+    const legs = buildTransferTransactions(transfer, generateId('trf'));
+    const { created } = await persist(() => collection.bulk({ create: legs }));
+
+    setStoredTransactions(prev => [...created, ...prev]);
+    recordChange('Transfer added', [], created);
+    logChanges(COLLECTION, created.map(t => ({ before: null, after: t, source: 'manual' })));
+    return created;
+  }, [collection, persist, recordChange, logChanges]);
+
+  /**
+   * Change a transfer, rewriting both of its transactions
+   * @param {string} transferId - Id shared by both sides of the transfer
+   * @param {{fromAccountId: string, toAccountId: string, amount: number, date: string, description?: string}} transfer
+   * @returns {Promise<Array<Transaction>>} - The updated transactions (rejects if not found)
+   */
+  const updateTransfer = useCallback(async (transferId, transfer) => {
+    const existing = transactions.filter(t => t.transferId === transferId);
+    const outgoing = existing.find(t => t.amount < 0);
+    const incoming = existing.find(t => t.amount > 0);
+    if (!outgoing || !incoming) {
+      throw new Error(`Transfer with ID ${transferId} not found`);
+    }
+
+    const [newOutgoing, newIncoming] = buildTransferTransactions(transfer, transferId);
+    const result = await persist(() => collection.bulk({
+      upsert: [updateRecord(outgoing, newOutgoing), updateRecord(incoming, newIncoming)]
+    }));
+
+    setStoredTransactions(prev => mergeBulkResult(prev, result));
+    recordChange('Transfer updated', [outgoing, incoming], result.upserted);
+    logChanges(COLLECTION, pairBulkResult([outgoing, incoming], result, 'manual'));
+    return result.upserted;
+  }, [collection, persist, transactions, recordChange, logChanges]);
+
+  /**
+   * Change many transactions in one storage write (see lib/bulkEdit.js)
+   * Selecting one side of a transfer changes both. The whole change is
+   * undone as one step.
+   * @param {Array<string>} ids - Selected transaction ids
+   * @param {import('./bulkEdit').BulkEdit} edit - Changes to apply
+   * @returns {Promise<{updated: number, skipped: number}>} - How many transactions changed, and how many stayed as they were
+   */
+  const bulkEditTransactions = useCallback(async (ids, edit) => {
+    const selected = expandTransferSelection(transactions, ids);
+    const changed = selected
+      .map(transaction => ({ transaction, changes: getBulkEditChanges(transaction, edit) }))
+      .filter(({ changes }) => Object.keys(changes).length > 0);
+    if (changed.length === 0) {
+      return { updated: 0, skipped: selected.length };
+    }
+
+    const result = await persist(() => collection.bulk({
+      upsert: changed.map(({ transaction, changes }) => updateRecord(transaction, changes))
+    }));
+
+    setStoredTransactions(prev => mergeBulkResult(prev, result));
+    recordChange(
+      `${changed.length} transaction${changed.length !== 1 ? 's' : ''} edited`,
+      changed.map(({ transaction }) => transaction),
+      result.upserted
+    );
+    logChanges(COLLECTION, pairBulkResult(selected, result, 'manual'));
+    return { updated: result.upserted.length, skipped: selected.length - changed.length };
+  }, [collection, persist, transactions, recordChange, logChanges]);
+
+  /**
+   * Move many transactions to the trash in one storage write
+   * Selecting one side of a transfer deletes both. The whole deletion is
+   * undone as one step.
+   * @param {Array<string>} ids - Selected transaction ids
+   * @returns {Promise<number>} - How many transactions were deleted
+   */
+  const bulkDeleteTransactions = useCallback(async (ids) => {
+    const selected = expandTransferSelection(transactions, ids);
+    if (selected.length === 0) return 0;
+
+    const now = new Date();
+    const result = await persist(() => collection.bulk({ upsert: selected.map(t => moveToTrash(t, now)) }));
+
+    setStoredTransactions(prev => mergeBulkResult(prev, result));
+    recordChange(
+      `${result.upserted.length} transaction${result.upserted.length !== 1 ? 's' : ''} deleted`,
+      selected,
+      result.upserted
+    );
+    logChanges(COLLECTION, pairBulkResult(selected, result, 'manual'));
+    return result.upserted.length;
+  }, [collection, persist, transactions, recordChange, logChanges]);
+
+  /**
+   * Take transactions out of the trash
+   * Restoring either side of a transfer restores both.
+   * @param {Array<string>} ids - Ids of deleted transactions
+   * @returns {Promise<number>} - How many transactions were restored
+   */
+  const restoreTransactions = useCallback(async (ids) => {
+    const selected = expandTransferSelection(deletedTransactions, ids);
+    if (selected.length === 0) return 0;
+
+    const result = await persist(() => collection.bulk({ upsert: selected.map(restoreFromTrash) }));
+
+    setStoredTransactions(prev => mergeBulkResult(prev, result));
+    recordChange(
+      `${result.upserted.length} transaction${result.upserted.length !== 1 ? 's' : ''} restored`,
+      selected,
+      result.upserted
+    );
+    logChanges(COLLECTION, pairBulkResult(selected, result, 'manual'));
+    return result.upserted.length;
+  }, [collection, persist, deletedTransactions, recordChange, logChanges]);
+
+  /**
+   * Permanently delete transactions from the trash
+   * This cannot be undone. Purging either side of a transfer purges both.
+   * @param {Array<string>} ids - Ids of deleted transactions
+   * @returns {Promise<number>} - How many transactions were purged
+   */
+  const purgeTransactions = useCallback(async (ids) => {
+    const selected = expandTransferSelection(deletedTransactions, ids);
+    if (selected.length === 0) return 0;
+
+    const result = await persist(() => collection.bulk({ remove: selected.map(t => t.id) }));
+
+    setStoredTransactions(prev => mergeBulkResult(prev, result));
+    logChanges(COLLECTION, pairBulkResult(selected, result, 'manual'));
+    // Purged records must not come back through undo or redo
+    forgetRecords(result.removed);
+    return result.removed.length;
+  }, [collection, persist, deletedTransactions, logChanges, forgetRecords]);
+
+  /**
+   * Create, replace and delete many transactions in one storage call and one state update
+   * Upserted records are stored as given (e.g. when restoring a backup).
+   * Writes are only added to the undo history when given a label.
+   * @param {import('./storage').BulkOperations} operations - Writes to apply
+   * @param {{historyLabel?: string, changeSource?: string}} [options] - `changeSource` says
+   *   what caused the writes in the change log (default "manual")
+   * @returns {Promise<import('./storage').BulkResult>} - The outcome of each write
+   */
+  const writeTransactions = useCallback(async (operations, { historyLabel, changeSource = 'manual' } = {}) => {
+    const result = await persist(() => collection.bulk(operations));
+
+    setStoredTransactions(prev => mergeBulkResult(prev, result));
+    if (historyLabel) {
+      const affectedIds = new Set([...result.upserted.map(t => t.id), ...result.removed]);
+      recordChange(
+        historyLabel,
+        storedTransactions.filter(t => affectedIds.has(t.id)),
+        [...result.created, ...result.upserted]
+      );
+    }
+    logChanges(COLLECTION, pairBulkResult(storedTransactions, result, changeSource));
+    return result;
+  }, [collection, persist, storedTransactions, recordChange, logChanges]);
 
   /**
    * Get transaction statistics
-   * @returns {Object} - Statistics about transactions
+   * @returns {Object} - Statistics about transactions, with amounts in cents
    */
   const getStats = useCallback(() => {
-    const income = transactions
-      .filter(t => t.amount > 0)
-      .reduce((sum, t) => sum + t.amount, 0);
+    // Transfers move money between accounts and are neither income nor expenses
+    const income = sumMinorUnits(transactions
+      .filter(t => t.amount > 0 && !isTransfer(t))
+      .map(t => t.amount));
       
-    const expenses = transactions
-      .filter(t => t.amount < 0)
-      .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+    const expenses = sumMinorUnits(transactions
+      .filter(t => t.amount < 0 && !isTransfer(t))
+      .map(t => Math.abs(t.amount)));
       
     const balance = income - expenses;
     
@@ -192,12 +530,23 @@ export function TransactionProvider({ children }) {
   // Value object to be provided to context consumers
   const value = {
     transactions,
+    storedTransactions,
+    deletedTransactions,
     isLoading,
     error,
+    migrationErrors,
     clearError,
     addTransaction,
+    addTransactions,
     updateTransaction,
     deleteTransaction,
+    addTransfer,
+    updateTransfer,
+    writeTransactions,
+    bulkEditTransactions,
+    bulkDeleteTransactions,
+    restoreTransactions,
+    purgeTransactions,
     getStats
   };
 
@@ -0,0 +1,55 @@
+import { addDays } from 'date-fns';
+import { updateRecord } from './records';
+import { isDeleted } from './utils';
+
+/**
+ * Trash for deleted transactions and budgets.
+ *
+ * Deleting a record only stamps it with `deletedAt`; it stays in storage,
+ * left out of every calculation (see isDeleted in lib/utils.js), until it is
+ * restored, purged by hand or purged automatically once it has been in the
+ * trash for TRASH_RETENTION_DAYS.
+ */
+
+// Days a deleted record can be restored before it is purged
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Mark a record as deleted
+ * @param {Object} record
+ * @param {Date} [now=new Date()]
+ * @returns {Object} The record with `deletedAt` set
+ */
+export function moveToTrash(record, now = new Date()) {
+  return updateRecord(record, { deletedAt: now.toISOString() });
+}
+
+/**
+ * Take a record out of the trash
+ * @param {Object} record - Deleted record
+ * @returns {Object} The record without `deletedAt`
+ */
+export function restoreFromTrash(record) {
+  const restored = updateRecord(record, {});
+  delete restored.deletedAt;
+  return restored;
+}
+
+/**
+ * Date on which a deleted record is purged
+ * @param {Object} record - Deleted record
+ * @returns {Date}
+ */
+export function getPurgeDate(record) {
+  return addDays(new Date(record.deletedAt), TRASH_RETENTION_DAYS);
+}
+
+/**
+ * Deleted records that have been in the trash for longer than the retention period
+ * @param {Array<Object>} records
+ * @param {Date} [now=new Date()]
+ * @returns {Array<Object>}
+ */
+export function getExpiredRecords(records, now = new Date()) {
+  return records.filter(record => isDeleted(record) && getPurgeDate(record) <= now);
+}
@@ -1,6 +1,10 @@
 import { clsx } from "clsx";
 import { twMerge } from "tailwind-merge";
 import { format, parseISO, startOfMonth, endOfMonth } from "date-fns";
+import { RECURRING_FREQUENCIES } from "./recurring";
+import { RULE_MATCH_TYPES, compileRulePattern, hasRuleValue } from "./rules";
+import { CATEGORY_ICONS, CATEGORY_TYPES, DEFAULT_CATEGORIES, findCategoryByName, getCategoryType, getParentNames } from "./categories";
+import { fromMinorUnits, isMinorUnits, sumMinorUnits } from "./money";
 
 /**
  * Combines Tailwind CSS classnames
@@ -38,7 +42,7 @@ export function formatDateForDisplay(date) {
 
 /**
  * Format currency with appropriate sign and formatting
- * @param {number} amount - Amount to format
+ * @param {number} amount - Amount to format in cents (see lib/money.js)
  * @returns {string} Formatted currency string
  */
 export function formatCurrency(amount) {
@@ -46,13 +50,33 @@ export function formatCurrency(amount) {
     style: 'currency',
     currency: 'USD',
     signDisplay: 'auto',
-  }).format(amount);
+  }).format(fromMinorUnits(amount));
+}
+
+/**
+ * Check whether a transaction or budget has been moved to the trash
+ * Deleted records stay in storage until they are purged (see lib/trash.js)
+ * and are left out of every calculation in this file.
+ * @param {Object} record - Transaction or budget
+ * @returns {boolean} True for deleted records
+ */
+export function isDeleted(record) {
+  return Boolean(record && record.deletedAt);
+}
+
+/**
+ * Leave deleted records out of a list
+ * @param {Array} records - Transactions or budgets
+ * @returns {Array} Records that are not in the trash
+ */
+function withoutDeleted(records) {
+  return (records || []).filter(record => !isDeleted(record));
 }
 
 /**
  * Group transactions by month for chart data
  * @param {Array} transactions - Array of transaction objects
- * @returns {Array} Array of objects with month grouping and totals
+ * @returns {Array} Array of objects with month grouping and totals in cents
  */
 export function groupTransactionsByMonth(transactions) {
   if (!transactions || !transactions.length) {
@@ -61,7 +85,7 @@ export function groupTransactionsByMonth(transactions) {
   
   const grouped = {};
   
-  transactions.forEach(transaction => {
+  withoutDeleted(transactions).forEach(transaction => {
     // Skip invalid dates
     if (!transaction.date) return;
     
@@ -88,16 +112,17 @@ export function groupTransactionsByMonth(transactions) {
 
 /**
  * Validates a transaction object
+ * Amounts are checked as stored, in whole cents (see lib/money.js).
  * @param {Object} transaction - Transaction to validate
  * @returns {Object} Object with isValid flag and errors object
  */
 export function validateTransaction(transaction) {
   const errors = {};
   
-  // Validate amount - must be a number
-  if (!transaction.amount || isNaN(parseFloat(transaction.amount))) {
+  // Validate amount - must be a whole number of cents
+  if (!isMinorUnits(transaction.amount)) {
     errors.amount = 'Please enter a valid amount';
-  } else if (parseFloat(transaction.amount) === 0) {
+  } else if (transaction.amount === 0) {
     errors.amount = 'Amount cannot be zero';
   }
   
@@ -116,6 +141,110 @@ export function validateTransaction(transaction) {
     errors.category = 'Please select a category';
   }
   
+  // Validate tags - a list of non-empty names
+  if (transaction.tags !== undefined &&
+    (!Array.isArray(transaction.tags) || transaction.tags.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+    errors.tags = 'Tags must be non-empty names';
+  }
+  
+  // Validate splits - complete lines that add up to the amount
+  if (transaction.splits && transaction.splits.length > 0) {
+    const splitError = validateSplits(transaction.splits, transaction.amount);
+    if (splitError) {
+      errors.splits = splitError;
+    }
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a budget object
+ * The amount is checked as stored, in whole cents (see lib/money.js).
+ * @param {Object} budget - Budget to validate
+ * @returns {Object} Object with isValid flag and errors object
+ */
+export function validateBudget(budget) {
+  const errors = {};
+
+  // Validate month - must be in YYYY-MM format
+  if (!budget.month || !/^\d{4}-\d{2}$/.test(budget.month)) {
+    errors.month = 'Please select a month';
+  }
+
+  // Validate category - must be selected
+  if (!budget.category) {
+    errors.category = 'Please select a category';
+  }
+
+  // Validate amount - must be a positive whole number of cents
+  if (!isMinorUnits(budget.amount) || budget.amount <= 0) {
+    errors.amount = 'Please enter a valid budget amount';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a recurring transaction template
+ * Amounts are checked as stored, in whole cents (see lib/money.js).
+ * @param {Object} template - Recurring template to validate
+ * @returns {Object} Object with isValid flag and errors object
+ */
+export function validateRecurring(template) {
+  const errors = {};
+  
+  // Validate amount - must be a non-zero whole number of cents
+  if (!isMinorUnits(template.amount)) {
+    errors.amount = 'Please enter a valid amount';
+  } else if (template.amount === 0) {
+    errors.amount = 'Amount cannot be zero';
+  }
+  
+  // Validate description - must be at least 3 characters
+  if (!template.description || template.description.trim().length < 3) {
+    errors.description = 'Description must be at least 3 characters';
+  }
+  
+  // Validate category - must be selected
+  if (!template.category) {
+    errors.category = 'Please select a category';
+  }
+  
+  // Validate frequency - must be a supported frequency
+  if (!RECURRING_FREQUENCIES.some(f => f.value === template.frequency)) {
+    errors.frequency = 'Please select how often it repeats';
+  }
+  
+  // Validate start date - must be set
+  if (!template.startDate) {
+    errors.startDate = 'Please select a start date';
+  }
+  
+  // Validate end - an end date after the start, or a positive number of occurrences
+  if (template.endDate && template.occurrences) {
+    errors.end = 'Choose either an end date or a number of occurrences';
+  } else if (template.endDate && template.startDate && template.endDate < template.startDate) {
+    errors.end = 'The end date must be after the start date';
+  } else if (template.occurrences !== undefined && template.occurrences !== null && template.occurrences !== ''
+    && !(Number.isInteger(Number(template.occurrences)) && Number(template.occurrences) > 0)) {
+    errors.end = 'Please enter a whole number of occurrences';
+  }
+  
+  // Validate amount changes - each needs a date and a non-zero amount
+  const invalidChange = (template.amountChanges || []).find(change =>
+    !change.date || !isMinorUnits(change.amount) || change.amount === 0
+  );
+  if (invalidChange) {
+    errors.amountChanges = 'Every amount change needs a date and a non-zero amount';
+  }
+  
   return {
     isValid: Object.keys(errors).length === 0,
     errors
@@ -123,21 +252,383 @@ export function validateTransaction(transaction) {
 }
 
 /**
- * Predefined transaction categories
+ * Validates a categorization rule
+ * Amount conditions are checked as stored, in whole cents (see lib/money.js).
+ * @param {Object} rule - Rule to validate (see lib/rules.js)
+ * @returns {Object} Object with isValid flag and errors object
  */
-export const TRANSACTION_CATEGORIES = [
-  'Groceries',
-  'Utilities',
-  'Rent',
-  'Transport',
-  'Entertainment',
-  'Shopping',
-  'Food',
-  'Health',
-  'Education',
-  'Other'
+export function validateRule(rule) {
+  const errors = {};
+  
+  // Validate name - must not be empty
+  if (!rule.name || !rule.name.trim()) {
+    errors.name = 'Please enter a rule name';
+  }
+  
+  // Validate description condition - a supported match type and, for regular expressions, a valid pattern
+  if (!RULE_MATCH_TYPES.some(type => type.value === rule.descriptionMatch)) {
+    errors.descriptionPattern = 'Please choose how the description is matched';
+  } else {
+    try {
+      compileRulePattern(rule);
+    } catch (err) {
+      errors.descriptionPattern = 'This is not a valid regular expression';
+    }
+  }
+  
+  // Validate amount range - whole numbers of cents, with the minimum not above the maximum
+  const { minAmount, maxAmount } = rule;
+  if ((hasRuleValue(minAmount) && !isMinorUnits(minAmount))
+    || (hasRuleValue(maxAmount) && !isMinorUnits(maxAmount))) {
+    errors.amount = 'Please enter valid amounts';
+  } else if (hasRuleValue(minAmount) && hasRuleValue(maxAmount) && minAmount > maxAmount) {
+    errors.amount = 'The minimum amount must not be larger than the maximum';
+  }
+  
+  // Validate weekdays - day numbers from 0 (Sunday) to 6
+  if (rule.weekdays && !(Array.isArray(rule.weekdays)
+    && rule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    errors.weekdays = 'Please choose valid days of the week';
+  }
+  
+  // A rule needs something to match on and something to do
+  const hasCondition = hasRuleValue(rule.descriptionPattern) || hasRuleValue(minAmount)
+    || hasRuleValue(maxAmount) || hasRuleValue(rule.accountId) || (rule.weekdays || []).length > 0;
+  if (!hasCondition) {
+    errors.conditions = 'Add at least one condition';
+  }
+  const hasAction = hasRuleValue(rule.category) || hasRuleValue(rule.payee) || (rule.tags || []).length > 0;
+  if (!hasAction) {
+    errors.actions = 'Choose a category, tags or a payee to set';
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the split lines of a transaction
+ * Lines carry the same sign as the transaction and must add up to its amount.
+ * @param {Array<{category: string, amount: number, note?: string}>} splits - Split lines, amounts in cents
+ * @param {number} total - Transaction amount in cents
+ * @returns {string|null} Error message, or null if the splits are valid
+ */
+export function validateSplits(splits, total) {
+  if (!Array.isArray(splits) || splits.length < 2) {
+    return 'A split needs at least two lines';
+  }
+  
+  for (const split of splits) {
+    if (!split.category) {
+      return 'Please select a category for every split line';
+    }
+    if (!isMinorUnits(split.amount) || split.amount === 0) {
+      return 'Please enter an amount for every split line';
+    }
+    if (isMinorUnits(total) && Math.sign(split.amount) !== Math.sign(total)) {
+      return 'Split lines must all be expenses or all be income, like the transaction';
+    }
+  }
+  
+  const sum = sumMinorUnits(splits.map(split => split.amount));
+  if (isMinorUnits(total) && sum !== total) {
+    return `Split lines must add up to the transaction amount (${formatCurrency(Math.abs(total - sum))} ${
+      Math.abs(sum) < Math.abs(total) ? 'left to assign' : 'over'
+    })`;
+  }
+  
+  return null;
+}
+
+/**
+ * Get the category amounts of a transaction
+ * A split transaction contributes one line per split; any other transaction
+ * contributes its whole amount to its category.
+ * @param {Object} transaction - Transaction object
+ * @returns {Array<{category: string, amount: number, note?: string}>} Category lines
+ */
+export function getCategoryLines(transaction) {
+  if (transaction.splits && transaction.splits.length > 0) {
+    return transaction.splits.map(split => ({
+      ...split,
+      category: split.category || 'Other',
+      amount: Number(split.amount)
+    }));
+  }
+  return [{ category: transaction.category || 'Other', amount: Number(transaction.amount) }];
+}
+
+/**
+ * Check whether a transaction is split across several categories
+ * @param {Object} transaction - Transaction object
+ * @returns {boolean} True for split transactions
+ */
+export function isSplit(transaction) {
+  return Boolean(transaction.splits && transaction.splits.length > 0);
+}
+
+/**
+ * Category of the largest split line, used as the transaction's own category
+ * @param {Array<{category: string, amount: number}>} splits
+ * @returns {string}
+ */
+export function getPrimaryCategory(splits) {
+  return splits.reduce((primary, split) => (
+    isNaN(primary.amount) || Math.abs(split.amount) > Math.abs(primary.amount) ? split : primary
+  ), splits[0]).category;
+}
+
+/**
+ * Validates an account object
+ * The opening balance is checked as stored, in whole cents (see lib/money.js).
+ * @param {Object} account - Account to validate
+ * @returns {Object} Object with isValid flag and errors object
+ */
+export function validateAccount(account) {
+  const errors = {};
+
+  // Validate name - must not be empty
+  if (!account.name || !account.name.trim()) {
+    errors.name = 'Please enter an account name';
+  }
+
+  // Validate type - must be a known account type
+  if (!ACCOUNT_TYPES.some(type => type.value === account.type)) {
+    errors.type = 'Please select an account type';
+  }
+
+  // Validate opening balance - must be a whole number of cents (may be negative for credit cards)
+  if (!isMinorUnits(account.openingBalance)) {
+    errors.openingBalance = 'Please enter a valid opening balance';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a category
+ * @param {Object} category - Category to validate
+ * @param {Array<Object>} [categories=[]] - Existing categories; names must be unique ignoring case
+ * @returns {Object} Object with isValid flag and errors object
+ */
+export function validateCategory(category, categories = []) {
+  const errors = {};
+
+  // Validate name - must not be empty or used by another category
+  if (!category.name || !category.name.trim()) {
+    errors.name = 'Please enter a category name';
+  } else {
+    const existing = findCategoryByName(categories, category.name);
+    if (existing && existing.id !== category.id) {
+      errors.name = `There is already a category named ${existing.name}`;
+    }
+  }
+
+  // Validate color - must be a hex color
+  if (!/^#[0-9a-f]{6}$/i.test(category.color || '')) {
+    errors.color = 'Please pick a color';
+  }
+
+  // Validate icon - must be one of the available icons
+  if (!CATEGORY_ICONS.includes(category.icon)) {
+    errors.icon = 'Please pick an icon';
+  }
+
+  // Validate type - expense or income; categories without one are expense categories
+  if (category.type !== undefined && !CATEGORY_TYPES.some(type => type.value === category.type)) {
+    errors.type = 'Please choose expense or income';
+  }
+
+  // Validate parent - one level only: the parent is top-level and this category has no subcategories
+  if (category.parentId && categories.length > 0) {
+    const parent = categories.find(c => c.id === category.parentId);
+    if (!parent || parent.id === category.id) {
+      errors.parentId = 'Please select an existing parent category';
+    } else if (parent.parentId) {
+      errors.parentId = `${parent.name} is itself a subcategory`;
+    } else if (category.id && categories.some(c => c.parentId === category.id)) {
+      errors.parentId = 'A category with subcategories cannot have a parent';
+    } else if (getCategoryType(parent) !== getCategoryType(category)) {
+      errors.parentId = `${parent.name} is ${getCategoryType(parent) === 'income' ? 'an income' : 'an expense'} category`;
+    }
+  }
+
+  // Subcategories always share their parent's type
+  if (!errors.type && category.id && categories.some(c => (
+    c.parentId === category.id && getCategoryType(c) !== getCategoryType(category)
+  ))) {
+    errors.type = 'A category with subcategories must keep the type of its subcategories';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a transfer between two accounts
+ * @param {Object} transfer - Transfer with fromAccountId, toAccountId, amount (in cents), date and description
+ * @returns {Object} Object with isValid flag and errors object
+ */
+export function validateTransfer(transfer) {
+  const errors = {};
+
+  // Validate amount - must be a positive whole number of cents
+  if (!isMinorUnits(transfer.amount) || transfer.amount <= 0) {
+    errors.amount = 'Please enter a positive amount';
+  }
+
+  // Validate date - must be a valid date
+  if (!transfer.date) {
+    errors.date = 'Please select a date';
+  }
+
+  // Validate accounts - both selected and different
+  if (!transfer.fromAccountId) {
+    errors.fromAccountId = 'Please select the account to transfer from';
+  }
+  if (!transfer.toAccountId) {
+    errors.toAccountId = 'Please select the account to transfer to';
+  } else if (transfer.toAccountId === transfer.fromAccountId) {
+    errors.toAccountId = 'Please select a different account';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Account types
+ */
+export const ACCOUNT_TYPES = [
+  { value: 'checking', label: 'Checking' },
+  { value: 'savings', label: 'Savings' },
+  { value: 'credit_card', label: 'Credit card' },
+  { value: 'cash', label: 'Cash' }
 ];
 
+/**
+ * Id of the account that always exists; transactions saved before accounts
+ * were introduced belong to it
+ */
+export const DEFAULT_ACCOUNT_ID = 'acc_default';
+
+/**
+ * Category given to both sides of a transfer
+ */
+export const TRANSFER_CATEGORY = 'Transfer';
+
+/**
+ * Check whether a transaction is one side of a transfer between accounts
+ * Transfers move money without being income or expenses.
+ * @param {Object} transaction - Transaction object
+ * @returns {boolean} True for transfer transactions
+ */
+export function isTransfer(transaction) {
+  return Boolean(transaction.transferId);
+}
+
+/**
+ * Build the two transactions that make up a transfer
+ * @param {Object} transfer - Transfer with fromAccountId, toAccountId, amount, date and description
+ * @param {string} transferId - Id shared by both sides
+ * @returns {Array<Object>} The outgoing and the incoming transaction
+ */
+export function buildTransferTransactions(transfer, transferId) {
+  const amount = Math.abs(Number(transfer.amount));
+  const description = transfer.description && transfer.description.trim()
+    ? transfer.description.trim()
+    : 'Transfer';
+  const shared = {
+    date: transfer.date,
+    description,
+    category: TRANSFER_CATEGORY,
+    transferId
+  };
+
+  return [
+    { ...shared, amount: -amount, accountId: transfer.fromAccountId, transferAccountId: transfer.toAccountId },
+    { ...shared, amount, accountId: transfer.toAccountId, transferAccountId: transfer.fromAccountId }
+  ];
+}
+
+/**
+ * Read a transfer back from one of its transactions
+ * @param {Object} transaction - Either side of a transfer
+ * @returns {Object} Transfer with fromAccountId, toAccountId, amount, date and description
+ */
+export function getTransferFromTransaction(transaction) {
+  const isOutgoing = transaction.amount < 0;
+  return {
+    fromAccountId: isOutgoing ? transaction.accountId : transaction.transferAccountId,
+    toAccountId: isOutgoing ? transaction.transferAccountId : transaction.accountId,
+    amount: Math.abs(transaction.amount),
+    date: transaction.date,
+    description: transaction.description
+  };
+}
+
+/**
+ * Calculate the current balance of each account
+ * @param {Array} accounts - Array of account objects
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Array of objects with account, balance (in cents) and transaction count
+ */
+export function calculateAccountBalances(accounts, transactions) {
+  const totals = {};
+
+  withoutDeleted(transactions).forEach(transaction => {
+    const accountId = transaction.accountId || DEFAULT_ACCOUNT_ID;
+    if (!totals[accountId]) totals[accountId] = { sum: 0, count: 0 };
+    totals[accountId].sum += Number(transaction.amount);
+    totals[accountId].count += 1;
+  });
+
+  return accounts.map(account => {
+    const total = totals[account.id] || { sum: 0, count: 0 };
+    return {
+      account,
+      balance: Number(account.openingBalance || 0) + total.sum,
+      transactionCount: total.count
+    };
+  });
+}
+
+/**
+ * Calculate the running balance of an account after each of its transactions
+ * @param {Object} account - Account object
+ * @param {Array} transactions - Array of transaction objects (all accounts)
+ * @returns {Array} The account's transactions, newest first, each with a `balance` field in cents
+ */
+export function calculateRunningBalances(account, transactions) {
+  const accountTransactions = withoutDeleted(transactions)
+    .filter(t => (t.accountId || DEFAULT_ACCOUNT_ID) === account.id)
+    .sort((a, b) => new Date(a.date) - new Date(b.date)
+      || String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+
+  let balance = Number(account.openingBalance || 0);
+  return accountTransactions
+    .map(transaction => {
+      balance += Number(transaction.amount);
+      return { ...transaction, balance };
+    })
+    .reverse();
+}
+
+/**
+ * Names of the built-in categories
+ * Users can rename and archive these and add their own (see lib/categoryContext.js).
+ */
+export const TRANSACTION_CATEGORIES = DEFAULT_CATEGORIES.map(category => category.name);
+
 /**
  * Gets the most recent transactions
  * @param {Array} transactions - Array of transaction objects
@@ -150,37 +641,155 @@ export function getRecentTransactions(transactions, limit = 5) {
   }
   
   // Sort by date (descending) and take the first 'limit' items
-  return [...transactions]
+  return withoutDeleted(transactions)
     .sort((a, b) => new Date(b.date) - new Date(a.date))
     .slice(0, limit);
 }
 
+/**
+ * Group per-category amounts under their top-level category
+ * Subcategory amounts are added to the parent's total. `children` lists the
+ * parts that make up the total (the parent's own amount with `general: true`,
+ * then each subcategory), and is empty for categories without subcategories.
+ * @param {Object<string, number>} amounts - Amount per category name
+ * @param {Array<Object>} [categories=[]] - Categories defining the hierarchy
+ * @returns {Array<{name: string, value: number, children: Array<{name: string, value: number, general?: boolean}>}>}
+ */
+export function rollUpCategoryAmounts(amounts, categories = []) {
+  const parentNames = getParentNames(categories);
+  const groups = new Map();
+
+  Object.entries(amounts).forEach(([name, value]) => {
+    const parent = parentNames.get(name) || name;
+    if (!groups.has(parent)) {
+      groups.set(parent, { name: parent, value: 0, children: [] });
+    }
+    const group = groups.get(parent);
+    group.value += value;
+    group.children.push(parent === name ? { name, value, general: true } : { name, value });
+  });
+
+  return [...groups.values()].map(group => ({
+    ...group,
+    children: group.children.some(child => !child.general)
+      ? group.children.sort((a, b) => Number(Boolean(b.general)) - Number(Boolean(a.general)))
+      : []
+  }));
+}
+
+/**
+ * Add up transaction amounts (as positive numbers) per category
+ * Split lines are counted in their own category.
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Object<string, number>} Total in cents per category name
+ */
+function sumByCategory(transactions) {
+  const categoryTotals = {};
+  
+  transactions.forEach(transaction => {
+    getCategoryLines(transaction).forEach(({ category, amount }) => {
+      categoryTotals[category] = (categoryTotals[category] || 0) + Math.abs(amount);
+    });
+  });
+  
+  return categoryTotals;
+}
+
 /**
  * Calculate total expenses by category
+ * Subcategories are rolled up into their parent (see rollUpCategoryAmounts).
  * @param {Array} transactions - Array of transaction objects
- * @returns {Array} Array of objects with category name and total amount
+ * @param {Array} [categories=[]] - Categories defining the hierarchy
+ * @returns {Array} Array of objects with category name, total amount and subcategory breakdown
  */
-export function calculateCategoryTotals(transactions) {
+export function calculateCategoryTotals(transactions, categories = []) {
   if (!transactions || !transactions.length) {
     return [];
   }
   
-  // Filter out income (positive amounts)
-  const expenses = transactions.filter(t => t.amount < 0);
+  // Filter out income (positive amounts) and transfers between accounts
+  const expenses = withoutDeleted(transactions).filter(t => t.amount < 0 && !isTransfer(t));
   
-  // Group expenses by category
-  const categoryTotals = {};
+  // Convert to array format for Recharts
+  return rollUpCategoryAmounts(sumByCategory(expenses), categories);
+}
+
+/**
+ * Calculate total income by category
+ * Subcategories are rolled up into their parent (see rollUpCategoryAmounts).
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array} [categories=[]] - Categories defining the hierarchy
+ * @returns {Array} Array of objects with category name, total amount and subcategory breakdown
+ */
+export function calculateIncomeTotals(transactions, categories = []) {
+  if (!transactions || !transactions.length) {
+    return [];
+  }
+  
+  // Only money coming in; transfers between accounts are not income
+  const income = withoutDeleted(transactions).filter(t => t.amount > 0 && !isTransfer(t));
   
-  expenses.forEach(transaction => {
-    const category = transaction.category || 'Other';
-    categoryTotals[category] = (categoryTotals[category] || 0) + Math.abs(transaction.amount);
+  return rollUpCategoryAmounts(sumByCategory(income), categories);
+}
+
+/**
+ * Check whether a transaction has a tag (ignoring case)
+ * @param {Object} transaction - Transaction object
+ * @param {string} tag - Tag name
+ * @returns {boolean}
+ */
+export function hasTag(transaction, tag) {
+  const wanted = tag.toLowerCase();
+  return (transaction.tags || []).some(t => t.toLowerCase() === wanted);
+}
+
+/**
+ * List the tags used on transactions, most used first
+ * Tags differing only in case are counted as one, named as first seen.
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array<{tag: string, count: number}>} Tags with the number of transactions using them
+ */
+export function getTagUsage(transactions) {
+  const usage = new Map();
+  
+  withoutDeleted(transactions).forEach(transaction => {
+    (transaction.tags || []).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = usage.get(key) || { tag, count: 0 };
+      entry.count += 1;
+      usage.set(key, entry);
+    });
   });
   
-  // Convert to array format for Recharts
-  return Object.entries(categoryTotals).map(([name, value]) => ({
-    name,
-    value
-  }));
+  return [...usage.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Calculate spending and income per tag
+ * A transaction with several tags counts towards each of them; transfers
+ * between accounts are left out.
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array<{tag: string, expenses: number, income: number, count: number}>}
+ *   Totals in cents as positive numbers, highest spending first
+ */
+export function calculateTagTotals(transactions) {
+  const totals = new Map();
+  
+  withoutDeleted(transactions).filter(t => !isTransfer(t)).forEach(transaction => {
+    (transaction.tags || []).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = totals.get(key) || { tag, expenses: 0, income: 0, count: 0 };
+      if (transaction.amount < 0) {
+        entry.expenses += Math.abs(transaction.amount);
+      } else {
+        entry.income += transaction.amount;
+      }
+      entry.count += 1;
+      totals.set(key, entry);
+    });
+  });
+  
+  return [...totals.values()].sort((a, b) => b.expenses - a.expenses || b.income - a.income);
 }
 
 /**
@@ -198,7 +807,7 @@ export function getTransactionsForMonth(transactions, monthYear) {
   const startDate = startOfMonth(new Date(year, month - 1));
   const endDate = endOfMonth(new Date(year, month - 1));
   
-  return transactions.filter(t => {
+  return withoutDeleted(transactions).filter(t => {
     const transactionDate = new Date(t.date);
     return transactionDate >= startDate && transactionDate <= endDate;
   });
@@ -216,35 +825,32 @@ export function calculateMonthlyExpensesByCategory(transactions, monthYear) {
   }
   
   const monthlyTransactions = getTransactionsForMonth(transactions, monthYear);
-  const expenses = monthlyTransactions.filter(t => t.amount < 0);
+  const expenses = monthlyTransactions.filter(t => t.amount < 0 && !isTransfer(t));
   
-  const categoryTotals = {};
-  
-  expenses.forEach(transaction => {
-    const category = transaction.category || 'Other';
-    categoryTotals[category] = (categoryTotals[category] || 0) + Math.abs(transaction.amount);
-  });
-  
-  return categoryTotals;
+  return sumByCategory(expenses);
 }
 
 /**
  * Compare budgets with actual spending
+ * Subcategories are rolled up into their parent: the parent's actual spending
+ * includes its subcategories, and its budget is the one set on the parent or,
+ * if there is none, the sum of its subcategories' budgets. `children` breaks
+ * the parent down (its own spending with `general: true`, then each
+ * subcategory) and is empty for categories without subcategories.
  * @param {Array} transactions - Array of transaction objects
  * @param {Array} budgets - Array of budget objects
  * @param {string} monthYear - Month in YYYY-MM format
- * @returns {Array} Array of objects with category, budgeted amount, and actual spending
+ * @param {Array} [categories=[]] - Categories defining the hierarchy
+ * @returns {Array} Array of objects with category, budgeted amount, actual spending (in cents) and children
  */
-export function compareBudgetWithActual(transactions, budgets, monthYear) {
+export function compareBudgetWithActual(transactions, budgets, monthYear, categories = []) {
   if (!monthYear) return [];
   
   const actualByCategory = calculateMonthlyExpensesByCategory(transactions, monthYear);
+  const parentNames = getParentNames(categories);
   
   // Get budgets for the month
-  const monthBudgets = budgets.filter(budget => budget.month === monthYear);
-  
-  // Convert to expected format for charts
-  const result = [];
+  const monthBudgets = withoutDeleted(budgets).filter(budget => budget.month === monthYear);
   
   // Add all categories that have either a budget or actual spending
   const allCategories = new Set([
@@ -252,20 +858,50 @@ export function compareBudgetWithActual(transactions, budgets, monthYear) {
     ...monthBudgets.map(b => b.category)
   ]);
   
+  // Group each category under its top-level category
+  const groups = new Map();
   allCategories.forEach(category => {
     const budget = monthBudgets.find(b => b.category === category);
-    const budgeted = budget ? budget.amount : 0;
-    const actual = actualByCategory[category] || 0;
+    const parent = parentNames.get(category) || category;
+    const row = {
+      category,
+      budgeted: budget ? Number(budget.amount) : 0,
+      actual: actualByCategory[category] || 0,
+      hasBudget: Boolean(budget)
+    };
     
-    result.push({
+    if (!groups.has(parent)) groups.set(parent, []);
+    groups.get(parent).push(parent === category ? { ...row, general: true } : row);
+  });
+  
+  // Convert to expected format for charts
+  return [...groups.entries()].map(([category, rows]) => {
+    const own = rows.find(row => row.general);
+    const subcategories = rows.filter(row => !row.general);
+    const budgeted = own && own.hasBudget
+      ? own.budgeted
+      : sumMinorUnits(subcategories.map(row => row.budgeted));
+    const actual = sumMinorUnits(rows.map(row => row.actual));
+    
+    // A budget set on the parent covers the whole group, so it is not repeated on the parent's own row
+    const toComparison = ({ category: name, budgeted: rowBudgeted, actual: rowActual, general }) => ({
+      category: name,
+      budgeted: general ? 0 : rowBudgeted,
+      actual: rowActual,
+      difference: (general ? 0 : rowBudgeted) - rowActual,
+      ...(general && { general })
+    });
+    
+    return {
       category,
       budgeted,
       actual,
-      difference: budgeted - actual
-    });
+      difference: budgeted - actual,
+      children: subcategories.length > 0
+        ? [...(own ? [own] : []), ...subcategories].map(toComparison)
+        : []
+    };
   });
-  
-  return result;
 }
 
 /**
@@ -282,8 +918,8 @@ export function generateInsights(budgetComparison, stats) {
   const insights = [];
   
   // Calculate total budgeted and actual amounts
-  const totalBudgeted = budgetComparison.reduce((sum, item) => sum + item.budgeted, 0);
-  const totalActual = budgetComparison.reduce((sum, item) => sum + item.actual, 0);
+  const totalBudgeted = sumMinorUnits(budgetComparison.map(item => item.budgeted));
+  const totalActual = sumMinorUnits(budgetComparison.map(item => item.actual));
   
   // Overall budget insight
   if (totalBudgeted > 0) {
@@ -376,7 +1012,7 @@ export function getAvailableMonths(transactions) {
   
   const months = new Set();
   
-  transactions.forEach(transaction => {
+  withoutDeleted(transactions).forEach(transaction => {
     if (!transaction.date) return;
     
     const date = new Date(transaction.date);
@@ -1,16 +1,43 @@
 import { TransactionProvider } from '../lib/transactionContext';
 import { BudgetProvider } from '../lib/budgetContext';
+import { SettingsProvider } from '../lib/settingsContext';
+import { AccountProvider } from '../lib/accountContext';
+import { RecurringProvider } from '../lib/recurringContext';
+import { CategoryProvider } from '../lib/categoryContext';
+import { RuleProvider } from '../lib/ruleContext';
+import { HistoryProvider } from '../lib/historyContext';
+import { ChangeLogProvider } from '../lib/changeLogContext';
+import { createStorageAdapter } from '../lib/storage';
 import { ToastProvider } from '@radix-ui/react-toast';
+import HistoryToaster from '../components/history/HistoryToaster';
 import '../styles/globals.css';
 
+// Storage backend for all app data: "api" (default), "indexeddb", "local" or "memory"
+const storage = createStorageAdapter(process.env.NEXT_PUBLIC_STORAGE_BACKEND);
+
 function MyApp({ Component, pageProps }) {
   return (
     <ToastProvider>
-      <TransactionProvider>
-        <BudgetProvider>
-          <Component {...pageProps} />
-        </BudgetProvider>
-      </TransactionProvider>
+      <HistoryProvider>
+        <SettingsProvider storage={storage}>
+          <AccountProvider storage={storage}>
+            <CategoryProvider storage={storage}>
+              <RuleProvider storage={storage}>
+                <RecurringProvider storage={storage}>
+                  <ChangeLogProvider storage={storage}>
+                    <TransactionProvider storage={storage}>
+                      <BudgetProvider storage={storage}>
+                        <Component {...pageProps} />
+                      </BudgetProvider>
+                    </TransactionProvider>
+                  </ChangeLogProvider>
+                </RecurringProvider>
+              </RuleProvider>
+            </CategoryProvider>
+          </AccountProvider>
+        </SettingsProvider>
+        <HistoryToaster />
+      </HistoryProvider>
     </ToastProvider>
   );
 }
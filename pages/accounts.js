@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import AccountForm from '../components/accounts/AccountForm';
+import AccountList from '../components/accounts/AccountList';
+import { useAccounts } from '../lib/accountContext';
+
+/**
+ * Accounts page for managing bank, credit card and cash accounts
+ */
+export default function Accounts() {
+  const { addAccount, updateAccount } = useAccounts();
+  const [editingAccount, setEditingAccount] = useState(null);
+
+  // Save a new account or the changes to the one being edited
+  const handleSubmit = async (account) => {
+    if (editingAccount) {
+      await updateAccount(editingAccount.id, account);
+      setEditingAccount(null);
+    } else {
+      await addAccount(account);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>Accounts - Personal Finance Visualizer</title>
+        <meta name="description" content="Manage your accounts and opening balances" />
+      </Head>
+
+      <main className="container mx-auto py-8 px-4">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-800">Accounts</h1>
+          <Link href="/">
+            <span className="text-blue-600 hover:text-blue-800 transition-colors">
+              &larr; Back to Dashboard
+            </span>
+          </Link>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-1">
+            <AccountForm
+              onSubmit={handleSubmit}
+              initialData={editingAccount}
+              onCancel={() => setEditingAccount(null)}
+            />
+          </div>
+
+          <div className="lg:col-span-2">
+            <AccountList onEditAccount={setEditingAccount} />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
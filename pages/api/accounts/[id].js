@@ -0,0 +1,12 @@
+import { createItemHandler } from '../../../lib/server/collectionHandler';
+import { validateAccount } from '../../../lib/utils';
+
+/**
+ * GET    /api/accounts/:id - Fetch an account
+ * PUT    /api/accounts/:id - Update an account
+ * DELETE /api/accounts/:id - Delete an account
+ */
+export default createItemHandler('accounts', {
+  label: 'Account',
+  validate: validateAccount
+});
@@ -0,0 +1,19 @@
+import { createBulkHandler } from '../../../lib/server/collectionHandler';
+import { validateAccount } from '../../../lib/utils';
+
+/**
+ * POST /api/accounts/bulk - Create, upsert and delete many accounts at once
+ */
+export default createBulkHandler('accounts', {
+  validate: validateAccount
+});
+
+// Imports, restores and migrations send whole collections in one request,
+// which quickly outgrows Next's default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '50mb'
+    }
+  }
+};
@@ -0,0 +1,10 @@
+import { createCollectionHandler } from '../../../lib/server/collectionHandler';
+import { validateAccount } from '../../../lib/utils';
+
+/**
+ * GET  /api/accounts - List all accounts
+ * POST /api/accounts - Create an account
+ */
+export default createCollectionHandler('accounts', {
+  validate: validateAccount
+});
@@ -0,0 +1,12 @@
+import { createItemHandler } from '../../../lib/server/collectionHandler';
+import { validateBudget } from '../../../lib/utils';
+
+/**
+ * GET    /api/budgets/:id - Fetch a budget
+ * PUT    /api/budgets/:id - Update a budget
+ * DELETE /api/budgets/:id - Delete a budget
+ */
+export default createItemHandler('budgets', {
+  label: 'Budget',
+  validate: validateBudget
+});
@@ -0,0 +1,19 @@
+import { createBulkHandler } from '../../../lib/server/collectionHandler';
+import { validateBudget } from '../../../lib/utils';
+
+/**
+ * POST /api/budgets/bulk - Create, upsert and delete many budgets at once
+ */
+export default createBulkHandler('budgets', {
+  validate: validateBudget
+});
+
+// Imports, restores and migrations send whole collections in one request,
+// which quickly outgrows Next's default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '50mb'
+    }
+  }
+};
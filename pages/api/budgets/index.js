@@ -0,0 +1,15 @@
+import { createCollectionHandler } from '../../../lib/server/collectionHandler';
+import { validateBudget, isDeleted } from '../../../lib/utils';
+
+/**
+ * GET  /api/budgets - List all budgets
+ * POST /api/budgets - Create a budget, or update the existing one for the same category and month
+ *
+ * Budgets in the trash never match: a new budget for their category and month
+ * is created alongside them, and the trashed one stays restorable.
+ */
+export default createCollectionHandler('budgets', {
+  validate: validateBudget,
+  findExisting: (budgets, budget) =>
+    budgets.find(b => !isDeleted(b) && b.category === budget.category && b.month === budget.month)
+});
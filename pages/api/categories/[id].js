@@ -0,0 +1,12 @@
+import { createItemHandler } from '../../../lib/server/collectionHandler';
+import { validateCategory } from '../../../lib/utils';
+
+/**
+ * GET    /api/categories/:id - Fetch a category
+ * PUT    /api/categories/:id - Update a category
+ * DELETE /api/categories/:id - Delete a category
+ */
+export default createItemHandler('categories', {
+  label: 'Category',
+  validate: validateCategory
+});
@@ -0,0 +1,19 @@
+import { createBulkHandler } from '../../../lib/server/collectionHandler';
+import { validateCategory } from '../../../lib/utils';
+
+/**
+ * POST /api/categories/bulk - Create, upsert and delete many categories at once
+ */
+export default createBulkHandler('categories', {
+  validate: validateCategory
+});
+
+// Imports, restores and migrations send whole collections in one request,
+// which quickly outgrows Next's default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '50mb'
+    }
+  }
+};
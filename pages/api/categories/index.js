@@ -0,0 +1,10 @@
+import { createCollectionHandler } from '../../../lib/server/collectionHandler';
+import { validateCategory } from '../../../lib/utils';
+
+/**
+ * GET  /api/categories - List all stored categories
+ * POST /api/categories - Create a category
+ */
+export default createCollectionHandler('categories', {
+  validate: validateCategory
+});
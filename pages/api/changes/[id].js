@@ -0,0 +1,10 @@
+import { createItemHandler } from '../../../lib/server/collectionHandler';
+
+/**
+ * GET    /api/changes/:id - Fetch a change log entry
+ * PUT    /api/changes/:id - Update a change log entry
+ * DELETE /api/changes/:id - Delete a change log entry
+ */
+export default createItemHandler('changes', {
+  label: 'Change log entry'
+});
@@ -0,0 +1,7 @@
+import { createCollectionHandler } from '../../../lib/server/collectionHandler';
+
+/**
+ * GET  /api/changes - List the change log of transactions and budgets
+ * POST /api/changes - Log a change
+ */
+export default createCollectionHandler('changes');
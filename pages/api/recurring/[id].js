@@ -0,0 +1,12 @@
+import { createItemHandler } from '../../../lib/server/collectionHandler';
+import { validateRecurring } from '../../../lib/utils';
+
+/**
+ * GET    /api/recurring/:id - Fetch a recurring transaction template
+ * PUT    /api/recurring/:id - Update a recurring transaction template
+ * DELETE /api/recurring/:id - Delete a recurring transaction template
+ */
+export default createItemHandler('recurring', {
+  label: 'Recurring transaction',
+  validate: validateRecurring
+});
@@ -0,0 +1,19 @@
+import { createBulkHandler } from '../../../lib/server/collectionHandler';
+import { validateRecurring } from '../../../lib/utils';
+
+/**
+ * POST /api/recurring/bulk - Create, upsert and delete many recurring transaction templates at once
+ */
+export default createBulkHandler('recurring', {
+  validate: validateRecurring
+});
+
+// Imports, restores and migrations send whole collections in one request,
+// which quickly outgrows Next's default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '50mb'
+    }
+  }
+};
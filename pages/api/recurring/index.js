@@ -0,0 +1,10 @@
+import { createCollectionHandler } from '../../../lib/server/collectionHandler';
+import { validateRecurring } from '../../../lib/utils';
+
+/**
+ * GET  /api/recurring - List all recurring transaction templates
+ * POST /api/recurring - Create a recurring transaction template
+ */
+export default createCollectionHandler('recurring', {
+  validate: validateRecurring
+});
@@ -0,0 +1,12 @@
+import { createItemHandler } from '../../../lib/server/collectionHandler';
+import { validateRule } from '../../../lib/utils';
+
+/**
+ * GET    /api/rules/:id - Fetch a categorization rule
+ * PUT    /api/rules/:id - Update a categorization rule
+ * DELETE /api/rules/:id - Delete a categorization rule
+ */
+export default createItemHandler('rules', {
+  label: 'Rule',
+  validate: validateRule
+});
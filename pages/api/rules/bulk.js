@@ -0,0 +1,19 @@
+import { createBulkHandler } from '../../../lib/server/collectionHandler';
+import { validateRule } from '../../../lib/utils';
+
+/**
+ * POST /api/rules/bulk - Create, upsert and delete many categorization rules at once
+ */
+export default createBulkHandler('rules', {
+  validate: validateRule
+});
+
+// Imports, restores and migrations send whole collections in one request,
+// which quickly outgrows Next's default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '50mb'
+    }
+  }
+};
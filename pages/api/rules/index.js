@@ -0,0 +1,10 @@
+import { createCollectionHandler } from '../../../lib/server/collectionHandler';
+import { validateRule } from '../../../lib/utils';
+
+/**
+ * GET  /api/rules - List all categorization rules
+ * POST /api/rules - Create a categorization rule
+ */
+export default createCollectionHandler('rules', {
+  validate: validateRule
+});
@@ -0,0 +1,10 @@
+import { createItemHandler } from '../../../lib/server/collectionHandler';
+
+/**
+ * GET    /api/settings/:id - Fetch a settings record
+ * PUT    /api/settings/:id - Update a settings record
+ * DELETE /api/settings/:id - Delete a settings record
+ */
+export default createItemHandler('settings', {
+  label: 'Settings'
+});
@@ -0,0 +1,16 @@
+import { createBulkHandler } from '../../../lib/server/collectionHandler';
+
+/**
+ * POST /api/settings/bulk - Create, upsert and delete settings records at once
+ */
+export default createBulkHandler('settings');
+
+// Imports, restores and migrations send whole collections in one request,
+// which quickly outgrows Next's default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '50mb'
+    }
+  }
+};
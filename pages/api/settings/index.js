@@ -0,0 +1,7 @@
+import { createCollectionHandler } from '../../../lib/server/collectionHandler';
+
+/**
+ * GET  /api/settings - List settings records
+ * POST /api/settings - Create a settings record
+ */
+export default createCollectionHandler('settings');
@@ -0,0 +1,12 @@
+import { createItemHandler } from '../../../lib/server/collectionHandler';
+import { validateTransaction } from '../../../lib/utils';
+
+/**
+ * GET    /api/transactions/:id - Fetch a transaction
+ * PUT    /api/transactions/:id - Update a transaction
+ * DELETE /api/transactions/:id - Delete a transaction
+ */
+export default createItemHandler('transactions', {
+  label: 'Transaction',
+  validate: validateTransaction
+});
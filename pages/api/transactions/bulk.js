@@ -0,0 +1,19 @@
+import { createBulkHandler } from '../../../lib/server/collectionHandler';
+import { validateTransaction } from '../../../lib/utils';
+
+/**
+ * POST /api/transactions/bulk - Create, upsert and delete many transactions at once
+ */
+export default createBulkHandler('transactions', {
+  validate: validateTransaction
+});
+
+// Imports, restores and migrations send whole collections in one request,
+// which quickly outgrows Next's default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '50mb'
+    }
+  }
+};
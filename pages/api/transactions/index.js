@@ -0,0 +1,10 @@
+import { createCollectionHandler } from '../../../lib/server/collectionHandler';
+import { validateTransaction } from '../../../lib/utils';
+
+/**
+ * GET  /api/transactions - List all transactions
+ * POST /api/transactions - Create a transaction
+ */
+export default createCollectionHandler('transactions', {
+  validate: validateTransaction
+});
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import CategoryForm from '../components/categories/CategoryForm';
+import CategoryList from '../components/categories/CategoryList';
+import { Alert, AlertDescription } from '../components/ui/alert';
+import { useCategories } from '../lib/categoryContext';
+import { useTransactions } from '../lib/transactionContext';
+import { useBudgets } from '../lib/budgetContext';
+import { useRecurring } from '../lib/recurringContext';
+import { useRules } from '../lib/ruleContext';
+import { useSettings } from '../lib/settingsContext';
+import { useHistory } from '../lib/historyContext';
+import { renameCategoryInRecord, renameCategoryInFeedback } from '../lib/categories';
+import { updateRecord } from '../lib/records';
+import { AlertCircle } from 'lucide-react';
+
+/**
+ * Rename a category in a list of records
+ * @param {Array<Object>} records
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {Array<Object>} Updated copies of the records that used the category
+ */
+function renameInRecords(records, oldName, newName) {
+  return records.flatMap(record => {
+    const changes = renameCategoryInRecord(record, oldName, newName);
+    return changes ? [updateRecord(record, changes)] : [];
+  });
+}
+
+/**
+ * Run the writes of a rename one after another
+ * If one fails, the writes already made are reverted, so records are not
+ * left pointing at a category name that does not exist.
+ * @param {Array<{apply: () => Promise<any>, revert: () => Promise<any>}>} steps
+ * @returns {Promise<void>}
+ */
+async function runSteps(steps) {
+  const done = [];
+  try {
+    for (const step of steps) {
+      await step.apply();
+      done.push(step);
+    }
+  } catch (err) {
+    for (const step of done.reverse()) {
+      try {
+        await step.revert();
+      } catch (revertErr) {
+        console.error('Error reverting category rename:', revertErr);
+      }
+    }
+    throw err;
+  }
+}
+
+/**
+ * Categories page for adding, renaming, recoloring and archiving categories
+ */
+export default function Categories() {
+  const { storedCategories, addCategory, updateCategory, writeCategories, error } = useCategories();
+  const { storedTransactions: transactions, writeTransactions } = useTransactions();
+  const { storedBudgets: budgets, writeBudgets } = useBudgets();
+  const { recurringTransactions, writeRecurring } = useRecurring();
+  const { rules, writeRules } = useRules();
+  const { settings, updateSettings } = useSettings();
+  const { record } = useHistory();
+  const [editingCategory, setEditingCategory] = useState(null);
+
+  /**
+   * Rename a category together with everything that refers to it by name
+   * Transactions, budgets (trashed ones too), recurring templates, rules and
+   * suggestion feedback move to the new name. All writes succeed or are
+   * reverted, and the rename is a single undo step.
+   * @param {Object} category - Changed category, with its new name
+   * @returns {Promise<void>}
+   */
+  const renameCategory = async (category) => {
+    const original = editingCategory;
+    const oldName = original.name;
+    const newName = category.name;
+
+    // Replaces records with one version or the other; undo and redo are logged as such
+    const recordSteps = [
+      [(upsert, changeSource) => writeTransactions({ upsert }, { changeSource }), transactions],
+      [(upsert, changeSource) => writeBudgets({ upsert }, { changeSource }), budgets],
+      [(upsert) => writeRecurring({ upsert }), recurringTransactions],
+      [(upsert) => writeRules({ upsert }), rules]
+    ].flatMap(([write, records]) => {
+      const renamed = renameInRecords(records, oldName, newName);
+      if (renamed.length === 0) return [];
+      const renamedIds = new Set(renamed.map(r => r.id));
+      const before = records.filter(r => renamedIds.has(r.id));
+      return [{
+        ids: [...renamedIds],
+        apply: (source = 'manual') => write(renamed, source),
+        revert: (source = 'manual') => write(before, source)
+      }];
+    });
+
+    const renamedFeedback = renameCategoryInFeedback(settings.categoryFeedback, oldName, newName);
+    const feedbackSteps = renamedFeedback ? [{
+      apply: () => updateSettings({ categoryFeedback: renamedFeedback }),
+      revert: () => updateSettings({ categoryFeedback: settings.categoryFeedback })
+    }] : [];
+
+    // Built-in categories are only stored once edited, so undoing the first
+    // edit of one removes it again
+    const storedOriginal = storedCategories.find(c => c.id === original.id);
+    let renamedCategory = null;
+    const categoryStep = {
+      apply: async () => {
+        if (!renamedCategory) {
+          renamedCategory = await updateCategory(original.id, category);
+        } else {
+          await writeCategories({ upsert: [renamedCategory] });
+        }
+      },
+      revert: () => writeCategories(storedOriginal ? { upsert: [storedOriginal] } : { remove: [original.id] })
+    };
+
+    const steps = [...recordSteps, ...feedbackSteps, categoryStep];
+    await runSteps(steps);
+
+    record({
+      label: `Category renamed to "${newName}"`,
+      undo: () => runSteps([...steps].reverse().map(step => ({
+        apply: () => step.revert('undo'),
+        revert: () => step.apply('undo')
+      }))),
+      redo: () => runSteps(steps.map(step => ({
+        apply: () => step.apply('undo'),
+        revert: () => step.revert('undo')
+      }))),
+      recordIds: recordSteps.flatMap(step => step.ids)
+    });
+  };
+
+  // Save a new category or the changes to the one being edited
+  const handleSubmit = async (category) => {
+    if (!editingCategory) {
+      await addCategory(category);
+      return;
+    }
+
+    // Records refer to categories by name, so a rename moves them along
+    if (category.name !== editingCategory.name) {
+      await renameCategory(category);
+    } else {
+      await updateCategory(editingCategory.id, category);
+    }
+    setEditingCategory(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>Categories - Personal Finance Visualizer</title>
+        <meta name="description" content="Manage transaction categories, their colors and icons" />
+      </Head>
+
+      <main className="container mx-auto py-8 px-4">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-800">Categories</h1>
+          <Link href="/">
+            <span className="text-blue-600 hover:text-blue-800 transition-colors">
+              &larr; Back to Dashboard
+            </span>
+          </Link>
+        </div>
+
+        {error && (
+          <Alert variant="destructive" className="mb-6">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-1">
+            <CategoryForm
+              onSubmit={handleSubmit}
+              initialData={editingCategory}
+              onCancel={() => setEditingCategory(null)}
+            />
+          </div>
+
+          <div className="lg:col-span-2">
+            <CategoryList onEditCategory={setEditingCategory} />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import CsvImportWizard from '../components/import/CsvImportWizard';
+import StatementImport from '../components/import/StatementImport';
+import JournalExport from '../components/import/JournalExport';
+import BackupRestore from '../components/import/BackupRestore';
+import ChangeLogExport from '../components/import/ChangeLogExport';
+import { ofxToCandidates } from '../lib/formats/ofx';
+import { qifToCandidates } from '../lib/formats/qif';
+import { journalToCandidates } from '../lib/formats/ledger';
+
+/**
+ * Import page for bringing bank data into the app and exporting it again
+ */
+export default function Import() {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>Import & Export - Personal Finance Visualizer</title>
+        <meta name="description" content="Import and export transactions" />
+      </Head>
+
+      <main className="container mx-auto py-8 px-4">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-800">Import &amp; Export</h1>
+          <Link href="/">
+            <span className="text-blue-600 hover:text-blue-800 transition-colors">
+              &larr; Back to Dashboard
+            </span>
+          </Link>
+        </div>
+
+        <div className="space-y-6">
+          <CsvImportWizard />
+          <StatementImport
+            id="ofx-file"
+            title="Import from OFX / QFX"
+            accept=".ofx,.qfx"
+            hint="Statements downloaded from your bank in OFX or Quicken (QFX) format. Records already imported are recognized by their bank transaction id."
+            parse={ofxToCandidates}
+          />
+          <StatementImport
+            id="qif-file"
+            title="Import from QIF"
+            accept=".qif"
+            hint="Quicken Interchange Format files from Quicken, GnuCash, Microsoft Money and many banks. Split records are imported as one transaction per split."
+            parse={qifToCandidates}
+          />
+          <StatementImport
+            id="journal-file"
+            title="Import from ledger / hledger / beancount"
+            accept=".journal,.ledger,.hledger,.beancount,.bean,.dat,.txt"
+            hint="Plain-text accounting journals. Expenses:* and Income:* accounts become categories; the original accounts are kept for export."
+            parse={journalToCandidates}
+          />
+          <JournalExport />
+          <ChangeLogExport />
+          <BackupRestore />
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -3,17 +3,23 @@ import Head from 'next/head';
 import Link from 'next/link';
 import { useTransactions } from '../lib/transactionContext';
 import { useBudgets } from '../lib/budgetContext';
+import { useCategories } from '../lib/categoryContext';
 import TransactionForm from '../components/transactions/TransactionForm';
 import TransactionList from '../components/transactions/TransactionList';
 import MonthlyExpensesChart from '../components/transactions/MonthlyExpensesChart';
 import CategoryPieChart from '../components/transactions/CategoryPieChart';
+import MonthlyIncomeChart from '../components/transactions/MonthlyIncomeChart';
+import TagSpendingChart from '../components/transactions/TagSpendingChart';
 import DashboardSummary from '../components/dashboard/DashboardSummary';
+import AccountBalances from '../components/dashboard/AccountBalances';
+import UpcomingTransactions from '../components/dashboard/UpcomingTransactions';
 import SpendingInsights from '../components/budgeting/SpendingInsights';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Toast, ToastProvider, ToastViewport } from '../components/ui/toast';
 import { Alert, AlertDescription } from '../components/ui/alert';
-import { formatCurrency, getCurrentMonth, compareBudgetWithActual } from '../lib/utils';
-import { DollarSign, TrendingUp, TrendingDown, AlertCircle, BarChart4, LayoutDashboard, PieChart, Wallet } from 'lucide-react';
+import { formatCurrency, getCurrentMonth, compareBudgetWithActual, isTransfer } from '../lib/utils';
+import { sumMinorUnits } from '../lib/money';
+import { DollarSign, TrendingUp, TrendingDown, AlertCircle, BarChart4, LayoutDashboard, PieChart, Wallet, Upload, Landmark, Repeat, Tags, Wand2, Trash2 } from 'lucide-react';
 
 export default function Home() {
   // Get transaction data and functions from context
@@ -24,6 +30,8 @@ export default function Home() {
     clearError: clearTransactionsError, 
     addTransaction, 
     updateTransaction,
+    addTransfer,
+    updateTransfer,
     getStats 
   } = useTransactions();
   
@@ -35,6 +43,9 @@ export default function Home() {
     clearError: clearBudgetsError
   } = useBudgets();
 
+  // Categories, so subcategory spending rolls up into parent budgets
+  const { categories } = useCategories();
+
   const [editingTransaction, setEditingTransaction] = useState(null);
   const [stats, setStats] = useState({ income: 0, expenses: 0, balance: 0 });
   const [budgetInsights, setBudgetInsights] = useState([]);
@@ -51,12 +62,12 @@ export default function Home() {
   // Generate budget insights for current month
   useEffect(() => {
     if (!transactionsLoading && !budgetsLoading && transactions && budgets) {
-      const comparison = compareBudgetWithActual(transactions, budgets, currentMonth);
+      const comparison = compareBudgetWithActual(transactions, budgets, currentMonth, categories);
       
       // Generate simple insights for the dashboard
       const insights = [];
-      const totalBudgeted = comparison.reduce((sum, item) => sum + item.budgeted, 0);
-      const totalActual = comparison.reduce((sum, item) => sum + item.actual, 0);
+      const totalBudgeted = sumMinorUnits(comparison.map(item => item.budgeted));
+      const totalActual = sumMinorUnits(comparison.map(item => item.actual));
       
       if (totalBudgeted > 0) {
         const percentSpent = Math.round((totalActual / totalBudgeted) * 100);
@@ -80,7 +91,7 @@ export default function Home() {
       
       setBudgetInsights(insights);
     }
-  }, [transactionsLoading, budgetsLoading, transactions, budgets, currentMonth]);
+  }, [transactionsLoading, budgetsLoading, transactions, budgets, categories, currentMonth]);
 
   // Clear errors after 5 seconds
   useEffect(() => {
@@ -100,7 +111,14 @@ export default function Home() {
   // Handle form submission
   const handleSubmit = async (transaction) => {
     try {
-      if (editingTransaction) {
+      if (transaction.type === 'transfer') {
+        const { type, ...transfer } = transaction;
+        if (editingTransaction && isTransfer(editingTransaction)) {
+          await updateTransfer(editingTransaction.transferId, transfer);
+        } else {
+          await addTransfer(transfer);
+        }
+      } else if (editingTransaction) {
         await updateTransaction(editingTransaction.id, transaction);
       } else {
         await addTransaction(transaction);
@@ -108,11 +126,10 @@ export default function Home() {
       
       // Reset editing state
       setEditingTransaction(null);
-      
-      return true; // Success
     } catch (err) {
       console.error('Error handling transaction:', err);
-      return false; // Error
+      // Let the form show the failure instead of a success message
+      throw err;
     }
   };
 
@@ -178,6 +195,54 @@ export default function Home() {
                   </span>
                 </Link>
               </li>
+              <li className="font-medium text-gray-800">
+                <Link href="/accounts">
+                  <span className="flex items-center gap-1 hover:text-primary transition-colors">
+                    <Landmark className="h-4 w-4" />
+                    Accounts
+                  </span>
+                </Link>
+              </li>
+              <li className="font-medium text-gray-800">
+                <Link href="/recurring">
+                  <span className="flex items-center gap-1 hover:text-primary transition-colors">
+                    <Repeat className="h-4 w-4" />
+                    Recurring
+                  </span>
+                </Link>
+              </li>
+              <li className="font-medium text-gray-800">
+                <Link href="/categories">
+                  <span className="flex items-center gap-1 hover:text-primary transition-colors">
+                    <Tags className="h-4 w-4" />
+                    Categories
+                  </span>
+                </Link>
+              </li>
+              <li className="font-medium text-gray-800">
+                <Link href="/rules">
+                  <span className="flex items-center gap-1 hover:text-primary transition-colors">
+                    <Wand2 className="h-4 w-4" />
+                    Rules
+                  </span>
+                </Link>
+              </li>
+              <li className="font-medium text-gray-800">
+                <Link href="/import">
+                  <span className="flex items-center gap-1 hover:text-primary transition-colors">
+                    <Upload className="h-4 w-4" />
+                    Import
+                  </span>
+                </Link>
+              </li>
+              <li className="font-medium text-gray-800">
+                <Link href="/trash">
+                  <span className="flex items-center gap-1 hover:text-primary transition-colors">
+                    <Trash2 className="h-4 w-4" />
+                    Trash
+                  </span>
+                </Link>
+              </li>
             </ul>
           </nav>
         </div>
@@ -198,6 +263,16 @@ export default function Home() {
             Dashboard
           </h2>
           <DashboardSummary />
+
+          {/* Account Balances */}
+          <div className="mt-6">
+            <AccountBalances />
+          </div>
+
+          {/* Upcoming Recurring Transactions */}
+          <div className="mt-6">
+            <UpcomingTransactions />
+          </div>
           
           {/* Budget Insights */}
           {budgetInsights.length > 0 && (
@@ -253,6 +328,11 @@ export default function Home() {
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             <MonthlyExpensesChart />
             <CategoryPieChart />
+            <MonthlyIncomeChart />
+            <CategoryPieChart type="income" />
+            <div className="lg:col-span-2">
+              <TagSpendingChart />
+            </div>
           </div>
         </div>
 
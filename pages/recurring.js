@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import RecurringForm from '../components/recurring/RecurringForm';
+import RecurringList from '../components/recurring/RecurringList';
+import { Alert, AlertDescription } from '../components/ui/alert';
+import { useRecurring } from '../lib/recurringContext';
+import { AlertCircle } from 'lucide-react';
+
+/**
+ * Recurring transactions page for managing rent, salary, subscriptions and
+ * other transactions that repeat on a schedule
+ */
+export default function Recurring() {
+  const { addRecurring, updateRecurring, error } = useRecurring();
+  const [editingTemplate, setEditingTemplate] = useState(null);
+
+  // Save a new template or the changes to the one being edited
+  const handleSubmit = async (template) => {
+    if (editingTemplate) {
+      await updateRecurring(editingTemplate.id, template);
+      setEditingTemplate(null);
+    } else {
+      await addRecurring(template);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>Recurring Transactions - Personal Finance Visualizer</title>
+        <meta name="description" content="Manage transactions that repeat on a schedule" />
+      </Head>
+
+      <main className="container mx-auto py-8 px-4">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-800">Recurring Transactions</h1>
+          <Link href="/">
+            <span className="text-blue-600 hover:text-blue-800 transition-colors">
+              &larr; Back to Dashboard
+            </span>
+          </Link>
+        </div>
+
+        {error && (
+          <Alert variant="destructive" className="mb-6">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-1">
+            <RecurringForm
+              onSubmit={handleSubmit}
+              initialData={editingTemplate}
+              onCancel={() => setEditingTemplate(null)}
+            />
+          </div>
+
+          <div className="lg:col-span-2">
+            <RecurringList onEditRecurring={setEditingTemplate} />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
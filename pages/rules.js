@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import RuleForm from '../components/rules/RuleForm';
+import RuleList from '../components/rules/RuleList';
+import ApplyRulesPanel from '../components/rules/ApplyRulesPanel';
+import { Alert, AlertDescription } from '../components/ui/alert';
+import { useRules } from '../lib/ruleContext';
+import { AlertCircle } from 'lucide-react';
+
+/**
+ * Rules page for categorizing transactions automatically by their
+ * description, amount, account or weekday
+ */
+export default function Rules() {
+  const { addRule, updateRule, error } = useRules();
+  const [editingRule, setEditingRule] = useState(null);
+
+  // Save a new rule or the changes to the one being edited
+  const handleSubmit = async (rule) => {
+    if (editingRule) {
+      await updateRule(editingRule.id, rule);
+      setEditingRule(null);
+    } else {
+      await addRule(rule);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>Rules - Personal Finance Visualizer</title>
+        <meta name="description" content="Categorize transactions automatically with rules" />
+      </Head>
+
+      <main className="container mx-auto py-8 px-4">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-800">Rules</h1>
+          <Link href="/">
+            <span className="text-blue-600 hover:text-blue-800 transition-colors">
+              &larr; Back to Dashboard
+            </span>
+          </Link>
+        </div>
+
+        {error && (
+          <Alert variant="destructive" className="mb-6">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-1">
+            <RuleForm
+              onSubmit={handleSubmit}
+              initialData={editingRule}
+              onCancel={() => setEditingRule(null)}
+            />
+          </div>
+
+          <div className="lg:col-span-2 space-y-6">
+            <RuleList onEditRule={setEditingRule} />
+            <ApplyRulesPanel />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
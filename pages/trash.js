@@ -0,0 +1,56 @@
+import React from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import DeletedTransactionList from '../components/trash/DeletedTransactionList';
+import DeletedBudgetList from '../components/trash/DeletedBudgetList';
+import { Alert, AlertDescription } from '../components/ui/alert';
+import { useTransactions } from '../lib/transactionContext';
+import { useBudgets } from '../lib/budgetContext';
+import { TRASH_RETENTION_DAYS } from '../lib/trash';
+import { AlertCircle } from 'lucide-react';
+
+/**
+ * Trash page for restoring deleted transactions and budgets before they
+ * are purged
+ */
+export default function Trash() {
+  const { error: transactionsError } = useTransactions();
+  const { error: budgetsError } = useBudgets();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>Trash - Personal Finance Visualizer</title>
+        <meta name="description" content="Restore deleted transactions and budgets" />
+      </Head>
+
+      <main className="container mx-auto py-8 px-4">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-800">Trash</h1>
+          <Link href="/">
+            <span className="text-blue-600 hover:text-blue-800 transition-colors">
+              &larr; Back to Dashboard
+            </span>
+          </Link>
+        </div>
+
+        <p className="mb-6 text-sm text-muted-foreground">
+          Deleted transactions and budgets no longer count anywhere in the app. They can be
+          restored for {TRASH_RETENTION_DAYS} days, after which they are deleted for good.
+        </p>
+
+        {(transactionsError || budgetsError) && (
+          <Alert variant="destructive" className="mb-6">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{transactionsError || budgetsError}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="space-y-6">
+          <DeletedTransactionList />
+          <DeletedBudgetList />
+        </div>
+      </main>
+    </div>
+  );
+}